@@ -2,13 +2,19 @@ import { Client, GatewayIntentBits } from "discord.js";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
-import { initializeDatabase, checkForCompletedGames, postDailyPrompt } from "./lib/database.js";
+import { initializeDatabase, checkForCompletedGames, handleGameCompleted } from "./lib/database.js";
+import { startScheduler } from "./lib/scheduler.js";
+import { findSchemaProblems } from "./lib/schema-check.js";
 import { startGameSession, createReplySession, restoreSessionFromServer } from "./lib/sessions.js";
-import { checkSessionUpdates } from "./lib/session-updates.js";
+import { checkSessionUpdates, handleGuessRecorded, handleSessionExpired } from "./lib/session-updates.js";
+import { subscribeToServerEvents } from "./lib/event-stream.js";
+import { handleRaceFinished } from "./lib/race.js";
 import { hasActivePlayer, handlePlayerJoin } from "./lib/player-handler.js";
 import { launchActivity } from "./lib/discord-utils.js";
-import { hasPlayerCompletedGame } from "./lib/server-api.js";
-import { getTodayDate } from "./lib/utils.js";
+import { hasPlayerCompletedGame, fetchGuildDay } from "./lib/server-api.js";
+import { handleStatsCommand } from "./lib/stats.js";
+import { handleLeaderboardCommand } from "./lib/leaderboard.js";
+import { handleConfigCommand } from "./lib/config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,7 +27,6 @@ const client = new Client({
 });
 
 let pool;
-const postedGames = new Set();
 const activeSessions = new Map();
 
 client.on("ready", async () => {
@@ -31,19 +36,39 @@ client.on("ready", async () => {
     console.log(`   - ${guild.name} (${guild.id})`);
   });
 
-  pool = await initializeDatabase(process.env.MYSQL_CONNECTION_STRING);
-
-  setInterval(() => checkForCompletedGames(client, pool, postedGames), 30000);
-  console.log("✓ Started polling for completed games");
-
-  setInterval(() => checkSessionUpdates(client, activeSessions), 5000);
-  console.log("✓ Started polling for session updates");
+  startScheduler(client, pool);
+
+  subscribeToServerEvents(
+    {
+      "guess.recorded": (event) => handleGuessRecorded(client, activeSessions, event),
+      "game.completed": (event) => handleGameCompleted(client, pool, event),
+      "session.expired": (event) => handleSessionExpired(client, activeSessions, event),
+      "race.finished": (event) => handleRaceFinished(client, activeSessions, event)
+    },
+    {
+      // Catch up on anything published while the stream was down
+      onConnect: async () => {
+        await checkForCompletedGames(client, pool);
+        await checkSessionUpdates(client, activeSessions);
+      }
+    }
+  );
 });
 
 client.on("interactionCreate", async (interaction) => {
   if (interaction.isChatInputCommand()) {
     if (interaction.commandName === "synapse") {
-      await startGameSession(interaction, client, activeSessions);
+      const subcommand = interaction.options.getSubcommand();
+
+      if (interaction.options.getSubcommandGroup(false) === "config") {
+        await handleConfigCommand(interaction);
+      } else if (subcommand === "play") {
+        await startGameSession(interaction, client, activeSessions);
+      } else if (subcommand === "stats") {
+        await handleStatsCommand(interaction);
+      } else if (subcommand === "leaderboard") {
+        await handleLeaderboardCommand(interaction);
+      }
     }
     return;
   }
@@ -62,7 +87,7 @@ client.on("interactionCreate", async (interaction) => {
           const userId = interaction.user.id;
           const username = interaction.user.username;
           const guildId = session.guildId || "dm";
-          const today = getTodayDate();
+          const { date: today } = await fetchGuildDay(guildId);
 
           const hasCompleted = await hasPlayerCompletedGame(guildId, userId, today);
           if (hasCompleted) {
@@ -101,4 +126,17 @@ client.on("interactionCreate", async (interaction) => {
   }
 });
 
+// Same precedence as the server, so the bot's ledgers sit next to the results it announces
+pool = await initializeDatabase(process.env.DATABASE_URL || process.env.MYSQL_CONNECTION_STRING);
+
+if (pool) {
+  const schemaProblems = await findSchemaProblems(pool);
+  if (schemaProblems.length > 0) {
+    console.error("✗ Database schema is out of date - refusing to start:");
+    schemaProblems.forEach((problem) => console.error(`   - ${problem}`));
+    console.error("→ Run `npm run migrate -- up` in server/ (or start the server) and then restart the bot");
+    process.exit(1);
+  }
+}
+
 client.login(process.env.DISCORD_BOT_TOKEN);
@@ -1,9 +1,10 @@
 import { createCanvas, loadImage } from "@napi-rs/canvas";
+import { isHintEntry, getMaxMistakes } from "./lib/utils.js";
 
 /**
  * Generate a Synapse game grid image for multiple players
  * @param {Object} options - Image generation options
- * @param {Array} options.players - Array of player objects: { username, avatarUrl, guessHistory, isComplete }
+ * @param {Array} options.players - Array of player objects: { username, avatarUrl, guessHistory, hardMode, isComplete }
  * @param {number} options.puzzleNumber - Puzzle number
  * @returns {Buffer} PNG image buffer
  */
@@ -87,7 +88,7 @@ async function generateSinglePlayerImage(player, puzzleNumber) {
   ctx.fillStyle = "#1e1e1e";
   ctx.fillRect(0, 0, width, height);
 
-  const { username, avatarUrl, guessHistory = [] } = player;
+  const { username, avatarUrl, guessHistory = [], hardMode = false } = player;
 
   // Draw large circular avatar on the left
   const avatarSize = 120;
@@ -129,10 +130,14 @@ async function generateSinglePlayerImage(player, puzzleNumber) {
   };
   const incorrectColor = "#5a5a5a";
 
-  // Check if game is complete (4 correct OR 4 mistakes)
-  const correctCount = guessHistory.filter((g) => g.correct).length;
-  const mistakeCount = guessHistory.filter((g) => !g.correct).length;
-  const isGameComplete = correctCount === 4 || mistakeCount >= 4;
+  // Check if game is complete (4 correct OR out of mistakes)
+  const correctCount = guessHistory.filter((g) => g.correct || (isHintEntry(g) && g.hint === "group")).length;
+  const mistakeCount = guessHistory.filter((g) => !g.correct && !isHintEntry(g)).length;
+  const isGameComplete = correctCount === 4 || mistakeCount >= getMaxMistakes(hardMode);
+
+  // Word and title hints don't take a row; they're counted under the grid instead
+  const rows = guessHistory.filter((g) => !isHintEntry(g) || g.hint === "group");
+  const hintCount = guessHistory.filter(isHintEntry).length;
 
   const totalRows = 7;
   const emptyColor = "#2a2a2a"; // Darker gray for empty squares
@@ -140,11 +145,13 @@ async function generateSinglePlayerImage(player, puzzleNumber) {
   // Draw all 7 rows
   for (let rowIndex = 0; rowIndex < totalRows; rowIndex++) {
     const rowY = gridStartY + rowIndex * (cellSize + cellSpacing);
-    const guess = guessHistory[rowIndex];
+    const guess = rows[rowIndex];
 
     if (guess) {
       // Draw actual guess
-      if (guess.correct && guess.difficulty !== null) {
+      if (isHintEntry(guess)) {
+        drawHintedRow(ctx, colors[guess.difficulty] || incorrectColor, gridX, rowY, cellSize, cellSpacing);
+      } else if (guess.correct && guess.difficulty !== null) {
         // Correct guess - all same color
         const color = colors[guess.difficulty] || incorrectColor;
         for (let col = 0; col < 4; col++) {
@@ -183,14 +190,65 @@ async function generateSinglePlayerImage(player, puzzleNumber) {
     }
   }
 
+  drawHintCount(ctx, hintCount, gridX, gridStartY + totalRows * (cellSize + cellSpacing) + 20);
+  if (hardMode) {
+    drawHardModeBadge(ctx, gridX + gridWidth + 20, gridStartY);
+  }
+
   return canvas.toBuffer("image/png");
 }
 
+/**
+ * Draw a group that was locked in by a hint: the group's colour, faded, with a HINT label across it
+ */
+function drawHintedRow(ctx, color, gridX, rowY, cellSize, cellSpacing) {
+  ctx.save();
+  ctx.globalAlpha = 0.45;
+  ctx.fillStyle = color;
+  for (let col = 0; col < 4; col++) {
+    ctx.fillRect(gridX + col * (cellSize + cellSpacing), rowY, cellSize, cellSize);
+  }
+  ctx.restore();
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "bold 14px Arial";
+  ctx.textAlign = "center";
+  ctx.fillText("HINT", gridX + (4 * cellSize + 3 * cellSpacing) / 2, rowY + cellSize / 2 + 5);
+  ctx.textAlign = "left";
+}
+
+/**
+ * Draw how many hints a player took, so hinted and clean solves can be told apart
+ */
+function drawHintCount(ctx, hintCount, x, y) {
+  if (hintCount === 0) return;
+
+  ctx.fillStyle = "#f9df6d";
+  ctx.font = "14px Arial";
+  ctx.fillText(`${hintCount} hint${hintCount === 1 ? "" : "s"} used`, x, y);
+}
+
+const HARD_BADGE_WIDTH = 56;
+
+/**
+ * Draw the HARD badge for players who picked hard mode (two mistakes, no hints)
+ */
+function drawHardModeBadge(ctx, x, y) {
+  ctx.fillStyle = "#e74c3c";
+  ctx.fillRect(x, y, HARD_BADGE_WIDTH, 20);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "bold 12px Arial";
+  ctx.textAlign = "center";
+  ctx.fillText("HARD", x + HARD_BADGE_WIDTH / 2, y + 14);
+  ctx.textAlign = "left";
+}
+
 /**
  * Draw a single player's section (avatar, name, grid, stats)
  */
 async function drawPlayerSection(ctx, player, x, y, width) {
-  const { username, avatarUrl, guessHistory = [] } = player;
+  const { username, avatarUrl, guessHistory = [], hardMode = false } = player;
 
   // Draw avatar
   if (avatarUrl) {
@@ -242,9 +300,13 @@ async function drawPlayerSection(ctx, player, x, y, width) {
   const incorrectColor = "#5a5a5a"; // Gray
 
   // Check if this player's game is complete
-  const correctCount = guessHistory.filter((g) => g.correct).length;
-  const mistakeCount = guessHistory.filter((g) => !g.correct).length;
-  const isGameComplete = correctCount === 4 || mistakeCount >= 4;
+  const correctCount = guessHistory.filter((g) => g.correct || (isHintEntry(g) && g.hint === "group")).length;
+  const mistakeCount = guessHistory.filter((g) => !g.correct && !isHintEntry(g)).length;
+  const isGameComplete = correctCount === 4 || mistakeCount >= getMaxMistakes(hardMode);
+
+  // Word and title hints don't take a row; they're counted under the grid instead
+  const rows = guessHistory.filter((g) => !isHintEntry(g) || g.hint === "group");
+  const hintCount = guessHistory.filter(isHintEntry).length;
 
   const totalRows = 7;
   const emptyColor = "#2a2a2a"; // Darker gray for empty squares
@@ -252,11 +314,13 @@ async function drawPlayerSection(ctx, player, x, y, width) {
   // Draw all 7 rows
   for (let rowIndex = 0; rowIndex < totalRows; rowIndex++) {
     const rowY = gridY + rowIndex * (cellSize + cellSpacing);
-    const guess = guessHistory[rowIndex];
+    const guess = rows[rowIndex];
 
     if (guess) {
       // Draw actual guess
-      if (guess.correct && guess.difficulty !== null) {
+      if (isHintEntry(guess)) {
+        drawHintedRow(ctx, colors[guess.difficulty] || incorrectColor, gridX, rowY, cellSize, cellSpacing);
+      } else if (guess.correct && guess.difficulty !== null) {
         // Correct guess - show 4 squares of the same color
         const color = colors[guess.difficulty] || incorrectColor;
         for (let col = 0; col < 4; col++) {
@@ -295,7 +359,10 @@ async function drawPlayerSection(ctx, player, x, y, width) {
     }
   }
 
-  // Stats removed - just show the grid
+  drawHintCount(ctx, hintCount, gridX, gridY + totalRows * (cellSize + cellSpacing) + 18);
+  if (hardMode) {
+    drawHardModeBadge(ctx, x + (width - HARD_BADGE_WIDTH) / 2, gridY + totalRows * (cellSize + cellSpacing) + 4);
+  }
 }
 
 /**
@@ -0,0 +1,97 @@
+// Records announced completions so a restart or a replaced result never posts a second announcement
+const announcements = new Map();
+const MEMORY_RETENTION_DAYS = 2;
+
+function getAnnouncementKey(guildId, userId, date) {
+  return `${guildId}:${userId}:${date}`;
+}
+
+function pruneMemoryAnnouncements() {
+  const cutoff = new Date(Date.now() - MEMORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const [key, announcement] of announcements) {
+    if (announcement.date < cutoff) announcements.delete(key);
+  }
+}
+
+export async function getAnnouncement(pool, guildId, userId, date) {
+  if (!pool) {
+    return announcements.get(getAnnouncementKey(guildId, userId, date)) || null;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT channel_id, message_id, result_completed_at FROM announcements
+     WHERE guild_id = ? AND user_id = ? AND game_date = ?`,
+    [guildId, userId, date]
+  );
+  if (!rows[0]) return null;
+
+  return {
+    date,
+    channelId: rows[0].channel_id,
+    messageId: rows[0].message_id,
+    completedAt: Number(rows[0].result_completed_at)
+  };
+}
+
+export async function claimAnnouncement(pool, guildId, userId, date, completedAt) {
+  if (!pool) {
+    const key = getAnnouncementKey(guildId, userId, date);
+    if (announcements.has(key)) return false;
+    pruneMemoryAnnouncements();
+    announcements.set(key, { date, channelId: null, messageId: null, completedAt });
+    return true;
+  }
+
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO announcements (guild_id, user_id, game_date, result_completed_at) VALUES (?, ?, ?, ?)`,
+    [guildId, userId, date, completedAt]
+  );
+  return result.affectedRows === 1;
+}
+
+// Moves an announcement on to a newer result; only one caller wins if two see the same replacement
+export async function claimReplacement(pool, guildId, userId, date, previousCompletedAt, completedAt) {
+  if (!pool) {
+    const announcement = announcements.get(getAnnouncementKey(guildId, userId, date));
+    if (!announcement || announcement.completedAt !== previousCompletedAt) return false;
+    announcement.completedAt = completedAt;
+    return true;
+  }
+
+  const [result] = await pool.query(
+    `UPDATE announcements SET result_completed_at = ?
+     WHERE guild_id = ? AND user_id = ? AND game_date = ? AND result_completed_at = ?`,
+    [completedAt, guildId, userId, date, previousCompletedAt]
+  );
+  return result.affectedRows === 1;
+}
+
+export async function recordAnnouncement(pool, guildId, userId, date, message) {
+  if (!pool) {
+    const announcement = announcements.get(getAnnouncementKey(guildId, userId, date));
+    if (announcement) {
+      announcement.channelId = message.channelId;
+      announcement.messageId = message.id;
+    }
+    return;
+  }
+
+  await pool.query(
+    `UPDATE announcements SET channel_id = ?, message_id = ?, posted_at = CURRENT_TIMESTAMP
+     WHERE guild_id = ? AND user_id = ? AND game_date = ?`,
+    [message.channelId, message.id, guildId, userId, date]
+  );
+}
+
+export async function releaseAnnouncement(pool, guildId, userId, date) {
+  if (!pool) {
+    announcements.delete(getAnnouncementKey(guildId, userId, date));
+    return;
+  }
+
+  await pool.query(`DELETE FROM announcements WHERE guild_id = ? AND user_id = ? AND game_date = ?`, [
+    guildId,
+    userId,
+    date
+  ]);
+}
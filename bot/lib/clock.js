@@ -0,0 +1,24 @@
+// Timers go through a clock so the scheduler can be driven by a fake clock instead of waiting real time
+export const systemClock = {
+  now: () => new Date(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+export function getLocalDateTime(timeZone, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
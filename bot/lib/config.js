@@ -0,0 +1,83 @@
+import { EmbedBuilder, PermissionFlagsBits } from "discord.js";
+import { fetchGuildSettings, updateGuildSettings } from "./server-api.js";
+
+const SPOILER_POLICY_LABELS = {
+  show: "Show guess grids",
+  spoiler: "Hide guess grids behind spoiler tags",
+  hide: "Only show score and mistakes"
+};
+
+export function createConfigEmbed(settings) {
+  return new EmbedBuilder()
+    .setTitle("⚙️ Synapse settings")
+    .setColor(0x5865f2)
+    .addFields(
+      {
+        name: "Announcement channel",
+        value: settings.announcementChannelId
+          ? `<#${settings.announcementChannelId}>`
+          : "#synapse (or the first text channel)",
+        inline: true
+      },
+      { name: "Timezone", value: settings.timezone, inline: true },
+      { name: "Puzzle source", value: settings.puzzleProvider, inline: true },
+      { name: "Auto-post completions", value: settings.autoPostCompletions ? "On" : "Off", inline: true },
+      { name: "Spoilers", value: SPOILER_POLICY_LABELS[settings.spoilerPolicy] || settings.spoilerPolicy, inline: true },
+      {
+        name: "Daily prompt",
+        value: settings.dailyPromptEnabled ? `${settings.dailyPromptTime} local time` : "Off",
+        inline: true
+      },
+      { name: "Evening reminder", value: settings.reminderTime ? `${settings.reminderTime} local time` : "Off", inline: true }
+    );
+}
+
+function getConfigUpdates(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === "channel") {
+    return { announcementChannelId: interaction.options.getChannel("channel")?.id || null };
+  } else if (subcommand === "timezone") {
+    return { timezone: interaction.options.getString("timezone") };
+  } else if (subcommand === "autopost") {
+    return { autoPostCompletions: interaction.options.getBoolean("enabled") };
+  } else if (subcommand === "spoilers") {
+    return { spoilerPolicy: interaction.options.getString("policy") };
+  } else if (subcommand === "source") {
+    return { puzzleProvider: interaction.options.getString("provider") };
+  } else if (subcommand === "prompt") {
+    const time = interaction.options.getString("time");
+    return { dailyPromptEnabled: interaction.options.getBoolean("enabled"), ...(time ? { dailyPromptTime: time } : {}) };
+  } else if (subcommand === "reminder") {
+    return { reminderTime: interaction.options.getString("time") || null };
+  }
+  return null;
+}
+
+export async function handleConfigCommand(interaction) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({ content: "Settings can only be changed inside a server.", flags: 64 });
+    return;
+  }
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: "You need the Manage Server permission to change Synapse settings.", flags: 64 });
+    return;
+  }
+
+  const updates = getConfigUpdates(interaction);
+  const result = updates ? await updateGuildSettings(interaction.guildId, updates) : null;
+  const settings = result ? result.settings : await fetchGuildSettings(interaction.guildId);
+
+  if (result?.error || !settings) {
+    await interaction.reply({
+      content: result?.error || "Couldn't load settings right now. Please try again later.",
+      flags: 64
+    });
+    return;
+  }
+
+  console.log(`⚙️ ${interaction.user.username} ${updates ? "updated" : "viewed"} settings for guild ${interaction.guildId}`);
+
+  await interaction.reply({ embeds: [createConfigEmbed(settings)], flags: 64 });
+}
@@ -1,17 +1,37 @@
 import mysql from "mysql2/promise";
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
-import { getTodayDate, formatGuessGrid } from "./utils.js";
-
+import { formatAnnouncedGrid, getMaxMistakes } from "./utils.js";
+import { formatElapsed } from "./race.js";
+import { fetchGuildDay, fetchGuildSettings, fetchGameState } from "./server-api.js";
+import { findAnnouncementChannel } from "./discord-utils.js";
+import {
+  getAnnouncement,
+  claimAnnouncement,
+  claimReplacement,
+  recordAnnouncement,
+  releaseAnnouncement
+} from "./announcement-ledger.js";
+
+const REMINDER_LOOKBACK_DAYS = 7;
+
+// The bot only keeps its announcement and prompt ledgers here; game results always come from the server
 export async function initializeDatabase(connectionString) {
   try {
     if (!connectionString) {
-      console.log("⚠️  No MySQL connection string found - bot will not function properly");
+      console.log("⚠️  No MySQL connection string found - posts are only tracked until the bot restarts");
+      return null;
+    }
+
+    // A SQLite file belongs to the server process, so SQLite mode is server-only
+    if (!connectionString.startsWith("mysql://")) {
+      console.log("⚠️  The server's database is not MySQL - posts are only tracked until the bot restarts");
       return null;
     }
 
     const pool = mysql.createPool(connectionString);
     const connection = await pool.getConnection();
     console.log("✓ MySQL connected successfully!");
+
     connection.release();
     return pool;
   } catch (error) {
@@ -20,106 +40,210 @@ export async function initializeDatabase(connectionString) {
   }
 }
 
-export async function checkForCompletedGames(client, pool, postedGames) {
+export async function checkForCompletedGames(client, pool) {
   if (!pool) return;
 
   try {
-    const today = getTodayDate();
-    const [rows] = await pool.query(
-      `SELECT guild_id, user_id, username, avatar, score, mistakes, guess_history, completed_at
-       FROM game_results
-       WHERE game_date = ?
-       ORDER BY completed_at DESC`,
-      [today]
-    );
-
-    for (const row of rows) {
-      const gameKey = `${row.guild_id}:${row.user_id}:${today}`;
-      if (postedGames.has(gameKey)) continue;
-
-      const guild = client.guilds.cache.get(row.guild_id);
-      if (!guild) continue;
-
-      let channel = guild.channels.cache.find((ch) => ch.name === "synapse" && ch.isTextBased());
-      if (!channel) {
-        channel = guild.channels.cache.find((ch) => ch.isTextBased());
+    for (const guildId of client.guilds.cache.keys()) {
+      const { date } = await fetchGuildDay(guildId);
+      const gameState = await fetchGameState(guildId, date);
+
+      for (const [userId, player] of Object.entries(gameState?.players || {})) {
+        await postCompletedGame(client, pool, toCompletionRow(guildId, date, userId, player));
       }
-      if (!channel) continue;
-
-      const guessHistory = typeof row.guess_history === "string" ? JSON.parse(row.guess_history) : row.guess_history;
-
-      const embed = new EmbedBuilder()
-        .setAuthor({
-          name: `${row.username} completed Synapse!`,
-          iconURL: row.avatar ? `https://cdn.discordapp.com/avatars/${row.user_id}/${row.avatar}.png` : undefined
-        })
-        .setDescription(formatGuessGrid(guessHistory))
-        .addFields(
-          { name: "Score", value: `${row.score}/4 categories`, inline: true },
-          { name: "Mistakes", value: `${row.mistakes}/4`, inline: true }
-        )
-        .setColor(row.score === 4 ? 0x57f287 : row.mistakes >= 4 ? 0xed4245 : 0x5865f2)
-        .setTimestamp(new Date(row.completed_at));
-
-      const row_buttons = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setLabel("Play now!")
-          .setStyle(ButtonStyle.Link)
-          .setURL(`https://discord.com/activities/${process.env.VITE_DISCORD_CLIENT_ID}`)
-      );
-
-      await channel.send({
-        embeds: [embed],
-        components: [row_buttons]
-      });
-
-      postedGames.add(gameKey);
     }
   } catch (error) {
     console.error("Error checking for completed games:", error);
   }
 }
 
-export async function postDailyPrompt(client, pool, guildId, channelId) {
+export async function postCompletedGame(client, pool, row) {
+  const { guild_id: guildId, user_id: userId, game_date: date } = row;
+  const completedAt = Math.floor(new Date(row.completed_at).getTime() / 1000);
+  let previous = null;
+  let claimed = false;
+
   try {
-    const channel = await client.channels.fetch(channelId);
-    if (!channel || !channel.isTextBased()) return;
-
-    const today = getTodayDate();
-    let completedCount = 0;
-
-    if (pool) {
-      const [rows] = await pool.query(
-        `SELECT COUNT(*) as count FROM game_results WHERE guild_id = ? AND game_date = ?`,
-        [guildId, today]
-      );
-      completedCount = rows[0]?.count || 0;
+    previous = await getAnnouncement(pool, guildId, userId, date);
+    if (previous && previous.completedAt >= completedAt) return;
+
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+
+    const settings = await fetchGuildSettings(guildId);
+    const channel = findAnnouncementChannel(guild, settings);
+    if (settings?.autoPostCompletions !== false && !channel) return;
+
+    claimed = previous
+      ? await claimReplacement(pool, guildId, userId, date, previous.completedAt, completedAt)
+      : await claimAnnouncement(pool, guildId, userId, date, completedAt);
+    if (!claimed) return;
+
+    // Still recorded while auto-posting is off so switching it back on does not announce the whole day
+    if (settings && !settings.autoPostCompletions) return;
+
+    const payload = {
+      embeds: [createCompletionEmbed(row, settings)],
+      components: [createActivityLinkRow()]
+    };
+
+    if (previous?.messageId && (await editAnnouncement(client, previous, payload))) return;
+
+    const message = await channel.send(payload);
+    await recordAnnouncement(pool, guildId, userId, date, message);
+  } catch (error) {
+    console.error("Error posting completed game:", error);
+
+    // Hand the ledger entry back so the next catch-up retries
+    if (claimed) {
+      const release = previous
+        ? claimReplacement(pool, guildId, userId, date, completedAt, previous.completedAt)
+        : releaseAnnouncement(pool, guildId, userId, date);
+      await release.catch((releaseError) => console.error("Error releasing announcement:", releaseError));
     }
+  }
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle("🎮 Time to play Synapse!")
-      .setDescription(
-        `Today's puzzle is ready. Can you find all 4 groups?\n\n${completedCount} player${
-          completedCount !== 1 ? "s" : ""
-        } completed today's puzzle.`
-      )
-      .setColor(0x5865f2)
-      .setTimestamp();
-
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setLabel("Play now!")
-        .setStyle(ButtonStyle.Link)
-        .setURL(`https://discord.com/activities/${process.env.VITE_DISCORD_CLIENT_ID}`)
-    );
-
-    await channel.send({
-      embeds: [embed],
-      components: [row]
-    });
-
-    console.log(`✓ Posted daily prompt to guild ${guildId}, channel ${channelId}`);
+function createCompletionEmbed(row, settings) {
+  const guessHistory = typeof row.guess_history === "string" ? JSON.parse(row.guess_history) : row.guess_history;
+  const grid = formatAnnouncedGrid(guessHistory, settings?.spoilerPolicy);
+  const maxMistakes = getMaxMistakes(row.hard_mode);
+
+  const embed = new EmbedBuilder()
+    .setAuthor({
+      name: `${row.username} completed Synapse${row.hard_mode ? " on hard mode 🔥" : ""}!`,
+      iconURL: row.avatar ? `https://cdn.discordapp.com/avatars/${row.user_id}/${row.avatar}.png` : undefined
+    })
+    .setDescription(grid)
+    .addFields(
+      { name: "Score", value: `${row.score}/4 categories`, inline: true },
+      { name: "Mistakes", value: `${row.mistakes}/${maxMistakes}`, inline: true }
+    )
+    .setColor(row.score === 4 ? 0x57f287 : row.mistakes >= maxMistakes ? 0xed4245 : 0x5865f2)
+    .setTimestamp(new Date(row.completed_at));
+
+  // Games from before timing was recorded have no time to show
+  if (row.solve_time_ms !== null && row.solve_time_ms !== undefined) {
+    const mode = row.timed ? " (timed)" : "";
+    embed.addFields({ name: "Time", value: `⏱️ ${formatElapsed(row.solve_time_ms)}${mode}`, inline: true });
+  }
+
+  return embed;
+}
+
+async function editAnnouncement(client, announcement, payload) {
+  try {
+    const channel = await client.channels.fetch(announcement.channelId);
+    await channel.messages.edit(announcement.messageId, payload);
+    return true;
   } catch (error) {
-    console.error("Error posting daily prompt:", error);
+    // The original announcement was deleted or is out of reach, so a fresh one is posted instead
+    console.warn(`Could not edit announcement ${announcement.messageId}:`, error.message);
+    return false;
   }
 }
+
+function toCompletionRow(guildId, date, userId, player) {
+  return {
+    guild_id: guildId,
+    user_id: userId,
+    game_date: date,
+    username: player.username,
+    avatar: player.avatar,
+    score: player.score,
+    mistakes: player.mistakes,
+    solve_time_ms: player.solveTimeMs,
+    timed: player.timed,
+    hard_mode: player.hardMode,
+    guess_history: player.guessHistory,
+    completed_at: player.completedAt
+  };
+}
+
+export async function handleGameCompleted(client, pool, event) {
+  if (event.archive || !event.player) return;
+
+  const { date: today } = await fetchGuildDay(event.guildId);
+  if (event.date !== today) return;
+
+  await postCompletedGame(client, pool, toCompletionRow(event.guildId, event.date, event.userId, event.player));
+}
+
+function createActivityLinkRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setLabel("Play now!")
+      .setStyle(ButtonStyle.Link)
+      .setURL(`https://discord.com/activities/${process.env.VITE_DISCORD_CLIENT_ID}`)
+  );
+}
+
+export async function postDailyPrompt(client, guildId, channelId, date = null) {
+  const channel = await client.channels.fetch(channelId);
+  if (!channel || !channel.isTextBased()) return null;
+
+  const today = date || (await fetchGuildDay(guildId)).date;
+  const completedCount = Object.keys((await fetchGameState(guildId, today))?.players || {}).length;
+
+  const embed = new EmbedBuilder()
+    .setTitle("🎮 Time to play Synapse!")
+    .setDescription(
+      `Today's puzzle is ready. Can you find all 4 groups?\n\n${completedCount} player${
+        completedCount !== 1 ? "s" : ""
+      } completed today's puzzle.`
+    )
+    .setColor(0x5865f2)
+    .setTimestamp();
+
+  const message = await channel.send({
+    embeds: [embed],
+    components: [createActivityLinkRow()]
+  });
+
+  console.log(`✓ Posted daily prompt to guild ${guildId}, channel ${channelId}`);
+  return message;
+}
+
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// Reminds recent players (anyone who finished a puzzle in the last week) who haven't finished today's
+export async function postDailyReminder(client, guildId, channelId, date) {
+  const channel = await client.channels.fetch(channelId);
+  if (!channel || !channel.isTextBased()) return null;
+
+  const [today, ...recentDays] = await Promise.all(
+    Array.from({ length: REMINDER_LOOKBACK_DAYS + 1 }, (_, offset) => fetchGameState(guildId, addDays(date, -offset)))
+  );
+
+  // Without today's results there is no telling who still has to play, so nobody is pinged
+  if (!today) return null;
+
+  const recentPlayers = new Set(recentDays.flatMap((gameState) => Object.keys(gameState?.players || {})));
+  const waiting = [...recentPlayers].filter((userId) => !today.players?.[userId]);
+
+  if (waiting.length === 0) {
+    console.log(`✓ Everyone in guild ${guildId} has finished today's puzzle - no reminder needed`);
+    return null;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("⏰ Still time to play Synapse!")
+    .setDescription(
+      `Today's puzzle is still waiting for:\n${waiting.map((userId) => `<@${userId}>`).join(", ")}`
+    )
+    .setColor(0xfee75c)
+    .setTimestamp();
+
+  const message = await channel.send({
+    embeds: [embed],
+    components: [createActivityLinkRow()],
+    allowedMentions: { parse: [] }
+  });
+
+  console.log(`✓ Posted reminder for ${waiting.length} player(s) to guild ${guildId}, channel ${channelId}`);
+  return message;
+}
@@ -7,6 +7,16 @@ export function createPlayButton(sessionId) {
   );
 }
 
+export function createEndedButton() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("session_ended")
+      .setLabel("Session ended")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true)
+  );
+}
+
 export function formatPlayerMessage(players, puzzleNumber, isComplete = false) {
   const verb = isComplete
     ? players.length === 1
@@ -34,6 +44,21 @@ export async function createGameAttachment(players, puzzleNumber) {
   return new AttachmentBuilder(imageBuffer, { name: "synapse.png" });
 }
 
+export function findAnnouncementChannel(guild, settings) {
+  if (settings?.announcementChannelId) {
+    const configured = guild.channels.cache.get(settings.announcementChannelId);
+    if (configured?.isTextBased()) {
+      return configured;
+    }
+    console.warn(`⚠️ Announcement channel ${settings.announcementChannelId} not found in guild ${guild.id}`);
+  }
+
+  return (
+    guild.channels.cache.find((ch) => ch.name === "synapse" && ch.isTextBased()) ||
+    guild.channels.cache.find((ch) => ch.isTextBased())
+  );
+}
+
 export async function launchActivity(client, interaction) {
   await client.rest.post(`/interactions/${interaction.id}/${interaction.token}/callback`, {
     body: {
@@ -68,3 +93,12 @@ export async function updateSessionMessage(client, session, attachment, messageT
     });
   }
 }
+
+export async function markSessionMessageEnded(client, channelId, messageId, messageText) {
+  await client.rest.patch(Routes.channelMessage(channelId, messageId), {
+    body: {
+      ...(messageText ? { content: messageText } : {}),
+      components: [createEndedButton().toJSON()]
+    }
+  });
+}
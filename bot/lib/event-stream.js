@@ -0,0 +1,68 @@
+import fetch from "node-fetch";
+import { SERVER_URL, serviceHeaders } from "./server-api.js";
+
+const RECONNECT_DELAY = 5000;
+
+function parseEventBlock(block) {
+  let type = "message";
+  const data = [];
+
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      data.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (data.length === 0) return null;
+  return { type, data: JSON.parse(data.join("\n")) };
+}
+
+async function readEvents(handlers, onConnect) {
+  const response = await fetch(`${SERVER_URL}/api/events`, {
+    headers: serviceHeaders({ Accept: "text/event-stream" })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Server returned ${response.status}`);
+  }
+
+  console.log("✓ Subscribed to server events");
+  await onConnect?.();
+
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += chunk.toString().replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      try {
+        const event = parseEventBlock(block);
+        if (event && handlers[event.type]) {
+          await handlers[event.type](event.data);
+        }
+      } catch (error) {
+        console.error("Error handling server event:", error.message);
+      }
+    }
+  }
+}
+
+export function subscribeToServerEvents(handlers, { onConnect } = {}) {
+  const connect = async () => {
+    try {
+      await readEvents(handlers, onConnect);
+      console.warn("⚠️ Server event stream closed");
+    } catch (error) {
+      console.error("Server event stream error:", error.message);
+    }
+
+    setTimeout(connect, RECONNECT_DELAY);
+  };
+
+  connect();
+}
@@ -0,0 +1,48 @@
+import { EmbedBuilder } from "discord.js";
+import { fetchLeaderboard } from "./server-api.js";
+
+const WINDOW_TITLES = {
+  daily: "Today",
+  weekly: "This Week",
+  monthly: "This Month",
+  "all-time": "All Time"
+};
+
+const RANK_MEDALS = { 1: "🥇", 2: "🥈", 3: "🥉" };
+
+export function formatLeaderboardEntry(entry) {
+  const rank = RANK_MEDALS[entry.rank] || `**${entry.rank}.**`;
+  const games = entry.gamesPlayed === 1 ? "1 game" : `${entry.gamesPlayed} games`;
+  const hints = entry.hintsUsed ? `, 💡 ${entry.hintsUsed} hint${entry.hintsUsed === 1 ? "" : "s"}` : "";
+  return `${rank} ${entry.username} — ${entry.solves} solved, ${entry.mistakes} mistakes${hints} (${games})`;
+}
+
+export function createLeaderboardEmbed(leaderboard) {
+  const mode = leaderboard.mode === "hard" ? " — 🔥 Hard mode" : "";
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 Synapse Leaderboard — ${WINDOW_TITLES[leaderboard.window]}${mode}`)
+    .setColor(0xf9df6d)
+    .setFooter({ text: `Page ${leaderboard.page} of ${leaderboard.totalPages} • ${leaderboard.totalPlayers} players` });
+
+  if (leaderboard.entries.length === 0) {
+    return embed.setDescription("Nobody has finished a puzzle in this period yet.");
+  }
+
+  return embed.setDescription(leaderboard.entries.map(formatLeaderboardEntry).join("\n"));
+}
+
+export async function handleLeaderboardCommand(interaction) {
+  const guildId = interaction.guildId || "dm";
+  const window = interaction.options.getString("period") || "daily";
+  const page = interaction.options.getInteger("page") || 1;
+  const mode = interaction.options.getString("mode") || "normal";
+
+  const leaderboard = await fetchLeaderboard(guildId, window, page, mode);
+
+  if (!leaderboard) {
+    await interaction.reply({ content: "Couldn't load the leaderboard right now. Please try again later.", flags: 64 });
+    return;
+  }
+
+  await interaction.reply({ embeds: [createLeaderboardEmbed(leaderboard)] });
+}
@@ -1,12 +1,12 @@
-import { getTodayDate } from "./utils.js";
-import { notifyPlayerJoin } from "./server-api.js";
+import { notifyPlayerJoin, fetchGuildDay } from "./server-api.js";
+import { isHintEntry, getMaxMistakes } from "./utils.js";
 import { createGameAttachment, createPlayButton, formatPlayerMessage, updateSessionMessage } from "./discord-utils.js";
 
 export function isPlayerGameComplete(player) {
   const guessHistory = player.guessHistory || [];
-  const correctCount = guessHistory.filter((g) => g.correct).length;
-  const mistakeCount = guessHistory.filter((g) => !g.correct).length;
-  return correctCount === 4 || mistakeCount >= 4;
+  const correctCount = guessHistory.filter((g) => g.correct || (isHintEntry(g) && g.hint === "group")).length;
+  const mistakeCount = guessHistory.filter((g) => !g.correct && !isHintEntry(g)).length;
+  return correctCount === 4 || mistakeCount >= getMaxMistakes(player.hardMode);
 }
 
 export function hasActivePlayer(session) {
@@ -63,7 +63,8 @@ export async function handlePlayerJoin(client, interaction, session) {
 
   console.log(`➕ Added ${username} to session ${session.sessionId}. Total players: ${session.players.length}`);
 
-  await notifyPlayerJoin(session.sessionId, userId, username, avatarUrl, session.guildId, getTodayDate());
+  const date = session.date || (await fetchGuildDay(session.guildId)).date;
+  await notifyPlayerJoin(session.sessionId, userId, username, avatarUrl, session.guildId, date);
 
   try {
     const attachment = await createGameAttachment(session.players, session.puzzleNumber);
@@ -0,0 +1,44 @@
+// Records scheduled posts so a restart never posts the same prompt twice
+const claimedPosts = new Set();
+
+function getPostKey(guildId, date, kind) {
+  return `${guildId}:${date}:${kind}`;
+}
+
+export async function claimScheduledPost(pool, guildId, date, kind) {
+  if (!pool) {
+    const key = getPostKey(guildId, date, kind);
+    if (claimedPosts.has(key)) return false;
+    claimedPosts.add(key);
+    return true;
+  }
+
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO daily_prompts (guild_id, prompt_date, kind) VALUES (?, ?, ?)`,
+    [guildId, date, kind]
+  );
+  return result.affectedRows === 1;
+}
+
+export async function recordScheduledPost(pool, guildId, date, kind, message) {
+  if (!pool) return;
+
+  await pool.query(
+    `UPDATE daily_prompts SET channel_id = ?, message_id = ?, posted_at = CURRENT_TIMESTAMP
+     WHERE guild_id = ? AND prompt_date = ? AND kind = ?`,
+    [message.channelId, message.id, guildId, date, kind]
+  );
+}
+
+export async function releaseScheduledPost(pool, guildId, date, kind) {
+  if (!pool) {
+    claimedPosts.delete(getPostKey(guildId, date, kind));
+    return;
+  }
+
+  await pool.query(`DELETE FROM daily_prompts WHERE guild_id = ? AND prompt_date = ? AND kind = ?`, [
+    guildId,
+    date,
+    kind
+  ]);
+}
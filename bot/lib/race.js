@@ -0,0 +1,43 @@
+import { fetchGuildDay } from "./server-api.js";
+
+const PLACE_MEDALS = { 1: "🥇", 2: "🥈", 3: "🥉" };
+
+export function formatElapsed(elapsedMs) {
+  const totalSeconds = Math.round(elapsedMs / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+export function formatRaceMessage(event, puzzleNumber) {
+  const winner = event.standings.find((standing) => standing.userId === event.winnerId);
+  const headline = winner
+    ? `🏁 **${winner.username}** won the Synapse #${puzzleNumber} race in ${formatElapsed(winner.elapsedMs)}!`
+    : `🏁 Nobody solved Synapse #${puzzleNumber} in the race - everyone ran out of mistakes`;
+
+  const lines = event.standings.map((standing) => {
+    const place = PLACE_MEDALS[standing.place] || `${standing.place}.`;
+    const mistakes = standing.mistakes === 1 ? "1 mistake" : `${standing.mistakes} mistakes`;
+    return `${place} **${standing.username}** - ${standing.solvedCount}/4, ${mistakes}`;
+  });
+
+  return [headline, ...lines].join("\n");
+}
+
+export async function handleRaceFinished(client, activeSessions, event) {
+  if (!event.channelId || !event.standings?.length) return;
+
+  // Reuse the cached number for the session's day; the day may have rolled over since the race began
+  const session = activeSessions.get(event.sessionId);
+  const puzzleNumber = session?.puzzleNumber ?? (await fetchGuildDay(event.guildId)).puzzleNumber;
+
+  try {
+    const channel = await client.channels.fetch(event.channelId);
+    await channel.send({
+      content: formatRaceMessage(event, puzzleNumber),
+      reply: { messageReference: event.sessionId, failIfNotExists: false },
+      allowedMentions: { parse: [] }
+    });
+    console.log(`🏁 Announced race result for session ${event.sessionId}`);
+  } catch (error) {
+    console.error(`❌ Failed to announce race result for session ${event.sessionId}:`, error.message);
+  }
+}
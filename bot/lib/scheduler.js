@@ -0,0 +1,66 @@
+import { systemClock, getLocalDateTime } from "./clock.js";
+import { fetchGuildSettings } from "./server-api.js";
+import { findAnnouncementChannel } from "./discord-utils.js";
+import { postDailyPrompt, postDailyReminder } from "./database.js";
+import { claimScheduledPost, recordScheduledPost, releaseScheduledPost } from "./prompt-ledger.js";
+
+const TICK_INTERVAL = 60 * 1000;
+// Posts missed while the bot was down are still sent if it comes back within this window
+const CATCH_UP_MINUTES = 120;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+export function isPostDue(scheduledTime, localTime) {
+  const minutesLate = toMinutes(localTime) - toMinutes(scheduledTime);
+  return minutesLate >= 0 && minutesLate <= CATCH_UP_MINUTES;
+}
+
+async function runScheduledPost(pool, guildId, date, kind, post) {
+  if (!(await claimScheduledPost(pool, guildId, date, kind))) return;
+
+  try {
+    const message = await post();
+    if (message) {
+      await recordScheduledPost(pool, guildId, date, kind, message);
+      console.log(`✓ Posted ${kind} for ${date} to guild ${guildId}`);
+    }
+  } catch (error) {
+    console.error(`Error posting ${kind} to guild ${guildId}:`, error.message);
+    await releaseScheduledPost(pool, guildId, date, kind);
+  }
+}
+
+export async function runSchedulerTick(client, pool, now) {
+  for (const guild of client.guilds.cache.values()) {
+    const settings = await fetchGuildSettings(guild.id);
+    if (!settings?.dailyPromptEnabled) continue;
+
+    const { date, time } = getLocalDateTime(settings.timezone, now);
+    const channel = findAnnouncementChannel(guild, settings);
+    if (!channel) continue;
+
+    if (isPostDue(settings.dailyPromptTime, time)) {
+      await runScheduledPost(pool, guild.id, date, "prompt", () => postDailyPrompt(client, guild.id, channel.id, date));
+    }
+
+    if (settings.reminderTime && isPostDue(settings.reminderTime, time)) {
+      await runScheduledPost(pool, guild.id, date, "reminder", () =>
+        postDailyReminder(client, guild.id, channel.id, date)
+      );
+    }
+  }
+}
+
+export function startScheduler(client, pool, clock = systemClock) {
+  const tick = () =>
+    runSchedulerTick(client, pool, clock.now()).catch((error) => console.error("Error running scheduler:", error));
+
+  tick();
+  const timer = clock.setInterval(tick, TICK_INTERVAL);
+  console.log("✓ Daily prompt scheduler started");
+
+  return () => clock.clearInterval(timer);
+}
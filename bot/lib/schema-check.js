@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+// The server owns the schema; the bot only checks that every migration in this checkout has been applied
+const MIGRATIONS_DIRECTORY = join(dirname(fileURLToPath(import.meta.url)), "../../server/migrations");
+const MIGRATION_FILE = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+function readMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIRECTORY)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => ({
+      id: file.replace(/\.js$/, ""),
+      // Hashed the same way as the server's runner
+      checksum: crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(join(MIGRATIONS_DIRECTORY, file), "utf8").replace(/\r\n/g, "\n"))
+        .digest("hex")
+    }));
+}
+
+async function readAppliedMigrations(pool) {
+  try {
+    const [rows] = await pool.query(`SELECT id, checksum FROM schema_migrations`);
+    return new Map(rows.map((row) => [row.id, row.checksum]));
+  } catch (error) {
+    if (error.code === "ER_NO_SUCH_TABLE") return new Map();
+    throw error;
+  }
+}
+
+export async function findSchemaProblems(pool) {
+  const applied = await readAppliedMigrations(pool);
+
+  return readMigrations()
+    .filter((migration) => applied.get(migration.id) !== migration.checksum)
+    .map((migration) =>
+      applied.has(migration.id)
+        ? `${migration.id} was applied from a different version of the file`
+        : `${migration.id} has not been applied`
+    );
+}
@@ -1,12 +1,18 @@
 import fetch from "node-fetch";
+import { getTodayDate, getPuzzleNumber } from "./utils.js";
 
-const SERVER_URL = "http://localhost:3001";
+export const SERVER_URL = "http://localhost:3001";
+
+// The /api/sessions routes only accept requests carrying the bot's service token
+export function serviceHeaders(headers = {}) {
+  return { ...headers, Authorization: `Bearer ${process.env.BOT_SERVICE_TOKEN}` };
+}
 
 export async function notifySessionStart(sessionId, guildId, channelId, messageId) {
   try {
     const response = await fetch(`${SERVER_URL}/api/sessions/start`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: serviceHeaders({ "Content-Type": "application/json" }),
       body: JSON.stringify({ sessionId, guildId, channelId, messageId })
     });
 
@@ -22,7 +28,7 @@ export async function notifyPlayerJoin(sessionId, userId, username, avatarUrl, g
   try {
     const response = await fetch(`${SERVER_URL}/api/sessions/${sessionId}/join`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: serviceHeaders({ "Content-Type": "application/json" }),
       body: JSON.stringify({ userId, username, avatarUrl, guildId, date })
     });
 
@@ -40,7 +46,7 @@ export async function notifyPlayerJoin(sessionId, userId, username, avatarUrl, g
 
 export async function fetchSession(sessionId) {
   try {
-    const response = await fetch(`${SERVER_URL}/api/sessions/${sessionId}`);
+    const response = await fetch(`${SERVER_URL}/api/sessions/${sessionId}`, { headers: serviceHeaders() });
     if (response.ok) {
       return await response.json();
     }
@@ -51,16 +57,91 @@ export async function fetchSession(sessionId) {
   }
 }
 
-export async function hasPlayerCompletedGame(guildId, userId, date) {
+// The server owns the puzzle day because it depends on the guild's timezone
+export async function fetchGuildDay(guildId) {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/guilds/${guildId}/today`);
+    if (response.ok) {
+      return await response.json();
+    }
+    console.warn(`⚠️ Server returned ${response.status} for today's date in guild ${guildId}`);
+  } catch (error) {
+    console.error("Failed to fetch today's date from server:", error.message);
+  }
+
+  console.warn(`⚠️ Falling back to the UTC puzzle day for guild ${guildId}`);
+  return { guildId, timezone: "UTC", date: getTodayDate(), puzzleNumber: getPuzzleNumber() };
+}
+
+export async function fetchGuildSettings(guildId) {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/guilds/${guildId}/settings`);
+    if (response.ok) {
+      return await response.json();
+    }
+    return null;
+  } catch (error) {
+    console.error("Failed to fetch guild settings from server:", error.message);
+    return null;
+  }
+}
+
+export async function updateGuildSettings(guildId, updates) {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/guilds/${guildId}/settings`, {
+      method: "POST",
+      headers: serviceHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(updates)
+    });
+    return await response.json();
+  } catch (error) {
+    console.error("Failed to update guild settings:", error.message);
+    return { error: "Couldn't reach the Synapse server" };
+  }
+}
+
+// Results are read through the server, never from its database, so the bot works with any backend the server uses
+export async function fetchGameState(guildId, date) {
   try {
     const response = await fetch(`${SERVER_URL}/api/gamestate/${guildId}/${date}`);
     if (response.ok) {
-      const gameState = await response.json();
-      return gameState.players && gameState.players[userId] !== undefined;
+      return await response.json();
     }
-    return false;
+    console.warn(`⚠️ Server returned ${response.status} for results in guild ${guildId} on ${date}`);
+    return null;
   } catch (error) {
-    console.error("Failed to check if player completed game:", error.message);
-    return false;
+    console.error("Failed to fetch results from server:", error.message);
+    return null;
+  }
+}
+
+export async function hasPlayerCompletedGame(guildId, userId, date) {
+  const gameState = await fetchGameState(guildId, date);
+  return gameState?.players?.[userId] !== undefined;
+}
+
+export async function fetchUserStats(guildId, userId) {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/stats/${guildId}/${userId}`);
+    if (response.ok) {
+      return await response.json();
+    }
+    return null;
+  } catch (error) {
+    console.error("Failed to fetch stats from server:", error.message);
+    return null;
+  }
+}
+
+export async function fetchLeaderboard(guildId, window, page, mode = "normal") {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/leaderboard/${guildId}?window=${window}&page=${page}&mode=${mode}`);
+    if (response.ok) {
+      return await response.json();
+    }
+    return null;
+  } catch (error) {
+    console.error("Failed to fetch leaderboard from server:", error.message);
+    return null;
   }
 }
@@ -1,14 +1,95 @@
 import fetch from "node-fetch";
-import { createPlayButton, formatPlayerMessage, updateSessionMessage, createGameAttachment } from "./discord-utils.js";
+import { SERVER_URL, serviceHeaders } from "./server-api.js";
+import { isPlayerGameComplete } from "./player-handler.js";
+import {
+  createPlayButton,
+  formatPlayerMessage,
+  updateSessionMessage,
+  createGameAttachment,
+  markSessionMessageEnded
+} from "./discord-utils.js";
+
+function applyPlayerGuesses(session, userId, guessHistory, username, hardMode) {
+  const localPlayer = session.players.find((p) => p.userId === userId);
+  if (!localPlayer) return false;
+
+  // Hard mode is picked before the first guess, so it arrives with the guesses it changes
+  if (hardMode !== undefined) {
+    localPlayer.hardMode = hardMode;
+  }
+
+  const guessCount = guessHistory?.length || 0;
+  const localGuessCount = localPlayer.lastGuessCount || 0;
+
+  if (guessCount <= localGuessCount) return false;
+
+  console.log(`🎮 Player ${username || localPlayer.username} has new guesses: ${localGuessCount} -> ${guessCount}`);
+  localPlayer.guessHistory = guessHistory;
+  localPlayer.lastGuessCount = guessCount;
+  return true;
+}
+
+async function refreshSessionMessage(client, activeSessions, sessionId, session, hasUpdates) {
+  const allComplete = session.players.length > 0 && session.players.every(isPlayerGameComplete);
+
+  if (hasUpdates) {
+    console.log(`📤 Updating Discord message with new progress...`);
+
+    try {
+      const attachment = await createGameAttachment(session.players, session.puzzleNumber);
+      const button = createPlayButton(sessionId);
+      const messageText = formatPlayerMessage(session.players, session.puzzleNumber, allComplete);
+      await updateSessionMessage(client, session, attachment, messageText, button);
+      console.log(`✅ Message updated!`);
+    } catch (editError) {
+      console.error(`❌ Failed to edit message:`, editError.message);
+      return;
+    }
+  }
+
+  if (allComplete) {
+    activeSessions.delete(sessionId);
+    console.log(`✓ Game session ${sessionId} completed - all players done`);
+  }
+}
+
+export async function handleGuessRecorded(client, activeSessions, event) {
+  if (!event.sessionId) return;
+
+  const session = activeSessions.get(event.sessionId);
+  if (!session) return;
+
+  const hasUpdates = applyPlayerGuesses(session, event.userId, event.guessHistory, undefined, event.hardMode);
+  await refreshSessionMessage(client, activeSessions, event.sessionId, session, hasUpdates);
+}
+
+export async function handleSessionExpired(client, activeSessions, event) {
+  const session = activeSessions.get(event.sessionId);
+  activeSessions.delete(event.sessionId);
+
+  const channelId = session?.channelId || event.channelId;
+  const messageId = session?.messageId || event.sessionId;
+  if (!channelId) return;
+
+  const messageText =
+    session?.players.length > 0 ? formatPlayerMessage(session.players, session.puzzleNumber, true) : null;
+
+  try {
+    await markSessionMessageEnded(client, channelId, messageId, messageText);
+    console.log(`⌛ Session ${event.sessionId} expired (${event.reason}) - message marked as ended`);
+  } catch (error) {
+    console.error(`❌ Failed to mark session ${event.sessionId} as ended:`, error.message);
+  }
+}
 
 export async function checkSessionUpdates(client, activeSessions) {
   if (activeSessions.size === 0) return;
 
-  console.log(`🔍 Polling ${activeSessions.size} active session(s)...`);
+  console.log(`🔍 Catching up on ${activeSessions.size} active session(s)...`);
 
   for (const [sessionId, session] of activeSessions.entries()) {
     try {
-      const response = await fetch(`http://localhost:3001/api/sessions/${sessionId}`);
+      const response = await fetch(`${SERVER_URL}/api/sessions/${sessionId}`, { headers: serviceHeaders() });
       if (!response.ok) {
         if (response.status !== 404) {
           console.warn(`Session ${sessionId} returned ${response.status}`);
@@ -29,63 +110,16 @@ export async function checkSessionUpdates(client, activeSessions) {
       console.log(`📊 Session ${sessionId}: ${Object.keys(serverPlayers).length} player(s)`);
 
       let hasUpdates = false;
-
       for (const userId in serverPlayers) {
         const serverPlayer = serverPlayers[userId];
-        const localPlayer = session.players.find((p) => p.userId === userId);
-
-        if (localPlayer) {
-          const serverGuessCount = serverPlayer.guessHistory?.length || 0;
-          const localGuessCount = localPlayer.lastGuessCount || 0;
-
-          if (serverGuessCount > localGuessCount) {
-            console.log(
-              `🎮 Player ${serverPlayer.username} has new guesses: ${localGuessCount} -> ${serverGuessCount}`
-            );
-            localPlayer.guessHistory = serverPlayer.guessHistory;
-            localPlayer.lastGuessCount = serverGuessCount;
-            hasUpdates = true;
-          }
+        if (
+          applyPlayerGuesses(session, userId, serverPlayer.guessHistory, serverPlayer.username, serverPlayer.hardMode)
+        ) {
+          hasUpdates = true;
         }
       }
 
-      if (hasUpdates) {
-        console.log(`📤 Updating Discord message with new progress...`);
-
-        try {
-          const allComplete = session.players.every((player) => {
-            const guesses = player.guessHistory || [];
-            const correctCount = guesses.filter((g) => g.correct).length;
-            const mistakeCount = guesses.filter((g) => !g.correct).length;
-            return correctCount === 4 || mistakeCount >= 4;
-          });
-
-          const attachment = await createGameAttachment(session.players, session.puzzleNumber);
-          const button = createPlayButton(sessionId);
-          const messageText = formatPlayerMessage(session.players, session.puzzleNumber, allComplete);
-          await updateSessionMessage(client, session, attachment, messageText, button);
-          console.log(`✅ Message updated!`);
-
-          if (allComplete && session.players.length > 0) {
-            activeSessions.delete(sessionId);
-            console.log(`✓ Game session ${sessionId} completed - all players done`);
-          }
-        } catch (editError) {
-          console.error(`❌ Failed to edit message:`, editError.message);
-        }
-      } else if (session.players.length > 0) {
-        const allComplete = session.players.every((player) => {
-          const guesses = player.guessHistory || [];
-          const correctCount = guesses.filter((g) => g.correct).length;
-          const mistakeCount = guesses.filter((g) => !g.correct).length;
-          return correctCount === 4 || mistakeCount >= 4;
-        });
-
-        if (allComplete) {
-          activeSessions.delete(sessionId);
-          console.log(`✓ Game session ${sessionId} completed - removing from active sessions`);
-        }
-      }
+      await refreshSessionMessage(client, activeSessions, sessionId, session, hasUpdates);
     } catch (error) {
       console.error(`Error checking session ${sessionId}:`, error.message);
       activeSessions.delete(sessionId);
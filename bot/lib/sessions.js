@@ -1,13 +1,12 @@
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
-import { getPuzzleNumber, getTodayDate } from "./utils.js";
 import { createGameAttachment, createPlayButton, launchActivity } from "./discord-utils.js";
-import { notifySessionStart, notifyPlayerJoin, fetchSession } from "./server-api.js";
+import { notifySessionStart, notifyPlayerJoin, fetchSession, fetchGuildDay } from "./server-api.js";
 
 export async function startGameSession(interaction, client, activeSessions) {
   try {
     const guildId = interaction.guildId || "dm";
     const channelId = interaction.channelId;
-    const puzzleNumber = getPuzzleNumber();
+    const { date, puzzleNumber } = await fetchGuildDay(guildId);
 
     console.log(`🎬 Starting new multi-user session for guild: ${guildId}`);
     console.log(`📍 Initial interaction.channelId: ${channelId}`);
@@ -52,6 +51,7 @@ export async function startGameSession(interaction, client, activeSessions) {
       channelId: actualChannelId,
       messageId: reply.id,
       guildId,
+      date,
       puzzleNumber,
       players: [],
       interaction
@@ -84,7 +84,7 @@ export async function createReplySession(interaction, originalSession, client, a
     const userId = interaction.user.id;
     const username = interaction.user.username;
     const avatarUrl = interaction.user.displayAvatarURL({ format: "png" });
-    const puzzleNumber = originalSession.puzzleNumber;
+    const { date: gameDate, puzzleNumber } = await fetchGuildDay(originalSession.guildId);
 
     console.log(`🔄 Creating reply session for ${username} (original session complete)`);
 
@@ -132,6 +132,7 @@ export async function createReplySession(interaction, originalSession, client, a
       channelId: actualChannelId,
       messageId: followUpMessage.id,
       guildId: originalSession.guildId,
+      date: gameDate,
       puzzleNumber,
       players: [{ userId, username, avatarUrl, guessHistory: [], lastGuessCount: 0 }],
       interaction: null,
@@ -139,7 +140,6 @@ export async function createReplySession(interaction, originalSession, client, a
       parentMessageId: originalSession.messageId
     });
 
-    const gameDate = getTodayDate();
     await notifySessionStart(newSessionId, originalSession.guildId, actualChannelId, followUpMessage.id);
     await notifyPlayerJoin(newSessionId, userId, username, avatarUrl, originalSession.guildId, gameDate);
 
@@ -166,12 +166,15 @@ export async function restoreSessionFromServer(sessionId, activeSessions) {
     return null;
   }
 
+  const { date, puzzleNumber } = await fetchGuildDay(serverSession.guildId);
+
   const session = {
     sessionId,
     channelId: serverSession.channelId,
     messageId: sessionId,
     guildId: serverSession.guildId,
-    puzzleNumber: getPuzzleNumber(),
+    date: serverSession.date || date,
+    puzzleNumber,
     players: Object.entries(serverSession.players || {}).map(([userId, player]) => ({
       userId,
       username: player.username,
@@ -0,0 +1,59 @@
+import { EmbedBuilder } from "discord.js";
+import { fetchUserStats } from "./server-api.js";
+import { COLOR_NAMES, getColorEmoji } from "./utils.js";
+
+const BAR_WIDTH = 10;
+
+function formatBar(count, highest) {
+  const filled = highest > 0 ? Math.round((count / highest) * BAR_WIDTH) : 0;
+  return `${"█".repeat(filled)}${"░".repeat(BAR_WIDTH - filled)} ${count}`;
+}
+
+export function formatMistakeDistribution(distribution) {
+  const highest = Math.max(...Object.values(distribution));
+  return Object.entries(distribution)
+    .map(([mistakes, count]) => `\`${mistakes}\` ${formatBar(count, highest)}`)
+    .join("\n");
+}
+
+export function formatFirstSolved(firstSolvedColors) {
+  const highest = Math.max(...COLOR_NAMES.map((color) => firstSolvedColors[color] || 0));
+  return COLOR_NAMES.map(
+    (color, difficulty) => `${getColorEmoji(difficulty)} ${formatBar(firstSolvedColors[color] || 0, highest)}`
+  ).join("\n");
+}
+
+export function createStatsEmbed(user, stats) {
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: `${user.username}'s Synapse stats`, iconURL: user.displayAvatarURL?.() })
+    .setColor(0x5865f2);
+
+  if (stats.gamesPlayed === 0) {
+    return embed.setDescription("No games played yet. Use `/synapse play` to get started!");
+  }
+
+  return embed.addFields(
+    { name: "Played", value: `${stats.gamesPlayed}`, inline: true },
+    { name: "Win %", value: `${stats.winRate}%`, inline: true },
+    { name: "​", value: "​", inline: true },
+    { name: "Current Streak", value: `${stats.currentStreak}`, inline: true },
+    { name: "Max Streak", value: `${stats.maxStreak}`, inline: true },
+    { name: "​", value: "​", inline: true },
+    { name: "Mistakes", value: formatMistakeDistribution(stats.mistakeDistribution) },
+    { name: "First Group Solved", value: formatFirstSolved(stats.firstSolvedColors) }
+  );
+}
+
+export async function handleStatsCommand(interaction) {
+  const guildId = interaction.guildId || "dm";
+  const user = interaction.options.getUser("player") || interaction.user;
+
+  const stats = await fetchUserStats(guildId, user.id);
+
+  if (!stats) {
+    await interaction.reply({ content: "Couldn't load stats right now. Please try again later.", flags: 64 });
+    return;
+  }
+
+  await interaction.reply({ embeds: [createStatsEmbed(user, stats)] });
+}
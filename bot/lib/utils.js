@@ -5,6 +5,13 @@ const COLOR_EMOJIS = {
   3: "🟪"
 };
 
+export const COLOR_NAMES = ["yellow", "green", "blue", "purple"];
+
+export function getColorEmoji(difficulty) {
+  return COLOR_EMOJIS[difficulty] || "⬜";
+}
+
+// UTC fallback for when the server is unreachable; use fetchGuildDay for the guild's real puzzle day
 export function getTodayDate() {
   return new Date().toISOString().split("T")[0];
 }
@@ -17,13 +24,38 @@ export function getPuzzleNumber() {
   return diffDays;
 }
 
+export function formatAnnouncedGrid(guessHistory, spoilerPolicy) {
+  if (spoilerPolicy === "hide") {
+    return null;
+  }
+
+  const grid = formatGuessGrid(guessHistory);
+  return spoilerPolicy === "spoiler" ? `||${grid}||` : grid;
+}
+
+export function isHintEntry(entry) {
+  return entry?.type === "hint";
+}
+
+// Hard mode games end after two mistakes instead of four
+export function getMaxMistakes(hardMode) {
+  return hardMode ? 2 : 4;
+}
+
+// Word and title hints get no row of their own; a locked-in group keeps its row, marked with a bulb
 export function formatGuessGrid(guessHistory, gameData = null) {
   if (!guessHistory || guessHistory.length === 0) {
     return "No data";
   }
 
-  return guessHistory
+  const hintCount = guessHistory.filter(isHintEntry).length;
+  const rows = guessHistory
+    .filter((guess) => !isHintEntry(guess) || guess.hint === "group")
     .map((guess) => {
+      if (isHintEntry(guess)) {
+        return `${(COLOR_EMOJIS[guess.difficulty] || "⬜").repeat(4)} 💡`;
+      }
+
       if (guess.correct && guess.difficulty !== null) {
         const emoji = COLOR_EMOJIS[guess.difficulty] || "⬜";
         return emoji.repeat(4);
@@ -40,6 +72,11 @@ export function formatGuessGrid(guessHistory, gameData = null) {
         }
         return "⬜⬜⬜⬜";
       }
-    })
-    .join("\n");
+    });
+
+  if (hintCount > 0) {
+    rows.push(`💡 ${hintCount} hint${hintCount === 1 ? "" : "s"} used`);
+  }
+
+  return rows.join("\n");
 }
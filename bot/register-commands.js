@@ -1,4 +1,4 @@
-import { REST, Routes, SlashCommandBuilder } from "discord.js";
+import { REST, Routes, SlashCommandBuilder, ChannelType } from "discord.js";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
@@ -11,9 +11,125 @@ dotenv.config({ path: join(__dirname, "../.env") });
 const commands = [
   new SlashCommandBuilder()
     .setName("synapse")
-    .setDescription("Start playing Synapse and share your progress")
+    .setDescription("Play Synapse and see how you're doing")
     .setContexts([0, 1, 2]) // 0 = Guild, 1 = Bot DM, 2 = Private Channel
     .setIntegrationTypes([0, 1]) // 0 = Guild Install, 1 = User Install
+    .addSubcommand((subcommand) =>
+      subcommand.setName("play").setDescription("Start playing Synapse and share your progress")
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("stats")
+        .setDescription("Show lifetime Synapse statistics")
+        .addUserOption((option) => option.setName("player").setDescription("Player to show (defaults to you)"))
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("leaderboard")
+        .setDescription("Show this server's Synapse leaderboard")
+        .addStringOption((option) =>
+          option
+            .setName("period")
+            .setDescription("Time period to rank (defaults to today)")
+            .addChoices(
+              { name: "Today", value: "daily" },
+              { name: "This week", value: "weekly" },
+              { name: "This month", value: "monthly" },
+              { name: "All time", value: "all-time" }
+            )
+        )
+        .addIntegerOption((option) => option.setName("page").setDescription("Page number").setMinValue(1))
+        .addStringOption((option) =>
+          option
+            .setName("mode")
+            .setDescription("Hard mode games are ranked separately (defaults to normal)")
+            .addChoices({ name: "Normal", value: "normal" }, { name: "Hard", value: "hard" })
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("config")
+        .setDescription("View or change this server's Synapse settings (requires Manage Server)")
+        .addSubcommand((subcommand) => subcommand.setName("view").setDescription("Show the current settings"))
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("channel")
+            .setDescription("Set the channel Synapse posts announcements to")
+            .addChannelOption((option) =>
+              option
+                .setName("channel")
+                .setDescription("Announcement channel (leave empty to use #synapse)")
+                .addChannelTypes(ChannelType.GuildText)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("timezone")
+            .setDescription("Set the timezone that decides when the daily puzzle changes")
+            .addStringOption((option) =>
+              option.setName("timezone").setDescription("IANA timezone, e.g. America/New_York").setRequired(true)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("autopost")
+            .setDescription("Choose whether completed games are announced")
+            .addBooleanOption((option) =>
+              option.setName("enabled").setDescription("Announce completed games").setRequired(true)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("spoilers")
+            .setDescription("Choose how guess grids appear in announcements")
+            .addStringOption((option) =>
+              option
+                .setName("policy")
+                .setDescription("Spoiler policy")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Show guess grids", value: "show" },
+                  { name: "Hide grids behind spoiler tags", value: "spoiler" },
+                  { name: "Only show score and mistakes", value: "hide" }
+                )
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("source")
+            .setDescription("Choose where puzzles come from")
+            .addStringOption((option) =>
+              option
+                .setName("provider")
+                .setDescription("Puzzle source")
+                .setRequired(true)
+                .addChoices(
+                  { name: "New York Times", value: "nyt" },
+                  { name: "Local puzzle files", value: "local" },
+                  { name: "Puzzle database", value: "mysql" }
+                )
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("prompt")
+            .setDescription("Choose whether and when the daily prompt is posted")
+            .addBooleanOption((option) =>
+              option.setName("enabled").setDescription("Post the daily prompt").setRequired(true)
+            )
+            .addStringOption((option) =>
+              option.setName("time").setDescription("Local 24-hour time, e.g. 09:00").setMinLength(5).setMaxLength(5)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("reminder")
+            .setDescription("Remind players who haven't finished yet (leave empty to turn off)")
+            .addStringOption((option) =>
+              option.setName("time").setDescription("Local 24-hour time, e.g. 19:30").setMinLength(5).setMaxLength(5)
+            )
+        )
+    )
     .toJSON()
 ];
 
@@ -0,0 +1,98 @@
+// Results come from the server API whichever database it uses, so these run without MySQL
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import mysql from "mysql2/promise";
+import { initializeDatabase, postDailyPrompt, postDailyReminder } from "../../lib/database.js";
+import { fetchGameState } from "../../lib/server-api.js";
+
+vi.mock("mysql2/promise", () => ({
+  default: { createPool: vi.fn() }
+}));
+
+vi.mock("../../lib/server-api.js", () => ({
+  fetchGuildDay: vi.fn(),
+  fetchGuildSettings: vi.fn(),
+  fetchGameState: vi.fn()
+}));
+
+vi.mock("../../lib/discord-utils.js", () => ({
+  findAnnouncementChannel: vi.fn()
+}));
+
+function createClient(channel) {
+  return { channels: { fetch: vi.fn(async () => channel) } };
+}
+
+function createChannel() {
+  return { isTextBased: () => true, send: vi.fn(async () => ({ id: "message1", channelId: "channel1" })) };
+}
+
+// Game states keyed by date, each listing the players who finished that day
+function serveResults(playersByDate) {
+  fetchGameState.mockImplementation(async (guildId, date) => ({
+    date,
+    players: Object.fromEntries((playersByDate[date] || []).map((userId) => [userId, { username: userId }]))
+  }));
+}
+
+describe("database", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  describe("initializeDatabase", () => {
+    it("should leave a SQLite database to the server", async () => {
+      expect(await initializeDatabase("sqlite:./data/synapse.db")).toBeNull();
+      expect(mysql.createPool).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("postDailyPrompt", () => {
+    it("should count today's players from the server", async () => {
+      serveResults({ "2024-10-02": ["alice", "bob"] });
+      const channel = createChannel();
+
+      await postDailyPrompt(createClient(channel), "guild1", "channel1", "2024-10-02");
+
+      expect(fetchGameState).toHaveBeenCalledWith("guild1", "2024-10-02");
+      expect(channel.send.mock.calls[0][0].embeds[0].data.description).toContain("2 players completed");
+    });
+  });
+
+  describe("postDailyReminder", () => {
+    it("should remind players from the past week who have not finished today", async () => {
+      serveResults({
+        "2024-10-02": ["alice"],
+        "2024-10-01": ["alice", "bob"],
+        "2024-09-25": ["carol"],
+        "2024-09-24": ["dave"]
+      });
+      const channel = createChannel();
+
+      await postDailyReminder(createClient(channel), "guild1", "channel1", "2024-10-02");
+
+      const description = channel.send.mock.calls[0][0].embeds[0].data.description;
+      expect(description).toContain("<@bob>, <@carol>");
+      expect(description).not.toContain("alice");
+      expect(description).not.toContain("dave");
+    });
+
+    it("should not post when everyone has finished", async () => {
+      serveResults({ "2024-10-02": ["alice"], "2024-10-01": ["alice"] });
+      const channel = createChannel();
+
+      expect(await postDailyReminder(createClient(channel), "guild1", "channel1", "2024-10-02")).toBeNull();
+      expect(channel.send).not.toHaveBeenCalled();
+    });
+
+    it("should not ping anyone when today's results are unavailable", async () => {
+      fetchGameState.mockImplementation(async (guildId, date) =>
+        date === "2024-10-02" ? null : { players: { bob: {} } }
+      );
+      const channel = createChannel();
+
+      expect(await postDailyReminder(createClient(channel), "guild1", "channel1", "2024-10-02")).toBeNull();
+      expect(channel.send).not.toHaveBeenCalled();
+    });
+  });
+});
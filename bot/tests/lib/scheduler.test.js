@@ -0,0 +1,202 @@
+// Drives the daily prompt scheduler with a fake clock instead of waiting real time
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { isPostDue, startScheduler } from "../../lib/scheduler.js";
+import { fetchGuildSettings } from "../../lib/server-api.js";
+import { postDailyPrompt, postDailyReminder } from "../../lib/database.js";
+
+vi.mock("../../lib/server-api.js", () => ({
+  fetchGuildSettings: vi.fn()
+}));
+
+vi.mock("../../lib/discord-utils.js", () => ({
+  findAnnouncementChannel: vi.fn(() => ({ id: "channel1" }))
+}));
+
+vi.mock("../../lib/database.js", () => ({
+  postDailyPrompt: vi.fn(),
+  postDailyReminder: vi.fn()
+}));
+
+const MINUTE = 60 * 1000;
+let guildCount = 0;
+
+// A clock whose time only moves when the test advances it, running any interval that falls due on the way
+function createFakeClock(start) {
+  let current = new Date(start).getTime();
+  const timers = new Map();
+  let nextTimer = 1;
+
+  return {
+    now: () => new Date(current),
+    setInterval(callback, ms) {
+      timers.set(nextTimer, { callback, ms, dueAt: current + ms });
+      return nextTimer++;
+    },
+    clearInterval(timer) {
+      timers.delete(timer);
+    },
+    async advance(ms) {
+      const until = current + ms;
+      for (;;) {
+        const due = [...timers.values()].filter((timer) => timer.dueAt <= until).sort((a, b) => a.dueAt - b.dueAt)[0];
+        if (!due) break;
+
+        current = due.dueAt;
+        due.dueAt += due.ms;
+        await due.callback();
+      }
+      current = until;
+    }
+  };
+}
+
+// Let the tick fired on start finish before checking what it posted
+function flushTick() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function createClient(guildId) {
+  return { guilds: { cache: new Map([[guildId, { id: guildId }]]) } };
+}
+
+describe("scheduler", () => {
+  let guildId;
+  let client;
+  let stop;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    stop?.();
+
+    // The ledger remembers posts for the whole run, so every test gets a fresh guild
+    guildId = `guild${++guildCount}`;
+    client = createClient(guildId);
+    fetchGuildSettings.mockResolvedValue({
+      dailyPromptEnabled: true,
+      dailyPromptTime: "09:00",
+      reminderTime: null,
+      timezone: "UTC"
+    });
+    postDailyPrompt.mockResolvedValue({ id: "message1", channelId: "channel1" });
+    postDailyReminder.mockResolvedValue({ id: "message2", channelId: "channel1" });
+  });
+
+  describe("isPostDue", () => {
+    it("should be due from the scheduled minute until the catch-up window closes", () => {
+      expect(isPostDue("09:00", "08:59")).toBe(false);
+      expect(isPostDue("09:00", "09:00")).toBe(true);
+      expect(isPostDue("09:00", "11:00")).toBe(true);
+      expect(isPostDue("09:00", "11:01")).toBe(false);
+    });
+  });
+
+  describe("startScheduler", () => {
+    it("should post the prompt once when its time comes", async () => {
+      const clock = createFakeClock("2024-10-02T08:58:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      await clock.advance(MINUTE);
+      expect(postDailyPrompt).not.toHaveBeenCalled();
+
+      await clock.advance(MINUTE);
+      expect(postDailyPrompt).toHaveBeenCalledWith(client, guildId, "channel1", "2024-10-02");
+
+      await clock.advance(30 * MINUTE);
+      expect(postDailyPrompt).toHaveBeenCalledTimes(1);
+    });
+
+    it("should catch up on a prompt missed while the bot was down", async () => {
+      const clock = createFakeClock("2024-10-02T10:30:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      expect(postDailyPrompt).toHaveBeenCalledTimes(1);
+    });
+
+    it("should skip a prompt missed by more than the catch-up window", async () => {
+      const clock = createFakeClock("2024-10-02T11:01:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+      await clock.advance(10 * MINUTE);
+
+      expect(postDailyPrompt).not.toHaveBeenCalled();
+    });
+
+    it("should post again on the next day", async () => {
+      const clock = createFakeClock("2024-10-02T09:00:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      await clock.advance(24 * 60 * MINUTE);
+
+      expect(postDailyPrompt.mock.calls.map((call) => call[3])).toEqual(["2024-10-02", "2024-10-03"]);
+    });
+
+    it("should use the guild's timezone", async () => {
+      fetchGuildSettings.mockResolvedValue({
+        dailyPromptEnabled: true,
+        dailyPromptTime: "09:00",
+        reminderTime: null,
+        timezone: "America/New_York"
+      });
+      const clock = createFakeClock("2024-10-02T09:00:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+      expect(postDailyPrompt).not.toHaveBeenCalled();
+
+      // 09:00 in New York is 13:00 UTC during daylight saving time
+      await clock.advance(4 * 60 * MINUTE);
+      expect(postDailyPrompt).toHaveBeenCalledTimes(1);
+    });
+
+    it("should retry a post that failed on the next tick", async () => {
+      postDailyPrompt.mockRejectedValueOnce(new Error("Missing access"));
+      const clock = createFakeClock("2024-10-02T09:00:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      await clock.advance(MINUTE);
+
+      expect(postDailyPrompt).toHaveBeenCalledTimes(2);
+    });
+
+    it("should post the reminder at its own time", async () => {
+      fetchGuildSettings.mockResolvedValue({
+        dailyPromptEnabled: true,
+        dailyPromptTime: "09:00",
+        reminderTime: "18:00",
+        timezone: "UTC"
+      });
+      const clock = createFakeClock("2024-10-02T09:00:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      await clock.advance(9 * 60 * MINUTE);
+
+      expect(postDailyReminder).toHaveBeenCalledTimes(1);
+      expect(postDailyReminder).toHaveBeenCalledWith(client, guildId, "channel1", "2024-10-02");
+    });
+
+    it("should not post for guilds with the daily prompt turned off", async () => {
+      fetchGuildSettings.mockResolvedValue({ dailyPromptEnabled: false });
+      const clock = createFakeClock("2024-10-02T09:00:00Z");
+      stop = startScheduler(client, null, clock);
+      await flushTick();
+
+      expect(postDailyPrompt).not.toHaveBeenCalled();
+    });
+
+    it("should stop ticking once stopped", async () => {
+      const clock = createFakeClock("2024-10-02T08:58:00Z");
+      startScheduler(client, null, clock)();
+      await flushTick();
+
+      await clock.advance(10 * MINUTE);
+
+      expect(fetchGuildSettings).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -6,7 +6,7 @@
 // In production, we're always in Discord mode unless explicitly on localhost
 export const isLocalMode = window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1";
 
-// Check if dev mode is enabled (shows answers in order like local mode, but still uses Discord SDK)
+// Check if dev mode is enabled (shows the dev banner and record deletion like local mode, but still uses Discord SDK)
 // Can be enabled via environment variable: VITE_DEV_MODE=true
 export const isDevMode = import.meta.env.VITE_DEV_MODE === "true" || isLocalMode;
 
@@ -17,6 +17,12 @@ export const GAME_CONFIG = {
   selectableWords: 4
 };
 
+// Mirrors the server's hard mode rules, for the toggle's tooltip
+export const HARD_MODE_CONFIG = {
+  maxMistakes: 2
+};
+
+// current is only used until the server says which day it is for the guild
 export const DATE_CONFIG = {
   current: new Date().toISOString().split("T")[0],
   fallback: "2024-10-02"
@@ -28,9 +34,52 @@ export const DISCORD_CLIENT_ID = import.meta.env.VITE_DISCORD_CLIENT_ID || "mock
 
 export const API_ENDPOINTS = {
   token: "/api/token",
-  synapse: (date) => `/api/synapse/${date}`,
+  mockToken: "/api/token/mock",
+  synapse: (guildId, date) => `/api/synapse/${guildId}/${date}`,
   gameState: (guildId, date) => `/api/gamestate/${guildId}/${date}`,
+  progress: (guildId, date) => `/api/gamestate/${guildId}/${date}/progress`,
+  guess: (guildId, date) => `/api/gamestate/${guildId}/${date}/guess`,
+  start: (guildId, date) => `/api/gamestate/${guildId}/${date}/start`,
+  hint: (guildId, date) => `/api/gamestate/${guildId}/${date}/hint`,
   completeGame: (guildId, date) => `/api/gamestate/${guildId}/${date}/complete`,
   deleteGame: (guildId, date, userId) => `/api/gamestate/${guildId}/${date}/${userId}`,
-  sessionUpdate: (sessionId) => `/api/sessions/${sessionId}/update`
+  guildPermissions: (guildId) => `/api/guilds/${guildId}/permissions`,
+  customPuzzles: (guildId) => `/api/guilds/${guildId}/puzzles`,
+  customPuzzle: (guildId, puzzleId) => `/api/guilds/${guildId}/puzzles/${puzzleId}`,
+  publishPuzzle: (guildId, puzzleId) => `/api/guilds/${guildId}/puzzles/${puzzleId}/publish`,
+  unpublishPuzzle: (guildId, puzzleId) => `/api/guilds/${guildId}/puzzles/${puzzleId}/unpublish`,
+  archiveCalendar: (guildId, userId, month) => `/api/archive/${guildId}/calendar/${userId}?month=${month}`,
+  archiveGameState: (guildId, date) => `/api/archive/${guildId}/${date}`,
+  stats: (guildId, userId) => `/api/stats/${guildId}/${userId}`,
+  guildToday: (guildId) => `/api/guilds/${guildId}/today`,
+  leaderboard: (guildId, window, page, category, mode) =>
+    `/api/leaderboard/${guildId}?window=${window}&page=${page}&category=${category}&mode=${mode}`,
+  events: (guildId) => `/api/events?guildId=${guildId}`,
+  coop: (guildId, instanceId, date) => `/api/coop/${guildId}/${instanceId}/${date}`,
+  coopJoin: (guildId, instanceId, date) => `/api/coop/${guildId}/${instanceId}/${date}/join`,
+  coopSelect: (guildId, instanceId, date) => `/api/coop/${guildId}/${instanceId}/${date}/select`,
+  coopClear: (guildId, instanceId, date) => `/api/coop/${guildId}/${instanceId}/${date}/clear`,
+  coopGuess: (guildId, instanceId, date) => `/api/coop/${guildId}/${instanceId}/${date}/guess`,
+  coopTeams: (guildId, date) => `/api/coop/${guildId}/teams/${date}`,
+  race: (guildId, date) => `/api/race/${guildId}/${date}`,
+  raceStart: (guildId, date) => `/api/race/${guildId}/${date}/start`,
+  spectateSessions: (guildId, channelId, date) => `/api/spectate/${guildId}/channels/${channelId}/${date}`,
+  spectateBoard: (guildId, date, userId) => `/api/spectate/${guildId}/${date}/players/${userId}`
 };
+
+export const LEADERBOARD_WINDOWS = [
+  { id: "daily", label: "Today" },
+  { id: "weekly", label: "This Week" },
+  { id: "monthly", label: "This Month" },
+  { id: "all-time", label: "All Time" }
+];
+
+export const LEADERBOARD_CATEGORIES = [
+  { id: "solves", label: "Most Solved" },
+  { id: "fastest", label: "Fastest" }
+];
+
+export const LEADERBOARD_MODES = [
+  { id: "normal", label: "Normal" },
+  { id: "hard", label: "🔥 Hard" }
+];
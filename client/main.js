@@ -1,16 +1,10 @@
 import "./style.css";
 import { isLocalMode, DATE_CONFIG } from "./config.js";
-import { setupDiscordSdk, getCurrentUser, getGuildId, getChannelId } from "./modules/discord.js";
-import { fetchGameData, fetchGameState, lookupUserSession } from "./modules/api.js";
-import {
-  setGameData,
-  setCurrentDate,
-  updateGameState,
-  restoreFromGuessHistory,
-  setDisplayOrder
-} from "./modules/game-state.js";
-import { hasUserPlayed } from "./modules/game-logic.js";
-import { renderGame } from "./modules/renderer.js";
+import { setupDiscordSdk, getGuildId } from "./modules/discord.js";
+import { fetchCanManageGuild, fetchGuildToday } from "./modules/api.js";
+import { updateGameState, getToday, setToday } from "./modules/game-state.js";
+import { loadGame } from "./modules/game-loader.js";
+import { subscribeToGameEvents } from "./modules/events.js";
 
 console.log(`Running in ${isLocalMode ? "LOCAL" : "DISCORD"} mode`);
 
@@ -24,70 +18,25 @@ async function initializeGame() {
     await setupDiscordSdk();
     console.log("Discord SDK is authenticated");
 
-    let gameDate = DATE_CONFIG.current;
+    const guildId = getGuildId();
+
+    updateGameState({ canManagePuzzles: await fetchCanManageGuild(guildId) });
 
-    let gameData;
     try {
-      gameData = await fetchGameData(gameDate);
+      const { date } = await fetchGuildToday(guildId);
+      setToday(date);
     } catch (error) {
-      console.log(`No game found for ${gameDate}, using fallback date ${DATE_CONFIG.fallback}`);
-      gameDate = DATE_CONFIG.fallback;
-      gameData = await fetchGameData(gameDate);
+      console.warn(`Could not get today's date from the server, using ${getToday()}`, error);
     }
 
-    console.log("Game data received:", gameData);
-    console.log("Categories:", gameData.categories);
-
-    setGameData(gameData);
-    setCurrentDate(gameDate);
-
-    if (gameData.startingOrder) {
-      setDisplayOrder(gameData.startingOrder);
-      console.log("Initial display order set from API positions");
-    }
-
-    const guildId = getGuildId();
-    const channelId = getChannelId();
-    const currentUser = getCurrentUser();
-    const serverGameState = await fetchGameState(guildId, gameDate);
-
-    console.log("Server game state:", serverGameState);
-    console.log("Current user:", currentUser);
-
-    const sessionLookup = await lookupUserSession(channelId, currentUser.id);
-
-    const sessionId = `${guildId}_${currentUser.id}_${gameDate}`;
-
-    if (sessionLookup.found) {
-      console.log("✅ Found existing session:", sessionLookup.messageSessionId);
-
-      if (sessionLookup.guessHistory && sessionLookup.guessHistory.length > 0) {
-        restoreFromGuessHistory(sessionLookup.guessHistory);
-        console.log(`🔄 Restored ${sessionLookup.guessHistory.length} guesses from server`);
-      }
-
-      updateGameState({ sessionId });
-    } else {
-      console.log("❌ No active session found, checking completion status");
-
-      if (hasUserPlayed(serverGameState, currentUser.id)) {
-        updateGameState({
-          hasPlayed: true,
-          isGameOver: true,
-          sessionId
-        });
-      } else {
-        updateGameState({
-          sessionId
-        });
-      }
+    try {
+      await loadGame(getToday());
+    } catch (error) {
+      console.log(`No game found for ${getToday()}, using fallback date ${DATE_CONFIG.fallback}`);
+      await loadGame(DATE_CONFIG.fallback);
     }
 
-    console.log("Session ID:", sessionId);
-
-    console.log("Rendering game...");
-
-    renderGame(serverGameState);
+    subscribeToGameEvents(guildId);
   } catch (error) {
     console.error("Error initializing game:", error);
     app.innerHTML = `
@@ -3,6 +3,8 @@ export class MockDiscordSDK {
     this.clientId = clientId;
     this.channelId = "mock-channel-123";
     this.guildId = "mock-guild-456";
+    // Shared by every local tab, so two tabs can play co-op together
+    this.instanceId = "mock-instance-789";
 
     this.commands = {
       authorize: async (config) => {
@@ -3,42 +3,46 @@
  */
 
 import { API_ENDPOINTS } from "../config.js";
+import { getAccessToken, getSessionToken } from "./discord.js";
 
 /**
- * Fetch Synapse game data for a specific date
+ * Build the Authorization header that identifies the current user to the server
+ * @returns {Object} - Headers to merge into a request (empty before sign-in)
+ */
+function sessionAuthHeaders() {
+  const sessionToken = getSessionToken();
+  return sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {};
+}
+
+/**
+ * Fetch Synapse puzzle tiles for a specific date (answers stay on the server)
+ * @param {string} guildId - Guild ID (selects the guild's puzzle provider)
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Object>} - Game data
+ * @returns {Promise<Object>} - Puzzle date and tiles in starting order
  */
-export async function fetchGameData(date) {
-  const response = await fetch(API_ENDPOINTS.synapse(date));
+export async function fetchGameData(guildId, date) {
+  const response = await fetch(API_ENDPOINTS.synapse(guildId, date));
 
   if (!response.ok) {
     throw new Error(`Failed to fetch game data for ${date}`);
   }
 
-  const data = await response.json();
-
-  if (data.categories) {
-    const allCards = [];
-
-    data.categories = data.categories.map((cat, index) => {
-      const members = cat.cards.map((card) => {
-        allCards.push({ content: card.content, position: card.position });
-        return card.content;
-      });
+  return response.json();
+}
 
-      return {
-        group: cat.title,
-        members,
-        difficulty: index
-      };
-    });
+/**
+ * Fetch the guild's puzzle date and number for today (the server applies the guild's timezone)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} - Date, puzzle number and timezone
+ */
+export async function fetchGuildToday(guildId) {
+  const response = await fetch(API_ENDPOINTS.guildToday(guildId));
 
-    allCards.sort((a, b) => a.position - b.position);
-    data.startingOrder = allCards.map((card) => card.content);
+  if (!response.ok) {
+    throw new Error("Failed to fetch today's puzzle date");
   }
 
-  return data;
+  return response.json();
 }
 
 /**
@@ -57,6 +61,74 @@ export async function fetchGameState(guildId, date) {
   return response.json();
 }
 
+/**
+ * Fetch archive results for a past date (kept separate from the daily results)
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Server game state for archive plays
+ */
+export async function fetchArchiveGameState(guildId, date) {
+  const response = await fetch(API_ENDPOINTS.archiveGameState(guildId, date));
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch archive game state");
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch the archive calendar for a month
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID (marks the days they completed)
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<Object>} - Available days with completion status
+ */
+export async function fetchArchiveCalendar(guildId, userId, month) {
+  const response = await fetch(API_ENDPOINTS.archiveCalendar(guildId, userId, month));
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch archive calendar");
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch a player's lifetime statistics
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Games played, win rate, streaks and distributions
+ */
+export async function fetchUserStats(guildId, userId) {
+  const response = await fetch(API_ENDPOINTS.stats(guildId, userId));
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch stats");
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch a page of the guild leaderboard
+ * @param {string} guildId - Guild ID
+ * @param {string} window - "daily", "weekly", "monthly" or "all-time"
+ * @param {number} page - Page number (starting at 1)
+ * @param {string} category - "solves" or "fastest" (timed wins)
+ * @param {string} mode - "normal" or "hard" (hard mode results are ranked separately)
+ * @returns {Promise<Object>} - Ranked entries and paging info
+ */
+export async function fetchLeaderboard(guildId, window, page = 1, category = "solves", mode = "normal") {
+  const response = await fetch(API_ENDPOINTS.leaderboard(guildId, window, page, category, mode));
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch leaderboard");
+  }
+
+  return response.json();
+}
+
 /**
  * Save game result to the server
  * @param {string} guildId - Guild ID
@@ -68,7 +140,8 @@ export async function saveGameResult(guildId, date, result) {
   const response = await fetch(API_ENDPOINTS.completeGame(guildId, date), {
     method: "POST",
     headers: {
-      "Content-Type": "application/json"
+      "Content-Type": "application/json",
+      ...sessionAuthHeaders()
     },
     body: JSON.stringify(result)
   });
@@ -89,7 +162,8 @@ export async function saveGameResult(guildId, date, result) {
  */
 export async function deleteGameResult(guildId, date, userId) {
   const response = await fetch(API_ENDPOINTS.deleteGame(guildId, date, userId), {
-    method: "DELETE"
+    method: "DELETE",
+    headers: sessionAuthHeaders()
   });
 
   if (!response.ok) {
@@ -100,53 +174,312 @@ export async function deleteGameResult(guildId, date, userId) {
 }
 
 /**
- * Update game session with current guess history
- * @param {string} sessionId - Session ID
- * @param {Array} guessHistory - Array of guess objects
+ * Fetch the signed-in player's progress on a puzzle
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Player progress
+ */
+export async function fetchPlayerProgress(guildId, date) {
+  const response = await fetch(API_ENDPOINTS.progress(guildId, date), {
+    headers: sessionAuthHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch player progress");
+  }
+
+  return response.json();
+}
+
+/**
+ * Submit a guess to be graded by the server
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} userId - User ID
+ * @param {string[]} words - The four guessed words
+ * @returns {Promise<Object>} - Grading result and updated progress
+ */
+export async function submitGuess(guildId, date, userId, words) {
+  const response = await fetch(API_ENDPOINTS.guess(guildId, date), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...sessionAuthHeaders()
+    },
+    body: JSON.stringify({ userId, words })
+  });
+
+  if (!response.ok) {
+    throw new Error("Failed to submit guess");
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a request as the signed-in user (start, hint, co-op, race and spectator endpoints)
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - Fetch options (method, body)
  * @returns {Promise<Object>} - Server response
  */
-export async function updateSession(sessionId, guessHistory) {
-  try {
-    console.log(`🔄 Updating session ${sessionId} with ${guessHistory.length} guesses`);
-    const response = await fetch(API_ENDPOINTS.sessionUpdate(sessionId), {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ guessHistory })
-    });
-
-    if (!response.ok) {
-      console.error(`Session update failed with status ${response.status}`);
-      throw new Error("Failed to update session");
+async function userRequest(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...sessionAuthHeaders()
     }
+  });
 
-    const result = await response.json();
-    console.log("✅ Session updated successfully:", result);
-    return result;
-  } catch (error) {
-    console.warn("⚠️ Session update failed:", error.message);
-    return null;
+  const data = await response.json();
+
+  if (!response.ok) {
+    // Conflicts (a teammate changed the board first, a race already started) carry a message worth showing
+    throw new Error(data.error || "Request failed");
   }
+
+  return data;
 }
 
 /**
- * Look up user's active session in a channel
- * @param {string} channelId - Discord channel ID
- * @param {string} userId - Discord user ID
- * @returns {Promise<Object>} - Session lookup result
+ * Record that the board is showing, starting the player's clock (the first call wins, so this is safe to repeat)
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} modes - { timed, hardMode } to switch on (only allowed before the first guess)
+ * @returns {Promise<Object>} - Player progress with the start time and the server clock
  */
-export async function lookupUserSession(channelId, userId) {
-  try {
-    const response = await fetch(`/api/sessions/lookup/${channelId}/${userId}`);
+export async function startGame(guildId, date, { timed = false, hardMode = false } = {}) {
+  return userRequest(API_ENDPOINTS.start(guildId, date), {
+    method: "POST",
+    body: JSON.stringify({ timed, hardMode })
+  });
+}
+
+/**
+ * Take the next hint for the current puzzle
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - The hint given and the player's updated progress
+ */
+export async function requestHint(guildId, date) {
+  return userRequest(API_ENDPOINTS.hint(guildId, date), { method: "POST" });
+}
+
+/**
+ * Fetch the co-op board for the activity instance as the signed-in member sees it
+ * @param {string} guildId - Guild ID
+ * @param {string} instanceId - Activity instance ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Shared room state
+ */
+export async function fetchCoopRoom(guildId, instanceId, date) {
+  return userRequest(API_ENDPOINTS.coop(guildId, instanceId, date));
+}
+
+/**
+ * Join the co-op board for the activity instance
+ * @param {string} guildId - Guild ID
+ * @param {string} instanceId - Activity instance ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Shared room state
+ */
+export async function joinCoop(guildId, instanceId, date) {
+  return userRequest(API_ENDPOINTS.coopJoin(guildId, instanceId, date), { method: "POST" });
+}
+
+/**
+ * Select or deselect a word on the shared board
+ * @param {string} guildId - Guild ID
+ * @param {string} instanceId - Activity instance ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} word - Word to toggle
+ * @returns {Promise<Object>} - Shared room state
+ */
+export async function toggleCoopWord(guildId, instanceId, date, word) {
+  return userRequest(API_ENDPOINTS.coopSelect(guildId, instanceId, date), {
+    method: "POST",
+    body: JSON.stringify({ word })
+  });
+}
+
+/**
+ * Clear the shared selection
+ * @param {string} guildId - Guild ID
+ * @param {string} instanceId - Activity instance ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Shared room state
+ */
+export async function clearCoopSelection(guildId, instanceId, date) {
+  return userRequest(API_ENDPOINTS.coopClear(guildId, instanceId, date), { method: "POST" });
+}
+
+/**
+ * Submit the shared selection as the team's guess
+ * @param {string} guildId - Guild ID
+ * @param {string} instanceId - Activity instance ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string[]} words - The selection as this player saw it (rejected if a teammate changed it)
+ * @returns {Promise<Object>} - Grading result and the updated room
+ */
+export async function submitCoopGuess(guildId, instanceId, date, words) {
+  return userRequest(API_ENDPOINTS.coopGuess(guildId, instanceId, date), {
+    method: "POST",
+    body: JSON.stringify({ words })
+  });
+}
+
+/**
+ * Fetch the co-op team results for a date (kept separate from individual results)
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Team results
+ */
+export async function fetchCoopTeams(guildId, date) {
+  const response = await fetch(API_ENDPOINTS.coopTeams(guildId, date));
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch co-op results");
+  }
+
+  const { teams } = await response.json();
+  return teams;
+}
+
+/**
+ * Fetch the race for the channel session the player is in
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Session ID, the race (null before one starts) and whether this player can start one
+ */
+export async function fetchRace(guildId, date) {
+  return userRequest(API_ENDPOINTS.race(guildId, date));
+}
+
+/**
+ * Start a race with everyone in the player's channel session who has not started the puzzle
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Session ID and the race, counting down to its start
+ */
+export async function startRace(guildId, date) {
+  return userRequest(API_ENDPOINTS.raceStart(guildId, date), { method: "POST" });
+}
 
-    if (!response.ok) {
-      throw new Error(`Session lookup failed with status ${response.status}`);
+/**
+ * Fetch the game sessions in a channel that can be watched
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Sessions with their players' progress
+ */
+export async function fetchSpectatableSessions(guildId, channelId, date) {
+  const { sessions } = await userRequest(API_ENDPOINTS.spectateSessions(guildId, channelId, date));
+  return sessions;
+}
+
+/**
+ * Fetch another player's board as the current user is allowed to see it
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} userId - Player to watch
+ * @returns {Promise<Object>} - Solved rows, mistakes and guesses; unsolved words are hidden until the viewer finishes
+ */
+export async function fetchSpectatorBoard(guildId, date, userId) {
+  return userRequest(API_ENDPOINTS.spectateBoard(guildId, date, userId));
+}
+
+/**
+ * Send a request to a guild admin endpoint with the user's access token
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - Fetch options (method, body)
+ * @returns {Promise<Object>} - Server response
+ */
+async function adminRequest(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${getAccessToken()}`
     }
+  });
 
-    return await response.json();
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || "Request failed");
+    error.errors = data.errors || [];
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Check whether the current user can manage the guild's puzzles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<boolean>} - True if the user has Manage Server
+ */
+export async function fetchCanManageGuild(guildId) {
+  try {
+    await adminRequest(API_ENDPOINTS.guildPermissions(guildId));
+    return true;
   } catch (error) {
-    console.warn("⚠️ Session lookup failed:", error.message);
-    return { found: false };
+    return false;
   }
 }
+
+/**
+ * List the guild's custom puzzles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} - Custom puzzles
+ */
+export async function fetchCustomPuzzles(guildId) {
+  const { puzzles } = await adminRequest(API_ENDPOINTS.customPuzzles(guildId));
+  return puzzles;
+}
+
+/**
+ * Create or update a custom puzzle
+ * @param {string} guildId - Guild ID
+ * @param {Object} puzzle - Puzzle with title, categories and optional id
+ * @returns {Promise<Object>} - Saved puzzle
+ */
+export async function saveCustomPuzzle(guildId, puzzle) {
+  const { id, ...body } = puzzle;
+  const url = id ? API_ENDPOINTS.customPuzzle(guildId, id) : API_ENDPOINTS.customPuzzles(guildId);
+
+  const result = await adminRequest(url, {
+    method: id ? "PUT" : "POST",
+    body: JSON.stringify(body)
+  });
+
+  return result.puzzle;
+}
+
+/**
+ * Delete a custom puzzle
+ * @param {string} guildId - Guild ID
+ * @param {number} puzzleId - Puzzle ID
+ * @returns {Promise<Object>} - Server response
+ */
+export async function deleteCustomPuzzle(guildId, puzzleId) {
+  return adminRequest(API_ENDPOINTS.customPuzzle(guildId, puzzleId), { method: "DELETE" });
+}
+
+/**
+ * Publish a custom puzzle as the guild's puzzle for a date, or unpublish it
+ * @param {string} guildId - Guild ID
+ * @param {number} puzzleId - Puzzle ID
+ * @param {string|null} date - Date in YYYY-MM-DD format, or null to unpublish
+ * @returns {Promise<Object>} - Updated puzzle
+ */
+export async function publishCustomPuzzle(guildId, puzzleId, date) {
+  const result = date
+    ? await adminRequest(API_ENDPOINTS.publishPuzzle(guildId, puzzleId), {
+        method: "POST",
+        body: JSON.stringify({ date })
+      })
+    : await adminRequest(API_ENDPOINTS.unpublishPuzzle(guildId, puzzleId), { method: "POST" });
+
+  return result.puzzle;
+}
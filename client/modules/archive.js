@@ -0,0 +1,169 @@
+/**
+ * Archive calendar for playing past puzzles
+ */
+
+import { fetchArchiveCalendar } from "./api.js";
+import { getGuildId, getCurrentUser } from "./discord.js";
+import { refreshGame } from "./game-logic.js";
+import { loadGame } from "./game-loader.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { getToday } from "./game-state.js";
+import { GAME_CONFIG } from "../config.js";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+let visibleMonth = null;
+
+/**
+ * Move a month forwards or backwards
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} offset - Months to move (may be negative)
+ * @returns {string} - Month in YYYY-MM format
+ */
+export function shiftMonth(month, offset) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const date = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Lay out a month as calendar weeks starting on Sunday
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Array} days - Available days from the server
+ * @returns {Array} - Weeks of seven cells; padding cells are null
+ */
+export function buildCalendarWeeks(month, days) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const firstWeekday = new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const daysByDate = Object.fromEntries(days.map((day) => [day.date, day]));
+
+  const cells = Array(firstWeekday).fill(null);
+  for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+    const date = `${month}-${String(dayOfMonth).padStart(2, "0")}`;
+    const day = daysByDate[date];
+    cells.push({
+      date,
+      dayOfMonth,
+      available: !!day,
+      completed: !!day?.completed,
+      score: day?.score ?? null
+    });
+  }
+
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
+
+/**
+ * Open the archive calendar
+ * @param {string} month - Month in YYYY-MM format (defaults to the last month viewed, then the current month)
+ */
+export async function openArchive(month = visibleMonth || getToday().slice(0, 7)) {
+  const app = document.querySelector("#app");
+  app.dataset.view = "archive";
+  app.innerHTML = `<div id="loading">Loading archive...</div>`;
+  visibleMonth = month;
+
+  try {
+    const calendar = await fetchArchiveCalendar(getGuildId(), getCurrentUser().id, month);
+    renderArchive(calendar);
+  } catch (error) {
+    console.error("Error loading archive:", error);
+    renderArchive({ month, days: [] }, error.message);
+  }
+}
+
+/**
+ * Render the archive calendar
+ * @param {Object} calendar - Calendar from the server
+ * @param {string} errorMessage - Optional error to show
+ */
+function renderArchive(calendar, errorMessage = "") {
+  const app = document.querySelector("#app");
+  const [year, monthNumber] = calendar.month.split("-").map(Number);
+  const monthName = new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC"
+  });
+  const isCurrentMonth = calendar.month >= getToday().slice(0, 7);
+
+  const rows = buildCalendarWeeks(calendar.month, calendar.days)
+    .map((week) => `<div class="archive-week">${week.map(renderDay).join("")}</div>`)
+    .join("");
+
+  app.innerHTML = `
+    <h1>Archive</h1>
+    <div class="archive">
+      <div class="archive-header">
+        <button id="archive-prev" class="secondary">‹</button>
+        <h2>${escapeHtml(monthName)}</h2>
+        <button id="archive-next" class="secondary" ${isCurrentMonth ? "disabled" : ""}>›</button>
+      </div>
+      <div class="archive-week archive-weekdays">${WEEKDAYS.map((day) => `<div>${day}</div>`).join("")}</div>
+      ${rows}
+      ${errorMessage ? `<div class="message error">${escapeHtml(errorMessage)}</div>` : ""}
+      ${calendar.days.length === 0 && !errorMessage ? `<p class="muted">No puzzles available this month.</p>` : ""}
+      <div class="game-controls">
+        <button id="archive-back" class="secondary">Back to game</button>
+      </div>
+    </div>
+  `;
+
+  attachArchiveListeners(calendar);
+}
+
+/**
+ * Render a single calendar day
+ * @param {Object|null} day - Calendar cell
+ * @returns {string} - HTML string
+ */
+function renderDay(day) {
+  if (!day) {
+    return `<div class="archive-day empty"></div>`;
+  }
+
+  if (!day.available) {
+    return `<div class="archive-day unavailable">${day.dayOfMonth}</div>`;
+  }
+
+  const status = day.completed ? `<span class="archive-score">${day.score}/${GAME_CONFIG.totalCategories}</span>` : "";
+
+  return `
+    <button class="archive-day ${day.completed ? "completed" : ""}" data-date="${day.date}">
+      ${day.dayOfMonth}
+      ${status}
+    </button>
+  `;
+}
+
+/**
+ * Attach event listeners to the archive calendar
+ * @param {Object} calendar - Calendar being shown
+ */
+function attachArchiveListeners(calendar) {
+  const { month } = calendar;
+
+  document.getElementById("archive-prev")?.addEventListener("click", () => openArchive(shiftMonth(month, -1)));
+  document.getElementById("archive-next")?.addEventListener("click", () => openArchive(shiftMonth(month, 1)));
+  document.getElementById("archive-back")?.addEventListener("click", () => refreshGame());
+
+  document.querySelectorAll(".archive-day[data-date]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      try {
+        await loadGame(button.dataset.date);
+      } catch (error) {
+        console.error("Error loading archive puzzle:", error);
+        renderArchive(calendar, `Could not load the puzzle for ${button.dataset.date}`);
+      }
+    });
+  });
+}
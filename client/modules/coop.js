@@ -0,0 +1,384 @@
+/**
+ * Co-op view: one shared board for everyone in the activity instance, kept in sync by the server
+ */
+
+import {
+  fetchGameData,
+  fetchCoopRoom,
+  joinCoop,
+  toggleCoopWord,
+  clearCoopSelection,
+  submitCoopGuess,
+  fetchCoopTeams
+} from "./api.js";
+import { getGuildId, getInstanceId, getCurrentUser } from "./discord.js";
+import { getToday } from "./game-state.js";
+import { refreshGame } from "./game-logic.js";
+import { renderPlayerAvatar, renderCategoriesWithState, renderMistakeStatus } from "./renderer.js";
+import { escapeHtml, showMessage } from "../utils/helpers.js";
+import { GAME_CONFIG } from "../config.js";
+
+// The server only sends the groups a team missed to members who have finished the puzzle on their own
+const HIDDEN_SOLUTION_NOTE = "Finish today's puzzle on your own to see the groups your team missed.";
+
+let room = null;
+let tiles = [];
+let displayOrder = null;
+let teams = [];
+
+/**
+ * Get the room currently shown
+ * @returns {Object|null} - Shared room state from the server
+ */
+export function getCoopRoom() {
+  return room;
+}
+
+/**
+ * Apply a room snapshot unless it is older than the one already held
+ * @param {Object} update - Room state from a response or a coop.updated event
+ * @returns {boolean} - True if the snapshot was applied
+ */
+export function applyCoopUpdate(update) {
+  if (!update) return false;
+
+  if (room) {
+    const sameRoom = update.instanceId === room.instanceId && update.date === room.date;
+    if (!sameRoom || update.version < room.version) {
+      return false;
+    }
+  }
+
+  room = update;
+  return true;
+}
+
+/**
+ * Forget the room (used when leaving co-op and by tests)
+ */
+export function resetCoop() {
+  room = null;
+  tiles = [];
+  displayOrder = null;
+  teams = [];
+}
+
+/**
+ * Check whether the co-op view is on screen
+ * @returns {boolean} - True if the co-op board is being shown
+ */
+function isCoopViewVisible() {
+  return document.querySelector("#app")?.dataset.view === "coop";
+}
+
+/**
+ * Handle a coop.updated event from a teammate
+ * @param {Object} event - Event payload with the instance, date and new version (the room itself is fetched)
+ */
+export async function handleCoopUpdated(event) {
+  if (!room || event.instanceId !== getInstanceId() || event.date !== room.date || !isCoopViewVisible()) return;
+  if (event.version <= room.version) return;
+
+  const wasGameOver = room.isGameOver;
+  if (!applyCoopUpdate(await fetchCoopRoom(getGuildId(), room.instanceId, room.date))) return;
+
+  if (!wasGameOver && room.isGameOver) {
+    await loadTeams();
+  }
+
+  renderCoop();
+}
+
+/**
+ * Open the co-op board for today's puzzle
+ */
+export async function openCoop() {
+  const app = document.querySelector("#app");
+  app.dataset.view = "coop";
+  app.innerHTML = `<div id="loading">Joining co-op game...</div>`;
+
+  const guildId = getGuildId();
+  const date = getToday();
+
+  try {
+    resetCoop();
+    const [gameData, joined] = await Promise.all([
+      fetchGameData(guildId, date),
+      joinCoop(guildId, getInstanceId(), date)
+    ]);
+
+    tiles = gameData.tiles;
+    applyCoopUpdate(joined);
+
+    if (room.isGameOver) {
+      await loadTeams();
+    }
+
+    renderCoop();
+  } catch (error) {
+    console.error("Error joining co-op game:", error);
+    app.innerHTML = `
+      <h1>Co-op</h1>
+      <div class="message error">${escapeHtml(error.message)}</div>
+      <div class="game-controls">
+        <button id="coop-back" class="secondary">Back to game</button>
+      </div>
+    `;
+    document.getElementById("coop-back")?.addEventListener("click", () => refreshGame());
+  }
+}
+
+/**
+ * Load today's team results (shown once the board is finished)
+ */
+async function loadTeams() {
+  try {
+    teams = await fetchCoopTeams(getGuildId(), room.date);
+  } catch (error) {
+    console.error("Error loading co-op results:", error);
+    teams = [];
+  }
+}
+
+/**
+ * Get the short label shown on a word picked by a teammate
+ * @param {Object} member - Room member
+ * @returns {string} - Up to two uppercase characters, HTML escaped
+ */
+function getInitials(member) {
+  return escapeHtml((member?.username || "?").substring(0, 2).toUpperCase());
+}
+
+/**
+ * Render the shared word grid with a badge on each word showing who selected it
+ * @param {Object} currentRoom - Shared room state
+ * @param {string[]} words - Words still on the board, in display order
+ * @param {string} currentUserId - Marks the current user's own picks
+ * @returns {string} - HTML string
+ */
+export function renderCoopWordGrid(currentRoom, words, currentUserId) {
+  const membersById = Object.fromEntries(currentRoom.members.map((member) => [member.userId, member]));
+  const pickedBy = Object.fromEntries(currentRoom.selection.map((entry) => [entry.word, entry.userId]));
+
+  return `
+    <div class="game-grid">
+      ${words
+        .map((word) => {
+          const pickerId = pickedBy[word];
+          const picker = membersById[pickerId];
+          const badgeClass = pickerId === currentUserId ? "picker-badge mine" : "picker-badge";
+          const pickerName = escapeHtml(picker?.username || "Unknown");
+          const badge = pickerId
+            ? `<span class="${badgeClass}" title="${pickerName}">${getInitials(picker)}</span>`
+            : "";
+
+          return `
+        <button class="word-button ${pickerId ? "selected" : ""}" data-word="${escapeHtml(word)}">
+          ${escapeHtml(word)}
+          ${badge}
+        </button>
+      `;
+        })
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render the team members in the room
+ * @param {Array} members - Room members
+ * @returns {string} - HTML string
+ */
+function renderMembers(members) {
+  return `
+    <div class="coop-members">
+      ${members
+        .map(
+          (member) => `
+            <div class="coop-member" title="${escapeHtml(member.username)}">
+              ${renderPlayerAvatar(member, member.userId)}
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render the co-op team results for the day
+ * @param {Array} teamResults - Team results from the server
+ * @param {string} instanceId - Highlights the current team
+ * @returns {string} - HTML string
+ */
+export function renderTeamResults(teamResults, instanceId) {
+  if (teamResults.length === 0) {
+    return "";
+  }
+
+  const sorted = [...teamResults].sort((a, b) => b.score - a.score || a.mistakes - b.mistakes);
+
+  return `
+    <div class="coop-teams">
+      <h2>Co-op Teams Today</h2>
+      <ol class="leaderboard-list">
+        ${sorted
+          .map((team) => {
+            const names = team.members.map((member) => escapeHtml(member.username)).join(", ");
+            return `
+              <li class="leaderboard-row ${team.instanceId === instanceId ? "current-user" : ""}">
+                <span class="leaderboard-name">${names}</span>
+                <span class="leaderboard-stat">${team.score}/${GAME_CONFIG.totalCategories} solved</span>
+                <span class="leaderboard-stat">${team.mistakes} mistakes</span>
+              </li>
+            `;
+          })
+          .join("")}
+      </ol>
+    </div>
+  `;
+}
+
+/**
+ * Render the board once the team has finished
+ * @returns {string} - HTML string
+ */
+function renderCoopGameOver() {
+  const solvedGroups = new Set(room.solvedCategories.map((category) => category.group));
+  const allCategories = [
+    ...room.solvedCategories.map((category) => ({ ...category, solved: true })),
+    ...(room.solution || [])
+      .filter((category) => !solvedGroups.has(category.group))
+      .map((category) => ({ ...category, solved: false }))
+  ];
+
+  return `
+    <div class="game-over">
+      <h2>${room.won ? "🎉 Your team solved it!" : "Game Over"}</h2>
+      <div class="final-score">
+        Your team solved ${room.solvedCategories.length}/${GAME_CONFIG.totalCategories} categories<br>
+        Mistakes: ${room.mistakes}/${room.maxMistakes}
+      </div>
+      ${renderCategoriesWithState(allCategories)}
+      ${room.won || room.canSeeSolution ? "" : `<p class="muted">${HIDDEN_SOLUTION_NOTE}</p>`}
+    </div>
+  `;
+}
+
+/**
+ * Render the active shared board
+ * @returns {string} - HTML string
+ */
+function renderCoopBoard() {
+  const solvedWords = new Set(room.solvedCategories.flatMap((category) => category.members));
+  const remaining = (displayOrder || tiles).filter((word) => !solvedWords.has(word));
+  const solved = room.solvedCategories.map((category) => ({ ...category, solved: true }));
+
+  return `
+    ${renderMistakeStatus(room.mistakes, room.maxMistakes)}
+    ${solved.length > 0 ? renderCategoriesWithState(solved) : ""}
+    <div id="message"></div>
+    ${renderCoopWordGrid(room, remaining, getCurrentUser()?.id)}
+    <div class="game-controls">
+      <button id="shuffle" class="secondary">Shuffle</button>
+      <button id="deselect" class="secondary">Deselect All</button>
+      <button id="submit" ${room.selection.length === GAME_CONFIG.wordsPerCategory ? "" : "disabled"}>Submit</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the co-op view from the current room
+ */
+function renderCoop() {
+  const app = document.querySelector("#app");
+
+  app.innerHTML = `
+    <h1>Synapse Co-op</h1>
+    ${renderMembers(room.members)}
+    ${room.isGameOver ? renderCoopGameOver() : renderCoopBoard()}
+    ${room.isGameOver ? renderTeamResults(teams, room.instanceId) : ""}
+    <div class="game-controls">
+      <button id="coop-back" class="secondary">Back to game</button>
+    </div>
+  `;
+  app.dataset.view = "coop";
+
+  attachCoopListeners();
+}
+
+/**
+ * Send a change to the shared board and show the room it returns
+ * @param {Function} request - Calls the co-op API and resolves to a room
+ */
+async function updateRoom(request) {
+  try {
+    applyCoopUpdate(await request());
+    renderCoop();
+  } catch (error) {
+    console.error("Error updating co-op game:", error);
+    showMessage(error.message, "error");
+  }
+}
+
+/**
+ * Submit the shared selection for the team
+ */
+async function handleCoopSubmit() {
+  const words = room.selection.map((entry) => entry.word);
+
+  let outcome;
+  try {
+    outcome = await submitCoopGuess(getGuildId(), room.instanceId, room.date, words);
+  } catch (error) {
+    console.error("Error submitting co-op guess:", error);
+    showMessage(error.message, "error");
+    return;
+  }
+
+  applyCoopUpdate(outcome.room);
+
+  if (room.isGameOver) {
+    await loadTeams();
+  }
+
+  renderCoop();
+
+  if (outcome.result === "correct") {
+    showMessage("Correct! 🎉", "success");
+  } else if (outcome.result === "one_away") {
+    showMessage("One away...", "info");
+  } else {
+    showMessage("Not quite. Try again!", "error");
+  }
+}
+
+/**
+ * Attach event listeners to the co-op view
+ */
+function attachCoopListeners() {
+  const guildId = getGuildId();
+
+  document.querySelectorAll(".word-button").forEach((button) => {
+    button.addEventListener("click", () =>
+      updateRoom(() => toggleCoopWord(guildId, room.instanceId, room.date, button.dataset.word))
+    );
+  });
+
+  // Shuffling only changes this player's view of the board
+  document.getElementById("shuffle")?.addEventListener("click", () => {
+    displayOrder = [...tiles].sort(() => Math.random() - 0.5);
+    renderCoop();
+  });
+
+  document
+    .getElementById("deselect")
+    ?.addEventListener("click", () => updateRoom(() => clearCoopSelection(guildId, room.instanceId, room.date)));
+
+  document.getElementById("submit")?.addEventListener("click", handleCoopSubmit);
+
+  document.getElementById("coop-back")?.addEventListener("click", () => {
+    resetCoop();
+    refreshGame();
+  });
+}
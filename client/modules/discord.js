@@ -7,6 +7,8 @@ import { MockDiscordSDK, mockTokenEndpoint } from "../mock-discord.js";
 import { isLocalMode, DISCORD_CLIENT_ID, API_ENDPOINTS } from "../config.js";
 
 let auth;
+let accessToken;
+let sessionToken;
 let currentUser;
 let discordSdk;
 
@@ -54,7 +56,7 @@ export async function setupDiscordSdk() {
   if (isLocalMode) {
     tokenData = await mockTokenEndpoint(code);
   } else {
-    const response = await fetch("/api/token", {
+    const response = await fetch(API_ENDPOINTS.token, {
       method: "POST",
       headers: {
         "Content-Type": "application/json"
@@ -70,6 +72,7 @@ export async function setupDiscordSdk() {
   }
 
   const { access_token } = tokenData;
+  accessToken = access_token;
 
   auth = await discordSdk.commands.authenticate({
     access_token
@@ -82,9 +85,40 @@ export async function setupDiscordSdk() {
   currentUser = auth.user;
   console.log("Current user:", currentUser);
 
+  sessionToken = isLocalMode ? await requestMockSessionToken(access_token, currentUser) : tokenData.session_token;
+
   return { auth, user: currentUser, sdk: discordSdk };
 }
 
+/**
+ * Ask the server for a session token for the mock user (local mode only)
+ * @param {string} mockAccessToken - Mock access token
+ * @param {Object} user - Mock user
+ * @returns {Promise<string|undefined>} - Session token, if the server allows mock auth
+ */
+async function requestMockSessionToken(mockAccessToken, user) {
+  try {
+    const response = await fetch(API_ENDPOINTS.mockToken, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ access_token: mockAccessToken, user })
+    });
+
+    if (!response.ok) {
+      console.warn("Mock session token rejected - set ALLOW_MOCK_AUTH=true on the server");
+      return undefined;
+    }
+
+    const { session_token } = await response.json();
+    return session_token;
+  } catch (error) {
+    console.warn("Could not get a mock session token:", error);
+    return undefined;
+  }
+}
+
 /**
  * Get the current authenticated user
  * @returns {Object} - Current user object
@@ -93,6 +127,22 @@ export function getCurrentUser() {
   return currentUser;
 }
 
+/**
+ * Get the OAuth access token for the current user
+ * @returns {string|undefined} - Access token
+ */
+export function getAccessToken() {
+  return accessToken;
+}
+
+/**
+ * Get the server-signed session token that identifies the current user
+ * @returns {string|undefined} - Session token
+ */
+export function getSessionToken() {
+  return sessionToken;
+}
+
 /**
  * Get the Discord SDK instance
  * @returns {Object} - Discord SDK instance
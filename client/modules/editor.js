@@ -0,0 +1,340 @@
+/**
+ * Custom puzzle editor for guild admins
+ */
+
+import { renderCategoriesWithState } from "./renderer.js";
+import { fetchCustomPuzzles, saveCustomPuzzle, deleteCustomPuzzle, publishCustomPuzzle } from "./api.js";
+import { getGuildId } from "./discord.js";
+import { refreshGame } from "./game-logic.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { getToday } from "./game-state.js";
+import { CATEGORY_COLORS, GAME_CONFIG } from "../config.js";
+
+let puzzles = [];
+let draft = createEmptyDraft();
+let errors = [];
+let notice = "";
+
+/**
+ * Create a blank puzzle draft
+ * @returns {Object} - Draft with empty groups
+ */
+export function createEmptyDraft() {
+  return {
+    id: null,
+    title: "",
+    publishDate: null,
+    categories: Array.from({ length: GAME_CONFIG.totalCategories }, () => ({
+      group: "",
+      members: Array(GAME_CONFIG.wordsPerCategory).fill("")
+    }))
+  };
+}
+
+/**
+ * Build the categories shown in the live preview from a draft
+ * @param {Object} puzzleDraft - Draft being edited
+ * @returns {Array} - Categories in difficulty order, marked as solved
+ */
+export function getPreviewCategories(puzzleDraft) {
+  return puzzleDraft.categories.map((category, index) => ({
+    group: category.group.trim() || `Group ${index + 1}`,
+    members: category.members.map((word) => word.trim().toUpperCase()).filter(Boolean),
+    difficulty: index,
+    solved: true
+  }));
+}
+
+/**
+ * Move a group up or down in difficulty order
+ * @param {Object} puzzleDraft - Draft being edited
+ * @param {number} index - Group index
+ * @param {number} direction - -1 to make easier, 1 to make harder
+ */
+export function moveCategory(puzzleDraft, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= puzzleDraft.categories.length) return;
+
+  const categories = puzzleDraft.categories;
+  [categories[index], categories[target]] = [categories[target], categories[index]];
+}
+
+/**
+ * Open the editor and load the guild's puzzles
+ */
+export async function openEditor() {
+  const app = document.querySelector("#app");
+  app.dataset.view = "editor";
+  app.innerHTML = `<div id="loading">Loading puzzles...</div>`;
+
+  errors = [];
+  notice = "";
+  draft = createEmptyDraft();
+
+  try {
+    puzzles = await fetchCustomPuzzles(getGuildId());
+  } catch (error) {
+    console.error("Error loading custom puzzles:", error);
+    puzzles = [];
+    errors = [error.message];
+  }
+
+  renderEditor();
+}
+
+/**
+ * Render the full editor view
+ */
+function renderEditor() {
+  const app = document.querySelector("#app");
+
+  app.innerHTML = `
+    <h1>Puzzle Editor</h1>
+    <div class="editor">
+      ${renderPuzzleList()}
+      ${renderDraftForm()}
+      <div id="editor-feedback">${renderFeedback()}</div>
+      <h2>Preview</h2>
+      <div id="editor-preview">${renderCategoriesWithState(getPreviewCategories(draft))}</div>
+    </div>
+  `;
+
+  attachEditorListeners();
+}
+
+/**
+ * Render the list of saved puzzles
+ * @returns {string} - HTML string
+ */
+function renderPuzzleList() {
+  const items = puzzles
+    .map(
+      (puzzle) => `
+        <li class="${puzzle.id === draft.id ? "active" : ""}">
+          <button class="link-button" data-puzzle-id="${puzzle.id}">${escapeHtml(puzzle.title)}</button>
+          <span class="puzzle-status">${puzzle.publishDate ? `Published ${puzzle.publishDate}` : "Draft"}</span>
+        </li>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="editor-puzzles">
+      <div class="editor-puzzles-header">
+        <h2>Your puzzles</h2>
+        <button id="editor-new" class="secondary">New puzzle</button>
+      </div>
+      ${puzzles.length > 0 ? `<ul>${items}</ul>` : `<p class="muted">No puzzles yet.</p>`}
+    </div>
+  `;
+}
+
+/**
+ * Render the form for the draft being edited
+ * @returns {string} - HTML string
+ */
+function renderDraftForm() {
+  const locked = !!draft.publishDate;
+  const disabled = locked ? "disabled" : "";
+
+  const groups = draft.categories
+    .map((category, index) => {
+      const colorClass = CATEGORY_COLORS[index];
+      const words = category.members
+        .map(
+          (word, wordIndex) =>
+            `<input class="editor-word" data-group="${index}" data-word="${wordIndex}" value="${escapeHtml(word)}" placeholder="Word ${wordIndex + 1}" ${disabled} />`
+        )
+        .join("");
+
+      return `
+        <fieldset class="editor-group ${colorClass}">
+          <div class="editor-group-header">
+            <input class="editor-title" data-group="${index}" value="${escapeHtml(category.group)}" placeholder="Group ${index + 1} title" ${disabled} />
+            <button class="secondary editor-move" data-group="${index}" data-direction="-1" ${disabled || index === 0 ? "disabled" : ""}>▲</button>
+            <button class="secondary editor-move" data-group="${index}" data-direction="1" ${disabled || index === draft.categories.length - 1 ? "disabled" : ""}>▼</button>
+          </div>
+          <div class="editor-words">${words}</div>
+        </fieldset>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="editor-form">
+      <input id="editor-puzzle-title" value="${escapeHtml(draft.title)}" placeholder="Puzzle title" ${disabled} />
+      <p class="muted">Groups are ordered from easiest (yellow) to hardest (purple).</p>
+      ${groups}
+      <div class="game-controls">
+        <button id="editor-back" class="secondary">Back to game</button>
+        ${draft.id ? `<button id="editor-delete" class="secondary">Delete</button>` : ""}
+        <button id="editor-save" ${disabled}>Save</button>
+      </div>
+      ${draft.id ? renderPublishControls() : ""}
+    </div>
+  `;
+}
+
+/**
+ * Render publish/unpublish controls for a saved puzzle
+ * @returns {string} - HTML string
+ */
+function renderPublishControls() {
+  if (draft.publishDate) {
+    return `
+      <div class="editor-publish">
+        <span>Published for ${escapeHtml(draft.publishDate)}</span>
+        <button id="editor-unpublish" class="secondary">Unpublish</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="editor-publish">
+      <input id="editor-publish-date" type="date" value="${getToday()}" />
+      <button id="editor-publish">Publish</button>
+    </div>
+  `;
+}
+
+/**
+ * Render validation errors and notices
+ * @returns {string} - HTML string
+ */
+function renderFeedback() {
+  if (errors.length > 0) {
+    return `<ul class="message error">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join("")}</ul>`;
+  }
+
+  if (notice) {
+    return `<div class="message success">${escapeHtml(notice)}</div>`;
+  }
+
+  return "";
+}
+
+/**
+ * Re-render only the live preview so inputs keep focus while typing
+ */
+function updatePreview() {
+  const preview = document.getElementById("editor-preview");
+  if (preview) {
+    preview.innerHTML = renderCategoriesWithState(getPreviewCategories(draft));
+  }
+}
+
+/**
+ * Replace the draft and list after a save, then re-render
+ * @param {Object} puzzle - Saved puzzle from the server
+ * @param {string} message - Notice to show
+ */
+function applySavedPuzzle(puzzle, message) {
+  draft = structuredClone(puzzle);
+  puzzles = [puzzle, ...puzzles.filter((p) => p.id !== puzzle.id)];
+  errors = [];
+  notice = message;
+  renderEditor();
+}
+
+/**
+ * Run an editor action and show any server errors
+ * @param {Function} action - Async action
+ */
+async function runAction(action) {
+  try {
+    await action();
+  } catch (error) {
+    console.error("Editor action failed:", error);
+    errors = error.errors?.length > 0 ? error.errors : [error.message];
+    notice = "";
+    renderEditor();
+  }
+}
+
+/**
+ * Attach event listeners to the editor
+ */
+function attachEditorListeners() {
+  const guildId = getGuildId();
+
+  document.getElementById("editor-puzzle-title")?.addEventListener("input", (event) => {
+    draft.title = event.target.value;
+  });
+
+  document.querySelectorAll(".editor-title").forEach((input) => {
+    input.addEventListener("input", () => {
+      draft.categories[input.dataset.group].group = input.value;
+      updatePreview();
+    });
+  });
+
+  document.querySelectorAll(".editor-word").forEach((input) => {
+    input.addEventListener("input", () => {
+      draft.categories[input.dataset.group].members[input.dataset.word] = input.value;
+      updatePreview();
+    });
+  });
+
+  document.querySelectorAll(".editor-move").forEach((button) => {
+    button.addEventListener("click", () => {
+      moveCategory(draft, Number(button.dataset.group), Number(button.dataset.direction));
+      renderEditor();
+    });
+  });
+
+  document.querySelectorAll("[data-puzzle-id]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const puzzle = puzzles.find((p) => p.id === Number(button.dataset.puzzleId));
+      draft = structuredClone(puzzle);
+      errors = [];
+      notice = "";
+      renderEditor();
+    });
+  });
+
+  document.getElementById("editor-new")?.addEventListener("click", () => {
+    draft = createEmptyDraft();
+    errors = [];
+    notice = "";
+    renderEditor();
+  });
+
+  document.getElementById("editor-save")?.addEventListener("click", () =>
+    runAction(async () => {
+      const puzzle = await saveCustomPuzzle(guildId, {
+        id: draft.id,
+        title: draft.title,
+        categories: draft.categories
+      });
+      applySavedPuzzle(puzzle, "Puzzle saved");
+    })
+  );
+
+  document.getElementById("editor-publish")?.addEventListener("click", () =>
+    runAction(async () => {
+      const date = document.getElementById("editor-publish-date").value;
+      const puzzle = await publishCustomPuzzle(guildId, draft.id, date);
+      applySavedPuzzle(puzzle, `Published for ${date}`);
+    })
+  );
+
+  document.getElementById("editor-unpublish")?.addEventListener("click", () =>
+    runAction(async () => {
+      const puzzle = await publishCustomPuzzle(guildId, draft.id, null);
+      applySavedPuzzle(puzzle, "Puzzle unpublished");
+    })
+  );
+
+  document.getElementById("editor-delete")?.addEventListener("click", () =>
+    runAction(async () => {
+      await deleteCustomPuzzle(guildId, draft.id);
+      puzzles = puzzles.filter((p) => p.id !== draft.id);
+      draft = createEmptyDraft();
+      errors = [];
+      notice = "Puzzle deleted";
+      renderEditor();
+    })
+  );
+
+  document.getElementById("editor-back")?.addEventListener("click", () => refreshGame());
+}
@@ -0,0 +1,70 @@
+/**
+ * Realtime events pushed by the server
+ */
+
+import { API_ENDPOINTS } from "../config.js";
+import { applyGameCompletedEvent } from "./game-state.js";
+import { rerenderGame } from "./game-logic.js";
+import { handleCoopUpdated } from "./coop.js";
+import { handleRaceUpdated } from "./race.js";
+import { handleSpectatorEvent } from "./spectator.js";
+
+let eventSource = null;
+
+/**
+ * Check whether the game view is on screen (other views are left alone when events arrive)
+ * @returns {boolean} - True if the game is being shown
+ */
+function isGameViewVisible() {
+  return document.querySelector("#app")?.dataset.view === "game";
+}
+
+/**
+ * Handle a game.completed event from another player
+ * @param {Object} event - Event payload
+ */
+export async function handleGameCompleted(event) {
+  if (applyGameCompletedEvent(event) && isGameViewVisible()) {
+    await rerenderGame();
+  }
+}
+
+/**
+ * Subscribe to the guild's event stream
+ * @param {string} guildId - Guild ID
+ */
+export function subscribeToGameEvents(guildId) {
+  if (eventSource || typeof EventSource === "undefined") return;
+
+  eventSource = new EventSource(API_ENDPOINTS.events(guildId));
+
+  eventSource.addEventListener("game.completed", (message) => {
+    handleGameCompleted(JSON.parse(message.data)).catch((error) => {
+      console.error("Error handling game.completed event:", error);
+    });
+  });
+
+  eventSource.addEventListener("coop.updated", (message) => {
+    handleCoopUpdated(JSON.parse(message.data)).catch((error) => {
+      console.error("Error handling coop.updated event:", error);
+    });
+  });
+
+  eventSource.addEventListener("race.updated", (message) => {
+    handleRaceUpdated(JSON.parse(message.data)).catch((error) => {
+      console.error("Error handling race.updated event:", error);
+    });
+  });
+
+  ["guess.recorded", "player.joined"].forEach((type) => {
+    eventSource.addEventListener(type, (message) => {
+      handleSpectatorEvent(JSON.parse(message.data)).catch((error) => {
+        console.error(`Error handling ${type} event:`, error);
+      });
+    });
+  });
+
+  eventSource.onerror = () => {
+    console.warn("Event stream disconnected, the browser will reconnect");
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Loading a puzzle for a date
+ */
+
+import { getCurrentUser, getGuildId } from "./discord.js";
+import { fetchGameData, fetchPlayerProgress } from "./api.js";
+import {
+  getGameState,
+  resetGameState,
+  setGameData,
+  setCurrentDate,
+  setDisplayOrder,
+  applyProgress,
+  updateGameState,
+  setServerGameState,
+  getToday
+} from "./game-state.js";
+import { fetchCurrentGameState } from "./game-logic.js";
+import { renderGame } from "./renderer.js";
+import { loadRace, resetRace } from "./race.js";
+import { resetTimer } from "./timer.js";
+
+/**
+ * Check if a date is played from the archive rather than as the daily puzzle
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} - True for dates before today
+ */
+export function isArchiveDate(date) {
+  return date < getToday();
+}
+
+/**
+ * Load the puzzle for a date, restore the player's progress and render it
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+export async function loadGame(date) {
+  const guildId = getGuildId();
+  const currentUser = getCurrentUser();
+
+  const gameData = await fetchGameData(guildId, date);
+  console.log("Game data received:", gameData);
+
+  const { canManagePuzzles } = getGameState();
+  resetGameState();
+  resetTimer();
+  setGameData(gameData);
+  setCurrentDate(date);
+  setDisplayOrder(gameData.tiles);
+
+  const progress = await fetchPlayerProgress(guildId, date);
+  applyProgress(progress);
+
+  if (progress.guessHistory.length > 0) {
+    console.log(`🔄 Restored ${progress.guessHistory.length} guesses from server`);
+  }
+
+  const sessionId = `${guildId}_${currentUser.id}_${date}`;
+
+  updateGameState({
+    hasPlayed: progress.completed,
+    isArchive: isArchiveDate(date),
+    sessionId,
+    canManagePuzzles
+  });
+
+  console.log("Session ID:", sessionId);
+
+  // Races are only run on the daily puzzle
+  if (isArchiveDate(date)) {
+    resetRace();
+  } else {
+    await loadRace(guildId, date);
+  }
+
+  const serverGameState = await fetchCurrentGameState();
+  console.log("Server game state:", serverGameState);
+
+  setServerGameState(serverGameState);
+  renderGame(serverGameState);
+}
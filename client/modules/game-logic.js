@@ -3,65 +3,25 @@
  */
 
 import {
-  getGameData,
   getGameState,
   getCurrentDate,
-  addSolvedCategory,
-  incrementMistakes,
-  completeGame,
+  applyProgress,
   clearSelection,
-  recordGuess,
   getGuessHistory,
-  shuffleDisplayOrder
+  shuffleDisplayOrder,
+  getServerGameState,
+  setServerGameState
 } from "./game-state.js";
 import { getCurrentUser, getGuildId } from "./discord.js";
-import { fetchGameState, saveGameResult as apiSaveGameResult, updateSession } from "./api.js";
+import {
+  fetchGameState,
+  fetchArchiveGameState,
+  saveGameResult as apiSaveGameResult,
+  submitGuess,
+  requestHint
+} from "./api.js";
 import { showMessage, wait } from "../utils/helpers.js";
-import { GAME_CONFIG } from "../config.js";
-
-/**
- * Check if the selected words match any unsolved category
- * @param {string[]} selectedWords - Array of selected words
- * @returns {Object|null} - Matched category or null if no match
- */
-export function checkCategoryMatch(selectedWords) {
-  const gameData = getGameData();
-  const gameState = getGameState();
-  const selected = new Set(selectedWords);
-
-  return gameData.categories.find((category) => {
-    if (gameState.solvedCategories.some((solved) => solved.group === category.group)) {
-      return false;
-    }
-
-    return category.members.every((member) => selected.has(member));
-  });
-}
-
-/**
- * Check if selection is "one away" from a correct answer
- * @param {string[]} selectedWords - Array of selected words
- * @returns {boolean} - True if one away
- */
-export function isOneAway(selectedWords) {
-  const gameData = getGameData();
-  const gameState = getGameState();
-  const selected = new Set(selectedWords);
-
-  for (const category of gameData.categories) {
-    if (gameState.solvedCategories.some((solved) => solved.group === category.group)) {
-      continue;
-    }
-
-    const matches = category.members.filter((member) => selected.has(member)).length;
-
-    if (matches === 3) {
-      return true;
-    }
-  }
-
-  return false;
-}
+import { GAME_CONFIG, CATEGORY_COLORS } from "../config.js";
 
 /**
  * Check if the game is won (all categories solved)
@@ -92,13 +52,15 @@ export function hasUserPlayed(serverGameState, userId) {
 }
 
 /**
- * Update the session with current guess history
+ * Check if the same words were already guessed, in any order (hints are not guesses)
+ * @param {string[]} words - Selected words
+ * @returns {boolean} - True if the selection repeats an earlier guess
  */
-async function updateSessionState() {
-  const gameState = getGameState();
-  if (gameState.sessionId) {
-    await updateSession(gameState.sessionId, getGuessHistory());
-  }
+export function isAlreadyGuessed(words) {
+  return getGuessHistory().some(
+    (guess) =>
+      guess.type !== "hint" && guess.words?.length === words.length && words.every((word) => guess.words.includes(word))
+  );
 }
 
 /**
@@ -109,68 +71,129 @@ export async function handleSubmit() {
 
   if (gameState.selectedWords.length !== 4) return;
 
-  const matchedCategory = checkCategoryMatch(gameState.selectedWords);
+  // A repeat is turned away here (and by the server) so it never costs a mistake
+  if (isAlreadyGuessed(gameState.selectedWords)) {
+    showMessage("Already guessed", "info");
+    return;
+  }
+
+  const currentUser = getCurrentUser();
+  const guildId = getGuildId();
+  const currentDate = getCurrentDate();
+
+  let outcome;
+  try {
+    outcome = await submitGuess(guildId, currentDate, currentUser.id, gameState.selectedWords);
+  } catch (error) {
+    console.error("Error submitting guess:", error);
+    showMessage("Could not submit guess. Try again!", "error");
+    return;
+  }
+
+  applyProgress(outcome.progress);
 
-  if (matchedCategory) {
-    recordGuess(gameState.selectedWords, true, matchedCategory.difficulty);
-    addSolvedCategory(matchedCategory);
+  if (outcome.result === "correct") {
     clearSelection();
     showMessage("Correct! 🎉", "success");
+  } else if (outcome.result === "one_away") {
+    showMessage("One away...", "info");
+  } else {
+    showMessage("Not quite. Try again!", "error");
+  }
 
-    await updateSessionState();
+  if (isGameWon() || isGameLost()) {
+    await saveGameResult();
+  }
 
-    if (isGameWon()) {
-      completeGame();
-      await saveGameResult();
-    }
+  await wait(outcome.result === "correct" ? 1000 : 1500);
+  await rerenderGame();
+}
 
-    await wait(1000);
-    await refreshGame();
-  } else {
-    const guessedWords = [...gameState.selectedWords];
+/**
+ * Describe a hint for the player
+ * @param {Object} hint - Hint entry from the server
+ * @returns {string} - Message to show
+ */
+export function describeHint(hint) {
+  const color = CATEGORY_COLORS[hint.difficulty] || "yellow";
 
-    const wordDifficulties = guessedWords.map((word) => {
-      const gameData = getGameData();
-      const category = gameData.categories.find((cat) => cat.members.includes(word));
-      return category ? category.difficulty : null;
-    });
+  if (hint.hint === "word") {
+    return `💡 ${hint.word} is in the ${color} group`;
+  }
+
+  if (hint.hint === "title") {
+    return `💡 The ${color} group is "${hint.group}"`;
+  }
 
-    recordGuess(gameState.selectedWords, false, null, wordDifficulties);
-    incrementMistakes();
+  return `💡 Locked in the ${color} group: ${hint.group}`;
+}
 
-    await updateSessionState();
+/**
+ * Handle the hint button click
+ */
+export async function handleHint() {
+  let outcome;
+  try {
+    outcome = await requestHint(getGuildId(), getCurrentDate());
+  } catch (error) {
+    console.error("Error taking hint:", error);
+    showMessage(error.message, "error");
+    return;
+  }
 
-    if (isOneAway(guessedWords)) {
-      showMessage("One away...", "info");
-    } else {
-      showMessage("Not quite. Try again!", "error");
-    }
+  applyProgress(outcome.progress);
 
-    if (isGameLost()) {
-      await saveGameResult();
-    }
+  // A locked-in group may use words the player had selected
+  if (outcome.hint.hint === "group") {
+    clearSelection();
+  }
 
-    await wait(1500);
-    await refreshGame();
+  if (isGameWon()) {
+    await saveGameResult();
   }
+
+  await rerenderGame();
+  showMessage(describeHint(outcome.hint), "info");
 }
 
 export async function handleShuffle() {
   clearSelection();
   shuffleDisplayOrder();
-  await refreshGame();
+  await rerenderGame();
+}
+
+/**
+ * Re-render the game from local state without fetching (other players' results arrive as events)
+ */
+export async function rerenderGame() {
+  const { renderGame } = await import("./renderer.js");
+  renderGame(getServerGameState());
 }
 
 /**
  * Refresh the game by fetching the latest state
  */
-async function refreshGame() {
+export async function refreshGame() {
   const { renderGame } = await import("./renderer.js");
+
+  const serverGameState = await fetchCurrentGameState();
+  setServerGameState(serverGameState);
+  renderGame(serverGameState);
+}
+
+/**
+ * Fetch the results shown alongside the current puzzle (archive plays are kept separate from the daily results)
+ * @returns {Promise<Object>} - Server game state
+ */
+export async function fetchCurrentGameState() {
   const guildId = getGuildId();
   const currentDate = getCurrentDate();
 
-  const serverGameState = await fetchGameState(guildId, currentDate);
-  renderGame(serverGameState);
+  if (getGameState().isArchive) {
+    return fetchArchiveGameState(guildId, currentDate);
+  }
+
+  return fetchGameState(guildId, currentDate);
 }
 
 /**
@@ -183,7 +206,7 @@ async function saveGameResult() {
   const currentDate = getCurrentDate();
 
   try {
-    await apiSaveGameResult(guildId, currentDate, {
+    const result = await apiSaveGameResult(guildId, currentDate, {
       userId: currentUser.id,
       username: currentUser.username,
       avatar: currentUser.avatar,
@@ -193,8 +216,9 @@ async function saveGameResult() {
     });
 
     gameState.hasPlayed = true;
+    setServerGameState(result.gameState);
 
-    await refreshGame();
+    await rerenderGame();
   } catch (error) {
     console.error("Error saving game result:", error);
   }
@@ -2,7 +2,7 @@
  * Game state management
  */
 
-import { GAME_CONFIG } from "../config.js";
+import { GAME_CONFIG, DATE_CONFIG } from "../config.js";
 
 let gameState = {
   selectedWords: [],
@@ -10,14 +10,39 @@ let gameState = {
   guessHistory: [],
   mistakes: 0,
   maxMistakes: GAME_CONFIG.maxMistakes,
+  hintPenalty: 0,
+  nextHint: null,
+  startedAt: null,
+  timed: false,
+  hardMode: false,
   isGameOver: false,
   hasPlayed: false,
   sessionId: null,
-  displayOrder: null
+  displayOrder: null,
+  isArchive: false,
+  canManagePuzzles: false
 };
 
 let gameData = null;
 let currentDate = null;
+let serverGameState = { players: {} };
+let today = DATE_CONFIG.current;
+
+/**
+ * Get the guild's puzzle date for today (as decided by the server)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getToday() {
+  return today;
+}
+
+/**
+ * Set the guild's puzzle date for today
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+export function setToday(date) {
+  today = date;
+}
 
 /**
  * Get the current game state
@@ -37,10 +62,17 @@ export function resetGameState() {
     guessHistory: [],
     mistakes: 0,
     maxMistakes: GAME_CONFIG.maxMistakes,
+    hintPenalty: 0,
+    nextHint: null,
+    startedAt: null,
+    timed: false,
+    hardMode: false,
     isGameOver: false,
     hasPlayed: false,
     sessionId: null,
-    displayOrder: null
+    displayOrder: null,
+    isArchive: false,
+    canManagePuzzles: false
   };
 }
 
@@ -100,23 +132,6 @@ export function completeGame() {
   gameState.isGameOver = true;
 }
 
-/**
- * Record a guess in the history
- * @param {string[]} words - Words that were guessed
- * @param {boolean} correct - Whether the guess was correct
- * @param {number|null} difficulty - Difficulty level if correct (0-3), null if incorrect
- * @param {number[]|null} wordDifficulties - Array of difficulties for each word (for incorrect guesses)
- */
-export function recordGuess(words, correct, difficulty = null, wordDifficulties = null) {
-  gameState.guessHistory.push({
-    words: [...words],
-    correct,
-    difficulty,
-    wordDifficulties,
-    timestamp: Date.now()
-  });
-}
-
 /**
  * Get the guess history
  * @returns {Array} - Array of guess objects
@@ -158,60 +173,72 @@ export function getCurrentDate() {
 }
 
 /**
- * Get remaining unsolved words in category order
+ * Get remaining unsolved tiles in starting order
  * @returns {string[]} - Array of remaining words
  */
 export function getRemainingWords() {
   const solvedWords = new Set(gameState.solvedCategories.flatMap((cat) => cat.members));
 
-  if (!gameData || !gameData.categories) {
-    console.error("No game data or categories available!");
+  if (!gameData || !gameData.tiles) {
+    console.error("No game data or tiles available!");
     return [];
   }
 
-  const remaining = [];
-  gameData.categories.forEach((category) => {
-    category.members.forEach((word) => {
-      if (!solvedWords.has(word)) {
-        remaining.push(word);
-      }
-    });
-  });
-
-  return remaining;
+  return gameData.tiles.filter((word) => !solvedWords.has(word));
 }
 
 /**
- * Restore game state from guess history
- * @param {Array} guessHistory - Array of guess objects to restore from
+ * Apply player progress returned by the server
+ * @param {Object} progress - Progress with guess history, solved categories, mistakes, hints, timing and mode
  */
-export function restoreFromGuessHistory(guessHistory) {
-  console.log(`🔄 Restoring game state from ${guessHistory.length} guesses`);
+export function applyProgress(progress) {
+  gameState.guessHistory = progress.guessHistory;
+  gameState.solvedCategories = progress.solvedCategories;
+  gameState.mistakes = progress.mistakes;
+  gameState.maxMistakes = progress.maxMistakes;
+  gameState.hintPenalty = progress.hintPenalty || 0;
+  gameState.nextHint = progress.nextHint || null;
+  gameState.startedAt = progress.startedAt || null;
+  gameState.timed = !!progress.timed;
+  gameState.hardMode = !!progress.hardMode;
+  gameState.isGameOver = progress.isGameOver;
 
-  gameState.solvedCategories = [];
-  gameState.mistakes = 0;
-  gameState.guessHistory = [];
-  gameState.selectedWords = [];
-
-  guessHistory.forEach((guess) => {
-    if (guess.correct) {
-      const category = gameData.categories.find((cat) => cat.members.every((member) => guess.words.includes(member)));
+  if (progress.solution) {
+    gameData = { ...gameData, categories: progress.solution };
+  }
+}
 
-      if (category) {
-        gameState.solvedCategories.push(category);
-      }
-    } else {
-      gameState.mistakes++;
-    }
+/**
+ * Set the latest server game state (players who completed the current puzzle)
+ * @param {Object} state - Server game state
+ */
+export function setServerGameState(state) {
+  serverGameState = state;
+}
 
-    gameState.guessHistory.push(guess);
-  });
+/**
+ * Get the latest server game state
+ * @returns {Object} - Server game state
+ */
+export function getServerGameState() {
+  return serverGameState;
+}
 
-  if (gameState.solvedCategories.length === 4 || gameState.mistakes >= gameState.maxMistakes) {
-    gameState.isGameOver = true;
+/**
+ * Add a player from a game.completed event to the server game state
+ * @param {Object} event - Event with date, archive flag, userId and public player data
+ * @returns {boolean} - True if the event belongs to the puzzle being shown
+ */
+export function applyGameCompletedEvent(event) {
+  if (event.date !== currentDate || event.archive !== gameState.isArchive || !event.player) {
+    return false;
   }
 
-  console.log(`✅ Restored: ${gameState.solvedCategories.length} solved, ${gameState.mistakes} mistakes`);
+  serverGameState = {
+    ...serverGameState,
+    players: { ...serverGameState.players, [event.userId]: event.player }
+  };
+  return true;
 }
 
 export function getDisplayOrder() {
@@ -226,3 +253,15 @@ export function shuffleDisplayOrder() {
   const remaining = getRemainingWords();
   gameState.displayOrder = [...remaining].sort(() => Math.random() - 0.5);
 }
+
+/**
+ * Get the hints taken so far that still help: revealed words and titles of groups that are not solved yet
+ * @returns {Array} - Hint entries from the guess history
+ */
+export function getActiveHints() {
+  const solvedDifficulties = new Set(gameState.solvedCategories.map((category) => category.difficulty));
+
+  return gameState.guessHistory.filter(
+    (entry) => entry.type === "hint" && entry.hint !== "group" && !solvedDifficulties.has(entry.difficulty)
+  );
+}
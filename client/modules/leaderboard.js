@@ -0,0 +1,168 @@
+/**
+ * Guild leaderboard view
+ */
+
+import { fetchLeaderboard } from "./api.js";
+import { getGuildId, getCurrentUser } from "./discord.js";
+import { refreshGame } from "./game-logic.js";
+import { renderPlayerAvatar } from "./renderer.js";
+import { formatRaceTime } from "./race.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { LEADERBOARD_WINDOWS, LEADERBOARD_CATEGORIES, LEADERBOARD_MODES } from "../config.js";
+
+const RANK_MEDALS = { 1: "🥇", 2: "🥈", 3: "🥉" };
+
+/**
+ * Render the stats shown on a most-solved row
+ * @param {Object} entry - Entry with the player's solves, mistakes and hints
+ * @returns {string} - HTML string
+ */
+function renderSolveStats(entry) {
+  // Only players who took hints get the column, so clean solves stand out
+  const hints = entry.hintsUsed
+    ? `<span class="leaderboard-stat leaderboard-hints">💡 ${entry.hintsUsed} hints</span>`
+    : "";
+
+  return `
+    <span class="leaderboard-stat">${entry.solves} solved</span>
+    <span class="leaderboard-stat">${entry.mistakes} mistakes</span>
+    ${hints}
+  `;
+}
+
+/**
+ * Render the stats shown on a fastest-solves row
+ * @param {Object} entry - Entry with the player's best time and timed wins
+ * @returns {string} - HTML string
+ */
+function renderFastestStats(entry) {
+  return `
+    <span class="leaderboard-stat leaderboard-time">⏱️ ${formatRaceTime(entry.bestTimeMs)}</span>
+    <span class="leaderboard-stat">${entry.timedWins} timed ${entry.timedWins === 1 ? "win" : "wins"}</span>
+  `;
+}
+
+/**
+ * Render the rows of a leaderboard page
+ * @param {Array} entries - Ranked entries from the server
+ * @param {string} currentUserId - Highlights the current user's row
+ * @param {string} category - "solves" or "fastest"
+ * @returns {string} - HTML string
+ */
+export function renderLeaderboardRows(entries, currentUserId, category = "solves") {
+  if (entries.length === 0) {
+    return category === "fastest"
+      ? `<p class="muted">Nobody has won a timed game in this period yet.</p>`
+      : `<p class="muted">Nobody has finished a puzzle in this period yet.</p>`;
+  }
+
+  return `
+    <ol class="leaderboard-list">
+      ${entries
+        .map(
+          (entry) => `
+            <li class="leaderboard-row ${entry.userId === currentUserId ? "current-user" : ""}">
+              <span class="leaderboard-rank">${RANK_MEDALS[entry.rank] || entry.rank}</span>
+              ${renderPlayerAvatar(entry, entry.userId)}
+              <span class="leaderboard-name">${escapeHtml(entry.username)}</span>
+              ${category === "fastest" ? renderFastestStats(entry) : renderSolveStats(entry)}
+            </li>
+          `
+        )
+        .join("")}
+    </ol>
+  `;
+}
+
+/**
+ * Open the leaderboard
+ * @param {string} window - Leaderboard window id
+ * @param {number} page - Page number (starting at 1)
+ * @param {string} category - Leaderboard category id
+ * @param {string} mode - Leaderboard mode id
+ */
+export async function openLeaderboard(window = "daily", page = 1, category = "solves", mode = "normal") {
+  const app = document.querySelector("#app");
+  app.dataset.view = "leaderboard";
+  app.innerHTML = `<div id="loading">Loading leaderboard...</div>`;
+
+  try {
+    const leaderboard = await fetchLeaderboard(getGuildId(), window, page, category, mode);
+    renderLeaderboard(leaderboard);
+  } catch (error) {
+    console.error("Error loading leaderboard:", error);
+    renderLeaderboard({ window, category, mode, page: 1, totalPages: 1, entries: [] }, error.message);
+  }
+}
+
+/**
+ * Render the leaderboard view
+ * @param {Object} leaderboard - Leaderboard page from the server
+ * @param {string} errorMessage - Optional error to show
+ */
+function renderLeaderboard(leaderboard, errorMessage = "") {
+  const app = document.querySelector("#app");
+  const category = leaderboard.category || "solves";
+  const mode = leaderboard.mode || "normal";
+  const tabs = LEADERBOARD_WINDOWS.map(
+    ({ id, label }) =>
+      `<button class="leaderboard-tab ${id === leaderboard.window ? "active" : "secondary"}" data-window="${id}">${label}</button>`
+  ).join("");
+  const categoryTabs = LEADERBOARD_CATEGORIES.map(
+    ({ id, label }) =>
+      `<button class="leaderboard-category ${id === category ? "active" : "secondary"}" data-category="${id}">${label}</button>`
+  ).join("");
+  const modeTabs = LEADERBOARD_MODES.map(
+    ({ id, label }) =>
+      `<button class="leaderboard-mode ${id === mode ? "active" : "secondary"}" data-mode="${id}">${label}</button>`
+  ).join("");
+
+  app.innerHTML = `
+    <h1>Leaderboard</h1>
+    <div class="leaderboard">
+      <div class="leaderboard-tabs">${modeTabs}</div>
+      <div class="leaderboard-tabs">${categoryTabs}</div>
+      <div class="leaderboard-tabs">${tabs}</div>
+      ${errorMessage ? `<div class="message error">${escapeHtml(errorMessage)}</div>` : ""}
+      ${errorMessage ? "" : renderLeaderboardRows(leaderboard.entries, getCurrentUser()?.id, category)}
+      <div class="leaderboard-pages">
+        <button id="leaderboard-prev" class="secondary" ${leaderboard.page <= 1 ? "disabled" : ""}>‹</button>
+        <span>Page ${leaderboard.page} of ${leaderboard.totalPages}</span>
+        <button id="leaderboard-next" class="secondary" ${leaderboard.page >= leaderboard.totalPages ? "disabled" : ""}>›</button>
+      </div>
+      <div class="game-controls">
+        <button id="leaderboard-back" class="secondary">Back to game</button>
+      </div>
+    </div>
+  `;
+
+  attachLeaderboardListeners(leaderboard);
+}
+
+/**
+ * Attach event listeners to the leaderboard
+ * @param {Object} leaderboard - Leaderboard page being shown
+ */
+function attachLeaderboardListeners(leaderboard) {
+  const { window, category = "solves", mode = "normal" } = leaderboard;
+
+  document.querySelectorAll(".leaderboard-tab").forEach((button) => {
+    button.addEventListener("click", () => openLeaderboard(button.dataset.window, 1, category, mode));
+  });
+
+  document.querySelectorAll(".leaderboard-category").forEach((button) => {
+    button.addEventListener("click", () => openLeaderboard(window, 1, button.dataset.category, mode));
+  });
+
+  document.querySelectorAll(".leaderboard-mode").forEach((button) => {
+    button.addEventListener("click", () => openLeaderboard(window, 1, category, button.dataset.mode));
+  });
+
+  document
+    .getElementById("leaderboard-prev")
+    ?.addEventListener("click", () => openLeaderboard(window, leaderboard.page - 1, category, mode));
+  document
+    .getElementById("leaderboard-next")
+    ?.addEventListener("click", () => openLeaderboard(window, leaderboard.page + 1, category, mode));
+  document.getElementById("leaderboard-back")?.addEventListener("click", () => refreshGame());
+}
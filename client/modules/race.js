@@ -0,0 +1,294 @@
+/**
+ * Head-to-head race: everyone in the channel session starts the same puzzle at once
+ */
+
+import { fetchRace, startRace as apiStartRace } from "./api.js";
+import { getGuildId, getCurrentUser } from "./discord.js";
+import { getCurrentDate } from "./game-state.js";
+import { rerenderGame, refreshGame } from "./game-logic.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { CATEGORY_COLORS, GAME_CONFIG } from "../config.js";
+
+const PLACE_MEDALS = { 1: "🥇", 2: "🥈", 3: "🥉" };
+
+let raceInfo = { sessionId: null, race: null, canStart: false };
+// Server clock minus local clock, so every player's countdown ends at the same moment
+let clockOffset = 0;
+let countdownTimer = null;
+
+/**
+ * Get the race for the player's channel session
+ * @returns {Object} - Session ID, race (null before one starts) and whether this player can start one
+ */
+export function getRaceInfo() {
+  return raceInfo;
+}
+
+/**
+ * Forget the race (used when loading another puzzle and by tests)
+ */
+export function resetRace() {
+  raceInfo = { sessionId: null, race: null, canStart: false };
+  clockOffset = 0;
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+}
+
+/**
+ * Apply a race snapshot unless it belongs to another session or is older than the one held
+ * @param {string} sessionId - Channel session the race belongs to
+ * @param {Object} race - Race from a response or a race.updated event
+ * @returns {boolean} - True if the snapshot was applied
+ */
+export function applyRaceUpdate(sessionId, race) {
+  if (!race) return false;
+  if (raceInfo.sessionId && raceInfo.sessionId !== sessionId) return false;
+  if (raceInfo.race && race.version < raceInfo.race.version) return false;
+
+  raceInfo = { sessionId, race, canStart: false };
+  clockOffset = race.serverTime - Date.now();
+  return true;
+}
+
+/**
+ * Work out the race status from the server-aligned clock (the countdown ends without a new snapshot)
+ * @param {Object} race - Race snapshot
+ * @param {number} now - Local time in milliseconds
+ * @returns {string} - "countdown", "running" or "finished"
+ */
+export function getRaceStatus(race, now = Date.now()) {
+  if (race.status === "finished") return "finished";
+  return now + clockOffset < race.startsAt ? "countdown" : "running";
+}
+
+/**
+ * Check if the current player is one of the session race's racers
+ * @returns {boolean} - True for a racer, whatever the race status
+ */
+export function isRacing() {
+  const { race } = raceInfo;
+  const userId = getCurrentUser()?.id;
+
+  return !!race && race.racers.some((racer) => racer.userId === userId);
+}
+
+/**
+ * Check if the current player is a racer and is waiting for the countdown to finish
+ * @returns {boolean} - True while the board should stay locked
+ */
+export function isBoardLocked() {
+  return isRacing() && getRaceStatus(raceInfo.race) === "countdown";
+}
+
+/**
+ * Load the race for the player's channel session (players outside a session simply have no race)
+ * @param {string} guildId - Guild ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+export async function loadRace(guildId, date) {
+  resetRace();
+
+  try {
+    const { sessionId, race, canStart } = await fetchRace(guildId, date);
+    raceInfo = { sessionId, race, canStart };
+    if (race) {
+      clockOffset = race.serverTime - Date.now();
+    }
+  } catch (error) {
+    console.log("No race available:", error.message);
+  }
+}
+
+/**
+ * Start a race in the player's channel session
+ */
+export async function startRace() {
+  try {
+    const { sessionId, race } = await apiStartRace(getGuildId(), getCurrentDate());
+    applyRaceUpdate(sessionId, race);
+    await rerenderGame();
+  } catch (error) {
+    console.error("Error starting race:", error);
+    alert(error.message);
+  }
+}
+
+/**
+ * Render an opponent's progress as one bar per category and their mistake dots
+ * @param {Object} racer - Racer with solved difficulties, mistakes and the mistakes they are allowed
+ * @param {boolean} isCurrentUser - Labels the player's own row
+ * @returns {string} - HTML string
+ */
+function renderRacer(racer, isCurrentUser) {
+  const bars = Array.from({ length: GAME_CONFIG.totalCategories }, (_, i) => {
+    const difficulty = racer.solved[i];
+    return `<div class="race-bar ${difficulty !== undefined ? CATEGORY_COLORS[difficulty] || "yellow" : ""}"></div>`;
+  }).join("");
+  const dots = Array.from(
+    // Hard mode racers are allowed fewer mistakes
+    { length: racer.maxMistakes || GAME_CONFIG.maxMistakes },
+    (_, i) => `<div class="mistake-dot ${i < racer.mistakes ? "used" : ""}"></div>`
+  ).join("");
+
+  return `
+    <div class="race-racer ${isCurrentUser ? "current-user" : ""}">
+      <span class="race-name">${escapeHtml(racer.username)}${isCurrentUser ? " (you)" : ""}</span>
+      <div class="race-bars">${bars}</div>
+      <div class="mistake-dots">${dots}</div>
+    </div>
+  `;
+}
+
+/**
+ * Render the status line of a race
+ * @param {Object} race - Race snapshot
+ * @param {number} now - Local time in milliseconds
+ * @returns {string} - Text to show
+ */
+export function getRaceStatusText(race, now = Date.now()) {
+  const status = getRaceStatus(race, now);
+
+  if (status === "countdown") {
+    return `Race starts in ${Math.ceil((race.startsAt - (now + clockOffset)) / 1000)}...`;
+  }
+
+  if (status === "running") {
+    return "Race on! First to solve all four wins";
+  }
+
+  const winner = race.racers.find((racer) => racer.userId === race.winnerId);
+  return winner ? `🏁 ${winner.username} won the race!` : "🏁 Race over - nobody solved it";
+}
+
+/**
+ * Render the live race panel shown above the board
+ * @param {Object} race - Race snapshot
+ * @param {string} currentUserId - Labels the player's own row
+ * @param {number} now - Local time in milliseconds
+ * @returns {string} - HTML string
+ */
+export function renderRacePanel(race, currentUserId, now = Date.now()) {
+  const isFinished = getRaceStatus(race, now) === "finished";
+
+  return `
+    <div class="race-panel">
+      <div id="race-status" class="race-status">${escapeHtml(getRaceStatusText(race, now))}</div>
+      <div class="race-racers">
+        ${race.racers.map((racer) => renderRacer(racer, racer.userId === currentUserId)).join("")}
+      </div>
+      ${isFinished ? `<button id="open-race-results" class="secondary">Race Results</button>` : ""}
+    </div>
+  `;
+}
+
+/**
+ * Render the race panel for the game view, if the player's session has a race
+ * @returns {string} - HTML string
+ */
+export function renderRaceSection() {
+  return raceInfo.race ? renderRacePanel(raceInfo.race, getCurrentUser()?.id) : "";
+}
+
+/**
+ * Format a finishing time (also used for the timed mode clock)
+ * @param {number|null} elapsedMs - Time from the start
+ * @returns {string} - m:ss, or a dash for players who had not finished
+ */
+export function formatRaceTime(elapsedMs) {
+  if (elapsedMs === null || elapsedMs === undefined) return "-";
+
+  const totalSeconds = Math.round(elapsedMs / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Render the finishing order
+ * @param {Array} standings - Standings from the server, winner first
+ * @param {string} currentUserId - Highlights the current user's row
+ * @returns {string} - HTML string
+ */
+export function renderRaceStandings(standings, currentUserId) {
+  return `
+    <ol class="leaderboard-list">
+      ${standings
+        .map(
+          (standing) => `
+            <li class="leaderboard-row ${standing.userId === currentUserId ? "current-user" : ""}">
+              <span class="leaderboard-rank">${PLACE_MEDALS[standing.place] || standing.place}</span>
+              <span class="leaderboard-name">${escapeHtml(standing.username)}</span>
+              <span class="leaderboard-stat">${standing.solvedCount}/${GAME_CONFIG.totalCategories} solved</span>
+              <span class="leaderboard-stat">${standing.mistakes} mistakes</span>
+              <span class="leaderboard-stat">${formatRaceTime(standing.elapsedMs)}</span>
+            </li>
+          `
+        )
+        .join("")}
+    </ol>
+  `;
+}
+
+/**
+ * Open the race results screen
+ */
+export function openRaceResults() {
+  const { race } = raceInfo;
+  if (!race?.standings) return;
+
+  const app = document.querySelector("#app");
+  app.dataset.view = "race";
+  app.innerHTML = `
+    <h1>Race Results</h1>
+    <div class="race-results">
+      <p class="race-status">${escapeHtml(getRaceStatusText(race))}</p>
+      ${renderRaceStandings(race.standings, getCurrentUser()?.id)}
+      <div class="game-controls">
+        <button id="race-back" class="secondary">Back to game</button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById("race-back")?.addEventListener("click", () => refreshGame());
+}
+
+/**
+ * Keep the countdown text ticking and unlock the board when it reaches zero
+ */
+export function syncRaceCountdown() {
+  const { race } = raceInfo;
+  if (countdownTimer || !race || getRaceStatus(race) !== "countdown") return;
+
+  countdownTimer = setInterval(() => {
+    const statusElement = document.getElementById("race-status");
+    if (statusElement) {
+      statusElement.textContent = getRaceStatusText(race);
+    }
+
+    if (getRaceStatus(race) !== "countdown") {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+      if (document.querySelector("#app")?.dataset.view === "game") {
+        rerenderGame();
+      }
+    }
+  }, 250);
+}
+
+/**
+ * Handle a race.updated event for the player's channel session
+ * @param {Object} event - Event payload with the session ID and race
+ */
+export async function handleRaceUpdated(event) {
+  const userId = getCurrentUser()?.id;
+  const isRacer = event.race.racers.some((racer) => racer.userId === userId);
+  if (raceInfo.sessionId !== event.sessionId && !isRacer) return;
+
+  const wasFinished = raceInfo.race?.status === "finished";
+  if (!applyRaceUpdate(event.sessionId, event.race)) return;
+
+  const view = document.querySelector("#app")?.dataset.view;
+  if (!wasFinished && event.race.status === "finished" && (view === "game" || view === "race")) {
+    openRaceResults();
+  } else if (view === "game") {
+    await rerenderGame();
+  }
+}
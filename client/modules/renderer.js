@@ -10,13 +10,35 @@ import {
   clearSelection,
   getCurrentDate,
   getDisplayOrder,
-  setDisplayOrder
+  getToday,
+  getActiveHints
 } from "./game-state.js";
-import { handleSubmit, handleShuffle } from "./game-logic.js";
-import { getCurrentUser, getDiscordSdk } from "./discord.js";
-import { isLocalMode, isDevMode, CATEGORY_COLORS } from "../config.js";
+import { handleSubmit, handleShuffle, handleHint, describeHint } from "./game-logic.js";
+import { getCurrentUser, getDiscordSdk, getInstanceId } from "./discord.js";
+import { isLocalMode, isDevMode, CATEGORY_COLORS, GAME_CONFIG, HARD_MODE_CONFIG } from "../config.js";
 import { escapeHtml } from "../utils/helpers.js";
 import { deleteGameResult } from "./api.js";
+import {
+  getRaceInfo,
+  isBoardLocked,
+  isRacing,
+  renderRaceSection,
+  syncRaceCountdown,
+  startRace,
+  openRaceResults,
+  formatRaceTime
+} from "./race.js";
+import { renderClock, startBoardTimer, syncClock, playTimed, playHardMode, getSolveTimeMs } from "./timer.js";
+
+// What the next hint does, shown on the hint button with its cost
+const HINT_LABELS = {
+  word: "Reveal a word",
+  title: "Reveal a title",
+  group: "Lock in a group"
+};
+
+// Shown in place of a solved group's title, which hard mode keeps hidden until the game ends
+const HIDDEN_TITLE = "???";
 
 /**
  * Render the complete game UI
@@ -39,10 +61,13 @@ export function renderGame(serverGameState) {
     `;
   }
 
+  html += renderToolbar();
+  html += renderArchiveBanner();
+  html += renderRaceSection();
   html += renderCompletedPlayers(serverGameState);
 
   if (gameState.hasPlayed) {
-    html += renderAlreadyPlayed(serverGameState, currentUser);
+    html += renderAlreadyPlayed();
   } else if (gameState.isGameOver) {
     html += renderGameOver();
   } else {
@@ -50,14 +75,125 @@ export function renderGame(serverGameState) {
   }
 
   app.innerHTML = html;
+  app.dataset.view = "game";
 
-  if (!gameState.isGameOver && !gameState.hasPlayed) {
+  // Racers wait for the countdown with the board visible but locked
+  if (!gameState.isGameOver && !gameState.hasPlayed && !isBoardLocked()) {
     attachEventListeners();
+    startBoardTimer();
   }
 
   if (isDevMode && (gameState.isGameOver || gameState.hasPlayed)) {
     attachDeleteListener();
   }
+
+  attachToolbarListeners();
+  syncRaceCountdown();
+  syncClock();
+}
+
+/**
+ * Render the toolbar with links to other views
+ * @returns {string} - HTML string
+ */
+function renderToolbar() {
+  const gameState = getGameState();
+  const buttons = [
+    `<button class="secondary open-stats">Stats</button>`,
+    `<button id="open-leaderboard" class="secondary">Leaderboard</button>`,
+    `<button id="open-archive" class="secondary">Archive</button>`
+  ];
+
+  // Co-op boards belong to an activity instance and are always today's puzzle
+  if (getInstanceId() && !gameState.isArchive) {
+    buttons.push(`<button id="open-coop" class="secondary">Play Co-op</button>`);
+  }
+
+  // Channel sessions only ever play today's puzzle
+  if (!gameState.isArchive) {
+    buttons.push(`<button class="secondary open-spectator">Watch Friends</button>`);
+  }
+
+  if (getRaceInfo().canStart && !gameState.isArchive && !gameState.hasPlayed) {
+    buttons.push(`<button id="start-race" class="secondary">Start Race</button>`);
+  }
+
+  if (gameState.canManagePuzzles) {
+    buttons.push(`<button id="open-editor" class="secondary">Puzzle Editor</button>`);
+  }
+
+  return `<div class="toolbar">${buttons.join("")}</div>`;
+}
+
+/**
+ * Attach event listeners to toolbar buttons
+ */
+function attachToolbarListeners() {
+  document.querySelectorAll(".open-stats").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const { openStatsModal } = await import("./stats.js");
+      await openStatsModal();
+    });
+  });
+
+  document.getElementById("open-leaderboard")?.addEventListener("click", async () => {
+    const { openLeaderboard } = await import("./leaderboard.js");
+    await openLeaderboard();
+  });
+
+  document.getElementById("open-archive")?.addEventListener("click", async () => {
+    const { openArchive } = await import("./archive.js");
+    await openArchive();
+  });
+
+  document.getElementById("open-coop")?.addEventListener("click", async () => {
+    const { openCoop } = await import("./coop.js");
+    await openCoop();
+  });
+
+  document.querySelectorAll(".open-spectator").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const { openSpectator } = await import("./spectator.js");
+      await openSpectator();
+    });
+  });
+
+  document.getElementById("start-race")?.addEventListener("click", startRace);
+  document.getElementById("open-race-results")?.addEventListener("click", openRaceResults);
+
+  document.getElementById("back-to-today")?.addEventListener("click", async () => {
+    const { loadGame } = await import("./game-loader.js");
+    try {
+      await loadGame(getToday());
+    } catch (error) {
+      console.error("Error loading today's puzzle:", error);
+      alert("Today's puzzle isn't available yet.");
+    }
+  });
+
+  document.getElementById("open-editor")?.addEventListener("click", async () => {
+    const { openEditor } = await import("./editor.js");
+    await openEditor();
+  });
+}
+
+/**
+ * Render a banner when playing a past puzzle from the archive
+ * @returns {string} - HTML string
+ */
+function renderArchiveBanner() {
+  const gameState = getGameState();
+
+  if (!gameState.isArchive) {
+    return "";
+  }
+
+  return `
+    <div class="archive-banner">
+      <span>Archive puzzle for ${escapeHtml(getCurrentDate())}</span>
+      <button id="back-to-today" class="link-button">Back to today</button>
+    </div>
+  `;
 }
 
 /**
@@ -72,9 +208,11 @@ function renderCompletedPlayers(serverGameState) {
     return "";
   }
 
+  const heading = getGameState().isArchive ? "Completed from the Archive" : "Completed Today";
+
   return `
     <div class="completed-players">
-      <h2>Completed Today</h2>
+      <h2>${heading}</h2>
       <div class="player-results-grid">
         ${completedPlayers
           .map(([userId, player]) => {
@@ -84,6 +222,7 @@ function renderCompletedPlayers(serverGameState) {
           <div class="player-result-card">
             ${renderPlayerAvatar(player, userId)}
             <div class="player-name">${escapeHtml(player.username)}</div>
+            ${player.hardMode ? `<span class="hard-mode-badge">🔥 Hard</span>` : ""}
             ${renderGuessGrid(guessHistory)}
           </div>
         `;
@@ -100,7 +239,7 @@ function renderCompletedPlayers(serverGameState) {
  * @param {string} userId - User ID
  * @returns {string} - HTML string
  */
-function renderPlayerAvatar(player, userId) {
+export function renderPlayerAvatar(player, userId) {
   if (player.avatar) {
     const avatarUrl = `https://cdn.discordapp.com/avatars/${userId}/${player.avatar}.png?size=128`;
     return `<img src="${avatarUrl}" alt="${escapeHtml(player.username)}" class="player-avatar" />`;
@@ -110,29 +249,12 @@ function renderPlayerAvatar(player, userId) {
   return `<div class="player-avatar-fallback">${initials}</div>`;
 }
 
-/**
- * Get the difficulty level for a specific word
- * @param {string} word - The word to check
- * @returns {number|null} - Difficulty level (0-3) or null if not found
- */
-function getWordDifficulty(word) {
-  const gameData = getGameData();
-  if (!gameData || !gameData.categories) return null;
-
-  for (const category of gameData.categories) {
-    if (category.members.includes(word)) {
-      return category.difficulty;
-    }
-  }
-  return null;
-}
-
 /**
  * Render the visual guess grid (colored squares)
  * @param {Array} guessHistory - Array of guess objects
  * @returns {string} - HTML string
  */
-function renderGuessGrid(guessHistory) {
+export function renderGuessGrid(guessHistory) {
   if (!guessHistory || guessHistory.length === 0) {
     return '<div class="guess-grid">No data</div>';
   }
@@ -144,12 +266,22 @@ function renderGuessGrid(guessHistory) {
     3: "#ba81c5" // Purple (hardest)
   };
   const incorrectColor = "#5a5a5a";
+  const hintCount = countHints(guessHistory);
 
+  // Revealed words and titles get no row; a group locked in by a hint is drawn faded
   return `
     <div class="guess-grid">
       ${guessHistory
+        .filter((guess) => guess.type !== "hint" || guess.hint === "group")
         .map((guess) => {
-          if (guess.correct && guess.difficulty !== null) {
+          if (guess.type === "hint") {
+            const color = colors[guess.difficulty] || incorrectColor;
+            return `
+              <div class="guess-row hinted" title="Locked in with a hint">
+                ${Array(4).fill(`<div class="guess-square" style="background-color: ${color}"></div>`).join("")}
+              </div>
+            `;
+          } else if (guess.correct && guess.difficulty !== null) {
             const color = colors[guess.difficulty] || incorrectColor;
             return `
               <div class="guess-row">
@@ -157,32 +289,88 @@ function renderGuessGrid(guessHistory) {
               </div>
             `;
           } else {
-            const squares = guess.words.map((word) => {
-              const difficulty = getWordDifficulty(word);
-              const color = difficulty !== null ? colors[difficulty] : incorrectColor;
+            const wordDifficulties = guess.wordDifficulties || Array(4).fill(null);
+            const squares = wordDifficulties.map((difficulty) => {
+              const color = difficulty !== null ? colors[difficulty] || incorrectColor : incorrectColor;
               return `<div class="guess-square" style="background-color: ${color}"></div>`;
             });
             return `<div class="guess-row">${squares.join("")}</div>`;
           }
         })
         .join("")}
+      ${hintCount > 0 ? `<div class="guess-hints">💡 ${formatHintCount(hintCount)}</div>` : ""}
     </div>
   `;
 }
 
+/**
+ * Count the hints in a guess history
+ * @param {Array} guessHistory - Array of guess objects
+ * @returns {number} - Hints taken
+ */
+export function countHints(guessHistory) {
+  return (guessHistory || []).filter((guess) => guess.type === "hint").length;
+}
+
+/**
+ * Format a number of hints
+ * @param {number} count - Hints taken
+ * @returns {string} - e.g. "1 hint" or "3 hints"
+ */
+function formatHintCount(count) {
+  return `${count} hint${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Render the player's hint usage for the final score
+ * @returns {string} - HTML string (empty for a clean game)
+ */
+function renderHintUsage() {
+  const gameState = getGameState();
+  const hintCount = countHints(gameState.guessHistory);
+
+  return hintCount > 0 ? `<br>Hints: ${formatHintCount(hintCount)} (+${gameState.hintPenalty} penalty)` : "";
+}
+
+/**
+ * Render how long a timed game took for the final score
+ * @returns {string} - HTML string (empty for untimed games)
+ */
+function renderSolveTime() {
+  const solveTimeMs = getSolveTimeMs();
+  return getGameState().timed && solveTimeMs !== null ? `<br>Time: ${formatRaceTime(solveTimeMs)}` : "";
+}
+
+/**
+ * Render the hard mode line for the final score
+ * @returns {string} - HTML string (empty for normal games)
+ */
+function renderHardModeResult() {
+  return getGameState().hardMode ? `<br><span class="hard-mode-badge">🔥 Hard mode</span>` : "";
+}
+
+/**
+ * Render a category's title, or a placeholder while hard mode keeps it hidden
+ * @param {Object} category - Category with its group title (null while hidden)
+ * @returns {string} - HTML string
+ */
+function renderCategoryTitle(category) {
+  return category.group === null ? HIDDEN_TITLE : escapeHtml(category.group);
+}
+
 /**
  * Helper to render categories with optional solved/unsolved styling
  * @param {Array} categoriesToRender - Array of category objects with `solved` property
  * @returns {string} - HTML string
  */
-function renderCategoriesWithState(categoriesToRender) {
+export function renderCategoriesWithState(categoriesToRender) {
   let html = `<div class="solved-categories">`;
   categoriesToRender.forEach((category) => {
     const colorClass = CATEGORY_COLORS[category.difficulty] || "yellow";
     const opacity = category.solved ? "" : " unsolved";
     html += `
       <div class="category ${colorClass}${opacity}">
-        <div class="category-title">${escapeHtml(category.group)}</div>
+        <div class="category-title">${renderCategoryTitle(category)}</div>
         <div class="category-words">${category.members.map(escapeHtml).join(", ")}</div>
       </div>
     `;
@@ -191,61 +379,27 @@ function renderCategoriesWithState(categoriesToRender) {
   return html;
 }
 
-/**
- * Render categories from completed game data
- * @param {Array} guessHistory - Player's guess history
- * @returns {string} - HTML string
- */
-function renderCompletedCategories(guessHistory) {
-  const gameData = getGameData();
-
-  if (!gameData || !gameData.categories) {
-    return "";
-  }
-
-  const correctGuesses = guessHistory.filter((g) => g.correct);
-  const solvedGroups = new Set(
-    correctGuesses
-      .map((guess) => {
-        const category = gameData.categories.find((cat) => cat.members.every((member) => guess.words.includes(member)));
-        return category?.group;
-      })
-      .filter(Boolean)
-  );
-
-  const allCategories = gameData.categories.map((cat) => ({
-    ...cat,
-    solved: solvedGroups.has(cat.group)
-  }));
-
-  allCategories.sort((a, b) => {
-    if (a.solved && !b.solved) return -1;
-    if (!a.solved && b.solved) return 1;
-    return 0;
-  });
-
-  return renderCategoriesWithState(allCategories);
-}
-
 /**
  * Render message for players who already completed the game
- * @param {Object} serverGameState - Server game state
- * @param {Object} currentUser - Current user object
  * @returns {string} - HTML string
  */
-function renderAlreadyPlayed(serverGameState, currentUser) {
-  const playerData = serverGameState.players[currentUser.id];
-  const guessHistory =
-    typeof playerData.guessHistory === "string" ? JSON.parse(playerData.guessHistory) : playerData.guessHistory;
+function renderAlreadyPlayed() {
+  const gameState = getGameState();
+  const title = gameState.isArchive
+    ? `You've already completed the Synapse for ${escapeHtml(getCurrentDate())}!`
+    : "You've already completed today's Synapse!";
 
   return `
     <div class="game-over">
-      <h2>You've already completed today's Synapse!</h2>
+      <h2>${title}</h2>
       <div class="final-score">
-        Score: ${playerData.score}/4 categories<br>
-        Mistakes: ${playerData.mistakes}/4
+        Score: ${gameState.solvedCategories.length}/${GAME_CONFIG.totalCategories} categories<br>
+        Mistakes: ${gameState.mistakes}/${gameState.maxMistakes}${renderHintUsage()}${renderSolveTime()}
+        ${renderHardModeResult()}
       </div>
-      ${renderCompletedCategories(guessHistory)}
+      ${renderFinalCategories()}
+      <button class="open-stats">View Stats</button>
+      ${gameState.isArchive ? "" : `<button class="secondary open-spectator">Watch Friends Play</button>`}
       ${isDevMode ? '<button id="delete-record" class="dev-delete-btn">Delete My Record</button>' : ""}
     </div>
   `;
@@ -286,9 +440,11 @@ function renderGameOver() {
       <h2>${won ? "🎉 Congratulations!" : "Game Over"}</h2>
       <div class="final-score">
         You solved ${score}/4 categories<br>
-        Mistakes: ${gameState.mistakes}/${gameState.maxMistakes}
+        Mistakes: ${gameState.mistakes}/${gameState.maxMistakes}${renderHintUsage()}${renderSolveTime()}
+        ${renderHardModeResult()}
       </div>
       ${renderFinalCategories()}
+      <button class="open-stats">View Stats</button>
       ${isDevMode ? '<button id="delete-record" class="dev-delete-btn">Delete My Record (Dev Mode)</button>' : ""}
     </div>
   `;
@@ -301,26 +457,63 @@ function renderGameOver() {
 function renderGameBoard() {
   const gameState = getGameState();
 
-  let html = `
+  let html = renderMistakeStatus(gameState.mistakes, gameState.maxMistakes);
+
+  html += renderClock(!isBoardLocked());
+  html += renderHardMode(!isBoardLocked());
+  html += renderSolvedCategories();
+  html += renderActiveHints();
+  html += `<div id="message"></div>`;
+  html += renderWordGrid();
+  html += renderControls();
+
+  return html;
+}
+
+/**
+ * Render the hard mode badge, or the button to switch hard mode on before the first guess
+ * @param {boolean} canChoose - False while the board is locked
+ * @returns {string} - HTML string
+ */
+function renderHardMode(canChoose) {
+  const { hardMode, guessHistory } = getGameState();
+
+  if (hardMode) {
+    return `<div class="hard-mode"><span class="hard-mode-badge">🔥 Hard mode</span></div>`;
+  }
+
+  if (canChoose && guessHistory.length === 0) {
+    const rules = `${HARD_MODE_CONFIG.maxMistakes} mistakes, no hints or near misses`;
+    return `
+      <div class="hard-mode">
+        <button id="play-hard" class="secondary" title="${rules}">🔥 Play hard mode</button>
+      </div>
+    `;
+  }
+
+  return "";
+}
+
+/**
+ * Render the remaining mistakes with one dot per allowed mistake
+ * @param {number} mistakes - Mistakes made so far
+ * @param {number} maxMistakes - Mistakes allowed
+ * @returns {string} - HTML string
+ */
+export function renderMistakeStatus(mistakes, maxMistakes) {
+  return `
     <div class="game-status">
       <div class="mistakes">
-        Mistakes remaining: ${gameState.maxMistakes - gameState.mistakes}
+        Mistakes remaining: ${maxMistakes - mistakes}
       </div>
       <div class="mistake-dots">
         ${Array.from(
-          { length: gameState.maxMistakes },
-          (_, i) => `<div class="mistake-dot ${i < gameState.mistakes ? "used" : ""}"></div>`
+          { length: maxMistakes },
+          (_, i) => `<div class="mistake-dot ${i < mistakes ? "used" : ""}"></div>`
         ).join("")}
       </div>
     </div>
   `;
-
-  html += renderSolvedCategories();
-  html += `<div id="message"></div>`;
-  html += renderWordGrid();
-  html += renderControls();
-
-  return html;
 }
 
 /**
@@ -334,13 +527,19 @@ function renderSolvedCategories() {
     return "";
   }
 
+  const hintedDifficulties = new Set(
+    gameState.guessHistory
+      .filter((entry) => entry.type === "hint" && entry.hint === "group")
+      .map((entry) => entry.difficulty)
+  );
   let html = `<div class="solved-categories">`;
 
   gameState.solvedCategories.forEach((category) => {
     const colorClass = CATEGORY_COLORS[category.difficulty] || "yellow";
+    const hinted = hintedDifficulties.has(category.difficulty);
     html += `
-      <div class="category ${colorClass}">
-        <div class="category-title">${escapeHtml(category.group)}</div>
+      <div class="category ${colorClass}${hinted ? " hinted" : ""}">
+        <div class="category-title">${renderCategoryTitle(category)}${hinted ? " 💡" : ""}</div>
         <div class="category-words">${category.members.map(escapeHtml).join(", ")}</div>
       </div>
     `;
@@ -350,6 +549,24 @@ function renderSolvedCategories() {
   return html;
 }
 
+/**
+ * Render the revealed words and titles that still point at unsolved groups
+ * @returns {string} - HTML string
+ */
+function renderActiveHints() {
+  const hints = getActiveHints();
+
+  if (hints.length === 0) {
+    return "";
+  }
+
+  return `
+    <ul class="active-hints">
+      ${hints.map((hint) => `<li>${escapeHtml(describeHint(hint))}</li>`).join("")}
+    </ul>
+  `;
+}
+
 /**
  * Render the word grid
  * @returns {string} - HTML string
@@ -357,30 +574,25 @@ function renderSolvedCategories() {
 function renderWordGrid() {
   const remainingWords = getRemainingWords();
   const remainingSet = new Set(remainingWords);
-  let displayWords;
+  const displayOrder = getDisplayOrder();
+  const displayWords = displayOrder ? displayOrder.filter((word) => remainingSet.has(word)) : remainingWords;
   let html = "";
 
-  if (isDevMode) {
-    displayWords = remainingWords;
-  } else {
-    let displayOrder = getDisplayOrder();
-    if (displayOrder) {
-      displayWords = displayOrder.filter((word) => remainingSet.has(word));
-    } else {
-      displayWords = remainingWords;
-    }
-  }
-
   const gameState = getGameState();
   const selectedWords = gameState.selectedWords || [];
+  const locked = isBoardLocked();
+  const hintedWords = new Set(getActiveHints().map((hint) => hint.word));
 
   html += `
-    <div class="game-grid ${isDevMode ? "dev-mode" : ""}">
+    <div class="game-grid">
       ${displayWords
         .map((word) => {
           const isSelected = selectedWords.includes(word);
+          const classes = ["word-button", isSelected && "selected", hintedWords.has(word) && "hinted"].filter(Boolean);
           return `
-        <button class="word-button ${isSelected ? "selected" : ""}" data-word="${escapeHtml(word)}">
+        <button class="${classes.join(" ")}" data-word="${escapeHtml(word)}" ${
+            locked ? "disabled" : ""
+          }>
           ${escapeHtml(word)}
         </button>
       `;
@@ -397,10 +609,14 @@ function renderWordGrid() {
  * @returns {string} - HTML string
  */
 function renderControls() {
+  const { nextHint } = getGameState();
+  const hintLabel = nextHint ? `${HINT_LABELS[nextHint.hint]} (+${nextHint.cost})` : "Hint";
+
   return `
     <div class="game-controls">
       <button id="shuffle" class="secondary">Shuffle</button>
       <button id="deselect" class="secondary">Deselect All</button>
+      <button id="hint" class="secondary" ${nextHint && !isRacing() ? "" : "disabled"}>💡 ${hintLabel}</button>
       <button id="submit" disabled>Submit</button>
     </div>
   `;
@@ -435,6 +651,12 @@ function attachEventListeners() {
     updateSubmitButton();
   });
 
+  document.getElementById("hint")?.addEventListener("click", handleHint);
+
+  document.getElementById("play-timed")?.addEventListener("click", playTimed);
+
+  document.getElementById("play-hard")?.addEventListener("click", playHardMode);
+
   document.getElementById("submit")?.addEventListener("click", handleSubmit);
 }
 
@@ -0,0 +1,283 @@
+/**
+ * Spectator view: watch another player in the channel work through today's puzzle as it happens
+ */
+
+import { fetchSpectatableSessions, fetchSpectatorBoard } from "./api.js";
+import { getGuildId, getChannelId, getCurrentUser } from "./discord.js";
+import { getToday } from "./game-state.js";
+import { refreshGame } from "./game-logic.js";
+import { renderPlayerAvatar, renderCategoriesWithState, renderMistakeStatus, renderGuessGrid } from "./renderer.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { GAME_CONFIG } from "../config.js";
+
+let sessions = [];
+let board = null;
+
+/**
+ * Get the board currently being watched
+ * @returns {Object|null} - Spectated board from the server
+ */
+export function getSpectatedBoard() {
+  return board;
+}
+
+/**
+ * Forget the sessions and the watched board (used when leaving the view and by tests)
+ */
+export function resetSpectator() {
+  sessions = [];
+  board = null;
+}
+
+/**
+ * Check whether the spectator view is on screen
+ * @returns {boolean} - True if the spectator view is being shown
+ */
+function isSpectatorViewVisible() {
+  return document.querySelector("#app")?.dataset.view === "spectate";
+}
+
+/**
+ * Describe how far a player has got
+ * @param {Object} player - Player summary from the session list
+ * @returns {string} - Short status text
+ */
+export function getPlayerStatusText(player) {
+  if (player.isGameOver) {
+    return player.solvedCount === GAME_CONFIG.totalCategories ? "Solved it" : "Finished";
+  }
+
+  if (player.guessCount === 0) {
+    return "Not started";
+  }
+
+  return `Playing - ${player.solvedCount}/${GAME_CONFIG.totalCategories} solved, ${player.mistakes} mistakes`;
+}
+
+/**
+ * Render the players in each channel session, each one a button to watch them
+ * @param {Array} channelSessions - Sessions from the server
+ * @param {string} currentUserId - The current user is listed but cannot be picked
+ * @returns {string} - HTML string
+ */
+export function renderSessionList(channelSessions, currentUserId) {
+  const players = channelSessions.flatMap((session) => session.players);
+
+  if (players.length === 0) {
+    return `<p class="spectate-empty">Nobody is playing in this channel right now.</p>`;
+  }
+
+  return `
+    <div class="spectate-sessions">
+      ${channelSessions
+        .map(
+          (session) => `
+            <div class="spectate-session">
+              ${session.players
+                .map((player) => {
+                  const isCurrentUser = player.userId === currentUserId;
+                  return `
+                    <button class="spectate-player" data-user-id="${escapeHtml(player.userId)}"
+                      ${isCurrentUser ? "disabled" : ""}>
+                      ${renderPlayerAvatar({ username: player.username }, player.userId)}
+                      <span class="spectate-name">${escapeHtml(player.username)}${isCurrentUser ? " (you)" : ""}</span>
+                      <span class="spectate-status">${escapeHtml(getPlayerStatusText(player))}</span>
+                    </button>
+                  `;
+                })
+                .join("")}
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render the tiles still on a watched board, face down unless the spectator may see them
+ * @param {Object} spectatedBoard - Board from the server
+ * @returns {string} - HTML string
+ */
+function renderRemainingTiles(spectatedBoard) {
+  const tiles = spectatedBoard.canSeeWords
+    ? spectatedBoard.remainingWords.map((word) => escapeHtml(word))
+    : Array(spectatedBoard.remainingCount).fill("?");
+
+  return `
+    <div class="game-grid spectate-grid">
+      ${tiles
+        .map(
+          (tile) => `<div class="word-button ${spectatedBoard.canSeeWords ? "" : "hidden-word"}">${tile}</div>`
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render the words of each guess, for spectators allowed to see them
+ * @param {Array} guessHistory - Guesses from the server
+ * @returns {string} - HTML string
+ */
+function renderGuessWords(guessHistory) {
+  const guesses = guessHistory.filter((guess) => guess.words && guess.type !== "hint");
+  if (guesses.length === 0) {
+    return "";
+  }
+
+  return `
+    <ol class="spectate-guesses">
+      ${guesses
+        .map(
+          (guess) => `
+            <li class="${guess.correct ? "correct" : "wrong"}">${guess.words.map(escapeHtml).join(", ")}</li>
+          `
+        )
+        .join("")}
+    </ol>
+  `;
+}
+
+/**
+ * Render a watched player's board
+ * @param {Object} spectatedBoard - Board from the server
+ * @returns {string} - HTML string
+ */
+export function renderSpectatorBoard(spectatedBoard) {
+  const solved = spectatedBoard.solvedCategories.map((category) => ({ ...category, solved: true }));
+  let status = "";
+
+  if (spectatedBoard.isGameOver) {
+    status = spectatedBoard.won ? "🎉 Solved it!" : "Out of mistakes";
+  }
+
+  return `
+    <h2>
+      Watching ${escapeHtml(spectatedBoard.username)}
+      ${spectatedBoard.hardMode ? `<span class="hard-mode-badge">🔥 Hard</span>` : ""}
+    </h2>
+    ${status ? `<div class="message info">${status}</div>` : ""}
+    ${renderMistakeStatus(spectatedBoard.mistakes, spectatedBoard.maxMistakes)}
+    ${solved.length > 0 ? renderCategoriesWithState(solved) : ""}
+    ${spectatedBoard.remainingCount > 0 ? renderRemainingTiles(spectatedBoard) : ""}
+    ${spectatedBoard.canSeeWords ? "" : `<p class="spectate-note">Finish today's puzzle to see the unsolved words.</p>`}
+    ${spectatedBoard.guessHistory.length > 0 ? renderGuessGrid(spectatedBoard.guessHistory) : ""}
+    ${renderGuessWords(spectatedBoard.guessHistory)}
+  `;
+}
+
+/**
+ * Render the spectator view: the player list, or the board being watched
+ */
+function renderSpectator() {
+  const app = document.querySelector("#app");
+
+  app.innerHTML = `
+    <h1>Watch Friends</h1>
+    ${board ? renderSpectatorBoard(board) : renderSessionList(sessions, getCurrentUser()?.id)}
+    <div class="game-controls">
+      ${board ? `<button id="spectate-list" class="secondary">All players</button>` : ""}
+      <button id="spectate-back" class="secondary">Back to game</button>
+    </div>
+  `;
+  app.dataset.view = "spectate";
+
+  attachSpectatorListeners();
+}
+
+/**
+ * Render an error in place of the spectator view
+ * @param {string} message - Error message
+ */
+function renderSpectatorError(message) {
+  const app = document.querySelector("#app");
+
+  app.innerHTML = `
+    <h1>Watch Friends</h1>
+    <div class="message error">${escapeHtml(message)}</div>
+    <div class="game-controls">
+      <button id="spectate-back" class="secondary">Back to game</button>
+    </div>
+  `;
+  app.dataset.view = "spectate";
+
+  attachSpectatorListeners();
+}
+
+/**
+ * Load the sessions in the current channel
+ */
+async function loadSessions() {
+  sessions = await fetchSpectatableSessions(getGuildId(), getChannelId(), getToday());
+}
+
+/**
+ * Open the list of players in the current channel
+ */
+export async function openSpectator() {
+  const app = document.querySelector("#app");
+  app.dataset.view = "spectate";
+  app.innerHTML = `<div id="loading">Finding players...</div>`;
+
+  try {
+    resetSpectator();
+    await loadSessions();
+    renderSpectator();
+  } catch (error) {
+    console.error("Error loading sessions to watch:", error);
+    renderSpectatorError(error.message);
+  }
+}
+
+/**
+ * Start watching a player
+ * @param {string} userId - Player to watch
+ */
+export async function watchPlayer(userId) {
+  try {
+    board = await fetchSpectatorBoard(getGuildId(), getToday(), userId);
+    renderSpectator();
+  } catch (error) {
+    console.error("Error loading player's board:", error);
+    renderSpectatorError(error.message);
+  }
+}
+
+/**
+ * Handle a guess.recorded or player.joined event, refreshing whatever the spectator is looking at
+ * @param {Object} event - Event payload with the session, player and date
+ */
+export async function handleSpectatorEvent(event) {
+  if (!isSpectatorViewVisible()) return;
+
+  if (board) {
+    // Events carry no words, so the board is fetched again to get what this spectator may see
+    if (event.userId !== board.userId || event.date !== board.date) return;
+    board = await fetchSpectatorBoard(getGuildId(), board.date, board.userId);
+  } else if (sessions.some((session) => session.sessionId === event.sessionId)) {
+    await loadSessions();
+  } else {
+    return;
+  }
+
+  if (isSpectatorViewVisible()) {
+    renderSpectator();
+  }
+}
+
+/**
+ * Attach event listeners to the spectator view
+ */
+function attachSpectatorListeners() {
+  document.querySelectorAll(".spectate-player").forEach((button) => {
+    button.addEventListener("click", () => watchPlayer(button.dataset.userId));
+  });
+
+  document.getElementById("spectate-list")?.addEventListener("click", () => openSpectator());
+
+  document.getElementById("spectate-back")?.addEventListener("click", () => {
+    resetSpectator();
+    refreshGame();
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Player statistics modal
+ */
+
+import { fetchUserStats } from "./api.js";
+import { getGuildId, getCurrentUser } from "./discord.js";
+import { formatRaceTime } from "./race.js";
+import { escapeHtml } from "../utils/helpers.js";
+import { CATEGORY_COLORS } from "../config.js";
+
+/**
+ * Render a bar chart row for each entry of a distribution
+ * @param {Object} distribution - Counts keyed by label
+ * @param {Function} getClassName - Returns the bar's CSS class for a label
+ * @param {Function} formatValue - Returns the text shown on a bar
+ * @returns {string} - HTML string
+ */
+function renderDistribution(distribution, getClassName = () => "", formatValue = (count) => count) {
+  const highest = Math.max(1, ...Object.values(distribution));
+
+  return Object.entries(distribution)
+    .map(
+      ([label, count]) => `
+        <div class="stats-bar-row">
+          <span class="stats-bar-label">${escapeHtml(label)}</span>
+          <div class="stats-bar ${getClassName(label)}" style="width: ${Math.max(8, (count / highest) * 100)}%">${formatValue(count)}</div>
+        </div>
+      `
+    )
+    .join("");
+}
+
+/**
+ * Render solve times and the average time to find each colour (nothing until a game has been timed)
+ * @param {Object} stats - Statistics from the server
+ * @returns {string} - HTML string
+ */
+function renderTimingStats(stats) {
+  if (stats.averageGuessIntervalMs === null || stats.averageGuessIntervalMs === undefined) {
+    return "";
+  }
+
+  const summary = [
+    ["Fastest Solve", stats.fastestSolveTimeMs],
+    ["Average Solve", stats.averageSolveTimeMs],
+    ["Between Guesses", stats.averageGuessIntervalMs]
+  ];
+  const colorTimes = Object.fromEntries(
+    CATEGORY_COLORS.map((color) => [color, stats.averageColorTimes?.[color] || 0])
+  );
+
+  return `
+    <h3>Timing</h3>
+    <div class="stats-summary">
+      ${summary
+        .map(
+          ([label, value]) => `
+            <div class="stats-summary-item">
+              <div class="stats-value">${formatRaceTime(value)}</div>
+              <div class="stats-label">${label}</div>
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+    <h3>Average Time per Colour</h3>
+    <div class="stats-distribution">
+      ${renderDistribution(colorTimes, (color) => color, (ms) => (ms ? formatRaceTime(ms) : "-"))}
+    </div>
+  `;
+}
+
+/**
+ * Render the statistics panel
+ * @param {Object} stats - Statistics from the server
+ * @returns {string} - HTML string
+ */
+export function renderStats(stats) {
+  const summary = [
+    ["Played", stats.gamesPlayed],
+    ["Win %", stats.winRate],
+    ["Current Streak", stats.currentStreak],
+    ["Max Streak", stats.maxStreak]
+  ];
+
+  const firstSolved = Object.fromEntries(
+    CATEGORY_COLORS.map((color) => [color, stats.firstSolvedColors?.[color] || 0])
+  );
+
+  return `
+    <div class="stats-summary">
+      ${summary
+        .map(
+          ([label, value]) => `
+            <div class="stats-summary-item">
+              <div class="stats-value">${value}</div>
+              <div class="stats-label">${label}</div>
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+    <h3>Mistakes</h3>
+    <div class="stats-distribution">${renderDistribution(stats.mistakeDistribution)}</div>
+    <h3>First Group Solved</h3>
+    <div class="stats-distribution">${renderDistribution(firstSolved, (color) => color)}</div>
+    ${renderTimingStats(stats)}
+  `;
+}
+
+/**
+ * Close the statistics modal
+ */
+export function closeStatsModal() {
+  document.getElementById("stats-modal")?.remove();
+}
+
+/**
+ * Open the statistics modal for the current user
+ */
+export async function openStatsModal() {
+  closeStatsModal();
+
+  const modal = document.createElement("div");
+  modal.id = "stats-modal";
+  modal.className = "modal-backdrop";
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h2>Statistics</h2>
+        <button id="close-stats" class="secondary">✕</button>
+      </div>
+      <div id="stats-content"><div class="muted">Loading stats...</div></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener("click", (event) => {
+    if (event.target === modal) {
+      closeStatsModal();
+    }
+  });
+  document.getElementById("close-stats").addEventListener("click", closeStatsModal);
+
+  const content = document.getElementById("stats-content");
+
+  try {
+    const stats = await fetchUserStats(getGuildId(), getCurrentUser().id);
+    content.innerHTML = renderStats(stats);
+  } catch (error) {
+    console.error("Error loading stats:", error);
+    content.innerHTML = `<div class="message error">Could not load stats. Try again later.</div>`;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Timed mode: the clock starts when the board first renders, and players who opt in see it running.
+ * Hard mode is chosen through the same start request, since both must be picked before the first guess.
+ */
+
+import { startGame } from "./api.js";
+import { getGuildId } from "./discord.js";
+import { getGameState, getCurrentDate, updateGameState } from "./game-state.js";
+import { rerenderGame } from "./game-logic.js";
+import { formatRaceTime } from "./race.js";
+
+let startRequest = null;
+// Server clock minus local clock, so the clock counts from the moment the server recorded
+let clockOffset = 0;
+let clockTimer = null;
+
+/**
+ * Forget the start request and stop the clock (used when loading another puzzle and by tests)
+ */
+export function resetTimer() {
+  startRequest = null;
+  clockOffset = 0;
+  clearInterval(clockTimer);
+  clockTimer = null;
+}
+
+/**
+ * Work out how long the player has been playing
+ * @param {number} now - Local time in milliseconds
+ * @returns {number} - Elapsed milliseconds (0 before the start is known)
+ */
+export function getElapsedMs(now = Date.now()) {
+  const { startedAt } = getGameState();
+  return startedAt ? Math.max(0, now + clockOffset - startedAt) : 0;
+}
+
+/**
+ * Work out how long a finished game took, from the start to the last guess
+ * @returns {number|null} - Milliseconds, or null if the start was never recorded
+ */
+export function getSolveTimeMs() {
+  const { startedAt, guessHistory } = getGameState();
+  const finishedAt = guessHistory.at(-1)?.timestamp;
+
+  return startedAt && finishedAt ? Math.max(0, finishedAt - startedAt) : null;
+}
+
+/**
+ * Ask the server to record the start, keeping only the timing and mode from its reply
+ * @param {Object} modes - { timed, hardMode } to switch on
+ */
+async function requestStart(modes) {
+  try {
+    const progress = await startGame(getGuildId(), getCurrentDate(), modes);
+    clockOffset = progress.serverTime - Date.now();
+    updateGameState({
+      startedAt: progress.startedAt,
+      timed: progress.timed,
+      hardMode: progress.hardMode,
+      maxMistakes: progress.maxMistakes,
+      nextHint: progress.nextHint
+    });
+  } catch (error) {
+    console.error("Error starting the clock:", error);
+  }
+}
+
+/**
+ * Record the start time once per loaded board
+ */
+export function startBoardTimer() {
+  if (startRequest) return;
+  startRequest = requestStart({});
+}
+
+/**
+ * Switch timed mode on before the first guess (the clock still counts from when the board was first shown)
+ */
+export async function playTimed() {
+  await requestStart({ timed: true });
+  await rerenderGame();
+}
+
+/**
+ * Switch hard mode on before the first guess (the clock still counts from when the board was first shown)
+ */
+export async function playHardMode() {
+  await requestStart({ hardMode: true });
+  await rerenderGame();
+}
+
+/**
+ * Render the clock for timed players, or the button to switch timed mode on before the first guess
+ * @param {boolean} canStartTimed - False while the board is locked
+ * @returns {string} - HTML string
+ */
+export function renderClock(canStartTimed = true) {
+  const { timed, startedAt, guessHistory } = getGameState();
+
+  if (timed && startedAt) {
+    return `<div class="game-clock">⏱️ <span id="game-clock">${formatRaceTime(getElapsedMs())}</span></div>`;
+  }
+
+  if (canStartTimed && guessHistory.length === 0) {
+    return `<div class="game-clock"><button id="play-timed" class="secondary">⏱️ Play timed</button></div>`;
+  }
+
+  return "";
+}
+
+/**
+ * Keep the clock ticking while a timed game is in progress
+ */
+export function syncClock() {
+  const { timed, isGameOver, hasPlayed } = getGameState();
+  if (clockTimer || !timed || isGameOver || hasPlayed) return;
+
+  clockTimer = setInterval(() => {
+    const state = getGameState();
+    if (state.isGameOver || state.hasPlayed) {
+      clearInterval(clockTimer);
+      clockTimer = null;
+      return;
+    }
+
+    const clockElement = document.getElementById("game-clock");
+    if (clockElement) {
+      clockElement.textContent = formatRaceTime(getElapsedMs());
+    }
+  }, 1000);
+}
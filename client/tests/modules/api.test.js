@@ -3,7 +3,35 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { fetchGameData, fetchGameState, saveGameResult } from "../../modules/api.js";
+import {
+  fetchGameData,
+  fetchGameState,
+  saveGameResult,
+  fetchPlayerProgress,
+  submitGuess,
+  fetchArchiveGameState,
+  fetchArchiveCalendar,
+  fetchUserStats,
+  fetchLeaderboard,
+  deleteGameResult,
+  fetchGuildToday,
+  joinCoop,
+  fetchCoopRoom,
+  submitCoopGuess,
+  fetchCoopTeams,
+  fetchRace,
+  startRace,
+  fetchSpectatableSessions,
+  fetchSpectatorBoard,
+  requestHint,
+  startGame
+} from "../../modules/api.js";
+import { getSessionToken } from "../../modules/discord.js";
+
+vi.mock("../../modules/discord.js", () => ({
+  getAccessToken: vi.fn(),
+  getSessionToken: vi.fn()
+}));
 
 describe("api", () => {
   beforeEach(() => {
@@ -12,18 +40,10 @@ describe("api", () => {
   });
 
   describe("fetchGameData", () => {
-    it("should fetch and transform game data successfully", async () => {
+    it("should fetch puzzle tiles successfully", async () => {
       const mockResponse = {
-        categories: [
-          {
-            title: "FRUITS",
-            cards: [{ content: "APPLE" }, { content: "ORANGE" }, { content: "BANANA" }, { content: "GRAPE" }]
-          },
-          {
-            title: "COLORS",
-            cards: [{ content: "RED" }, { content: "BLUE" }, { content: "GREEN" }, { content: "YELLOW" }]
-          }
-        ]
+        date: "2024-10-02",
+        tiles: ["APPLE", "RED", "ORANGE", "BLUE", "BANANA", "GREEN", "GRAPE", "YELLOW"]
       };
 
       global.fetch.mockResolvedValueOnce({
@@ -31,58 +51,38 @@ describe("api", () => {
         json: async () => mockResponse
       });
 
-      const result = await fetchGameData("2024-10-02");
+      const result = await fetchGameData("guild123", "2024-10-02");
 
-      expect(global.fetch).toHaveBeenCalledWith("/api/connections/2024-10-02");
-      expect(result.categories).toHaveLength(2);
-      expect(result.categories[0]).toEqual({
-        group: "FRUITS",
-        members: ["APPLE", "ORANGE", "BANANA", "GRAPE"],
-        difficulty: 0
-      });
-      expect(result.categories[1]).toEqual({
-        group: "COLORS",
-        members: ["RED", "BLUE", "GREEN", "YELLOW"],
-        difficulty: 1
-      });
+      expect(global.fetch).toHaveBeenCalledWith("/api/synapse/guild123/2024-10-02");
+      expect(result).toEqual(mockResponse);
     });
 
-    it("should throw error when fetch fails", async () => {
+    it("should not receive any categories", async () => {
       global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 404
+        ok: true,
+        json: async () => ({ date: "2024-10-02", tiles: ["A", "B", "C", "D"] })
       });
 
-      await expect(fetchGameData("2099-01-01")).rejects.toThrow("Failed to fetch game data for 2099-01-01");
-    });
+      const result = await fetchGameData("guild123", "2024-10-02");
 
-    it("should assign difficulty levels correctly", async () => {
-      const mockResponse = {
-        categories: [
-          { title: "CAT1", cards: [{ content: "A" }, { content: "B" }, { content: "C" }, { content: "D" }] },
-          { title: "CAT2", cards: [{ content: "E" }, { content: "F" }, { content: "G" }, { content: "H" }] },
-          { title: "CAT3", cards: [{ content: "I" }, { content: "J" }, { content: "K" }, { content: "L" }] },
-          { title: "CAT4", cards: [{ content: "M" }, { content: "N" }, { content: "O" }, { content: "P" }] }
-        ]
-      };
+      expect(result.categories).toBeUndefined();
+    });
 
+    it("should throw error when fetch fails", async () => {
       global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockResponse
+        ok: false,
+        status: 404
       });
 
-      const result = await fetchGameData("2024-10-02");
-
-      expect(result.categories[0].difficulty).toBe(0); // Yellow
-      expect(result.categories[1].difficulty).toBe(1); // Green
-      expect(result.categories[2].difficulty).toBe(2); // Blue
-      expect(result.categories[3].difficulty).toBe(3); // Purple
+      await expect(fetchGameData("guild123", "2099-01-01")).rejects.toThrow(
+        "Failed to fetch game data for 2099-01-01"
+      );
     });
 
     it("should handle network errors", async () => {
       global.fetch.mockRejectedValueOnce(new Error("Network error"));
 
-      await expect(fetchGameData("2024-10-02")).rejects.toThrow("Network error");
+      await expect(fetchGameData("guild123", "2024-10-02")).rejects.toThrow("Network error");
     });
   });
 
@@ -225,4 +225,497 @@ describe("api", () => {
       await expect(saveGameResult("guild123", "2024-10-02", mockResult)).rejects.toThrow("Timeout");
     });
   });
+
+  describe("fetchPlayerProgress", () => {
+    it("should fetch the signed-in player's progress with the session token", async () => {
+      getSessionToken.mockReturnValueOnce("session-abc");
+      const mockProgress = {
+        guessHistory: [],
+        solvedCategories: [],
+        mistakes: 0,
+        maxMistakes: 4,
+        isGameOver: false,
+        solution: null
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockProgress
+      });
+
+      const result = await fetchPlayerProgress("guild123", "2024-10-02");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/gamestate/guild123/2024-10-02/progress", {
+        headers: { Authorization: "Bearer session-abc" }
+      });
+      expect(result).toEqual(mockProgress);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404
+      });
+
+      await expect(fetchPlayerProgress("guild123", "2024-10-02")).rejects.toThrow(
+        "Failed to fetch player progress"
+      );
+    });
+  });
+
+  describe("submitGuess", () => {
+    it("should post the guess and return the grading", async () => {
+      const mockResponse = {
+        result: "one_away",
+        category: null,
+        progress: { mistakes: 1 }
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockResponse
+      });
+
+      const words = ["APPLE", "ORANGE", "BANANA", "RED"];
+      const result = await submitGuess("guild123", "2024-10-02", "user123", words);
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/gamestate/guild123/2024-10-02/guess", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ userId: "user123", words })
+      });
+      expect(result).toEqual(mockResponse);
+    });
+
+    it("should send the session token when signed in", async () => {
+      getSessionToken.mockReturnValueOnce("signed-token");
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ result: "correct" })
+      });
+
+      await submitGuess("guild123", "2024-10-02", "user123", ["A", "B", "C", "D"]);
+
+      expect(global.fetch.mock.calls[0][1].headers).toEqual({
+        "Content-Type": "application/json",
+        Authorization: "Bearer signed-token"
+      });
+    });
+
+    it("should throw error when the guess is rejected", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 409
+      });
+
+      await expect(submitGuess("guild123", "2024-10-02", "user123", ["A", "B", "C", "D"])).rejects.toThrow(
+        "Failed to submit guess"
+      );
+    });
+  });
+
+  describe("deleteGameResult", () => {
+    it("should send the session token with the delete", async () => {
+      getSessionToken.mockReturnValueOnce("signed-token");
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: true })
+      });
+
+      await deleteGameResult("guild123", "2024-10-02", "user123");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/gamestate/guild123/2024-10-02/user123", {
+        method: "DELETE",
+        headers: { Authorization: "Bearer signed-token" }
+      });
+    });
+  });
+
+  describe("fetchArchiveGameState", () => {
+    it("should fetch archive results for a date", async () => {
+      const mockState = { date: "2024-10-02", players: {} };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockState
+      });
+
+      const result = await fetchArchiveGameState("guild123", "2024-10-02");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/archive/guild123/2024-10-02");
+      expect(result).toEqual(mockState);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400
+      });
+
+      await expect(fetchArchiveGameState("guild123", "2099-01-01")).rejects.toThrow(
+        "Failed to fetch archive game state"
+      );
+    });
+  });
+
+  describe("fetchArchiveCalendar", () => {
+    it("should fetch the calendar for a month", async () => {
+      const mockCalendar = {
+        month: "2024-10",
+        days: [{ date: "2024-10-02", completed: true, score: 4, mistakes: 1 }]
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockCalendar
+      });
+
+      const result = await fetchArchiveCalendar("guild123", "user123", "2024-10");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/archive/guild123/calendar/user123?month=2024-10");
+      expect(result).toEqual(mockCalendar);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400
+      });
+
+      await expect(fetchArchiveCalendar("guild123", "user123", "bad")).rejects.toThrow(
+        "Failed to fetch archive calendar"
+      );
+    });
+  });
+
+  describe("fetchUserStats", () => {
+    it("should fetch a player's stats", async () => {
+      const mockStats = { gamesPlayed: 3, winRate: 67, currentStreak: 1, maxStreak: 2 };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockStats
+      });
+
+      const result = await fetchUserStats("guild123", "user123");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/stats/guild123/user123");
+      expect(result).toEqual(mockStats);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500
+      });
+
+      await expect(fetchUserStats("guild123", "user123")).rejects.toThrow("Failed to fetch stats");
+    });
+  });
+
+  describe("fetchLeaderboard", () => {
+    it("should fetch a page of the leaderboard", async () => {
+      const mockLeaderboard = { window: "weekly", page: 2, totalPages: 3, entries: [] };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockLeaderboard
+      });
+
+      const result = await fetchLeaderboard("guild123", "weekly", 2);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "/api/leaderboard/guild123?window=weekly&page=2&category=solves&mode=normal"
+      );
+      expect(result).toEqual(mockLeaderboard);
+    });
+
+    it("should fetch the fastest solves category", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ window: "daily", category: "fastest", page: 1, totalPages: 1, entries: [] })
+      });
+
+      await fetchLeaderboard("guild123", "daily", 1, "fastest");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "/api/leaderboard/guild123?window=daily&page=1&category=fastest&mode=normal"
+      );
+    });
+
+    it("should fetch the hard mode board", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ window: "daily", category: "solves", mode: "hard", page: 1, totalPages: 1, entries: [] })
+      });
+
+      await fetchLeaderboard("guild123", "daily", 1, "solves", "hard");
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "/api/leaderboard/guild123?window=daily&page=1&category=solves&mode=hard"
+      );
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400
+      });
+
+      await expect(fetchLeaderboard("guild123", "yearly")).rejects.toThrow("Failed to fetch leaderboard");
+    });
+  });
+
+  describe("fetchGuildToday", () => {
+    it("should fetch the guild's puzzle day", async () => {
+      const mockDay = { guildId: "guild123", timezone: "America/New_York", date: "2024-10-01", puzzleNumber: 478 };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockDay
+      });
+
+      const result = await fetchGuildToday("guild123");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/guilds/guild123/today");
+      expect(result).toEqual(mockDay);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500
+      });
+
+      await expect(fetchGuildToday("guild123")).rejects.toThrow("Failed to fetch today's puzzle date");
+    });
+  });
+
+  describe("joinCoop", () => {
+    it("should join the instance's board with the session token", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const mockRoom = { instanceId: "instance1", date: "2024-10-02", version: 1, members: [], selection: [] };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockRoom
+      });
+
+      const result = await joinCoop("guild123", "instance1", "2024-10-02");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/coop/guild123/instance1/2024-10-02/join", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer session-abc"
+        }
+      });
+      expect(result).toEqual(mockRoom);
+    });
+  });
+
+  describe("fetchCoopRoom", () => {
+    it("should read the board with the session token so the server can check membership", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const mockRoom = { instanceId: "instance1", date: "2024-10-02", version: 3, members: [], selection: [] };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockRoom
+      });
+
+      const result = await fetchCoopRoom("guild123", "instance1", "2024-10-02");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/coop/guild123/instance1/2024-10-02", {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer session-abc"
+        }
+      });
+      expect(result).toEqual(mockRoom);
+    });
+
+    it("should surface the server's refusal for non-members", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: async () => ({ error: "You are not in this activity" })
+      });
+
+      await expect(fetchCoopRoom("guild123", "instance1", "2024-10-02")).rejects.toThrow(
+        "You are not in this activity"
+      );
+    });
+  });
+
+  describe("submitCoopGuess", () => {
+    it("should send the selection the player saw", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ result: "wrong", category: null, room: {} })
+      });
+
+      await submitCoopGuess("guild123", "instance1", "2024-10-02", ["A", "B", "C", "D"]);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("/api/coop/guild123/instance1/2024-10-02/guess");
+      expect(JSON.parse(options.body)).toEqual({ words: ["A", "B", "C", "D"] });
+    });
+
+    it("should throw the server's reason when a teammate changed the selection", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 409,
+        json: async () => ({ error: "The selection changed before the guess was submitted" })
+      });
+
+      await expect(submitCoopGuess("guild123", "instance1", "2024-10-02", ["A", "B", "C", "D"])).rejects.toThrow(
+        "The selection changed before the guess was submitted"
+      );
+    });
+  });
+
+  describe("fetchCoopTeams", () => {
+    it("should fetch the day's team results", async () => {
+      const teams = [{ instanceId: "instance1", members: [], score: 4, mistakes: 1 }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ date: "2024-10-02", teams })
+      });
+
+      const result = await fetchCoopTeams("guild123", "2024-10-02");
+
+      expect(global.fetch).toHaveBeenCalledWith("/api/coop/guild123/teams/2024-10-02");
+      expect(result).toEqual(teams);
+    });
+
+    it("should throw error when fetch fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500
+      });
+
+      await expect(fetchCoopTeams("guild123", "2024-10-02")).rejects.toThrow("Failed to fetch co-op results");
+    });
+  });
+
+  describe("fetchRace", () => {
+    it("should fetch the race for the player's session", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const mockRace = { sessionId: "message1", race: null, canStart: true };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockRace
+      });
+
+      const result = await fetchRace("guild123", "2024-10-02");
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("/api/race/guild123/2024-10-02");
+      expect(options.headers.Authorization).toBe("Bearer session-abc");
+      expect(result).toEqual(mockRace);
+    });
+  });
+
+  describe("startRace", () => {
+    it("should throw the server's reason when the race cannot start", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 409,
+        json: async () => ({ error: "A race needs at least 2 players who have not started today's puzzle" })
+      });
+
+      await expect(startRace("guild123", "2024-10-02")).rejects.toThrow("A race needs at least 2 players");
+      expect(global.fetch.mock.calls[0][1].method).toBe("POST");
+    });
+  });
+
+  describe("fetchSpectatableSessions", () => {
+    it("should fetch the sessions in the channel as the signed-in user", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const sessions = [{ sessionId: "message1", players: [] }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ date: "2024-10-02", sessions })
+      });
+
+      const result = await fetchSpectatableSessions("guild123", "channel1", "2024-10-02");
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("/api/spectate/guild123/channels/channel1/2024-10-02");
+      expect(options.headers.Authorization).toBe("Bearer session-abc");
+      expect(result).toEqual(sessions);
+    });
+  });
+
+  describe("fetchSpectatorBoard", () => {
+    it("should throw the server's reason when the player has left", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: "That player is not in an active session" })
+      });
+
+      await expect(fetchSpectatorBoard("guild123", "2024-10-02", "user2")).rejects.toThrow(
+        "That player is not in an active session"
+      );
+      expect(global.fetch.mock.calls[0][0]).toBe("/api/spectate/guild123/2024-10-02/players/user2");
+    });
+  });
+
+  describe("requestHint", () => {
+    it("should ask for the next hint as the signed-in user", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const mockOutcome = { hint: { type: "hint", hint: "word", word: "APPLE" }, progress: { hintPenalty: 1 } };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockOutcome
+      });
+
+      const result = await requestHint("guild123", "2024-10-02");
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("/api/gamestate/guild123/2024-10-02/hint");
+      expect(options.method).toBe("POST");
+      expect(options.headers.Authorization).toBe("Bearer session-abc");
+      expect(result).toEqual(mockOutcome);
+    });
+  });
+
+  describe("startGame", () => {
+    it("should start the clock as the signed-in user, asking for timed mode", async () => {
+      getSessionToken.mockReturnValue("session-abc");
+      const mockProgress = { startedAt: 1000, timed: true, serverTime: 1500 };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockProgress
+      });
+
+      const result = await startGame("guild123", "2024-10-02", { timed: true });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("/api/gamestate/guild123/2024-10-02/start");
+      expect(options.method).toBe("POST");
+      expect(JSON.parse(options.body)).toEqual({ timed: true, hardMode: false });
+      expect(options.headers.Authorization).toBe("Bearer session-abc");
+      expect(result).toEqual(mockProgress);
+    });
+
+    it("should ask for hard mode", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ startedAt: 1000, hardMode: true, maxMistakes: 2, serverTime: 1500 })
+      });
+
+      await startGame("guild123", "2024-10-02", { hardMode: true });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ timed: false, hardMode: true });
+    });
+  });
 });
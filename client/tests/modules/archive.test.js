@@ -0,0 +1,50 @@
+/**
+ * Tests for the archive calendar helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import { buildCalendarWeeks, shiftMonth } from "../../modules/archive.js";
+
+describe("archive", () => {
+  describe("shiftMonth", () => {
+    it("should move to the next and previous month", () => {
+      expect(shiftMonth("2024-10", 1)).toBe("2024-11");
+      expect(shiftMonth("2024-10", -1)).toBe("2024-09");
+    });
+
+    it("should cross year boundaries", () => {
+      expect(shiftMonth("2024-12", 1)).toBe("2025-01");
+      expect(shiftMonth("2024-01", -1)).toBe("2023-12");
+    });
+  });
+
+  describe("buildCalendarWeeks", () => {
+    it("should pad the first week up to the first weekday", () => {
+      // 1 October 2024 was a Tuesday
+      const weeks = buildCalendarWeeks("2024-10", []);
+
+      expect(weeks[0].slice(0, 2)).toEqual([null, null]);
+      expect(weeks[0][2].date).toBe("2024-10-01");
+    });
+
+    it("should include every day of the month in full weeks", () => {
+      const weeks = buildCalendarWeeks("2024-02", []);
+      const days = weeks.flat().filter(Boolean);
+
+      expect(days).toHaveLength(29);
+      expect(weeks.every((week) => week.length === 7)).toBe(true);
+    });
+
+    it("should mark available and completed days", () => {
+      const weeks = buildCalendarWeeks("2024-10", [
+        { date: "2024-10-01", completed: false, score: null },
+        { date: "2024-10-02", completed: true, score: 3 }
+      ]);
+      const days = weeks.flat().filter(Boolean);
+
+      expect(days[0]).toMatchObject({ available: true, completed: false });
+      expect(days[1]).toMatchObject({ available: true, completed: true, score: 3 });
+      expect(days[2]).toMatchObject({ available: false, completed: false, score: null });
+    });
+  });
+});
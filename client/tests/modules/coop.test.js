@@ -0,0 +1,174 @@
+/**
+ * Tests for the co-op view
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  applyCoopUpdate,
+  getCoopRoom,
+  handleCoopUpdated,
+  resetCoop,
+  renderCoopWordGrid,
+  renderTeamResults
+} from "../../modules/coop.js";
+import { fetchCoopRoom } from "../../modules/api.js";
+
+vi.mock("../../modules/discord.js", () => ({
+  getAccessToken: vi.fn(),
+  getSessionToken: vi.fn(),
+  getGuildId: vi.fn(() => "guild123"),
+  getInstanceId: vi.fn(() => "instance1"),
+  getCurrentUser: vi.fn(() => ({ id: "user1", username: "Alice" })),
+  getDiscordSdk: vi.fn()
+}));
+
+vi.mock("../../modules/api.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchCoopRoom: vi.fn(),
+  fetchCoopTeams: vi.fn().mockResolvedValue([])
+}));
+
+/**
+ * Build a room snapshot as the server sends it
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Room state
+ */
+function room(overrides = {}) {
+  return {
+    instanceId: "instance1",
+    date: "2024-10-02",
+    version: 1,
+    members: [
+      { userId: "user1", username: "Alice", avatar: null },
+      { userId: "user2", username: "<Bob>", avatar: null }
+    ],
+    selection: [],
+    guessHistory: [],
+    solvedCategories: [],
+    mistakes: 0,
+    maxMistakes: 4,
+    won: false,
+    isGameOver: false,
+    solution: null,
+    ...overrides
+  };
+}
+
+describe("coop", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetCoop();
+  });
+
+  describe("applyCoopUpdate", () => {
+    it("should take the first snapshot and newer ones", () => {
+      expect(applyCoopUpdate(room())).toBe(true);
+      expect(applyCoopUpdate(room({ version: 2, mistakes: 1 }))).toBe(true);
+
+      expect(getCoopRoom().mistakes).toBe(1);
+    });
+
+    it("should ignore a snapshot older than the one held", () => {
+      applyCoopUpdate(room({ version: 3, mistakes: 2 }));
+
+      expect(applyCoopUpdate(room({ version: 2, mistakes: 1 }))).toBe(false);
+      expect(getCoopRoom().mistakes).toBe(2);
+    });
+
+    it("should ignore snapshots from another instance or day", () => {
+      applyCoopUpdate(room());
+
+      expect(applyCoopUpdate(room({ instanceId: "instance2", version: 5 }))).toBe(false);
+      expect(applyCoopUpdate(room({ date: "2024-10-03", version: 5 }))).toBe(false);
+      expect(getCoopRoom().version).toBe(1);
+    });
+  });
+
+  describe("handleCoopUpdated", () => {
+    beforeEach(() => {
+      document.body.innerHTML = `<div id="app" data-view="coop"></div>`;
+      applyCoopUpdate(room());
+    });
+
+    it("should fetch the room when a teammate changes it, since events carry no board", async () => {
+      fetchCoopRoom.mockResolvedValue(room({ version: 2, mistakes: 1 }));
+
+      await handleCoopUpdated({ instanceId: "instance1", date: "2024-10-02", version: 2 });
+
+      expect(fetchCoopRoom).toHaveBeenCalledWith("guild123", "instance1", "2024-10-02");
+      expect(getCoopRoom().mistakes).toBe(1);
+    });
+
+    it("should not fetch for a version already held", async () => {
+      await handleCoopUpdated({ instanceId: "instance1", date: "2024-10-02", version: 1 });
+
+      expect(fetchCoopRoom).not.toHaveBeenCalled();
+    });
+
+    it("should tell members who have not finished alone that the missed groups are hidden", async () => {
+      fetchCoopRoom.mockResolvedValue(room({ version: 2, mistakes: 4, isGameOver: true, canSeeSolution: false }));
+
+      await handleCoopUpdated({ instanceId: "instance1", date: "2024-10-02", version: 2 });
+
+      expect(document.querySelector("#app .muted").textContent).toContain("Finish today's puzzle on your own");
+    });
+  });
+
+  describe("renderCoopWordGrid", () => {
+    const selection = [
+      { word: "PIANO", userId: "user1" },
+      { word: "MAP", userId: "user2" }
+    ];
+
+    it("should mark shared selections with who picked them", () => {
+      document.body.innerHTML = renderCoopWordGrid(room({ selection }), ["PIANO", "MAP", "KEYBOARD"], "user1");
+
+      const selected = [...document.querySelectorAll(".word-button.selected")].map((el) => el.dataset.word);
+      expect(selected).toEqual(["PIANO", "MAP"]);
+
+      const badges = [...document.querySelectorAll(".picker-badge")].map((el) => el.textContent);
+      expect(badges).toEqual(["AL", "<B"]);
+      expect(document.querySelector('[data-word="KEYBOARD"] .picker-badge')).toBeNull();
+    });
+
+    it("should highlight the current player's own picks", () => {
+      document.body.innerHTML = renderCoopWordGrid(room({ selection }), ["PIANO", "MAP"], "user1");
+
+      expect(document.querySelector('[data-word="PIANO"] .picker-badge').classList.contains("mine")).toBe(true);
+      expect(document.querySelector('[data-word="MAP"] .picker-badge').classList.contains("mine")).toBe(false);
+    });
+
+    it("should escape teammate names", () => {
+      const html = renderCoopWordGrid(room({ selection }), ["MAP"], "user1");
+
+      expect(html).toContain('title="&lt;Bob&gt;"');
+      expect(html).not.toContain("<Bob>");
+    });
+  });
+
+  describe("renderTeamResults", () => {
+    const teams = [
+      { instanceId: "instance2", members: [{ userId: "user3", username: "Carol" }], score: 2, mistakes: 4 },
+      { instanceId: "instance1", members: room().members, score: 4, mistakes: 1 }
+    ];
+
+    it("should rank teams by categories solved then mistakes", () => {
+      document.body.innerHTML = renderTeamResults(teams, "instance1");
+
+      const names = [...document.querySelectorAll(".leaderboard-name")].map((el) => el.textContent);
+      expect(names).toEqual(["Alice, <Bob>", "Carol"]);
+    });
+
+    it("should highlight the current team", () => {
+      document.body.innerHTML = renderTeamResults(teams, "instance1");
+
+      const highlighted = document.querySelectorAll(".leaderboard-row.current-user");
+      expect(highlighted).toHaveLength(1);
+      expect(highlighted[0].textContent).toContain("4/4 solved");
+    });
+
+    it("should render nothing before any team has finished", () => {
+      expect(renderTeamResults([], "instance1")).toBe("");
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the custom puzzle editor helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import { createEmptyDraft, getPreviewCategories, moveCategory } from "../../modules/editor.js";
+
+describe("editor", () => {
+  describe("createEmptyDraft", () => {
+    it("should create four empty groups of four words", () => {
+      const draft = createEmptyDraft();
+
+      expect(draft.id).toBeNull();
+      expect(draft.title).toBe("");
+      expect(draft.categories).toHaveLength(4);
+      draft.categories.forEach((category) => {
+        expect(category.group).toBe("");
+        expect(category.members).toEqual(["", "", "", ""]);
+      });
+    });
+
+    it("should not share group objects between drafts", () => {
+      const first = createEmptyDraft();
+      const second = createEmptyDraft();
+
+      first.categories[0].members[0] = "APPLE";
+
+      expect(second.categories[0].members[0]).toBe("");
+    });
+  });
+
+  describe("getPreviewCategories", () => {
+    it("should assign difficulty from group order", () => {
+      const draft = createEmptyDraft();
+
+      const preview = getPreviewCategories(draft);
+
+      expect(preview.map((category) => category.difficulty)).toEqual([0, 1, 2, 3]);
+      expect(preview.every((category) => category.solved)).toBe(true);
+    });
+
+    it("should upper-case words and skip blanks", () => {
+      const draft = createEmptyDraft();
+      draft.categories[0] = { group: " Fruits ", members: ["apple", " pear ", "", "plum"] };
+
+      const [first] = getPreviewCategories(draft);
+
+      expect(first.group).toBe("Fruits");
+      expect(first.members).toEqual(["APPLE", "PEAR", "PLUM"]);
+    });
+
+    it("should use a placeholder title for untitled groups", () => {
+      const preview = getPreviewCategories(createEmptyDraft());
+
+      expect(preview[2].group).toBe("Group 3");
+    });
+  });
+
+  describe("moveCategory", () => {
+    it("should swap a group with the next one", () => {
+      const draft = createEmptyDraft();
+      draft.categories[0].group = "EASY";
+      draft.categories[1].group = "HARDER";
+
+      moveCategory(draft, 0, 1);
+
+      expect(draft.categories[0].group).toBe("HARDER");
+      expect(draft.categories[1].group).toBe("EASY");
+    });
+
+    it("should ignore moves past either end", () => {
+      const draft = createEmptyDraft();
+      draft.categories[0].group = "FIRST";
+      draft.categories[3].group = "LAST";
+
+      moveCategory(draft, 0, -1);
+      moveCategory(draft, 3, 1);
+
+      expect(draft.categories[0].group).toBe("FIRST");
+      expect(draft.categories[3].group).toBe("LAST");
+    });
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { checkCategoryMatch, isOneAway, isGameWon, isGameLost, hasUserPlayed } from "../../modules/game-logic.js";
+import { isGameWon, isGameLost, hasUserPlayed, describeHint, isAlreadyGuessed } from "../../modules/game-logic.js";
 import { resetGameState, setGameData, addSolvedCategory, updateGameState } from "../../modules/game-state.js";
 
 describe("game-logic", () => {
@@ -21,93 +21,6 @@ describe("game-logic", () => {
     setGameData(mockGameData);
   });
 
-  describe("checkCategoryMatch", () => {
-    it("should return category when all words match", () => {
-      const result = checkCategoryMatch(["APPLE", "ORANGE", "BANANA", "GRAPE"]);
-
-      expect(result).toBeDefined();
-      expect(result.group).toBe("FRUITS");
-    });
-
-    it("should return null when words do not match any category", () => {
-      const result = checkCategoryMatch(["APPLE", "RED", "DOG", "CIRCLE"]);
-
-      expect(result).toBeUndefined();
-    });
-
-    it("should return null when only partial match", () => {
-      const result = checkCategoryMatch(["APPLE", "ORANGE", "BANANA", "RED"]);
-
-      expect(result).toBeUndefined();
-    });
-
-    it("should ignore already solved categories", () => {
-      addSolvedCategory(mockGameData.categories[0]);
-
-      const result = checkCategoryMatch(["APPLE", "ORANGE", "BANANA", "GRAPE"]);
-
-      expect(result).toBeUndefined();
-    });
-
-    it("should work regardless of word order", () => {
-      const result = checkCategoryMatch(["GRAPE", "APPLE", "BANANA", "ORANGE"]);
-
-      expect(result).toBeDefined();
-      expect(result.group).toBe("FRUITS");
-    });
-
-    it("should match different categories", () => {
-      const result1 = checkCategoryMatch(["RED", "BLUE", "GREEN", "YELLOW"]);
-      expect(result1.group).toBe("COLORS");
-
-      const result2 = checkCategoryMatch(["DOG", "CAT", "BIRD", "FISH"]);
-      expect(result2.group).toBe("ANIMALS");
-
-      const result3 = checkCategoryMatch(["CIRCLE", "SQUARE", "TRIANGLE", "STAR"]);
-      expect(result3.group).toBe("SHAPES");
-    });
-  });
-
-  describe("isOneAway", () => {
-    it("should return true when exactly 3 words match a category", () => {
-      const result = isOneAway(["APPLE", "ORANGE", "BANANA", "RED"]);
-
-      expect(result).toBe(true);
-    });
-
-    it("should return false when all 4 words match", () => {
-      const result = isOneAway(["APPLE", "ORANGE", "BANANA", "GRAPE"]);
-
-      expect(result).toBe(false);
-    });
-
-    it("should return false when fewer than 3 words match", () => {
-      const result = isOneAway(["APPLE", "ORANGE", "RED", "DOG"]);
-
-      expect(result).toBe(false);
-    });
-
-    it("should return false when no words match any category", () => {
-      const result = isOneAway(["APPLE", "RED", "DOG", "CIRCLE"]);
-
-      expect(result).toBe(false);
-    });
-
-    it("should ignore already solved categories", () => {
-      addSolvedCategory(mockGameData.categories[0]);
-
-      const result = isOneAway(["APPLE", "ORANGE", "BANANA", "RED"]);
-
-      expect(result).toBe(false);
-    });
-
-    it("should work with different categories", () => {
-      expect(isOneAway(["RED", "BLUE", "GREEN", "DOG"])).toBe(true);
-      expect(isOneAway(["DOG", "CAT", "BIRD", "CIRCLE"])).toBe(true);
-      expect(isOneAway(["CIRCLE", "SQUARE", "TRIANGLE", "APPLE"])).toBe(true);
-    });
-  });
-
   describe("isGameWon", () => {
     it("should return false when no categories solved", () => {
       expect(isGameWon()).toBe(false);
@@ -225,4 +138,39 @@ describe("game-logic", () => {
       expect(hasUserPlayed(serverGameState, "user999")).toBe(false);
     });
   });
+
+  describe("isAlreadyGuessed", () => {
+    it("should match an earlier guess in any order", () => {
+      updateGameState({
+        guessHistory: [{ words: ["APPLE", "RED", "DOG", "CIRCLE"], correct: false, difficulty: null }]
+      });
+
+      expect(isAlreadyGuessed(["CIRCLE", "DOG", "APPLE", "RED"])).toBe(true);
+      expect(isAlreadyGuessed(["CIRCLE", "DOG", "APPLE", "BLUE"])).toBe(false);
+    });
+
+    it("should ignore hints that list a group's words", () => {
+      updateGameState({
+        guessHistory: [
+          { type: "hint", hint: "group", difficulty: 0, group: "FRUITS", words: ["APPLE", "ORANGE", "BANANA", "GRAPE"] }
+        ]
+      });
+
+      expect(isAlreadyGuessed(["APPLE", "ORANGE", "BANANA", "GRAPE"])).toBe(false);
+    });
+  });
+
+  describe("describeHint", () => {
+    it("should name the revealed word, title or locked group with its colour", () => {
+      expect(describeHint({ type: "hint", hint: "word", difficulty: 0, word: "APPLE" })).toBe(
+        "💡 APPLE is in the yellow group"
+      );
+      expect(describeHint({ type: "hint", hint: "title", difficulty: 1, group: "COLORS" })).toBe(
+        '💡 The green group is "COLORS"'
+      );
+      expect(describeHint({ type: "hint", hint: "group", difficulty: 2, group: "ANIMALS" })).toBe(
+        "💡 Locked in the blue group: ANIMALS"
+      );
+    });
+  });
 });
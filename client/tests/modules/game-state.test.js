@@ -16,7 +16,14 @@ import {
   getGameData,
   setCurrentDate,
   getCurrentDate,
-  getRemainingWords
+  getRemainingWords,
+  applyProgress,
+  setServerGameState,
+  getServerGameState,
+  applyGameCompletedEvent,
+  getToday,
+  setToday,
+  getActiveHints
 } from "../../modules/game-state.js";
 
 describe("game-state", () => {
@@ -62,6 +69,14 @@ describe("game-state", () => {
       expect(newState.mistakes).toBe(0);
       expect(newState.isGameOver).toBe(false);
     });
+
+    it("should leave archive mode", () => {
+      updateGameState({ isArchive: true });
+
+      resetGameState();
+
+      expect(getGameState().isArchive).toBe(false);
+    });
   });
 
   describe("updateGameState", () => {
@@ -239,11 +254,23 @@ describe("game-state", () => {
   describe("getRemainingWords", () => {
     beforeEach(() => {
       const mockGameData = {
-        categories: [
-          { group: "FRUITS", members: ["APPLE", "ORANGE", "BANANA", "GRAPE"], difficulty: 0 },
-          { group: "COLORS", members: ["RED", "BLUE", "GREEN", "YELLOW"], difficulty: 1 },
-          { group: "ANIMALS", members: ["DOG", "CAT", "BIRD", "FISH"], difficulty: 2 },
-          { group: "SHAPES", members: ["CIRCLE", "SQUARE", "TRIANGLE", "STAR"], difficulty: 3 }
+        tiles: [
+          "APPLE",
+          "ORANGE",
+          "BANANA",
+          "GRAPE",
+          "RED",
+          "BLUE",
+          "GREEN",
+          "YELLOW",
+          "DOG",
+          "CAT",
+          "BIRD",
+          "FISH",
+          "CIRCLE",
+          "SQUARE",
+          "TRIANGLE",
+          "STAR"
         ]
       };
       setGameData(mockGameData);
@@ -274,17 +301,10 @@ describe("game-state", () => {
       expect(remaining).toContain("RED");
     });
 
-    it("should preserve category order", () => {
+    it("should preserve tile order", () => {
       const remaining = getRemainingWords();
 
-      const fruitIndex = remaining.indexOf("APPLE");
-      const colorIndex = remaining.indexOf("RED");
-      const animalIndex = remaining.indexOf("DOG");
-      const shapeIndex = remaining.indexOf("CIRCLE");
-
-      expect(fruitIndex).toBeLessThan(colorIndex);
-      expect(colorIndex).toBeLessThan(animalIndex);
-      expect(animalIndex).toBeLessThan(shapeIndex);
+      expect(remaining).toEqual(getGameData().tiles);
     });
 
     it("should handle multiple solved categories", () => {
@@ -306,11 +326,11 @@ describe("game-state", () => {
       expect(remaining).toContain("CIRCLE");
     });
 
-    it("should return empty array when all categories solved", () => {
-      const gameData = getGameData();
-      gameData.categories.forEach((cat) => {
-        addSolvedCategory(cat);
-      });
+    it("should return empty array when every tile is solved", () => {
+      const tiles = getGameData().tiles;
+      for (let i = 0; i < tiles.length; i += 4) {
+        addSolvedCategory({ group: `GROUP${i}`, members: tiles.slice(i, i + 4), difficulty: i / 4 });
+      }
 
       const remaining = getRemainingWords();
 
@@ -325,4 +345,121 @@ describe("game-state", () => {
       expect(remaining).toEqual([]);
     });
   });
+
+  describe("applyProgress", () => {
+    const solution = [
+      { group: "FRUITS", members: ["APPLE", "ORANGE", "BANANA", "GRAPE"], difficulty: 0 },
+      { group: "COLORS", members: ["RED", "BLUE", "GREEN", "YELLOW"], difficulty: 1 }
+    ];
+
+    beforeEach(() => {
+      setGameData({ tiles: ["APPLE", "ORANGE", "BANANA", "GRAPE", "RED", "BLUE", "GREEN", "YELLOW"] });
+    });
+
+    it("should copy progress from the server into the game state", () => {
+      const guessHistory = [{ words: ["APPLE", "ORANGE", "BANANA", "GRAPE"], correct: true, difficulty: 0 }];
+
+      applyProgress({
+        guessHistory,
+        solvedCategories: [solution[0]],
+        mistakes: 1,
+        maxMistakes: 4,
+        isGameOver: false,
+        solution: null
+      });
+
+      const state = getGameState();
+      expect(state.guessHistory).toEqual(guessHistory);
+      expect(state.solvedCategories).toEqual([solution[0]]);
+      expect(state.mistakes).toBe(1);
+      expect(state.isGameOver).toBe(false);
+      expect(getGameData().categories).toBeUndefined();
+    });
+
+    it("should reveal the solution once the game is over", () => {
+      applyProgress({
+        guessHistory: [],
+        solvedCategories: [],
+        mistakes: 4,
+        maxMistakes: 4,
+        isGameOver: true,
+        solution
+      });
+
+      expect(getGameState().isGameOver).toBe(true);
+      expect(getGameData().categories).toEqual(solution);
+      expect(getGameData().tiles).toHaveLength(8);
+    });
+  });
+
+  describe("applyGameCompletedEvent", () => {
+    const player = { username: "alice", score: 4, mistakes: 1, guessHistory: [] };
+
+    beforeEach(() => {
+      setCurrentDate("2024-10-02");
+      setServerGameState({ date: "2024-10-02", players: { user1: { username: "bob" } } });
+    });
+
+    it("should add the player to the server game state", () => {
+      const applied = applyGameCompletedEvent({ date: "2024-10-02", archive: false, userId: "user2", player });
+
+      expect(applied).toBe(true);
+      expect(getServerGameState().players).toEqual({ user1: { username: "bob" }, user2: player });
+    });
+
+    it("should ignore events for other dates", () => {
+      const applied = applyGameCompletedEvent({ date: "2024-10-03", archive: false, userId: "user2", player });
+
+      expect(applied).toBe(false);
+      expect(Object.keys(getServerGameState().players)).toEqual(["user1"]);
+    });
+
+    it("should keep archive and daily results apart", () => {
+      expect(applyGameCompletedEvent({ date: "2024-10-02", archive: true, userId: "user2", player })).toBe(false);
+
+      updateGameState({ isArchive: true });
+
+      expect(applyGameCompletedEvent({ date: "2024-10-02", archive: true, userId: "user2", player })).toBe(true);
+    });
+  });
+
+  describe("today", () => {
+    it("should keep the server's date across game resets", () => {
+      setToday("2024-10-01");
+      resetGameState();
+
+      expect(getToday()).toBe("2024-10-01");
+    });
+  });
+
+  describe("getActiveHints", () => {
+    it("should keep revealed words and titles until their group is solved", () => {
+      const fruits = { group: "FRUITS", members: ["APPLE", "ORANGE", "BANANA", "GRAPE"], difficulty: 0 };
+      const wordHint = { type: "hint", hint: "word", difficulty: 0, word: "APPLE", cost: 1 };
+      const titleHint = { type: "hint", hint: "title", difficulty: 1, group: "COLORS", cost: 2 };
+
+      applyProgress({
+        guessHistory: [wordHint, titleHint],
+        solvedCategories: [],
+        mistakes: 0,
+        maxMistakes: 4,
+        hintPenalty: 3,
+        nextHint: { hint: "title", cost: 2 },
+        isGameOver: false
+      });
+
+      expect(getActiveHints()).toEqual([wordHint, titleHint]);
+      expect(getGameState()).toMatchObject({ hintPenalty: 3, nextHint: { hint: "title", cost: 2 } });
+
+      applyProgress({
+        guessHistory: [wordHint, titleHint, { words: fruits.members, correct: true, difficulty: 0 }],
+        solvedCategories: [fruits],
+        mistakes: 0,
+        maxMistakes: 4,
+        isGameOver: false
+      });
+
+      expect(getActiveHints()).toEqual([titleHint]);
+    });
+  });
 });
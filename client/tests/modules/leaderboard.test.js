@@ -0,0 +1,71 @@
+/**
+ * Tests for the leaderboard view
+ */
+
+import { describe, it, expect } from "vitest";
+import { renderLeaderboardRows } from "../../modules/leaderboard.js";
+
+const entries = [
+  { rank: 1, userId: "user1", username: "Alice", avatar: null, solves: 12, mistakes: 1 },
+  { rank: 2, userId: "user2", username: "Bob", avatar: null, solves: 12, mistakes: 3, hintsUsed: 2 },
+  { rank: 4, userId: "user3", username: "<Carol>", avatar: null, solves: 8, mistakes: 2 }
+];
+
+describe("leaderboard", () => {
+  describe("renderLeaderboardRows", () => {
+    it("should render one row per entry with medals for the top three", () => {
+      document.body.innerHTML = renderLeaderboardRows(entries, "nobody");
+
+      const ranks = [...document.querySelectorAll(".leaderboard-rank")].map((el) => el.textContent);
+      expect(ranks).toEqual(["🥇", "🥈", "4"]);
+    });
+
+    it("should highlight the current user", () => {
+      document.body.innerHTML = renderLeaderboardRows(entries, "user2");
+
+      const highlighted = document.querySelectorAll(".leaderboard-row.current-user");
+      expect(highlighted).toHaveLength(1);
+      expect(highlighted[0].querySelector(".leaderboard-name").textContent).toBe("Bob");
+    });
+
+    it("should escape usernames", () => {
+      const html = renderLeaderboardRows(entries, "nobody");
+
+      expect(html).toContain("&lt;Carol&gt;");
+    });
+
+    it("should show hint usage only for players who took hints", () => {
+      document.body.innerHTML = renderLeaderboardRows(entries, "nobody");
+
+      const hints = document.querySelectorAll(".leaderboard-hints");
+      expect(hints).toHaveLength(1);
+      expect(hints[0].closest(".leaderboard-row").querySelector(".leaderboard-name").textContent).toBe("Bob");
+      expect(hints[0].textContent).toContain("2");
+    });
+
+    it("should show a message when nobody has played", () => {
+      document.body.innerHTML = renderLeaderboardRows([], "user1");
+
+      expect(document.querySelector(".muted").textContent).toContain("Nobody has finished");
+    });
+
+    it("should show best times and timed wins on the fastest board", () => {
+      const fastest = [
+        { rank: 1, userId: "user1", username: "Alice", avatar: null, bestTimeMs: 65000, timedWins: 3 },
+        { rank: 2, userId: "user2", username: "Bob", avatar: null, bestTimeMs: 125000, timedWins: 1 }
+      ];
+      document.body.innerHTML = renderLeaderboardRows(fastest, "nobody", "fastest");
+
+      const times = [...document.querySelectorAll(".leaderboard-time")].map((el) => el.textContent);
+      expect(times).toEqual(["⏱️ 1:05", "⏱️ 2:05"]);
+      expect(document.querySelectorAll(".leaderboard-row")[1].textContent).toContain("1 timed win");
+      expect(document.body.textContent).not.toContain("solved");
+    });
+
+    it("should say when nobody has a timed win", () => {
+      document.body.innerHTML = renderLeaderboardRows([], "user1", "fastest");
+
+      expect(document.querySelector(".muted").textContent).toContain("timed game");
+    });
+  });
+});
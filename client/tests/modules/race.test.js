@@ -0,0 +1,145 @@
+/**
+ * Tests for the race view
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  applyRaceUpdate,
+  getRaceInfo,
+  getRaceStatus,
+  getRaceStatusText,
+  resetRace,
+  renderRacePanel,
+  renderRaceStandings,
+  formatRaceTime
+} from "../../modules/race.js";
+
+vi.mock("../../modules/discord.js", () => ({
+  getAccessToken: vi.fn(),
+  getSessionToken: vi.fn(),
+  getGuildId: vi.fn(() => "guild123"),
+  getInstanceId: vi.fn(() => null),
+  getCurrentUser: vi.fn(() => ({ id: "user1", username: "Alice" })),
+  getDiscordSdk: vi.fn()
+}));
+
+/**
+ * Build a race snapshot as the server sends it
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Race
+ */
+function race(overrides = {}) {
+  return {
+    sessionId: "session1",
+    date: "2024-10-02",
+    version: 1,
+    status: "running",
+    startsAt: Date.now() - 1000,
+    finishedAt: null,
+    serverTime: Date.now(),
+    winnerId: null,
+    racers: [
+      { userId: "user1", username: "Alice", solved: [0], mistakes: 1, won: false, finishedAt: null },
+      { userId: "user2", username: "<Bob>", solved: [2, 3], mistakes: 0, won: false, finishedAt: null }
+    ],
+    standings: null,
+    ...overrides
+  };
+}
+
+describe("race", () => {
+  beforeEach(() => {
+    resetRace();
+  });
+
+  describe("applyRaceUpdate", () => {
+    it("should take newer snapshots for the same session", () => {
+      expect(applyRaceUpdate("session1", race())).toBe(true);
+      expect(applyRaceUpdate("session1", race({ version: 2, winnerId: "user2" }))).toBe(true);
+
+      expect(getRaceInfo().race.winnerId).toBe("user2");
+    });
+
+    it("should ignore older snapshots and other sessions", () => {
+      applyRaceUpdate("session1", race({ version: 3 }));
+
+      expect(applyRaceUpdate("session1", race({ version: 2 }))).toBe(false);
+      expect(applyRaceUpdate("session2", race({ version: 9 }))).toBe(false);
+      expect(getRaceInfo().race.version).toBe(3);
+    });
+  });
+
+  describe("getRaceStatus", () => {
+    it("should count down until the start time on the server's clock", () => {
+      const now = Date.now();
+      // The local clock runs 10 seconds behind the server
+      applyRaceUpdate("session1", race({ status: "countdown", startsAt: now + 13000, serverTime: now + 10000 }));
+      const { race: current } = getRaceInfo();
+
+      expect(getRaceStatus(current, now)).toBe("countdown");
+      expect(getRaceStatusText(current, now)).toBe("Race starts in 3...");
+      expect(getRaceStatus(current, now + 3000)).toBe("running");
+    });
+
+    it("should report a finished race with its winner", () => {
+      const finished = race({ status: "finished", winnerId: "user2" });
+
+      expect(getRaceStatus(finished)).toBe("finished");
+      expect(getRaceStatusText(finished)).toBe("🏁 <Bob> won the race!");
+    });
+  });
+
+  describe("renderRacePanel", () => {
+    it("should show each racer's solved colours and mistakes", () => {
+      document.body.innerHTML = renderRacePanel(race(), "user1");
+
+      const bobBars = [...document.querySelectorAll(".race-racer")[1].querySelectorAll(".race-bar")];
+      expect(bobBars.map((bar) => bar.className.trim())).toEqual([
+        "race-bar blue",
+        "race-bar purple",
+        "race-bar",
+        "race-bar"
+      ]);
+
+      const aliceDots = document.querySelectorAll(".race-racer")[0].querySelectorAll(".mistake-dot.used");
+      expect(aliceDots).toHaveLength(1);
+    });
+
+    it("should label the current player and escape names", () => {
+      const html = renderRacePanel(race(), "user1");
+
+      expect(html).toContain("Alice (you)");
+      expect(html).toContain("&lt;Bob&gt;");
+    });
+
+    it("should offer the results once the race is over", () => {
+      document.body.innerHTML = renderRacePanel(race({ status: "finished", winnerId: "user2" }), "user1");
+
+      expect(document.getElementById("open-race-results")).not.toBeNull();
+    });
+  });
+
+  describe("renderRaceStandings", () => {
+    it("should list racers in finishing order with medals and times", () => {
+      document.body.innerHTML = renderRaceStandings(
+        [
+          { place: 1, userId: "user2", username: "Bob", solvedCount: 4, mistakes: 1, elapsedMs: 95000 },
+          { place: 2, userId: "user1", username: "Alice", solvedCount: 2, mistakes: 4, elapsedMs: null }
+        ],
+        "user1"
+      );
+
+      const ranks = [...document.querySelectorAll(".leaderboard-rank")].map((el) => el.textContent);
+      expect(ranks).toEqual(["🥇", "🥈"]);
+      expect(document.querySelector(".leaderboard-row").textContent).toContain("1:35");
+      expect(document.querySelector(".leaderboard-row.current-user .leaderboard-name").textContent).toBe("Alice");
+    });
+  });
+
+  describe("formatRaceTime", () => {
+    it("should format minutes and seconds", () => {
+      expect(formatRaceTime(61000)).toBe("1:01");
+      expect(formatRaceTime(null)).toBe("-");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the spectator view
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  getPlayerStatusText,
+  getSpectatedBoard,
+  handleSpectatorEvent,
+  renderSessionList,
+  renderSpectatorBoard,
+  resetSpectator,
+  watchPlayer
+} from "../../modules/spectator.js";
+import { fetchSpectatorBoard } from "../../modules/api.js";
+
+vi.mock("../../modules/discord.js", () => ({
+  getAccessToken: vi.fn(),
+  getSessionToken: vi.fn(),
+  getGuildId: vi.fn(() => "guild123"),
+  getChannelId: vi.fn(() => "channel1"),
+  getInstanceId: vi.fn(() => null),
+  getCurrentUser: vi.fn(() => ({ id: "user1", username: "Alice" })),
+  getDiscordSdk: vi.fn()
+}));
+
+vi.mock("../../modules/api.js", () => ({
+  fetchSpectatableSessions: vi.fn(),
+  fetchSpectatorBoard: vi.fn()
+}));
+
+/**
+ * Build a spectated board as the server sends it
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Board
+ */
+function board(overrides = {}) {
+  return {
+    sessionId: "session1",
+    userId: "user2",
+    username: "<Bob>",
+    date: "2024-10-02",
+    canSeeWords: false,
+    solvedCategories: [{ group: "Fruits", members: ["APPLE", "BANANA", "GRAPE", "MANGO"], difficulty: 0 }],
+    remainingWords: null,
+    remainingCount: 12,
+    guessHistory: [
+      { correct: true, difficulty: 0, words: ["APPLE", "BANANA", "GRAPE", "MANGO"], wordDifficulties: null },
+      { correct: false, difficulty: null, words: null, wordDifficulties: null }
+    ],
+    mistakes: 1,
+    maxMistakes: 4,
+    won: false,
+    isGameOver: false,
+    ...overrides
+  };
+}
+
+describe("spectator", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetSpectator();
+    document.body.innerHTML = `<div id="app"></div>`;
+  });
+
+  describe("getPlayerStatusText", () => {
+    it("should describe progress for each stage of the game", () => {
+      expect(getPlayerStatusText({ guessCount: 0, solvedCount: 0, mistakes: 0, isGameOver: false })).toBe(
+        "Not started"
+      );
+      expect(getPlayerStatusText({ guessCount: 3, solvedCount: 2, mistakes: 1, isGameOver: false })).toBe(
+        "Playing - 2/4 solved, 1 mistakes"
+      );
+      expect(getPlayerStatusText({ guessCount: 4, solvedCount: 4, mistakes: 0, isGameOver: true })).toBe("Solved it");
+    });
+  });
+
+  describe("renderSessionList", () => {
+    it("should list players with the current user disabled", () => {
+      const html = renderSessionList(
+        [
+          {
+            sessionId: "session1",
+            players: [
+              { userId: "user1", username: "Alice", guessCount: 0, solvedCount: 0, mistakes: 0, isGameOver: false },
+              { userId: "user2", username: "<Bob>", guessCount: 1, solvedCount: 1, mistakes: 0, isGameOver: false }
+            ]
+          }
+        ],
+        "user1"
+      );
+      document.body.innerHTML = html;
+
+      const buttons = document.querySelectorAll(".spectate-player");
+      expect(buttons).toHaveLength(2);
+      expect(buttons[0].disabled).toBe(true);
+      expect(buttons[1].dataset.userId).toBe("user2");
+      expect(html).toContain("&lt;Bob&gt;");
+    });
+
+    it("should say when nobody is playing", () => {
+      expect(renderSessionList([], "user1")).toContain("Nobody is playing");
+    });
+  });
+
+  describe("renderSpectatorBoard", () => {
+    it("should keep unsolved words face down until the spectator has finished", () => {
+      document.body.innerHTML = renderSpectatorBoard(board());
+
+      expect(document.querySelectorAll(".hidden-word")).toHaveLength(12);
+      expect(document.querySelectorAll(".mistake-dot.used")).toHaveLength(1);
+      expect(document.querySelector(".category-words").textContent).toContain("APPLE");
+      expect(document.querySelector(".spectate-note")).not.toBeNull();
+    });
+
+    it("should show unsolved words and guesses to spectators who have finished", () => {
+      document.body.innerHTML = renderSpectatorBoard(
+        board({
+          canSeeWords: true,
+          remainingWords: ["RED", "BLUE"],
+          remainingCount: 2,
+          guessHistory: [
+            { correct: false, difficulty: null, words: ["RED", "BLUE", "CAT", "DOG"], wordDifficulties: [1, 1, 2, 2] }
+          ]
+        })
+      );
+
+      const tiles = [...document.querySelectorAll(".spectate-grid .word-button")].map((tile) => tile.textContent);
+      expect(tiles).toEqual(["RED", "BLUE"]);
+      expect(document.querySelector(".spectate-guesses .wrong").textContent).toContain("RED, BLUE, CAT, DOG");
+      expect(document.querySelector(".spectate-note")).toBeNull();
+    });
+
+    it("should badge hard mode players and hide the titles they have not seen yet", () => {
+      document.body.innerHTML = renderSpectatorBoard(
+        board({
+          hardMode: true,
+          maxMistakes: 2,
+          solvedCategories: [{ group: null, members: ["APPLE", "BANANA", "GRAPE", "MANGO"], difficulty: 0 }]
+        })
+      );
+
+      expect(document.querySelector("h2 .hard-mode-badge")).not.toBeNull();
+      expect(document.querySelector(".category-title").textContent).toBe("???");
+      expect(document.querySelectorAll(".mistake-dot")).toHaveLength(2);
+    });
+  });
+
+  describe("handleSpectatorEvent", () => {
+    it("should fetch the watched board again when that player guesses", async () => {
+      fetchSpectatorBoard.mockResolvedValueOnce(board());
+      await watchPlayer("user2");
+
+      fetchSpectatorBoard.mockResolvedValueOnce(board({ mistakes: 2 }));
+      await handleSpectatorEvent({ sessionId: "session1", userId: "user2", date: "2024-10-02" });
+
+      expect(fetchSpectatorBoard).toHaveBeenLastCalledWith("guild123", "2024-10-02", "user2");
+      expect(getSpectatedBoard().mistakes).toBe(2);
+      expect(document.querySelectorAll(".mistake-dot.used")).toHaveLength(2);
+    });
+
+    it("should ignore guesses from other players", async () => {
+      fetchSpectatorBoard.mockResolvedValueOnce(board());
+      await watchPlayer("user2");
+
+      await handleSpectatorEvent({ sessionId: "session1", userId: "user3", date: "2024-10-02" });
+
+      expect(fetchSpectatorBoard).toHaveBeenCalledTimes(1);
+    });
+  });
+});
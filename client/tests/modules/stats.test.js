@@ -0,0 +1,71 @@
+/**
+ * Tests for the statistics modal
+ */
+
+import { describe, it, expect } from "vitest";
+import { renderStats } from "../../modules/stats.js";
+
+const stats = {
+  gamesPlayed: 12,
+  wins: 9,
+  winRate: 75,
+  currentStreak: 3,
+  maxStreak: 5,
+  mistakeDistribution: { 0: 4, 1: 3, 2: 2, 3: 0, 4: 3 },
+  firstSolvedColors: { yellow: 6, green: 3, blue: 2, purple: 1 }
+};
+
+describe("stats", () => {
+  describe("renderStats", () => {
+    it("should show the summary numbers", () => {
+      document.body.innerHTML = renderStats(stats);
+
+      const values = [...document.querySelectorAll(".stats-value")].map((el) => el.textContent);
+      expect(values).toEqual(["12", "75", "3", "5"]);
+    });
+
+    it("should render a bar for every mistake count", () => {
+      document.body.innerHTML = renderStats(stats);
+
+      const labels = [...document.querySelectorAll(".stats-distribution")][0].querySelectorAll(".stats-bar-label");
+      expect([...labels].map((el) => el.textContent)).toEqual(["0", "1", "2", "3", "4"]);
+    });
+
+    it("should colour the first solved bars by category", () => {
+      document.body.innerHTML = renderStats({ ...stats, firstSolvedColors: { purple: 2 } });
+
+      const bars = [...document.querySelectorAll(".stats-distribution")][1].querySelectorAll(".stats-bar");
+      expect([...bars].map((bar) => bar.className)).toEqual([
+        "stats-bar yellow",
+        "stats-bar green",
+        "stats-bar blue",
+        "stats-bar purple"
+      ]);
+      expect(bars[3].textContent).toBe("2");
+      expect(bars[0].textContent).toBe("0");
+    });
+
+    it("should leave timing out until a game has been timed", () => {
+      document.body.innerHTML = renderStats({ ...stats, averageGuessIntervalMs: null });
+
+      expect(document.body.textContent).not.toContain("Timing");
+      expect(document.querySelectorAll(".stats-distribution")).toHaveLength(2);
+    });
+
+    it("should show solve times and the average time per colour", () => {
+      document.body.innerHTML = renderStats({
+        ...stats,
+        averageSolveTimeMs: 150000,
+        fastestSolveTimeMs: 62000,
+        averageGuessIntervalMs: 21000,
+        averageColorTimes: { yellow: 30000, green: 45000, blue: null, purple: 90000 }
+      });
+
+      const values = [...document.querySelectorAll(".stats-value")].map((el) => el.textContent);
+      expect(values.slice(4)).toEqual(["1:02", "2:30", "0:21"]);
+
+      const bars = [...document.querySelectorAll(".stats-distribution")][2].querySelectorAll(".stats-bar");
+      expect([...bars].map((bar) => bar.textContent)).toEqual(["0:30", "0:45", "-", "1:30"]);
+    });
+  });
+});
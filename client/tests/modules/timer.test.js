@@ -0,0 +1,109 @@
+/**
+ * Tests for timed mode
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { getElapsedMs, getSolveTimeMs, renderClock, resetTimer, startBoardTimer } from "../../modules/timer.js";
+import { resetGameState, updateGameState, setCurrentDate, getGameState } from "../../modules/game-state.js";
+import { startGame } from "../../modules/api.js";
+
+vi.mock("../../modules/discord.js", () => ({
+  getAccessToken: vi.fn(),
+  getSessionToken: vi.fn(),
+  getGuildId: vi.fn(() => "guild123"),
+  getInstanceId: vi.fn(() => null),
+  getCurrentUser: vi.fn(() => ({ id: "user1", username: "Alice" })),
+  getDiscordSdk: vi.fn()
+}));
+
+vi.mock("../../modules/api.js", () => ({
+  startGame: vi.fn()
+}));
+
+describe("timer", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetGameState();
+    resetTimer();
+    setCurrentDate("2024-10-02");
+  });
+
+  describe("renderClock", () => {
+    it("should offer timed mode before the first guess", () => {
+      document.body.innerHTML = renderClock();
+
+      expect(document.getElementById("play-timed")).not.toBeNull();
+    });
+
+    it("should not offer timed mode once guessing has started or while the board is locked", () => {
+      expect(renderClock(false)).toBe("");
+
+      updateGameState({ guessHistory: [{ words: ["A", "B", "C", "D"], correct: false, timestamp: 1000 }] });
+      expect(renderClock()).toBe("");
+    });
+
+    it("should show the running clock for timed players", () => {
+      updateGameState({ timed: true, startedAt: Date.now() - 83000 });
+      document.body.innerHTML = renderClock();
+
+      expect(document.getElementById("game-clock").textContent).toBe("1:23");
+    });
+  });
+
+  describe("getElapsedMs", () => {
+    it("should be zero before the start is known", () => {
+      expect(getElapsedMs()).toBe(0);
+    });
+  });
+
+  describe("getSolveTimeMs", () => {
+    it("should measure from the start to the last guess", () => {
+      updateGameState({
+        startedAt: 10000,
+        guessHistory: [
+          { words: ["A", "B", "C", "D"], correct: true, timestamp: 40000 },
+          { type: "hint", hint: "word", timestamp: 70000 }
+        ]
+      });
+
+      expect(getSolveTimeMs()).toBe(60000);
+    });
+
+    it("should be null when the start was never recorded", () => {
+      updateGameState({ guessHistory: [{ words: ["A", "B", "C", "D"], correct: true, timestamp: 40000 }] });
+
+      expect(getSolveTimeMs()).toBeNull();
+    });
+  });
+
+  describe("startBoardTimer", () => {
+    it("should record the start once per board and keep only the timing", async () => {
+      startGame.mockResolvedValue({ startedAt: 5000, timed: false, serverTime: Date.now(), mistakes: 3 });
+
+      startBoardTimer();
+      startBoardTimer();
+      await vi.waitFor(() => expect(getGameState().startedAt).toBe(5000));
+
+      expect(startGame).toHaveBeenCalledTimes(1);
+      expect(startGame).toHaveBeenCalledWith("guild123", "2024-10-02", {});
+      expect(getGameState().mistakes).toBe(0);
+    });
+
+    it("should keep the mode and its mistake allowance from the server", async () => {
+      startGame.mockResolvedValue({
+        startedAt: 5000,
+        timed: false,
+        hardMode: true,
+        maxMistakes: 2,
+        nextHint: null,
+        serverTime: Date.now()
+      });
+
+      startBoardTimer();
+      await vi.waitFor(() => expect(getGameState().hardMode).toBe(true));
+
+      expect(getGameState().maxMistakes).toBe(2);
+      expect(getGameState().nextHint).toBeNull();
+    });
+  });
+});
@@ -1,43 +1,57 @@
 import mysql from "mysql2/promise";
+import { createSqlitePool, isSqliteConnectionString } from "./sqlite.js";
+import { migrateUp } from "./migrations.js";
 
 let pool;
 
+// DATABASE_URL takes precedence; MYSQL_CONNECTION_STRING is still read for existing setups
+function getConnectionString() {
+  return process.env.DATABASE_URL || process.env.MYSQL_CONNECTION_STRING;
+}
+
+// Opens the configured database without touching its schema; null when none is configured
+export async function connectDatabase() {
+  const connectionString = getConnectionString();
+  if (!connectionString) return null;
+
+  if (isSqliteConnectionString(connectionString)) {
+    const sqlitePool = await createSqlitePool(connectionString);
+    console.log(`✓ SQLite database opened at ${sqlitePool.filename}`);
+    return sqlitePool;
+  }
+
+  const mysqlPool = mysql.createPool(connectionString);
+  const connection = await mysqlPool.getConnection();
+  connection.release();
+  console.log("✓ MySQL connected successfully!");
+  return mysqlPool;
+}
+
+// Rejects when a migration fails: results written against a half-migrated schema would be lost, so the server must
+// not start rather than quietly fall back to memory
 export async function initializeDatabase() {
   try {
-    if (!process.env.MYSQL_CONNECTION_STRING) {
-      console.log("No MySQL connection string found - using in-memory storage");
-      console.log("To enable database storage, add MYSQL_CONNECTION_STRING to your .env file");
-      return;
-    }
-
-    pool = mysql.createPool(process.env.MYSQL_CONNECTION_STRING);
-
-    const connection = await pool.getConnection();
-    console.log("✓ MySQL connected successfully!");
-
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS game_results (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        guild_id VARCHAR(255) NOT NULL,
-        user_id VARCHAR(255) NOT NULL,
-        username VARCHAR(255) NOT NULL,
-        avatar VARCHAR(255) DEFAULT NULL,
-        game_date DATE NOT NULL,
-        score INT NOT NULL,
-        mistakes INT NOT NULL,
-        guess_history JSON DEFAULT NULL,
-        completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_guild_date (guild_id, game_date),
-        UNIQUE KEY unique_player_game (guild_id, user_id, game_date)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
-
-    console.log("✓ Database tables initialized!");
-    connection.release();
+    pool = await connectDatabase();
   } catch (error) {
     console.error("✗ Database initialization error:", error.message);
     console.log("→ Continuing without database - using in-memory storage");
     pool = null;
+    return;
+  }
+
+  if (!pool) {
+    console.log("No database connection string found - using in-memory storage");
+    console.log("To enable database storage, add DATABASE_URL (mysql://... or sqlite:...) to your .env file");
+    return;
+  }
+
+  try {
+    const applied = await migrateUp(pool);
+    console.log(`✓ Database schema is current (${applied.length} migration(s) applied)`);
+  } catch (error) {
+    console.error("✗ Database migration failed - refusing to start:", error.message);
+    console.error("→ Check `npm run migrate -- status` in server/, fix the migration and then restart the server");
+    throw error;
   }
 }
 
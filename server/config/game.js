@@ -0,0 +1,22 @@
+export const GAME_CONFIG = {
+  maxMistakes: 4,
+  wordsPerCategory: 4,
+  totalCategories: 4
+};
+
+export const RACE_CONFIG = {
+  // Long enough for everyone in the channel to see the countdown before the board unlocks
+  countdownMs: 5000,
+  minPlayers: 2
+};
+
+export const HINT_CONFIG = {
+  // Hints for the easiest unsolved group escalate in this order, each costing more than the last
+  levels: ["word", "title", "group"],
+  costs: { word: 1, title: 2, group: 3 }
+};
+
+export const HARD_MODE_CONFIG = {
+  // Hard mode also turns off "one away" feedback and hints, and keeps solved group titles hidden until the end
+  maxMistakes: 2
+};
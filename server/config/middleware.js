@@ -1,3 +1,22 @@
+import {
+  canManageGuild,
+  getAccessTokenUser,
+  canCheckActivityInstances,
+  isActivityParticipant,
+  isMockAuthEnabled
+} from "../services/discord.service.js";
+import { verifySessionToken, safeEqual } from "../utils/session-token.js";
+
+function getBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function isServiceRequest(req) {
+  const token = getBearerToken(req);
+  return !!(process.env.BOT_SERVICE_TOKEN && token && safeEqual(token, process.env.BOT_SERVICE_TOKEN));
+}
+
 export function setupCorsAndSecurity(req, res, next) {
   const allowedOrigins = [
     "https://discord.com",
@@ -14,7 +33,7 @@ export function setupCorsAndSecurity(req, res, next) {
     res.setHeader("Access-Control-Allow-Origin", "*");
   }
 
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
@@ -35,3 +54,109 @@ export function setupCorsAndSecurity(req, res, next) {
 
   next();
 }
+
+export async function requireGuildAdmin(req, res, next) {
+  const accessToken = getBearerToken(req);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: "Missing access token" });
+  }
+
+  try {
+    if (!(await canManageGuild(accessToken, req.params.guildId))) {
+      return res.status(403).json({ error: "Manage Server permission required" });
+    }
+
+    const user = await getAccessTokenUser(accessToken);
+    if (!user) {
+      return res.status(401).json({ error: "Could not verify Discord user" });
+    }
+
+    req.user = { id: user.id, username: user.username };
+  } catch (error) {
+    console.error("Error checking guild permissions:", error);
+    return res.status(500).json({ error: "Failed to check guild permissions" });
+  }
+
+  next();
+}
+
+export function requireUser(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: "Missing session token" });
+  }
+
+  const user = verifySessionToken(token);
+
+  if (!user) {
+    return res.status(401).json({ error: "Invalid or expired session token" });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Runs after requireUser, checking the player against Discord's list of users in the activity instance
+export async function requireActivityParticipant(req, res, next) {
+  const { guildId, instanceId } = req.params;
+
+  if (!canCheckActivityInstances()) {
+    // local.html has no real activity instance to look up
+    if (isMockAuthEnabled()) {
+      return next();
+    }
+
+    console.warn("⚠️ DISCORD_BOT_TOKEN is not set - rejecting co-op request");
+    return res.status(503).json({ error: "Activity checks are not configured" });
+  }
+
+  try {
+    if (!(await isActivityParticipant(guildId, instanceId, req.user.id))) {
+      return res.status(403).json({ error: "You are not in this activity" });
+    }
+  } catch (error) {
+    console.error("Error checking activity instance:", error);
+    return res.status(500).json({ error: "Failed to check activity instance" });
+  }
+
+  next();
+}
+
+export function requireServiceToken(req, res, next) {
+  if (!process.env.BOT_SERVICE_TOKEN) {
+    console.warn("⚠️ BOT_SERVICE_TOKEN is not set - rejecting service request");
+    return res.status(503).json({ error: "Service authentication is not configured" });
+  }
+
+  if (!safeEqual(getBearerToken(req), process.env.BOT_SERVICE_TOKEN)) {
+    return res.status(401).json({ error: "Invalid service token" });
+  }
+
+  next();
+}
+
+// The bot checks Manage Server itself before changing settings on a member's behalf
+export async function requireGuildAdminOrService(req, res, next) {
+  if (isServiceRequest(req)) {
+    return next();
+  }
+
+  return requireGuildAdmin(req, res, next);
+}
+
+// Players only ever hear their own guild's events; the bot serves every guild, so it alone may follow them all
+export function requireEventScope(req, res, next) {
+  if (isServiceRequest(req)) {
+    req.eventScope = { allGuilds: true };
+    return next();
+  }
+
+  if (!req.query.guildId) {
+    return res.status(400).json({ error: "guildId is required" });
+  }
+
+  req.eventScope = { guildId: req.query.guildId };
+  next();
+}
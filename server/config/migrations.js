@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+export const MIGRATIONS_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), "../migrations");
+
+// NNN_description.js; the bot reads the same pattern to decide whether the schema is current
+const MIGRATION_FILE = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+function getDialect(pool) {
+  return pool.dialect === "sqlite" ? "sqlite" : "mysql";
+}
+
+/** What each migration's up and down receive */
+function createContext(pool) {
+  return {
+    dialect: getDialect(pool),
+    query: (sql, params) => pool.query(sql, params)
+  };
+}
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      id VARCHAR(255) PRIMARY KEY,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function getAppliedMigrations(pool) {
+  const [rows] = await pool.query(`SELECT id, checksum FROM schema_migrations ORDER BY id`);
+  return rows;
+}
+
+export async function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+  const files = fs
+    .readdirSync(directory)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    const module = await import(pathToFileURL(filePath).href);
+
+    if (typeof module.up !== "function" || typeof module.down !== "function") {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    migrations.push({
+      id: file.replace(/\.js$/, ""),
+      // Line endings are normalised so a checkout with CRLF files does not look edited
+      checksum: crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(filePath, "utf8").replace(/\r\n/g, "\n"))
+        .digest("hex"),
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  const ids = migrations.map((migration) => migration.id.slice(0, 3));
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`More than one migration is numbered ${duplicate}`);
+  }
+
+  return migrations;
+}
+
+export async function getMigrationStatus(pool, migrations) {
+  await ensureMigrationsTable(pool);
+  const applied = await getAppliedMigrations(pool);
+  const appliedById = new Map(applied.map((row) => [row.id, row.checksum]));
+  const known = new Set(migrations.map((migration) => migration.id));
+
+  return {
+    applied: migrations.filter((migration) => appliedById.has(migration.id)),
+    pending: migrations.filter((migration) => !appliedById.has(migration.id)),
+    // Applied migrations whose file was edited afterwards
+    changed: migrations.filter(
+      (migration) => appliedById.has(migration.id) && appliedById.get(migration.id) !== migration.checksum
+    ),
+    // Applied by newer code that this checkout does not have
+    unknown: applied.filter((row) => !known.has(row.id)).map((row) => row.id)
+  };
+}
+
+function assertMigrationsIntact(status) {
+  if (status.changed.length > 0) {
+    throw new Error(
+      `Migration ${status.changed.map((migration) => migration.id).join(", ")} changed after it was applied. ` +
+        "Add a new migration instead of editing an applied one"
+    );
+  }
+
+  if (status.unknown.length > 0) {
+    throw new Error(`Database has migrations this code does not know about: ${status.unknown.join(", ")}`);
+  }
+}
+
+export async function migrateUp(pool, { to = null, migrations = null } = {}) {
+  const all = migrations || (await loadMigrations());
+  const status = await getMigrationStatus(pool, all);
+  assertMigrationsIntact(status);
+
+  // "to" may be a full id or just its number
+  const pending = status.pending.filter((migration) => !to || migration.id.slice(0, 3) <= String(to).slice(0, 3));
+  const context = createContext(pool);
+
+  for (const migration of pending) {
+    console.log(`⬆️ Applying migration ${migration.id}`);
+    await migration.up(context);
+    await pool.query(`INSERT INTO schema_migrations (id, checksum) VALUES (?, ?)`, [
+      migration.id,
+      migration.checksum
+    ]);
+  }
+
+  return pending.map((migration) => migration.id);
+}
+
+export async function migrateDown(pool, { steps = 1, migrations = null } = {}) {
+  const all = migrations || (await loadMigrations());
+  const status = await getMigrationStatus(pool, all);
+  assertMigrationsIntact(status);
+
+  const rollback = status.applied.slice(Math.max(status.applied.length - steps, 0)).reverse();
+  const context = createContext(pool);
+
+  for (const migration of rollback) {
+    console.log(`⬇️ Rolling back migration ${migration.id}`);
+    await migration.down(context);
+    await pool.query(`DELETE FROM schema_migrations WHERE id = ?`, [migration.id]);
+  }
+
+  return rollback.map((migration) => migration.id);
+}
@@ -0,0 +1,8 @@
+// Read lazily so values from .env are picked up after dotenv has run
+export function getSessionConfig() {
+  return {
+    // Sessions with no activity for this long are expired by the sweeper
+    ttlMs: Number(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000,
+    sweepIntervalMs: Number(process.env.SESSION_SWEEP_SECONDS || 60) * 1000
+  };
+}
@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+
+// Timestamps are stored as ISO strings in UTC so they sort, compare and parse like the MySQL columns
+const ISO_NOW = `(strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))`;
+
+export function isSqliteConnectionString(connectionString) {
+  return /^sqlite:/i.test(connectionString || "");
+}
+
+/** sqlite:./data/synapse.db, sqlite:///var/lib/synapse.db or sqlite::memory: */
+function getFilename(connectionString) {
+  const filename = connectionString.replace(/^sqlite:(\/\/)?/i, "");
+  return filename === ":memory:" ? filename : path.resolve(filename);
+}
+
+/** Rewrite the MySQL-only syntax the services use into its SQLite equivalent */
+function toSqlite(sql) {
+  return sql
+    .replace(/DATE_FORMAT\(([^,]+),\s*('[^']*')\)/gi, "strftime($2, $1)")
+    .replace(/ON DUPLICATE KEY UPDATE/gi, "ON CONFLICT DO UPDATE SET")
+    .replace(/VALUES\((\w+)\)/gi, "excluded.$1")
+    .replace(/INSERT IGNORE/gi, "INSERT OR IGNORE")
+    .replace(/\bCURRENT_TIMESTAMP\b/gi, ISO_NOW);
+}
+
+/** SQLite has no boolean type and rejects undefined */
+function toSqliteParam(value) {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+/** better-sqlite3 is an optional dependency: it builds natively, and npm skips it where it cannot */
+async function loadDriver() {
+  try {
+    const { default: Database } = await import("better-sqlite3");
+    return Database;
+  } catch (error) {
+    throw new Error(`SQLite needs the optional better-sqlite3 package, which is not installed (${error.message})`);
+  }
+}
+
+// Opens a SQLite file behind the same query interface as a mysql2 pool; tables come from server/migrations
+export async function createSqlitePool(connectionString) {
+  const Database = await loadDriver();
+  const filename = getFilename(connectionString);
+
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  const statements = new Map();
+
+  function prepare(sql) {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(toSqlite(sql)));
+    }
+    return statements.get(sql);
+  }
+
+  async function query(sql, params = []) {
+    const statement = prepare(sql);
+    const values = params.map(toSqliteParam);
+
+    if (statement.reader) {
+      return [statement.all(values)];
+    }
+
+    const { changes, lastInsertRowid } = statement.run(values);
+    return [{ affectedRows: changes, insertId: Number(lastInsertRowid) }];
+  }
+
+  return {
+    dialect: "sqlite",
+    filename,
+    query,
+    async end() {
+      db.close();
+    }
+  };
+}
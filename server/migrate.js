@@ -0,0 +1,75 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { connectDatabase } from "./config/database.js";
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from "./config/migrations.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, "../.env") });
+
+const USAGE = `Usage: node migrate.js <command>
+
+  status             List applied and pending migrations
+  up [--to NNN]      Apply pending migrations, optionally stopping after migration NNN
+  down [--steps N]   Roll back the last N applied migrations (default 1)`;
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+async function printStatus(pool) {
+  const migrations = await loadMigrations();
+  const status = await getMigrationStatus(pool, migrations);
+  const changed = new Set(status.changed.map((migration) => migration.id));
+  const applied = new Set(status.applied.map((migration) => migration.id));
+
+  for (const migration of migrations) {
+    const state = changed.has(migration.id) ? "changed" : applied.has(migration.id) ? "applied" : "pending";
+    console.log(`${state.padEnd(8)} ${migration.id}`);
+  }
+  for (const id of status.unknown) {
+    console.log(`${"unknown".padEnd(8)} ${id}`);
+  }
+}
+
+async function run([command, ...args]) {
+  if (!["status", "up", "down"].includes(command)) {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  const pool = await connectDatabase();
+  if (!pool) {
+    console.error("✗ Set DATABASE_URL (or MYSQL_CONNECTION_STRING) to run migrations");
+    return 1;
+  }
+
+  try {
+    if (command === "status") {
+      await printStatus(pool);
+    } else if (command === "up") {
+      const applied = await migrateUp(pool, { to: readOption(args, "--to") });
+      console.log(applied.length > 0 ? `✓ Applied ${applied.join(", ")}` : "✓ Already up to date");
+    } else {
+      const steps = Number(readOption(args, "--steps") || 1);
+      if (!Number.isInteger(steps) || steps < 1) {
+        console.error("✗ --steps must be a positive whole number");
+        return 1;
+      }
+
+      const rolledBack = await migrateDown(pool, { steps });
+      console.log(rolledBack.length > 0 ? `✓ Rolled back ${rolledBack.join(", ")}` : "Nothing to roll back");
+    }
+    return 0;
+  } catch (error) {
+    console.error("✗ Migration failed:", error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,169 @@
+// Baseline schema. Uses IF NOT EXISTS and fills in late-added columns so databases created before migrations adopt it
+const TABLES = ["game_sessions", "guild_settings", "custom_puzzles", "puzzles", "game_results"];
+
+const MYSQL = [
+  `CREATE TABLE IF NOT EXISTS game_results (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    guild_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    username VARCHAR(255) NOT NULL,
+    avatar VARCHAR(255) DEFAULT NULL,
+    game_date DATE NOT NULL,
+    score INT NOT NULL,
+    mistakes INT NOT NULL,
+    guess_history JSON DEFAULT NULL,
+    archive TINYINT(1) NOT NULL DEFAULT 0,
+    completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_guild_date (guild_id, game_date),
+    UNIQUE KEY unique_player_game (guild_id, user_id, game_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  `CREATE TABLE IF NOT EXISTS puzzles (
+    puzzle_date DATE PRIMARY KEY,
+    puzzle_data JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  `CREATE TABLE IF NOT EXISTS custom_puzzles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    guild_id VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    puzzle_data JSON NOT NULL,
+    publish_date DATE DEFAULT NULL,
+    created_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_guild (guild_id),
+    UNIQUE KEY unique_guild_publish_date (guild_id, publish_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  `CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id VARCHAR(255) PRIMARY KEY,
+    puzzle_provider VARCHAR(32) DEFAULT NULL,
+    timezone VARCHAR(64) DEFAULT NULL,
+    announcement_channel_id VARCHAR(255) DEFAULT NULL,
+    auto_post_completions TINYINT(1) DEFAULT NULL,
+    spoiler_policy VARCHAR(16) DEFAULT NULL,
+    daily_prompt_enabled TINYINT(1) DEFAULT NULL,
+    daily_prompt_time CHAR(5) DEFAULT NULL,
+    reminder_time CHAR(5) DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  `CREATE TABLE IF NOT EXISTS game_sessions (
+    session_id VARCHAR(255) PRIMARY KEY,
+    guild_id VARCHAR(255) NOT NULL,
+    channel_id VARCHAR(255) DEFAULT NULL,
+    message_id VARCHAR(255) DEFAULT NULL,
+    session_date DATE DEFAULT NULL,
+    players JSON NOT NULL,
+    last_update BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+];
+
+// Columns added to existing tables before migrations existed
+const MYSQL_LATE_COLUMNS = [
+  ["game_results", "archive", "TINYINT(1) NOT NULL DEFAULT 0 AFTER guess_history"],
+  ["guild_settings", "timezone", "VARCHAR(64) DEFAULT NULL AFTER puzzle_provider"],
+  ["guild_settings", "announcement_channel_id", "VARCHAR(255) DEFAULT NULL AFTER timezone"],
+  ["guild_settings", "auto_post_completions", "TINYINT(1) DEFAULT NULL AFTER announcement_channel_id"],
+  ["guild_settings", "spoiler_policy", "VARCHAR(16) DEFAULT NULL AFTER auto_post_completions"],
+  ["guild_settings", "daily_prompt_enabled", "TINYINT(1) DEFAULT NULL AFTER spoiler_policy"],
+  ["guild_settings", "daily_prompt_time", "CHAR(5) DEFAULT NULL AFTER daily_prompt_enabled"],
+  ["guild_settings", "reminder_time", "CHAR(5) DEFAULT NULL AFTER daily_prompt_time"],
+  ["game_sessions", "session_date", "DATE DEFAULT NULL AFTER message_id"]
+];
+
+// Timestamps default to ISO strings in UTC (the SQLite pool rewrites CURRENT_TIMESTAMP) so they parse like MySQL's
+const SQLITE = [
+  `CREATE TABLE IF NOT EXISTS game_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    avatar TEXT DEFAULT NULL,
+    game_date TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    mistakes INTEGER NOT NULL,
+    guess_history TEXT DEFAULT NULL,
+    archive INTEGER NOT NULL DEFAULT 0,
+    completed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, user_id, game_date)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_guild_date ON game_results (guild_id, game_date)`,
+  `CREATE TABLE IF NOT EXISTS puzzles (
+    puzzle_date TEXT PRIMARY KEY,
+    puzzle_data TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS custom_puzzles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    puzzle_data TEXT NOT NULL,
+    publish_date TEXT DEFAULT NULL,
+    created_by TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, publish_date)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_guild ON custom_puzzles (guild_id)`,
+  `CREATE TRIGGER IF NOT EXISTS custom_puzzles_updated_at AFTER UPDATE ON custom_puzzles
+   BEGIN
+     UPDATE custom_puzzles SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+   END`,
+  `CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id TEXT PRIMARY KEY,
+    puzzle_provider TEXT DEFAULT NULL,
+    timezone TEXT DEFAULT NULL,
+    announcement_channel_id TEXT DEFAULT NULL,
+    auto_post_completions INTEGER DEFAULT NULL,
+    spoiler_policy TEXT DEFAULT NULL,
+    daily_prompt_enabled INTEGER DEFAULT NULL,
+    daily_prompt_time TEXT DEFAULT NULL,
+    reminder_time TEXT DEFAULT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS guild_settings_updated_at AFTER UPDATE ON guild_settings
+   BEGIN
+     UPDATE guild_settings SET updated_at = CURRENT_TIMESTAMP WHERE guild_id = NEW.guild_id;
+   END`,
+  `CREATE TABLE IF NOT EXISTS game_sessions (
+    session_id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    channel_id TEXT DEFAULT NULL,
+    message_id TEXT DEFAULT NULL,
+    session_date TEXT DEFAULT NULL,
+    players TEXT NOT NULL,
+    last_update INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+async function addMissingMysqlColumns(db) {
+  for (const [table, column, definition] of MYSQL_LATE_COLUMNS) {
+    const [rows] = await db.query(
+      `SELECT COUNT(*) AS count FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+      [table, column]
+    );
+
+    if (rows[0].count === 0) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✓ Added ${table}.${column}`);
+    }
+  }
+}
+
+export async function up(db) {
+  for (const statement of db.dialect === "sqlite" ? SQLITE : MYSQL) {
+    await db.query(statement);
+  }
+
+  if (db.dialect === "mysql") {
+    await addMissingMysqlColumns(db);
+  }
+}
+
+export async function down(db) {
+  for (const table of TABLES) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
@@ -0,0 +1,55 @@
+// Ledgers the bot keeps so restarts never repeat a scheduled post or a completion announcement
+const MYSQL = [
+  `CREATE TABLE IF NOT EXISTS daily_prompts (
+    guild_id VARCHAR(255) NOT NULL,
+    prompt_date DATE NOT NULL,
+    kind VARCHAR(16) NOT NULL,
+    channel_id VARCHAR(255) DEFAULT NULL,
+    message_id VARCHAR(255) DEFAULT NULL,
+    posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, prompt_date, kind)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  `CREATE TABLE IF NOT EXISTS announcements (
+    guild_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    game_date DATE NOT NULL,
+    result_completed_at BIGINT NOT NULL,
+    channel_id VARCHAR(255) DEFAULT NULL,
+    message_id VARCHAR(255) DEFAULT NULL,
+    posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, user_id, game_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+];
+
+const SQLITE = [
+  `CREATE TABLE IF NOT EXISTS daily_prompts (
+    guild_id TEXT NOT NULL,
+    prompt_date TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    channel_id TEXT DEFAULT NULL,
+    message_id TEXT DEFAULT NULL,
+    posted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, prompt_date, kind)
+  )`,
+  `CREATE TABLE IF NOT EXISTS announcements (
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    game_date TEXT NOT NULL,
+    result_completed_at INTEGER NOT NULL,
+    channel_id TEXT DEFAULT NULL,
+    message_id TEXT DEFAULT NULL,
+    posted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, user_id, game_date)
+  )`
+];
+
+export async function up(db) {
+  for (const statement of db.dialect === "sqlite" ? SQLITE : MYSQL) {
+    await db.query(statement);
+  }
+}
+
+export async function down(db) {
+  await db.query(`DROP TABLE IF EXISTS announcements`);
+  await db.query(`DROP TABLE IF EXISTS daily_prompts`);
+}
@@ -0,0 +1,42 @@
+// Team results from co-op games, kept apart from game_results so they never count as individual plays
+const MYSQL = [
+  `CREATE TABLE IF NOT EXISTS coop_results (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    guild_id VARCHAR(255) NOT NULL,
+    instance_id VARCHAR(255) NOT NULL,
+    game_date DATE NOT NULL,
+    members JSON NOT NULL,
+    score INT NOT NULL,
+    mistakes INT NOT NULL,
+    guess_history JSON DEFAULT NULL,
+    completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_guild_date (guild_id, game_date),
+    UNIQUE KEY unique_team_game (guild_id, instance_id, game_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+];
+
+const SQLITE = [
+  `CREATE TABLE IF NOT EXISTS coop_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    instance_id TEXT NOT NULL,
+    game_date TEXT NOT NULL,
+    members TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    mistakes INTEGER NOT NULL,
+    guess_history TEXT DEFAULT NULL,
+    completed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, instance_id, game_date)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_coop_guild_date ON coop_results (guild_id, game_date)`
+];
+
+export async function up(db) {
+  for (const statement of db.dialect === "sqlite" ? SQLITE : MYSQL) {
+    await db.query(statement);
+  }
+}
+
+export async function down(db) {
+  await db.query(`DROP TABLE IF EXISTS coop_results`);
+}
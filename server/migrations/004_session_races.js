@@ -0,0 +1,12 @@
+// Race state lives on the channel session so a restart mid-race keeps the countdown, racers and finishing order
+export async function up(db) {
+  await db.query(
+    db.dialect === "sqlite"
+      ? `ALTER TABLE game_sessions ADD COLUMN race TEXT DEFAULT NULL`
+      : `ALTER TABLE game_sessions ADD COLUMN race JSON DEFAULT NULL AFTER players`
+  );
+}
+
+export async function down(db) {
+  await db.query(`ALTER TABLE game_sessions DROP COLUMN race`);
+}
@@ -0,0 +1,18 @@
+// Hint usage sits next to the score so leaderboards can tell hinted solves from clean ones
+const COLUMNS = ["hints_used", "hint_penalty"];
+
+export async function up(db) {
+  for (const column of COLUMNS) {
+    await db.query(
+      db.dialect === "sqlite"
+        ? `ALTER TABLE game_results ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`
+        : `ALTER TABLE game_results ADD COLUMN ${column} INT NOT NULL DEFAULT 0 AFTER mistakes`
+    );
+  }
+}
+
+export async function down(db) {
+  for (const column of COLUMNS) {
+    await db.query(`ALTER TABLE game_results DROP COLUMN ${column}`);
+  }
+}
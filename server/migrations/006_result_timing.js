@@ -0,0 +1,18 @@
+// When the board first rendered and how long the game took, for timed play, fastest-solve leaderboards and stats
+const COLUMNS = {
+  started_at: { sqlite: "INTEGER DEFAULT NULL", mysql: "BIGINT DEFAULT NULL AFTER hint_penalty" },
+  solve_time_ms: { sqlite: "INTEGER DEFAULT NULL", mysql: "INT DEFAULT NULL AFTER started_at" },
+  timed: { sqlite: "INTEGER NOT NULL DEFAULT 0", mysql: "TINYINT(1) NOT NULL DEFAULT 0 AFTER solve_time_ms" }
+};
+
+export async function up(db) {
+  for (const [column, types] of Object.entries(COLUMNS)) {
+    await db.query(`ALTER TABLE game_results ADD COLUMN ${column} ${types[db.dialect]}`);
+  }
+}
+
+export async function down(db) {
+  for (const column of Object.keys(COLUMNS).reverse()) {
+    await db.query(`ALTER TABLE game_results DROP COLUMN ${column}`);
+  }
+}
@@ -0,0 +1,12 @@
+// Hard mode results are ranked on their own leaderboard, so the mode is kept with the result
+export async function up(db) {
+  await db.query(
+    db.dialect === "sqlite"
+      ? `ALTER TABLE game_results ADD COLUMN hard_mode INTEGER NOT NULL DEFAULT 0`
+      : `ALTER TABLE game_results ADD COLUMN hard_mode TINYINT(1) NOT NULL DEFAULT 0 AFTER timed`
+  );
+}
+
+export async function down(db) {
+  await db.query(`ALTER TABLE game_results DROP COLUMN hard_mode`);
+}
@@ -0,0 +1,22 @@
+import { nytProvider } from "./nyt.provider.js";
+import { localProvider } from "./local.provider.js";
+import { mysqlProvider } from "./mysql.provider.js";
+
+const providers = {
+  [nytProvider.name]: nytProvider,
+  [localProvider.name]: localProvider,
+  [mysqlProvider.name]: mysqlProvider
+};
+
+export function getProviderNames() {
+  return Object.keys(providers);
+}
+
+export function getDefaultProviderName() {
+  const name = process.env.PUZZLE_PROVIDER;
+  return providers[name] ? name : nytProvider.name;
+}
+
+export function getProvider(name) {
+  return providers[name] || providers[getDefaultProviderName()];
+}
@@ -0,0 +1,43 @@
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizePuzzle } from "../utils/transforms.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function getPuzzleDirectory() {
+  return process.env.PUZZLE_DIRECTORY || path.join(__dirname, "../puzzles");
+}
+
+export const localProvider = {
+  name: "local",
+
+  async getPuzzle(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return null;
+    }
+
+    try {
+      const contents = await readFile(path.join(getPuzzleDirectory(), `${date}.json`), "utf8");
+      return normalizePuzzle(JSON.parse(contents), date);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Error reading local puzzle for ${date}:`, error.message);
+      }
+      return null;
+    }
+  },
+
+  async listDates(from, to) {
+    try {
+      const files = await readdir(getPuzzleDirectory());
+      return files
+        .map((file) => file.match(/^(\d{4}-\d{2}-\d{2})\.json$/)?.[1])
+        .filter((date) => date && date >= from && date <= to)
+        .sort();
+    } catch (error) {
+      console.error("Error listing local puzzles:", error.message);
+      return [];
+    }
+  }
+};
@@ -0,0 +1,37 @@
+import { getPool } from "../config/database.js";
+import { normalizePuzzle, parseJsonColumn } from "../utils/transforms.js";
+
+export const mysqlProvider = {
+  name: "mysql",
+
+  async getPuzzle(date) {
+    const pool = getPool();
+    if (!pool) {
+      return null;
+    }
+
+    const [rows] = await pool.query(`SELECT puzzle_data FROM puzzles WHERE puzzle_date = ?`, [date]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return normalizePuzzle(parseJsonColumn(rows[0].puzzle_data), date);
+  },
+
+  async listDates(from, to) {
+    const pool = getPool();
+    if (!pool) {
+      return [];
+    }
+
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(puzzle_date, '%Y-%m-%d') AS puzzle_date
+       FROM puzzles
+       WHERE puzzle_date BETWEEN ? AND ?
+       ORDER BY puzzle_date`,
+      [from, to]
+    );
+    return rows.map((row) => row.puzzle_date);
+  }
+};
@@ -0,0 +1,24 @@
+import fetch from "node-fetch";
+import { transformNytPuzzle } from "../utils/transforms.js";
+import { listDatesInRange } from "../utils/dates.js";
+
+const FIRST_PUZZLE_DATE = "2023-06-12";
+
+export const nytProvider = {
+  name: "nyt",
+
+  async getPuzzle(date) {
+    const response = await fetch(`https://www.nytimes.com/svc/connections/v2/${date}.json`);
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    return transformNytPuzzle(data, date);
+  },
+
+  async listDates(from, to) {
+    return listDatesInRange(from > FIRST_PUZZLE_DATE ? from : FIRST_PUZZLE_DATE, to);
+  }
+};
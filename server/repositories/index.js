@@ -0,0 +1,45 @@
+import { getPool } from "../config/database.js";
+import { createMemoryResultsRepository } from "./memory-results.repository.js";
+import { createSqlResultsRepository } from "./sql-results.repository.js";
+
+/**
+ * @typedef {Object} ResultsRepository
+ * Every backend must pass tests/repositories/results-repository.contract.js
+ * @property {string} name
+ * @property {(guildId: string, date: string, options?: {archive?: boolean}) => Promise<Object>} getPlayers
+ *   Players keyed by user ID for one day, daily or archive results only
+ * @property {(guildId: string, date: string, userId: string) => Promise<Object|null>} getPlayerResult
+ * @property {(guildId: string, userId: string, range?: {from?: string, to?: string}) => Promise<Array>} getUserResults
+ *   A player's results in ascending date order, archive results included
+ * @property {(guildId: string, range?: {from?: string, to?: string}) => Promise<Array>} getGuildResults
+ *   Every daily (non-archive) result in the guild in ascending date order
+ * @property {(guildId: string, options: {category?: string, mode?: string, from?: string, to?: string,
+ *   limit: number, offset?: number}) => Promise<{totalPlayers: number, entries: Array}>} getLeaderboardPage
+ *   One page of a mode's "solves" or "fastest" board, ranked as utils/leaderboard.js ranks results
+ * @property {(guildId: string, date: string, result: Object) => Promise<void>} saveResult
+ *   Inserts or replaces a player's result for the day and stamps completedAt
+ * @property {(guildId: string, date: string, userId: string) => Promise<boolean>} deleteResult
+ *   Resolves true if a result was removed
+ * @property {(guildId: string, date: string) => Promise<Array>} getTeamResults
+ *   Co-op team results for one day, in no particular order; never included in the individual results above
+ * @property {(guildId: string, date: string, team: Object) => Promise<void>} saveTeamResult
+ *   Inserts or replaces the result of the co-op team playing in team.instanceId
+ */
+
+const memoryRepository = createMemoryResultsRepository();
+let sqlRepository = null;
+let sqlRepositoryPool = null;
+
+/**
+ * @returns {ResultsRepository}
+ */
+export function getResultsRepository() {
+  const pool = getPool();
+  if (!pool) return memoryRepository;
+
+  if (sqlRepositoryPool !== pool) {
+    sqlRepository = createSqlResultsRepository(pool);
+    sqlRepositoryPool = pool;
+  }
+  return sqlRepository;
+}
@@ -0,0 +1,144 @@
+import { parseGuessHistory } from "../utils/transforms.js";
+import { filterResultsByMode, rankResults, rankFastestSolves } from "../utils/leaderboard.js";
+
+export function createMemoryResultsRepository() {
+  // guildId -> date -> userId -> result
+  const results = {};
+  // guildId -> date -> instanceId -> team result
+  const teamResults = {};
+
+  function getDay(guildId, date) {
+    results[guildId] ??= {};
+    results[guildId][date] ??= {};
+    return results[guildId][date];
+  }
+
+  function listResults(guildId, { from = null, to = null } = {}) {
+    return Object.entries(results[guildId] || {})
+      .filter(([date]) => !from || !to || (date >= from && date <= to))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .flatMap(([date, players]) => Object.entries(players).map(([userId, player]) => ({ date, userId, player })));
+  }
+
+  function listGuildResults(guildId, range) {
+    return listResults(guildId, range)
+      .filter(({ player }) => !player.archive)
+      .map(({ date, userId, player }) => ({
+        userId,
+        username: player.username,
+        avatar: player.avatar,
+        date,
+        score: player.score,
+        mistakes: player.mistakes,
+        hintsUsed: player.hintsUsed,
+        hintPenalty: player.hintPenalty,
+        solveTimeMs: player.solveTimeMs,
+        timed: player.timed,
+        hardMode: player.hardMode,
+        completedAt: player.completedAt
+      }));
+  }
+
+  return {
+    name: "memory",
+
+    async getPlayers(guildId, date, { archive = false } = {}) {
+      return Object.fromEntries(
+        Object.entries(getDay(guildId, date))
+          .filter(([, player]) => player.archive === archive)
+          .map(([userId, player]) => [userId, structuredClone(player)])
+      );
+    },
+
+    async getPlayerResult(guildId, date, userId) {
+      const player = getDay(guildId, date)[userId];
+      return player ? structuredClone(player) : null;
+    },
+
+    async getUserResults(guildId, userId, range) {
+      return listResults(guildId, range)
+        .filter((result) => result.userId === userId)
+        .map(({ date, player }) => ({
+          date,
+          score: player.score,
+          mistakes: player.mistakes,
+          startedAt: player.startedAt,
+          solveTimeMs: player.solveTimeMs,
+          guessHistory: parseGuessHistory(structuredClone(player.guessHistory)),
+          archive: player.archive
+        }));
+    },
+
+    async getGuildResults(guildId, range) {
+      return listGuildResults(guildId, range);
+    },
+
+    async getLeaderboardPage(guildId, { category = "solves", mode = "normal", from, to, limit, offset = 0 } = {}) {
+      const results = filterResultsByMode(listGuildResults(guildId, { from, to }), mode);
+      const ranked = category === "fastest" ? rankFastestSolves(results) : rankResults(results);
+      return { totalPlayers: ranked.length, entries: ranked.slice(offset, offset + limit) };
+    },
+
+    async saveResult(
+      guildId,
+      date,
+      {
+        userId,
+        username,
+        avatar = null,
+        score,
+        mistakes,
+        hintsUsed = 0,
+        hintPenalty = 0,
+        startedAt = null,
+        solveTimeMs = null,
+        timed = false,
+        hardMode = false,
+        guessHistory,
+        archive
+      }
+    ) {
+      getDay(guildId, date)[userId] = {
+        username,
+        avatar,
+        score,
+        mistakes,
+        hintsUsed,
+        hintPenalty,
+        startedAt,
+        solveTimeMs,
+        timed: !!timed,
+        hardMode: !!hardMode,
+        guessHistory: structuredClone(guessHistory ?? null),
+        archive: !!archive,
+        completedAt: Date.now()
+      };
+    },
+
+    async deleteResult(guildId, date, userId) {
+      const players = getDay(guildId, date);
+      if (!players[userId]) return false;
+      delete players[userId];
+      return true;
+    },
+
+    async getTeamResults(guildId, date) {
+      return Object.entries(teamResults[guildId]?.[date] || {}).map(([instanceId, team]) => ({
+        instanceId,
+        ...structuredClone(team)
+      }));
+    },
+
+    async saveTeamResult(guildId, date, { instanceId, members, score, mistakes, guessHistory }) {
+      teamResults[guildId] ??= {};
+      teamResults[guildId][date] ??= {};
+      teamResults[guildId][date][instanceId] = {
+        members: structuredClone(members),
+        score,
+        mistakes,
+        guessHistory: structuredClone(guessHistory || []),
+        completedAt: Date.now()
+      };
+    }
+  };
+}
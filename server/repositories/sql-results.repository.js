@@ -0,0 +1,291 @@
+import { transformRowsToPlayers, parseGuessHistory, parseJsonColumn } from "../utils/transforms.js";
+import { GAME_CONFIG } from "../config/game.js";
+
+const PLAYER_COLUMNS = `user_id, username, avatar, score, mistakes, hints_used, hint_penalty, started_at, solve_time_ms,
+  timed, hard_mode, guess_history, archive, completed_at`;
+
+// Works with any pool from config/database.js, MySQL or SQLite
+export function createSqlResultsRepository(pool) {
+  function rangeFilter({ from = null, to = null } = {}) {
+    return from && to ? { sql: "AND game_date BETWEEN ? AND ?", params: [from, to] } : { sql: "", params: [] };
+  }
+
+  // The daily results that belong on one mode's board within the window
+  function boardFilter(guildId, { from, to, mode }) {
+    const range = rangeFilter({ from, to });
+    return {
+      sql: `guild_id = ? AND archive = 0 AND hard_mode = ? ${range.sql}`,
+      params: [guildId, mode === "hard", ...range.params]
+    };
+  }
+
+  // Each player's name and avatar from their most recent game on the board
+  async function getLatestNames(filter, userIds) {
+    if (userIds.length === 0) return {};
+
+    const [rows] = await pool.query(
+      `SELECT user_id, username, avatar
+       FROM game_results
+       WHERE ${filter.sql} AND user_id IN (${userIds.map(() => "?").join(", ")})
+       ORDER BY completed_at, game_date`,
+      [...filter.params, ...userIds]
+    );
+    return Object.fromEntries(rows.map((row) => [row.user_id, { username: row.username, avatar: row.avatar }]));
+  }
+
+  async function rankSolves(filter, limit, offset) {
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(DISTINCT user_id) AS total FROM game_results WHERE ${filter.sql}`,
+      filter.params
+    );
+    // Same order as compareEntries in utils/leaderboard.js
+    const [rows] = await pool.query(
+      `SELECT user_id, COUNT(*) AS games_played,
+         SUM(CASE WHEN score = ? THEN 1 ELSE 0 END) AS wins,
+         SUM(CASE WHEN score = ? AND hints_used = 0 THEN 1 ELSE 0 END) AS clean_wins,
+         SUM(score) AS solves, SUM(mistakes) AS mistakes, SUM(hints_used) AS hints_used,
+         SUM(hint_penalty) AS hint_penalty, MAX(completed_at) AS completed_at
+       FROM game_results
+       WHERE ${filter.sql}
+       GROUP BY user_id
+       ORDER BY solves DESC, hint_penalty, mistakes, completed_at, user_id
+       LIMIT ? OFFSET ?`,
+      [GAME_CONFIG.totalCategories, GAME_CONFIG.totalCategories, ...filter.params, limit, offset]
+    );
+    const names = await getLatestNames(filter, rows.map((row) => row.user_id));
+
+    return {
+      totalPlayers: Number(total),
+      entries: rows.map((row, index) => ({
+        rank: offset + index + 1,
+        userId: row.user_id,
+        ...names[row.user_id],
+        gamesPlayed: Number(row.games_played),
+        wins: Number(row.wins),
+        cleanWins: Number(row.clean_wins),
+        solves: Number(row.solves),
+        mistakes: Number(row.mistakes),
+        hintsUsed: Number(row.hints_used),
+        hintPenalty: Number(row.hint_penalty),
+        completedAt: new Date(row.completed_at).getTime()
+      }))
+    };
+  }
+
+  async function rankFastest(filter, limit, offset) {
+    const wins = {
+      sql: `${filter.sql} AND timed = 1 AND solve_time_ms IS NOT NULL AND score = ?`,
+      params: [...filter.params, GAME_CONFIG.totalCategories]
+    };
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(DISTINCT user_id) AS total FROM game_results WHERE ${wins.sql}`,
+      wins.params
+    );
+    // Ties on time go to whoever set it first, as in rankFastestSolves in utils/leaderboard.js
+    const [rows] = await pool.query(
+      `SELECT best.user_id, best.timed_wins, best.best_time_ms, MIN(wins.completed_at) AS set_at
+       FROM (
+         SELECT user_id, COUNT(*) AS timed_wins, MIN(solve_time_ms) AS best_time_ms
+         FROM game_results
+         WHERE ${wins.sql}
+         GROUP BY user_id
+       ) AS best
+       JOIN game_results AS wins ON wins.user_id = best.user_id AND wins.solve_time_ms = best.best_time_ms
+       WHERE ${wins.sql}
+       GROUP BY best.user_id, best.timed_wins, best.best_time_ms
+       ORDER BY best.best_time_ms, set_at, best.user_id
+       LIMIT ? OFFSET ?`,
+      [...wins.params, ...wins.params, limit, offset]
+    );
+    const names = await getLatestNames(wins, rows.map((row) => row.user_id));
+
+    return {
+      totalPlayers: Number(total),
+      entries: rows.map((row, index) => ({
+        rank: offset + index + 1,
+        userId: row.user_id,
+        ...names[row.user_id],
+        timedWins: Number(row.timed_wins),
+        bestTimeMs: Number(row.best_time_ms),
+        completedAt: new Date(row.set_at).getTime()
+      }))
+    };
+  }
+
+  return {
+    name: "sql",
+
+    async getPlayers(guildId, date, { archive = false } = {}) {
+      const [rows] = await pool.query(
+        `SELECT ${PLAYER_COLUMNS} FROM game_results WHERE guild_id = ? AND game_date = ? AND archive = ?`,
+        [guildId, date, archive]
+      );
+      return transformRowsToPlayers(rows);
+    },
+
+    async getPlayerResult(guildId, date, userId) {
+      const [rows] = await pool.query(
+        `SELECT ${PLAYER_COLUMNS} FROM game_results WHERE guild_id = ? AND game_date = ? AND user_id = ?`,
+        [guildId, date, userId]
+      );
+      return transformRowsToPlayers(rows)[userId] || null;
+    },
+
+    async getUserResults(guildId, userId, range) {
+      const filter = rangeFilter(range);
+      const [rows] = await pool.query(
+        `SELECT DATE_FORMAT(game_date, '%Y-%m-%d') AS game_date, score, mistakes, started_at, solve_time_ms,
+           guess_history, archive
+         FROM game_results
+         WHERE guild_id = ? AND user_id = ? ${filter.sql}
+         ORDER BY game_date`,
+        [guildId, userId, ...filter.params]
+      );
+      return rows.map((row) => ({
+        date: row.game_date,
+        score: row.score,
+        mistakes: row.mistakes,
+        startedAt: row.started_at,
+        solveTimeMs: row.solve_time_ms,
+        guessHistory: parseGuessHistory(row.guess_history),
+        archive: !!row.archive
+      }));
+    },
+
+    async getGuildResults(guildId, range) {
+      const filter = rangeFilter(range);
+      const [rows] = await pool.query(
+        `SELECT user_id, username, avatar, DATE_FORMAT(game_date, '%Y-%m-%d') AS game_date, score, mistakes,
+           hints_used, hint_penalty, solve_time_ms, timed, hard_mode, completed_at
+         FROM game_results
+         WHERE guild_id = ? AND archive = 0 ${filter.sql}
+         ORDER BY game_date`,
+        [guildId, ...filter.params]
+      );
+      return rows.map((row) => ({
+        userId: row.user_id,
+        username: row.username,
+        avatar: row.avatar,
+        date: row.game_date,
+        score: row.score,
+        mistakes: row.mistakes,
+        hintsUsed: row.hints_used,
+        hintPenalty: row.hint_penalty,
+        solveTimeMs: row.solve_time_ms,
+        timed: !!row.timed,
+        hardMode: !!row.hard_mode,
+        completedAt: new Date(row.completed_at).getTime()
+      }));
+    },
+
+    async getLeaderboardPage(guildId, { category = "solves", mode = "normal", from, to, limit, offset = 0 } = {}) {
+      const filter = boardFilter(guildId, { from, to, mode });
+      return category === "fastest" ? rankFastest(filter, limit, offset) : rankSolves(filter, limit, offset);
+    },
+
+    async saveResult(
+      guildId,
+      date,
+      {
+        userId,
+        username,
+        avatar = null,
+        score,
+        mistakes,
+        hintsUsed = 0,
+        hintPenalty = 0,
+        startedAt = null,
+        solveTimeMs = null,
+        timed = false,
+        hardMode = false,
+        guessHistory,
+        archive
+      }
+    ) {
+      await pool.query(
+        `INSERT INTO game_results
+           (guild_id, user_id, username, avatar, game_date, score, mistakes, hints_used, hint_penalty, started_at,
+            solve_time_ms, timed, hard_mode, guess_history, archive)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           username = VALUES(username),
+           avatar = VALUES(avatar),
+           score = VALUES(score),
+           mistakes = VALUES(mistakes),
+           hints_used = VALUES(hints_used),
+           hint_penalty = VALUES(hint_penalty),
+           started_at = VALUES(started_at),
+           solve_time_ms = VALUES(solve_time_ms),
+           timed = VALUES(timed),
+           hard_mode = VALUES(hard_mode),
+           guess_history = VALUES(guess_history),
+           archive = VALUES(archive),
+           completed_at = CURRENT_TIMESTAMP`,
+        [
+          guildId,
+          userId,
+          username,
+          avatar,
+          date,
+          score,
+          mistakes,
+          hintsUsed,
+          hintPenalty,
+          startedAt,
+          solveTimeMs,
+          !!timed,
+          !!hardMode,
+          guessHistory ? JSON.stringify(guessHistory) : null,
+          !!archive
+        ]
+      );
+    },
+
+    async deleteResult(guildId, date, userId) {
+      const [result] = await pool.query(
+        `DELETE FROM game_results WHERE guild_id = ? AND game_date = ? AND user_id = ?`,
+        [guildId, date, userId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    async getTeamResults(guildId, date) {
+      const [rows] = await pool.query(
+        `SELECT instance_id, members, score, mistakes, guess_history, completed_at
+         FROM coop_results
+         WHERE guild_id = ? AND game_date = ?`,
+        [guildId, date]
+      );
+      return rows.map((row) => ({
+        instanceId: row.instance_id,
+        members: parseJsonColumn(row.members),
+        score: row.score,
+        mistakes: row.mistakes,
+        guessHistory: parseGuessHistory(row.guess_history),
+        completedAt: new Date(row.completed_at).getTime()
+      }));
+    },
+
+    async saveTeamResult(guildId, date, { instanceId, members, score, mistakes, guessHistory }) {
+      await pool.query(
+        `INSERT INTO coop_results (guild_id, instance_id, game_date, members, score, mistakes, guess_history)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           members = VALUES(members),
+           score = VALUES(score),
+           mistakes = VALUES(mistakes),
+           guess_history = VALUES(guess_history),
+           completed_at = CURRENT_TIMESTAMP`,
+        [
+          guildId,
+          instanceId,
+          date,
+          JSON.stringify(members),
+          score,
+          mistakes,
+          guessHistory ? JSON.stringify(guessHistory) : null
+        ]
+      );
+    }
+  };
+}
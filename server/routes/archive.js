@@ -0,0 +1,41 @@
+import { Router } from "express";
+import { getArchiveCalendar, getArchiveGameState } from "../services/archive.service.js";
+import { toPublicGameState } from "../utils/transforms.js";
+
+const router = Router();
+
+router.get("/api/archive/:guildId/calendar/:userId", async (req, res) => {
+  const { guildId, userId } = req.params;
+
+  try {
+    const calendar = await getArchiveCalendar(guildId, userId, req.query.month);
+
+    if (calendar.error) {
+      return res.status(calendar.status).json({ error: calendar.error });
+    }
+
+    res.json(calendar);
+  } catch (error) {
+    console.error("Error fetching archive calendar:", error);
+    res.status(500).json({ error: "Failed to fetch archive calendar" });
+  }
+});
+
+router.get("/api/archive/:guildId/:date", async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const gameState = await getArchiveGameState(guildId, date);
+
+    if (gameState.error) {
+      return res.status(gameState.status).json({ error: gameState.error });
+    }
+
+    res.json(toPublicGameState(gameState));
+  } catch (error) {
+    console.error("Error fetching archive game state:", error);
+    res.status(500).json({ error: "Failed to fetch archive game state" });
+  }
+});
+
+export default router;
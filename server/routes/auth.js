@@ -1,25 +1,54 @@
 import { Router } from "express";
 import fetch from "node-fetch";
+import { fetchDiscordUser, isMockAccessToken, rememberMockUser } from "../services/discord.service.js";
+import { createSessionToken } from "../utils/session-token.js";
 
 const router = Router();
 
 router.post("/api/token", async (req, res) => {
-  const response = await fetch(`https://discord.com/api/oauth2/token`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded"
-    },
-    body: new URLSearchParams({
-      client_id: process.env.VITE_DISCORD_CLIENT_ID,
-      client_secret: process.env.DISCORD_CLIENT_SECRET,
-      grant_type: "authorization_code",
-      code: req.body.code
-    })
-  });
-
-  const { access_token } = await response.json();
-
-  res.send({ access_token });
+  try {
+    const response = await fetch(`https://discord.com/api/oauth2/token`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        client_id: process.env.VITE_DISCORD_CLIENT_ID,
+        client_secret: process.env.DISCORD_CLIENT_SECRET,
+        grant_type: "authorization_code",
+        code: req.body.code
+      })
+    });
+
+    const { access_token } = await response.json();
+
+    if (!access_token) {
+      return res.status(401).json({ error: "Discord rejected the authorization code" });
+    }
+
+    const user = await fetchDiscordUser(access_token);
+
+    if (!user) {
+      return res.status(401).json({ error: "Could not verify Discord user" });
+    }
+
+    res.send({ access_token, session_token: createSessionToken(user) });
+  } catch (error) {
+    console.error("Error exchanging token:", error);
+    res.status(500).json({ error: "Failed to exchange token" });
+  }
+});
+
+// Local development only: local.html has no real Discord user to verify
+router.post("/api/token/mock", (req, res) => {
+  const { access_token, user } = req.body;
+
+  if (!isMockAccessToken(access_token || "") || !user?.id) {
+    return res.status(403).json({ error: "Mock authentication is disabled" });
+  }
+
+  rememberMockUser(access_token, user);
+  res.send({ session_token: createSessionToken(user) });
 });
 
 export default router;
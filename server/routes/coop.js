@@ -0,0 +1,117 @@
+import { Router } from "express";
+import {
+  getCoopRoom,
+  joinCoopRoom,
+  toggleCoopWord,
+  clearCoopSelection,
+  submitCoopGuess,
+  getCoopTeams
+} from "../services/coop.service.js";
+import { requireUser, requireActivityParticipant } from "../config/middleware.js";
+
+const router = Router();
+
+// Boards belong to an activity instance, so only the players Discord lists in it may read or change them
+const requireMember = [requireUser, requireActivityParticipant];
+
+// Registered before the instance routes so "teams" is never read as an instance ID
+router.get("/api/coop/:guildId/teams/:date", async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const teams = await getCoopTeams(guildId, date);
+    res.json({ date, teams });
+  } catch (error) {
+    console.error("Error fetching co-op results:", error);
+    res.status(500).json({ error: "Failed to fetch co-op results" });
+  }
+});
+
+router.get("/api/coop/:guildId/:instanceId/:date", requireMember, async (req, res) => {
+  const { guildId, instanceId, date } = req.params;
+
+  try {
+    const room = await getCoopRoom(guildId, instanceId, date, req.user);
+
+    if (room.error) {
+      return res.status(room.status).json({ error: room.error });
+    }
+
+    res.json(room);
+  } catch (error) {
+    console.error("Error fetching co-op game:", error);
+    res.status(500).json({ error: "Failed to fetch co-op game" });
+  }
+});
+
+router.post("/api/coop/:guildId/:instanceId/:date/join", requireMember, async (req, res) => {
+  const { guildId, instanceId, date } = req.params;
+
+  try {
+    const room = await joinCoopRoom(guildId, instanceId, date, req.user);
+
+    if (room.error) {
+      return res.status(room.status).json({ error: room.error });
+    }
+
+    res.json(room);
+  } catch (error) {
+    console.error("Error joining co-op game:", error);
+    res.status(500).json({ error: "Failed to join co-op game" });
+  }
+});
+
+router.post("/api/coop/:guildId/:instanceId/:date/select", requireMember, async (req, res) => {
+  const { guildId, instanceId, date } = req.params;
+  const { word } = req.body;
+
+  try {
+    const room = await toggleCoopWord(guildId, instanceId, date, req.user, word);
+
+    if (room.error) {
+      return res.status(room.status).json({ error: room.error });
+    }
+
+    res.json(room);
+  } catch (error) {
+    console.error("Error updating co-op selection:", error);
+    res.status(500).json({ error: "Failed to update co-op selection" });
+  }
+});
+
+router.post("/api/coop/:guildId/:instanceId/:date/clear", requireMember, async (req, res) => {
+  const { guildId, instanceId, date } = req.params;
+
+  try {
+    const room = await clearCoopSelection(guildId, instanceId, date, req.user);
+
+    if (room.error) {
+      return res.status(room.status).json({ error: room.error });
+    }
+
+    res.json(room);
+  } catch (error) {
+    console.error("Error clearing co-op selection:", error);
+    res.status(500).json({ error: "Failed to clear co-op selection" });
+  }
+});
+
+router.post("/api/coop/:guildId/:instanceId/:date/guess", requireMember, async (req, res) => {
+  const { guildId, instanceId, date } = req.params;
+  const { words } = req.body;
+
+  try {
+    const result = await submitCoopGuess(guildId, instanceId, date, req.user, words);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error submitting co-op guess:", error);
+    res.status(500).json({ error: "Failed to submit co-op guess" });
+  }
+});
+
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { subscribe } from "../services/events.service.js";
+import { requireEventScope } from "../config/middleware.js";
+
+const router = Router();
+
+router.get("/api/events", requireEventScope, (req, res) => {
+  subscribe(req, res, req.eventScope);
+});
+
+export default router;
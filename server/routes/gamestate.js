@@ -1,6 +1,16 @@
 import { Router } from "express";
-import { getGameState, saveGameResult, deleteGameResult } from "../services/database.service.js";
+import { getGameState, deleteGameResult } from "../services/database.service.js";
 import { clearUserFromSessions } from "../services/session.service.js";
+import {
+  getPlayerProgress,
+  startGame,
+  submitGuess,
+  requestHint,
+  clearPlayerProgress
+} from "../services/guess.service.js";
+import { completeGame } from "../services/result.service.js";
+import { toPublicGameState } from "../utils/transforms.js";
+import { requireUser } from "../config/middleware.js";
 
 const router = Router();
 
@@ -9,26 +19,96 @@ router.get("/api/gamestate/:guildId/:date", async (req, res) => {
 
   try {
     const gameState = await getGameState(guildId, date);
-    res.json(gameState);
+    res.json(toPublicGameState(gameState));
   } catch (error) {
     console.error("Error fetching game state:", error);
     res.status(500).json({ error: "Failed to fetch game state" });
   }
 });
 
-router.post("/api/gamestate/:guildId/:date/complete", async (req, res) => {
+router.get("/api/gamestate/:guildId/:date/progress", requireUser, async (req, res) => {
   const { guildId, date } = req.params;
-  const { userId, username, avatar, score, mistakes, guessHistory } = req.body;
 
   try {
-    const result = await saveGameResult(guildId, date, {
-      userId,
-      username,
-      avatar,
-      score,
-      mistakes,
-      guessHistory
+    const progress = await getPlayerProgress(guildId, date, req.user.id);
+
+    if (progress.error) {
+      return res.status(progress.status).json({ error: progress.error });
+    }
+
+    res.json(progress);
+  } catch (error) {
+    console.error("Error fetching player progress:", error);
+    res.status(500).json({ error: "Failed to fetch player progress" });
+  }
+});
+
+router.post("/api/gamestate/:guildId/:date/guess", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+  const { words } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const result = await submitGuess(guildId, date, userId, words);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error submitting guess:", error);
+    res.status(500).json({ error: "Failed to submit guess" });
+  }
+});
+
+router.post("/api/gamestate/:guildId/:date/start", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const result = await startGame(guildId, date, req.user.id, {
+      timed: req.body.timed === true,
+      hardMode: req.body.hardMode === true
     });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error starting game:", error);
+    res.status(500).json({ error: "Failed to start game" });
+  }
+});
+
+router.post("/api/gamestate/:guildId/:date/hint", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const result = await requestHint(guildId, date, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error giving hint:", error);
+    res.status(500).json({ error: "Failed to give hint" });
+  }
+});
+
+router.post("/api/gamestate/:guildId/:date/complete", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const result = await completeGame(guildId, date, req.user, req.body.guessHistory);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
     res.json(result);
   } catch (error) {
     console.error("Error saving game result:", error);
@@ -36,16 +116,21 @@ router.post("/api/gamestate/:guildId/:date/complete", async (req, res) => {
   }
 });
 
-router.delete("/api/gamestate/:guildId/:date/:userId", async (req, res) => {
+router.delete("/api/gamestate/:guildId/:date/:userId", requireUser, async (req, res) => {
   const { guildId, date, userId } = req.params;
 
+  if (userId !== req.user.id) {
+    return res.status(403).json({ error: "You can only delete your own results" });
+  }
+
   try {
     console.log(`🗑️ Deleting game record for user ${userId} on ${date}`);
 
     clearUserFromSessions(guildId, userId, date);
+    clearPlayerProgress(guildId, userId, date);
 
     const result = await deleteGameResult(guildId, date, userId);
-    res.json(result);
+    res.json({ ...result, gameState: toPublicGameState(result.gameState) });
   } catch (error) {
     console.error("Error deleting game result:", error);
     res.status(500).json({ error: "Failed to delete game result" });
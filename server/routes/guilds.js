@@ -0,0 +1,55 @@
+import { Router } from "express";
+import {
+  getGuildSettings,
+  updateGuildSettings,
+  getGuildDay,
+  SPOILER_POLICIES
+} from "../services/guild-settings.service.js";
+import { getProviderNames } from "../providers/index.js";
+import { requireGuildAdmin, requireGuildAdminOrService } from "../config/middleware.js";
+
+const router = Router();
+
+router.get("/api/guilds/:guildId/settings", async (req, res) => {
+  const { guildId } = req.params;
+
+  try {
+    const settings = await getGuildSettings(guildId);
+    res.json({ ...settings, availableProviders: getProviderNames(), spoilerPolicies: SPOILER_POLICIES });
+  } catch (error) {
+    console.error("Error fetching guild settings:", error);
+    res.status(500).json({ error: "Failed to fetch guild settings" });
+  }
+});
+
+router.get("/api/guilds/:guildId/today", async (req, res) => {
+  try {
+    res.json(await getGuildDay(req.params.guildId));
+  } catch (error) {
+    console.error("Error fetching guild day:", error);
+    res.status(500).json({ error: "Failed to fetch today's puzzle date" });
+  }
+});
+
+router.post("/api/guilds/:guildId/settings", requireGuildAdminOrService, async (req, res) => {
+  const { guildId } = req.params;
+
+  try {
+    const result = await updateGuildSettings(guildId, req.body);
+
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating guild settings:", error);
+    res.status(500).json({ error: "Failed to update guild settings" });
+  }
+});
+
+router.get("/api/guilds/:guildId/permissions", requireGuildAdmin, (req, res) => {
+  res.json({ canManage: true });
+});
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { getLeaderboard } from "../services/leaderboard.service.js";
+
+const router = Router();
+
+router.get("/api/leaderboard/:guildId", async (req, res) => {
+  const { guildId } = req.params;
+  const { window, category, mode, page, pageSize } = req.query;
+
+  try {
+    const leaderboard = await getLeaderboard(guildId, { window, category, mode, page, pageSize });
+
+    if (leaderboard.error) {
+      return res.status(leaderboard.status).json({ error: leaderboard.error });
+    }
+
+    res.json(leaderboard);
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Failed to fetch leaderboard" });
+  }
+});
+
+export default router;
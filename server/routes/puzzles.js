@@ -0,0 +1,104 @@
+import { Router } from "express";
+import { requireGuildAdmin } from "../config/middleware.js";
+import {
+  listCustomPuzzles,
+  getCustomPuzzle,
+  createCustomPuzzle,
+  updateCustomPuzzle,
+  deleteCustomPuzzle,
+  setCustomPuzzlePublishDate
+} from "../services/custom-puzzle.service.js";
+
+const router = Router();
+
+function sendResult(res, result) {
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  res.json(result);
+}
+
+router.get("/api/guilds/:guildId/puzzles", requireGuildAdmin, async (req, res) => {
+  try {
+    const puzzles = await listCustomPuzzles(req.params.guildId);
+    res.json({ puzzles });
+  } catch (error) {
+    console.error("Error listing custom puzzles:", error);
+    res.status(500).json({ error: "Failed to list puzzles" });
+  }
+});
+
+router.post("/api/guilds/:guildId/puzzles", requireGuildAdmin, async (req, res) => {
+  const { guildId } = req.params;
+
+  try {
+    sendResult(res, await createCustomPuzzle(guildId, req.body, req.user.id));
+  } catch (error) {
+    console.error("Error creating custom puzzle:", error);
+    res.status(500).json({ error: "Failed to create puzzle" });
+  }
+});
+
+router.get("/api/guilds/:guildId/puzzles/:puzzleId", requireGuildAdmin, async (req, res) => {
+  const { guildId, puzzleId } = req.params;
+
+  try {
+    const puzzle = await getCustomPuzzle(guildId, puzzleId);
+
+    if (!puzzle) {
+      return res.status(404).json({ error: "Puzzle not found" });
+    }
+
+    res.json(puzzle);
+  } catch (error) {
+    console.error("Error fetching custom puzzle:", error);
+    res.status(500).json({ error: "Failed to fetch puzzle" });
+  }
+});
+
+router.put("/api/guilds/:guildId/puzzles/:puzzleId", requireGuildAdmin, async (req, res) => {
+  const { guildId, puzzleId } = req.params;
+
+  try {
+    sendResult(res, await updateCustomPuzzle(guildId, puzzleId, req.body));
+  } catch (error) {
+    console.error("Error updating custom puzzle:", error);
+    res.status(500).json({ error: "Failed to update puzzle" });
+  }
+});
+
+router.delete("/api/guilds/:guildId/puzzles/:puzzleId", requireGuildAdmin, async (req, res) => {
+  const { guildId, puzzleId } = req.params;
+
+  try {
+    sendResult(res, await deleteCustomPuzzle(guildId, puzzleId));
+  } catch (error) {
+    console.error("Error deleting custom puzzle:", error);
+    res.status(500).json({ error: "Failed to delete puzzle" });
+  }
+});
+
+router.post("/api/guilds/:guildId/puzzles/:puzzleId/publish", requireGuildAdmin, async (req, res) => {
+  const { guildId, puzzleId } = req.params;
+
+  try {
+    sendResult(res, await setCustomPuzzlePublishDate(guildId, puzzleId, req.body.date));
+  } catch (error) {
+    console.error("Error publishing custom puzzle:", error);
+    res.status(500).json({ error: "Failed to publish puzzle" });
+  }
+});
+
+router.post("/api/guilds/:guildId/puzzles/:puzzleId/unpublish", requireGuildAdmin, async (req, res) => {
+  const { guildId, puzzleId } = req.params;
+
+  try {
+    sendResult(res, await setCustomPuzzlePublishDate(guildId, puzzleId, null));
+  } catch (error) {
+    console.error("Error unpublishing custom puzzle:", error);
+    res.status(500).json({ error: "Failed to unpublish puzzle" });
+  }
+});
+
+export default router;
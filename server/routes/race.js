@@ -0,0 +1,41 @@
+import { Router } from "express";
+import { getRace, startRace } from "../services/race.service.js";
+import { requireUser } from "../config/middleware.js";
+
+const router = Router();
+
+router.get("/api/race/:guildId/:date", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const result = getRace(guildId, date, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching race:", error);
+    res.status(500).json({ error: "Failed to fetch race" });
+  }
+});
+
+router.post("/api/race/:guildId/:date/start", requireUser, async (req, res) => {
+  const { guildId, date } = req.params;
+
+  try {
+    const result = await startRace(guildId, date, req.user);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error starting race:", error);
+    res.status(500).json({ error: "Failed to start race" });
+  }
+});
+
+export default router;
@@ -8,13 +8,23 @@ import {
   checkLaunchRequest,
   endSession
 } from "../services/session.service.js";
+import { requireServiceToken } from "../config/middleware.js";
 
 const router = Router();
 
+// Sessions are driven by the bot, which authenticates with its own service token
+router.use("/api/sessions", requireServiceToken);
+
 router.post("/api/sessions/start", async (req, res) => {
   const { sessionId, guildId, channelId, messageId } = req.body;
-  const session = createSession(sessionId, guildId, channelId);
-  res.json({ success: true, session });
+
+  try {
+    const session = await createSession(sessionId, guildId, channelId);
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error("Error creating session:", error);
+    res.status(500).json({ error: "Failed to create session" });
+  }
 });
 
 router.post("/api/sessions/:messageSessionId/join", async (req, res) => {
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import { listChannelSessions, getSpectatorBoard } from "../services/spectator.service.js";
+import { requireUser } from "../config/middleware.js";
+
+const router = Router();
+
+router.get("/api/spectate/:guildId/channels/:channelId/:date", requireUser, async (req, res) => {
+  const { guildId, channelId, date } = req.params;
+
+  try {
+    res.json({ date, sessions: listChannelSessions(guildId, channelId, date) });
+  } catch (error) {
+    console.error("Error listing sessions to spectate:", error);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+router.get("/api/spectate/:guildId/:date/players/:userId", requireUser, async (req, res) => {
+  const { guildId, date, userId } = req.params;
+
+  try {
+    const result = await getSpectatorBoard(guildId, date, userId, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching spectated board:", error);
+    res.status(500).json({ error: "Failed to fetch player's board" });
+  }
+});
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import { getUserStats } from "../services/stats.service.js";
+
+const router = Router();
+
+router.get("/api/stats/:guildId/:userId", async (req, res) => {
+  const { guildId, userId } = req.params;
+
+  try {
+    const stats = await getUserStats(guildId, userId);
+    res.json(stats);
+  } catch (error) {
+    console.error("Error fetching stats:", error);
+    res.status(500).json({ error: "Failed to fetch stats" });
+  }
+});
+
+export default router;
@@ -1,19 +1,18 @@
 import { Router } from "express";
-import fetch from "node-fetch";
+import { getPuzzle, toPublicPuzzle } from "../services/puzzle.service.js";
 
 const router = Router();
 
-router.get("/api/synapse/:date", async (req, res) => {
+router.get("/api/synapse/:guildId/:date", async (req, res) => {
   try {
-    const { date } = req.params;
-    const response = await fetch(`https://www.nytimes.com/svc/connections/v2/${date}.json`);
+    const { guildId, date } = req.params;
+    const puzzle = await getPuzzle(guildId, date);
 
-    if (!response.ok) {
+    if (!puzzle) {
       return res.status(404).json({ error: "Game not found for this date" });
     }
 
-    const data = await response.json();
-    res.json(data);
+    res.json(toPublicPuzzle(puzzle));
   } catch (error) {
     console.error("Error fetching game data:", error);
     res.status(500).json({ error: "Failed to fetch game data" });
@@ -1,6 +1,7 @@
 -- Synapse Game Database Schema
--- This schema is automatically created by the server on startup
--- You can also manually create it using this file
+-- Reference copy of the MySQL schema with column comments. The real schema is managed by the
+-- versioned migrations in server/migrations, which the server applies on startup
+-- (or run them yourself with `npm run migrate -- up`). Change the schema by adding a migration, then update this file
 
 CREATE DATABASE IF NOT EXISTS synapse_game
   DEFAULT CHARACTER SET utf8mb4
@@ -18,7 +19,14 @@ CREATE TABLE IF NOT EXISTS game_results (
   game_date DATE NOT NULL COMMENT 'Date of the Synapse game played',
   score INT NOT NULL COMMENT 'Number of categories solved (0-4)',
   mistakes INT NOT NULL COMMENT 'Number of mistakes made (0-4)',
+  hints_used INT NOT NULL DEFAULT 0 COMMENT 'Number of hints taken',
+  hint_penalty INT NOT NULL DEFAULT 0 COMMENT 'Total cost of the hints taken',
+  started_at BIGINT DEFAULT NULL COMMENT 'When the board first rendered (milliseconds since the epoch)',
+  solve_time_ms INT DEFAULT NULL COMMENT 'Time from the board rendering to the last guess',
+  timed TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1 when played in timed mode with the clock showing',
+  hard_mode TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1 when played in hard mode (ranked separately)',
   guess_history JSON DEFAULT NULL COMMENT 'Array of guess attempts with difficulty levels',
+  archive TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1 when a past puzzle was played from the archive',
   completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the game was completed',
   
   -- Indexes for performance
@@ -31,6 +39,102 @@ CREATE TABLE IF NOT EXISTS game_results (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   COMMENT='Stores player game results for Synapse';
 
+-- Table to store puzzles served by the "mysql" puzzle provider
+CREATE TABLE IF NOT EXISTS puzzles (
+  puzzle_date DATE PRIMARY KEY COMMENT 'Date the puzzle is played',
+  puzzle_data JSON NOT NULL COMMENT 'Puzzle categories (NYT or Synapse format)',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the puzzle was added'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores puzzles for the mysql puzzle provider';
+
+-- Table to store puzzles written by guild admins
+CREATE TABLE IF NOT EXISTS custom_puzzles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  guild_id VARCHAR(255) NOT NULL COMMENT 'Discord server/guild ID that owns the puzzle',
+  title VARCHAR(255) NOT NULL COMMENT 'Puzzle name shown in the editor',
+  puzzle_data JSON NOT NULL COMMENT 'Four groups of four words in difficulty order',
+  publish_date DATE DEFAULT NULL COMMENT 'Date the puzzle replaces the daily puzzle (NULL while a draft)',
+  created_by VARCHAR(255) DEFAULT NULL COMMENT 'Discord user ID of the author',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the puzzle was created',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When the puzzle last changed',
+
+  INDEX idx_guild (guild_id),
+
+  -- Only one published puzzle per guild per day
+  UNIQUE KEY unique_guild_publish_date (guild_id, publish_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores guild-authored Synapse puzzles';
+
+-- Table to store per-guild configuration
+CREATE TABLE IF NOT EXISTS guild_settings (
+  guild_id VARCHAR(255) PRIMARY KEY COMMENT 'Discord server/guild ID',
+  puzzle_provider VARCHAR(32) DEFAULT NULL COMMENT 'Puzzle provider (nyt, local or mysql)',
+  timezone VARCHAR(64) DEFAULT NULL COMMENT 'IANA timezone that decides when the puzzle day starts (defaults to UTC)',
+  announcement_channel_id VARCHAR(255) DEFAULT NULL COMMENT 'Channel the bot posts to (defaults to #synapse or the first text channel)',
+  auto_post_completions TINYINT(1) DEFAULT NULL COMMENT 'Whether the bot announces completed games (defaults to on)',
+  spoiler_policy VARCHAR(16) DEFAULT NULL COMMENT 'How announced guess grids are shown: show, spoiler or hide (defaults to show)',
+  daily_prompt_enabled TINYINT(1) DEFAULT NULL COMMENT 'Whether the bot posts the daily prompt (defaults to on)',
+  daily_prompt_time CHAR(5) DEFAULT NULL COMMENT 'Local time (HH:MM) the daily prompt is posted (defaults to 09:00)',
+  reminder_time CHAR(5) DEFAULT NULL COMMENT 'Local time (HH:MM) of the optional evening reminder (NULL = off)',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When the settings last changed'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores per-guild Synapse settings';
+
+-- Table to store multiplayer sessions started from the bot so they survive restarts
+CREATE TABLE IF NOT EXISTS game_sessions (
+  session_id VARCHAR(255) PRIMARY KEY COMMENT 'Discord message ID of the session',
+  guild_id VARCHAR(255) NOT NULL COMMENT 'Discord server/guild ID',
+  channel_id VARCHAR(255) DEFAULT NULL COMMENT 'Channel the session message was posted in',
+  message_id VARCHAR(255) DEFAULT NULL COMMENT 'Discord message ID shown to players',
+  session_date DATE DEFAULT NULL COMMENT 'Puzzle day the session was started on (expires at rollover)',
+  players JSON NOT NULL COMMENT 'Players keyed by user ID with their guess history and puzzle date',
+  race JSON DEFAULT NULL COMMENT 'Head-to-head race started from the session (countdown, racers, finishing order)',
+  last_update BIGINT NOT NULL COMMENT 'Last activity (milliseconds since epoch)',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the session started'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores active bot sessions';
+
+-- Team results from co-op games, kept separate from individual results
+CREATE TABLE IF NOT EXISTS coop_results (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  guild_id VARCHAR(255) NOT NULL COMMENT 'Discord server/guild ID',
+  instance_id VARCHAR(255) NOT NULL COMMENT 'Discord activity instance the team played in',
+  game_date DATE NOT NULL COMMENT 'Date of the Synapse game played',
+  members JSON NOT NULL COMMENT 'Team members with user ID, username and avatar',
+  score INT NOT NULL COMMENT 'Number of categories the team solved (0-4)',
+  mistakes INT NOT NULL COMMENT 'Number of mistakes the team made (0-4)',
+  guess_history JSON DEFAULT NULL COMMENT 'Shared guesses, each with the user who submitted it',
+  completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the team finished',
+  INDEX idx_guild_date (guild_id, game_date),
+  UNIQUE KEY unique_team_game (guild_id, instance_id, game_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores co-op team results';
+
+-- Ledger of daily prompts and reminders the bot has posted, so restarts never post twice (used by the bot)
+CREATE TABLE IF NOT EXISTS daily_prompts (
+  guild_id VARCHAR(255) NOT NULL COMMENT 'Discord server/guild ID',
+  prompt_date DATE NOT NULL COMMENT 'Puzzle day the prompt was for',
+  kind VARCHAR(16) NOT NULL COMMENT 'prompt or reminder',
+  channel_id VARCHAR(255) DEFAULT NULL COMMENT 'Channel the message was posted in',
+  message_id VARCHAR(255) DEFAULT NULL COMMENT 'Discord message ID of the post',
+  posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the message was posted',
+  PRIMARY KEY (guild_id, prompt_date, kind)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores which scheduled bot posts were sent';
+
+-- Ledger of completion announcements, so restarts never re-announce and replaced results edit the post (used by the bot)
+CREATE TABLE IF NOT EXISTS announcements (
+  guild_id VARCHAR(255) NOT NULL COMMENT 'Discord server/guild ID',
+  user_id VARCHAR(255) NOT NULL COMMENT 'Discord user ID of the player',
+  game_date DATE NOT NULL COMMENT 'Puzzle day the result was for',
+  result_completed_at BIGINT NOT NULL COMMENT 'Unix seconds when the announced result was completed',
+  channel_id VARCHAR(255) DEFAULT NULL COMMENT 'Channel the announcement was posted in',
+  message_id VARCHAR(255) DEFAULT NULL COMMENT 'Discord message ID of the announcement',
+  posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the announcement was posted',
+  PRIMARY KEY (guild_id, user_id, game_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Stores which completed games the bot has announced';
+
 -- Optional: Create a view for leaderboards
 CREATE OR REPLACE VIEW guild_leaderboard AS
 SELECT 
@@ -43,6 +147,7 @@ SELECT
   completed_at,
   RANK() OVER (PARTITION BY guild_id, game_date ORDER BY score DESC, mistakes ASC, completed_at ASC) as rank
 FROM game_results
+WHERE archive = 0
 ORDER BY guild_id, game_date, rank;
 
 -- Optional: Create a view for player statistics
@@ -4,10 +4,20 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { initializeDatabase } from "./config/database.js";
 import { setupCorsAndSecurity } from "./config/middleware.js";
+import { restoreSessions, startSessionSweeper } from "./services/session.service.js";
 import authRoutes from "./routes/auth.js";
 import synapseRoutes from "./routes/synapse.js";
 import gamestateRoutes from "./routes/gamestate.js";
 import sessionsRoutes from "./routes/sessions.js";
+import guildsRoutes from "./routes/guilds.js";
+import puzzlesRoutes from "./routes/puzzles.js";
+import archiveRoutes from "./routes/archive.js";
+import statsRoutes from "./routes/stats.js";
+import leaderboardRoutes from "./routes/leaderboard.js";
+import eventsRoutes from "./routes/events.js";
+import coopRoutes from "./routes/coop.js";
+import raceRoutes from "./routes/race.js";
+import spectateRoutes from "./routes/spectate.js";
 
 dotenv.config({ path: "../.env" });
 
@@ -17,7 +27,10 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = 3001;
 
-initializeDatabase();
+initializeDatabase()
+  .then(restoreSessions)
+  .then(startSessionSweeper)
+  .catch(() => process.exit(1));
 
 app.use(setupCorsAndSecurity);
 app.use(express.json());
@@ -26,6 +39,15 @@ app.use(authRoutes);
 app.use(synapseRoutes);
 app.use(gamestateRoutes);
 app.use(sessionsRoutes);
+app.use(guildsRoutes);
+app.use(puzzlesRoutes);
+app.use(archiveRoutes);
+app.use(statsRoutes);
+app.use(leaderboardRoutes);
+app.use(eventsRoutes);
+app.use(coopRoutes);
+app.use(raceRoutes);
+app.use(spectateRoutes);
 
 const distPath = path.join(__dirname, "../client/dist");
 console.log("📁 Serving static files from:", distPath);
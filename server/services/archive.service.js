@@ -0,0 +1,48 @@
+import { listAvailableDates } from "./puzzle.service.js";
+import { getGameState, getUserResultsInRange } from "./database.service.js";
+import { getGuildToday } from "./guild-settings.service.js";
+import { getMonthRange, isValidDate } from "../utils/dates.js";
+
+export async function isArchiveDate(guildId, date) {
+  return date < (await getGuildToday(guildId));
+}
+
+export async function getArchiveCalendar(guildId, userId, month) {
+  const today = await getGuildToday(guildId);
+  month = month || today.slice(0, 7);
+
+  const range = getMonthRange(month);
+  if (!range) {
+    return { error: "Month must be in YYYY-MM format", status: 400 };
+  }
+
+  const [dates, results] = await Promise.all([
+    listAvailableDates(guildId, range.from, range.to),
+    getUserResultsInRange(guildId, userId, range.from, range.to)
+  ]);
+
+  const resultsByDate = Object.fromEntries(results.map((result) => [result.date, result]));
+
+  return {
+    month,
+    today,
+    days: dates.map((date) => {
+      const result = resultsByDate[date];
+      return {
+        date,
+        completed: !!result,
+        score: result ? result.score : null,
+        mistakes: result ? result.mistakes : null,
+        archive: result ? result.archive : null
+      };
+    })
+  };
+}
+
+export async function getArchiveGameState(guildId, date) {
+  if (!isValidDate(date) || !(await isArchiveDate(guildId, date))) {
+    return { error: "Only past dates can be played from the archive", status: 400 };
+  }
+
+  return getGameState(guildId, date, { archive: true });
+}
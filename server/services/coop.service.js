@@ -0,0 +1,241 @@
+import { getPuzzle } from "./puzzle.service.js";
+import { getTeamResults, saveTeamResult, getPlayerResult } from "./database.service.js";
+import { publishEvent, EVENT_TYPES } from "./events.service.js";
+import { toPublicGuessHistory } from "../utils/transforms.js";
+import { gradeGuess, replayGuessHistory, isRepeatGuess } from "../utils/grading.js";
+import { getSessionConfig } from "../config/sessions.js";
+import { GAME_CONFIG } from "../config/game.js";
+
+// One shared board per activity instance and puzzle date
+const rooms = {};
+
+function getRoomKey(guildId, instanceId, date) {
+  return `${guildId}:${instanceId}:${date}`;
+}
+
+/** Drop rooms nobody has touched for longer than the session TTL */
+function pruneRooms() {
+  const cutoff = Date.now() - getSessionConfig().ttlMs;
+  for (const [key, room] of Object.entries(rooms)) {
+    if (room.lastUpdate < cutoff) delete rooms[key];
+  }
+}
+
+function getRoom(guildId, instanceId, date) {
+  pruneRooms();
+
+  const key = getRoomKey(guildId, instanceId, date);
+  rooms[key] ??= {
+    guildId,
+    instanceId,
+    date,
+    members: {},
+    selection: [],
+    guessHistory: [],
+    recorded: false,
+    version: 0,
+    lastUpdate: Date.now()
+  };
+  rooms[key].lastUpdate = Date.now();
+  return rooms[key];
+}
+
+function addMember(room, user) {
+  room.members[user.id] = { userId: user.id, username: user.username, avatar: user.avatar || null };
+}
+
+/**
+ * Build the room payload for a member. Answers are only included once the game is over, and only for
+ * members who have finished their own game, so a throwaway co-op board cannot be used to look them up.
+ */
+function toPublicRoom(puzzle, room, canSeeSolution) {
+  const { solvedCategories, mistakes, won, isGameOver } = replayGuessHistory(puzzle, room.guessHistory);
+  const revealAnswers = isGameOver && canSeeSolution;
+
+  return {
+    instanceId: room.instanceId,
+    date: room.date,
+    version: room.version,
+    members: Object.values(room.members),
+    selection: room.selection.map((entry) => ({ ...entry })),
+    guessHistory: room.guessHistory.map((guess) =>
+      revealAnswers ? { ...guess } : { ...guess, wordDifficulties: null }
+    ),
+    solvedCategories,
+    mistakes,
+    maxMistakes: GAME_CONFIG.maxMistakes,
+    won,
+    isGameOver,
+    canSeeSolution,
+    solution: revealAnswers ? puzzle.categories : null,
+    recorded: room.recorded
+  };
+}
+
+async function toMemberRoom(puzzle, room, userId) {
+  return toPublicRoom(puzzle, room, !!(await getPlayerResult(room.guildId, room.date, userId)));
+}
+
+// Every change is published, so the version moves on here; clients drop snapshots older than the one they hold.
+// The event stream is open to anyone, so it only says the board changed and members fetch it themselves.
+function publishRoom(room) {
+  room.version++;
+
+  publishEvent(EVENT_TYPES.coopUpdated, {
+    guildId: room.guildId,
+    instanceId: room.instanceId,
+    date: room.date,
+    version: room.version
+  });
+}
+
+async function recordTeamResult(puzzle, room) {
+  const { solvedCategories, mistakes } = replayGuessHistory(puzzle, room.guessHistory);
+
+  // Claimed before the write so a second guess landing meanwhile cannot record the team twice
+  room.recorded = true;
+
+  try {
+    await saveTeamResult(room.guildId, room.date, {
+      instanceId: room.instanceId,
+      members: Object.values(room.members),
+      score: solvedCategories.length,
+      mistakes,
+      guessHistory: room.guessHistory
+    });
+    console.log(`🤝 Recorded co-op result for instance ${room.instanceId} on ${room.date}`);
+  } catch (error) {
+    room.recorded = false;
+    console.error("Error saving co-op result:", error);
+  }
+}
+
+export async function getCoopRoom(guildId, instanceId, date, user) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  return toMemberRoom(puzzle, getRoom(guildId, instanceId, date), user.id);
+}
+
+export async function joinCoopRoom(guildId, instanceId, date, user) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const room = getRoom(guildId, instanceId, date);
+  const isNewMember = !room.members[user.id];
+  addMember(room, user);
+
+  if (isNewMember) {
+    console.log(`🤝 ${user.id} joined co-op instance ${instanceId} on ${date}`);
+    publishRoom(room);
+  }
+
+  return toMemberRoom(puzzle, room, user.id);
+}
+
+export async function toggleCoopWord(guildId, instanceId, date, user, word) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  if (!puzzle.startingOrder.includes(word)) {
+    return { error: "Word is not part of this puzzle", status: 400 };
+  }
+
+  const room = getRoom(guildId, instanceId, date);
+  const { solvedCategories, isGameOver } = replayGuessHistory(puzzle, room.guessHistory);
+
+  if (isGameOver) {
+    return { error: "Game is already over", status: 409 };
+  }
+
+  if (solvedCategories.some((category) => category.members.includes(word))) {
+    return { error: "Word belongs to a solved category", status: 400 };
+  }
+
+  const selectedIndex = room.selection.findIndex((entry) => entry.word === word);
+
+  if (selectedIndex !== -1) {
+    room.selection.splice(selectedIndex, 1);
+  } else if (room.selection.length >= GAME_CONFIG.wordsPerCategory) {
+    return { error: `Only ${GAME_CONFIG.wordsPerCategory} words can be selected`, status: 409 };
+  } else {
+    room.selection.push({ word, userId: user.id });
+  }
+
+  addMember(room, user);
+  publishRoom(room);
+  return toMemberRoom(puzzle, room, user.id);
+}
+
+export async function clearCoopSelection(guildId, instanceId, date, user) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const room = getRoom(guildId, instanceId, date);
+  room.selection = [];
+  addMember(room, user);
+  publishRoom(room);
+  return toMemberRoom(puzzle, room, user.id);
+}
+
+export async function submitCoopGuess(guildId, instanceId, date, user, words) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const room = getRoom(guildId, instanceId, date);
+  const { solvedCategories, isGameOver } = replayGuessHistory(puzzle, room.guessHistory);
+
+  if (isGameOver) {
+    return { error: "Game is already over", status: 409 };
+  }
+
+  // The guess is always the shared selection; the words the client saw guard against a teammate changing it meanwhile
+  const selectedWords = room.selection.map((entry) => entry.word);
+
+  if (selectedWords.length !== GAME_CONFIG.wordsPerCategory) {
+    return { error: `Select ${GAME_CONFIG.wordsPerCategory} words before submitting`, status: 400 };
+  }
+
+  if (
+    Array.isArray(words) &&
+    (words.length !== selectedWords.length || !words.every((word) => selectedWords.includes(word)))
+  ) {
+    return { error: "The selection changed before the guess was submitted", status: 409 };
+  }
+
+  if (isRepeatGuess(room.guessHistory, selectedWords)) {
+    return { error: "Already guessed", status: 409 };
+  }
+
+  const { result, category, guess } = gradeGuess(puzzle, solvedCategories, selectedWords);
+  room.guessHistory.push({ ...guess, userId: user.id });
+
+  if (result === "correct") {
+    room.selection = [];
+  }
+
+  addMember(room, user);
+  console.log(`🤝 ${user.id} guessed for co-op instance ${instanceId} on ${date}: ${result}`);
+
+  if (replayGuessHistory(puzzle, room.guessHistory).isGameOver && !room.recorded) {
+    await recordTeamResult(puzzle, room);
+  }
+
+  publishRoom(room);
+  return { result, category, room: await toMemberRoom(puzzle, room, user.id) };
+}
+
+export async function getCoopTeams(guildId, date) {
+  const teams = await getTeamResults(guildId, date);
+  return teams.map((team) => ({ ...team, guessHistory: toPublicGuessHistory(team.guessHistory) }));
+}
@@ -0,0 +1,225 @@
+import { getPool } from "../config/database.js";
+import { getGameState } from "./database.service.js";
+import { hasPlayersInProgress } from "./guess.service.js";
+import { normalizeCustomPuzzle, validateCustomPuzzle } from "../utils/puzzle-validation.js";
+import { seededShuffle, transformRowToCustomPuzzle } from "../utils/transforms.js";
+
+const customPuzzles = [];
+let nextPuzzleId = 1;
+
+const SELECT_COLUMNS = `id, title, puzzle_data, DATE_FORMAT(publish_date, '%Y-%m-%d') AS publish_date, created_by, updated_at`;
+
+export async function listCustomPuzzles(guildId) {
+  const pool = getPool();
+  if (pool) {
+    const [rows] = await pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM custom_puzzles WHERE guild_id = ? ORDER BY updated_at DESC`,
+      [guildId]
+    );
+    return rows.map(transformRowToCustomPuzzle);
+  }
+
+  return customPuzzles
+    .filter((puzzle) => puzzle.guildId === guildId)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(({ guildId: _, ...puzzle }) => puzzle);
+}
+
+export async function getCustomPuzzle(guildId, puzzleId) {
+  const pool = getPool();
+  if (pool) {
+    const [rows] = await pool.query(`SELECT ${SELECT_COLUMNS} FROM custom_puzzles WHERE guild_id = ? AND id = ?`, [
+      guildId,
+      puzzleId
+    ]);
+    return rows[0] ? transformRowToCustomPuzzle(rows[0]) : null;
+  }
+
+  const puzzle = customPuzzles.find((p) => p.guildId === guildId && p.id === Number(puzzleId));
+  if (!puzzle) return null;
+
+  const { guildId: _, ...customPuzzle } = puzzle;
+  return customPuzzle;
+}
+
+export async function createCustomPuzzle(guildId, input, userId) {
+  const puzzle = normalizeCustomPuzzle(input);
+  const errors = validateCustomPuzzle(puzzle);
+
+  if (errors.length > 0) {
+    return { error: "Puzzle is not valid", errors, status: 400 };
+  }
+
+  const pool = getPool();
+  let puzzleId;
+
+  if (pool) {
+    const [result] = await pool.query(
+      `INSERT INTO custom_puzzles (guild_id, title, puzzle_data, created_by) VALUES (?, ?, ?, ?)`,
+      [guildId, puzzle.title, JSON.stringify({ categories: puzzle.categories }), userId]
+    );
+    puzzleId = result.insertId;
+  } else {
+    puzzleId = nextPuzzleId++;
+    customPuzzles.push({
+      id: puzzleId,
+      guildId,
+      title: puzzle.title,
+      categories: puzzle.categories,
+      publishDate: null,
+      createdBy: userId,
+      updatedAt: Date.now()
+    });
+  }
+
+  console.log(`✏️ Created custom puzzle ${puzzleId} for guild ${guildId}`);
+  return { success: true, puzzle: await getCustomPuzzle(guildId, puzzleId) };
+}
+
+export async function updateCustomPuzzle(guildId, puzzleId, input) {
+  const existing = await getCustomPuzzle(guildId, puzzleId);
+  if (!existing) {
+    return { error: "Puzzle not found", status: 404 };
+  }
+
+  if (existing.publishDate) {
+    return { error: "Unpublish the puzzle before editing it", status: 409 };
+  }
+
+  const puzzle = normalizeCustomPuzzle(input);
+  const errors = validateCustomPuzzle(puzzle);
+
+  if (errors.length > 0) {
+    return { error: "Puzzle is not valid", errors, status: 400 };
+  }
+
+  const pool = getPool();
+  if (pool) {
+    await pool.query(`UPDATE custom_puzzles SET title = ?, puzzle_data = ? WHERE guild_id = ? AND id = ?`, [
+      puzzle.title,
+      JSON.stringify({ categories: puzzle.categories }),
+      guildId,
+      puzzleId
+    ]);
+  } else {
+    const stored = customPuzzles.find((p) => p.guildId === guildId && p.id === Number(puzzleId));
+    Object.assign(stored, { title: puzzle.title, categories: puzzle.categories, updatedAt: Date.now() });
+  }
+
+  return { success: true, puzzle: await getCustomPuzzle(guildId, puzzleId) };
+}
+
+export async function deleteCustomPuzzle(guildId, puzzleId) {
+  const existing = await getCustomPuzzle(guildId, puzzleId);
+  if (!existing) {
+    return { error: "Puzzle not found", status: 404 };
+  }
+
+  const pool = getPool();
+  if (pool) {
+    await pool.query(`DELETE FROM custom_puzzles WHERE guild_id = ? AND id = ?`, [guildId, puzzleId]);
+  } else {
+    customPuzzles.splice(
+      customPuzzles.findIndex((p) => p.guildId === guildId && p.id === Number(puzzleId)),
+      1
+    );
+  }
+
+  console.log(`🗑️ Deleted custom puzzle ${puzzleId} for guild ${guildId}`);
+  return { success: true };
+}
+
+export async function setCustomPuzzlePublishDate(guildId, puzzleId, date) {
+  const existing = await getCustomPuzzle(guildId, puzzleId);
+  if (!existing) {
+    return { error: "Puzzle not found", status: 404 };
+  }
+
+  if (date !== null) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      return { error: "Publish date must be in YYYY-MM-DD format", status: 400 };
+    }
+
+    const scheduled = await getPublishedPuzzleRecord(guildId, date);
+    if (scheduled && scheduled.id !== existing.id) {
+      return { error: `"${scheduled.title}" is already published for ${date}`, status: 409 };
+    }
+  }
+
+  // Both the day the puzzle leaves and the day it lands must be untouched, or a game would change under its players
+  for (const day of new Set([existing.publishDate, date])) {
+    if (day && (await hasBeenPlayed(guildId, day))) {
+      return { error: `Players have already played the puzzle for ${day}`, status: 409 };
+    }
+  }
+
+  const pool = getPool();
+  if (pool) {
+    await pool.query(`UPDATE custom_puzzles SET publish_date = ? WHERE guild_id = ? AND id = ?`, [
+      date,
+      guildId,
+      puzzleId
+    ]);
+  } else {
+    const stored = customPuzzles.find((p) => p.guildId === guildId && p.id === Number(puzzleId));
+    Object.assign(stored, { publishDate: date, updatedAt: Date.now() });
+  }
+
+  console.log(`📅 Custom puzzle ${puzzleId} for guild ${guildId} ${date ? `published for ${date}` : "unpublished"}`);
+  return { success: true, puzzle: await getCustomPuzzle(guildId, puzzleId) };
+}
+
+async function hasBeenPlayed(guildId, date) {
+  if (hasPlayersInProgress(guildId, date)) return true;
+
+  const [daily, archive] = await Promise.all([
+    getGameState(guildId, date),
+    getGameState(guildId, date, { archive: true })
+  ]);
+  return Object.keys({ ...daily.players, ...archive.players }).length > 0;
+}
+
+async function getPublishedPuzzleRecord(guildId, date) {
+  const pool = getPool();
+  if (pool) {
+    const [rows] = await pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM custom_puzzles WHERE guild_id = ? AND publish_date = ?`,
+      [guildId, date]
+    );
+    return rows[0] ? transformRowToCustomPuzzle(rows[0]) : null;
+  }
+
+  return customPuzzles.find((p) => p.guildId === guildId && p.publishDate === date) || null;
+}
+
+export async function listPublishedDates(guildId, from, to) {
+  const pool = getPool();
+  if (pool) {
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(publish_date, '%Y-%m-%d') AS publish_date
+       FROM custom_puzzles
+       WHERE guild_id = ? AND publish_date BETWEEN ? AND ?`,
+      [guildId, from, to]
+    );
+    return rows.map((row) => row.publish_date);
+  }
+
+  return customPuzzles
+    .filter((p) => p.guildId === guildId && p.publishDate && p.publishDate >= from && p.publishDate <= to)
+    .map((p) => p.publishDate);
+}
+
+export async function getPublishedPuzzle(guildId, date) {
+  const record = await getPublishedPuzzleRecord(guildId, date);
+  if (!record) return null;
+
+  return {
+    date,
+    title: record.title,
+    categories: record.categories,
+    startingOrder: seededShuffle(
+      record.categories.flatMap((category) => category.members),
+      `${guildId}:${date}`
+    )
+  };
+}
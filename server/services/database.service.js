@@ -1,80 +1,39 @@
-import { getPool } from "../config/database.js";
-import { transformRowsToPlayers } from "../utils/transforms.js";
+import { getResultsRepository } from "../repositories/index.js";
 
-const gameState = {};
+export async function getGameState(guildId, date, { archive = false } = {}) {
+  const players = await getResultsRepository().getPlayers(guildId, date, { archive });
+  return { date, players };
+}
 
-export async function getGameState(guildId, date) {
-  try {
-    const pool = getPool();
-    if (pool) {
-      const [rows] = await pool.query(
-        `SELECT user_id, username, avatar, score, mistakes, guess_history, completed_at
-         FROM game_results
-         WHERE guild_id = ? AND game_date = ?`,
-        [guildId, date]
-      );
+export async function getPlayerResult(guildId, date, userId) {
+  return getResultsRepository().getPlayerResult(guildId, date, userId);
+}
 
-      const players = transformRowsToPlayers(rows);
-      return { date, players };
-    } else {
-      if (!gameState[guildId] || gameState[guildId].date !== date) {
-        gameState[guildId] = { date, players: {} };
-      }
-      return gameState[guildId];
-    }
-  } catch (error) {
-    console.error("Error fetching game state:", error);
-    if (!gameState[guildId] || gameState[guildId].date !== date) {
-      gameState[guildId] = { date, players: {} };
-    }
-    return gameState[guildId];
-  }
+export async function getUserResultsInRange(guildId, userId, from, to) {
+  return getResultsRepository().getUserResults(guildId, userId, { from, to });
 }
 
-export async function saveGameResult(guildId, date, playerData) {
-  const { userId, username, avatar, score, mistakes, guessHistory } = playerData;
+export async function getUserResults(guildId, userId) {
+  return getResultsRepository().getUserResults(guildId, userId);
+}
 
-  try {
-    const pool = getPool();
-    if (pool) {
-      await pool.query(
-        `INSERT INTO game_results (guild_id, user_id, username, avatar, game_date, score, mistakes, guess_history)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-           username = VALUES(username),
-           avatar = VALUES(avatar),
-           score = VALUES(score),
-           mistakes = VALUES(mistakes),
-           guess_history = VALUES(guess_history),
-           completed_at = CURRENT_TIMESTAMP`,
-        [guildId, userId, username, avatar, date, score, mistakes, JSON.stringify(guessHistory)]
-      );
+export async function getGuildResults(guildId, { from = null, to = null } = {}) {
+  return getResultsRepository().getGuildResults(guildId, { from, to });
+}
 
-      const [rows] = await pool.query(
-        `SELECT user_id, username, avatar, score, mistakes, guess_history, completed_at
-         FROM game_results
-         WHERE guild_id = ? AND game_date = ?`,
-        [guildId, date]
-      );
+export async function getLeaderboardPage(guildId, options) {
+  return getResultsRepository().getLeaderboardPage(guildId, options);
+}
 
-      const players = transformRowsToPlayers(rows);
-      return { success: true, gameState: { date, players } };
-    } else {
-      if (!gameState[guildId] || gameState[guildId].date !== date) {
-        gameState[guildId] = { date, players: {} };
-      }
+export async function saveGameResult(guildId, date, playerData) {
+  const { archive = false } = playerData;
 
-      gameState[guildId].players[userId] = {
-        username,
-        avatar,
-        score,
-        mistakes,
-        guessHistory,
-        completedAt: Date.now()
-      };
+  try {
+    const repository = getResultsRepository();
+    await repository.saveResult(guildId, date, { ...playerData, archive });
 
-      return { success: true, gameState: gameState[guildId] };
-    }
+    const players = await repository.getPlayers(guildId, date, { archive });
+    return { success: true, gameState: { date, players } };
   } catch (error) {
     console.error("Error saving game result:", error);
     throw error;
@@ -83,32 +42,22 @@ export async function saveGameResult(guildId, date, playerData) {
 
 export async function deleteGameResult(guildId, date, userId) {
   try {
-    const pool = getPool();
-    if (pool) {
-      await pool.query(
-        `DELETE FROM game_results WHERE guild_id = ? AND game_date = ? AND user_id = ?`,
-        [guildId, date, userId]
-      );
-
-      const [rows] = await pool.query(
-        `SELECT user_id, username, avatar, score, mistakes, guess_history, completed_at
-         FROM game_results
-         WHERE guild_id = ? AND game_date = ?`,
-        [guildId, date]
-      );
+    const repository = getResultsRepository();
+    await repository.deleteResult(guildId, date, userId);
+    console.log(`✅ Deleted ${userId}'s ${date} result from ${repository.name} storage`);
 
-      const players = transformRowsToPlayers(rows);
-      console.log(`✅ Deleted from database`);
-      return { success: true, gameState: { date, players } };
-    } else {
-      if (gameState[guildId] && gameState[guildId].players) {
-        delete gameState[guildId].players[userId];
-      }
-      console.log(`✅ Deleted from in-memory storage`);
-      return { success: true, gameState: gameState[guildId] || { date, players: {} } };
-    }
+    const players = await repository.getPlayers(guildId, date, { archive: false });
+    return { success: true, gameState: { date, players } };
   } catch (error) {
     console.error("Error deleting game result:", error);
     throw error;
   }
 }
+
+export async function getTeamResults(guildId, date) {
+  return getResultsRepository().getTeamResults(guildId, date);
+}
+
+export async function saveTeamResult(guildId, date, team) {
+  await getResultsRepository().saveTeamResult(guildId, date, team);
+}
@@ -0,0 +1,125 @@
+import fetch from "node-fetch";
+
+const MANAGE_GUILD = 0x20n;
+const ADMINISTRATOR = 0x8n;
+const GUILDS_CACHE_TTL = 60 * 1000;
+const INSTANCE_CACHE_TTL = 30 * 1000;
+
+const guildsCache = {};
+const usersCache = {};
+const instanceCache = {};
+// Local development only: the user each mock access token was issued for
+const mockUsers = {};
+
+export function isMockAuthEnabled() {
+  return process.env.ALLOW_MOCK_AUTH === "true";
+}
+
+export function isMockAccessToken(accessToken) {
+  return isMockAuthEnabled() && accessToken.startsWith("mock-access-token-");
+}
+
+export async function fetchDiscordUser(accessToken) {
+  const response = await fetch("https://discord.com/api/users/@me", {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    console.warn(`⚠️ Discord rejected user lookup: ${response.status}`);
+    return null;
+  }
+
+  return response.json();
+}
+
+export function rememberMockUser(accessToken, user) {
+  mockUsers[accessToken] = { id: user.id, username: user.username };
+}
+
+// The user behind an access token, so admin routes record who acted rather than who the client says acted
+export async function getAccessTokenUser(accessToken) {
+  if (isMockAccessToken(accessToken)) {
+    return mockUsers[accessToken] || null;
+  }
+
+  const cached = usersCache[accessToken];
+  if (cached && Date.now() - cached.fetchedAt < GUILDS_CACHE_TTL) {
+    return cached.user;
+  }
+
+  const user = await fetchDiscordUser(accessToken);
+  if (user) {
+    usersCache[accessToken] = { user, fetchedAt: Date.now() };
+  }
+  return user;
+}
+
+export async function fetchUserGuilds(accessToken) {
+  const cached = guildsCache[accessToken];
+  if (cached && Date.now() - cached.fetchedAt < GUILDS_CACHE_TTL) {
+    return cached.guilds;
+  }
+
+  const response = await fetch("https://discord.com/api/users/@me/guilds", {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    console.warn(`⚠️ Discord rejected guild lookup: ${response.status}`);
+    return null;
+  }
+
+  const guilds = await response.json();
+  guildsCache[accessToken] = { guilds, fetchedAt: Date.now() };
+  return guilds;
+}
+
+export async function canManageGuild(accessToken, guildId) {
+  if (isMockAccessToken(accessToken)) {
+    return true;
+  }
+
+  const guilds = await fetchUserGuilds(accessToken);
+  const guild = guilds?.find((g) => g.id === guildId);
+
+  if (!guild) {
+    return false;
+  }
+
+  const permissions = BigInt(guild.permissions);
+  return guild.owner || (permissions & MANAGE_GUILD) === MANAGE_GUILD || (permissions & ADMINISTRATOR) === ADMINISTRATOR;
+}
+
+export function canCheckActivityInstances() {
+  return !!process.env.DISCORD_BOT_TOKEN;
+}
+
+export async function fetchActivityInstance(instanceId) {
+  const applicationId = process.env.VITE_DISCORD_CLIENT_ID;
+  const response = await fetch(
+    `https://discord.com/api/applications/${applicationId}/activity-instances/${encodeURIComponent(instanceId)}`,
+    { headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}` } }
+  );
+
+  if (!response.ok) {
+    console.warn(`⚠️ Discord rejected activity instance lookup: ${response.status}`);
+    return null;
+  }
+
+  return response.json();
+}
+
+// Players join an instance all the time, so a cached list is only trusted to say yes
+export async function isActivityParticipant(guildId, instanceId, userId) {
+  const cached = instanceCache[instanceId];
+  let instance = cached && Date.now() - cached.fetchedAt < INSTANCE_CACHE_TTL ? cached.instance : null;
+
+  if (!instance?.users?.includes(userId)) {
+    instance = await fetchActivityInstance(instanceId);
+    if (!instance) return false;
+    instanceCache[instanceId] = { instance, fetchedAt: Date.now() };
+  }
+
+  const instanceGuildId = instance.location?.guild_id;
+  return instance.users?.includes(userId) && (!instanceGuildId || instanceGuildId === guildId);
+}
@@ -0,0 +1,56 @@
+const HEARTBEAT_INTERVAL = 25000;
+
+const subscribers = new Set();
+let nextEventId = 1;
+
+export const EVENT_TYPES = {
+  sessionCreated: "session.created",
+  playerJoined: "player.joined",
+  guessRecorded: "guess.recorded",
+  gameCompleted: "game.completed",
+  sessionExpired: "session.expired",
+  coopUpdated: "coop.updated",
+  raceUpdated: "race.updated",
+  raceFinished: "race.finished"
+};
+
+export function subscribe(req, res, { guildId = null, allGuilds = false } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: 3000\n\n`);
+
+  const subscriber = { res, guildId, allGuilds };
+  subscribers.add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_INTERVAL);
+
+  const scope = allGuilds ? "all guilds" : `guild ${guildId}`;
+  console.log(`📡 Event subscriber connected for ${scope} (${subscribers.size} total)`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+    console.log(`📡 Event subscriber disconnected (${subscribers.size} total)`);
+  });
+}
+
+export function publishEvent(type, payload) {
+  const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+  for (const subscriber of subscribers) {
+    // A subscriber without a guild hears nothing rather than everything
+    if (!subscriber.allGuilds && (!subscriber.guildId || subscriber.guildId !== payload.guildId)) {
+      continue;
+    }
+
+    subscriber.res.write(message);
+  }
+}
+
+export function getSubscriberCount() {
+  return subscribers.size;
+}
@@ -0,0 +1,280 @@
+import { getPuzzle } from "./puzzle.service.js";
+import { getPlayerResult } from "./database.service.js";
+import {
+  getUserSessionHistory,
+  getUserSessionPlayer,
+  getMessageSessionId,
+  updateSession,
+  hasSessionGuesses
+} from "./session.service.js";
+import { publishEvent, EVENT_TYPES } from "./events.service.js";
+import { checkRaceGuess, checkRaceHint, recordRaceGuess } from "./race.service.js";
+import {
+  createUserSessionId,
+  parseUserSessionId,
+  parseGuessHistory,
+  toPublicGuessHistory
+} from "../utils/transforms.js";
+import {
+  gradeGuess,
+  replayGuessHistory,
+  getNextHint,
+  createHintEntry,
+  isRepeatGuess,
+  getMaxMistakes
+} from "../utils/grading.js";
+import { GAME_CONFIG } from "../config/game.js";
+
+const playerProgress = {};
+
+/**
+ * Load a player's progress, seeding it from a saved result or their bot session
+ */
+async function loadProgress(guildId, date, userId) {
+  const userSessionId = createUserSessionId(guildId, userId, date);
+
+  if (!playerProgress[userSessionId]) {
+    const savedResult = await getPlayerResult(guildId, date, userId);
+    // A channel session outlives a restart, so its player carries the modes and clock as well as the guesses
+    const seed = savedResult || getUserSessionPlayer(userSessionId);
+
+    playerProgress[userSessionId] = {
+      guessHistory: parseGuessHistory(seed?.guessHistory),
+      startedAt: seed?.startedAt ?? null,
+      timed: !!seed?.timed,
+      hardMode: !!seed?.hardMode
+    };
+  }
+
+  return playerProgress[userSessionId];
+}
+
+/** Hard mode keeps a solved group's title hidden until the game is over */
+function hideGroupTitle(category) {
+  return { ...category, group: null };
+}
+
+/**
+ * Build the progress payload sent to the player. Answers are only included once the game is over.
+ */
+function toPublicProgress(puzzle, { guessHistory, startedAt, timed, hardMode }, completed) {
+  const { solvedCategories, mistakes, won, isGameOver, hintsUsed, hintPenalty } = replayGuessHistory(
+    puzzle,
+    guessHistory,
+    { hardMode }
+  );
+  const nextHint = getNextHint(puzzle, guessHistory, { hardMode });
+
+  return {
+    guessHistory: isGameOver ? guessHistory : guessHistory.map((guess) => ({ ...guess, wordDifficulties: null })),
+    solvedCategories: hardMode && !isGameOver ? solvedCategories.map(hideGroupTitle) : solvedCategories,
+    mistakes,
+    maxMistakes: getMaxMistakes(hardMode),
+    hintsUsed,
+    hintPenalty,
+    nextHint: nextHint ? { hint: nextHint.hint, cost: nextHint.cost } : null,
+    startedAt,
+    timed,
+    hardMode,
+    won,
+    isGameOver,
+    solution: isGameOver ? puzzle.categories : null,
+    completed
+  };
+}
+
+/**
+ * Copy the player's record to their channel session, if they have one
+ * @returns {boolean} - True if the player is in a channel session
+ */
+function saveToSession(userSessionId, { guessHistory, startedAt, timed, hardMode }) {
+  if (!getUserSessionHistory(userSessionId)) return false;
+
+  updateSession(userSessionId, [...guessHistory], { hardMode, timed, startedAt });
+  return true;
+}
+
+/**
+ * Share a new guess history entry with the player's channel session, any race and the event stream
+ */
+function recordEntry(puzzle, guildId, date, userId, record, result) {
+  const userSessionId = createUserSessionId(guildId, userId, date);
+  if (saveToSession(userSessionId, record)) {
+    recordRaceGuess(guildId, date, userId);
+  }
+
+  const progress = toPublicProgress(puzzle, record, false);
+
+  publishEvent(EVENT_TYPES.guessRecorded, {
+    guildId,
+    date,
+    userId,
+    sessionId: getMessageSessionId(userSessionId),
+    result,
+    guessHistory: toPublicGuessHistory(progress.guessHistory),
+    hardMode: record.hardMode,
+    isGameOver: progress.isGameOver
+  });
+
+  return progress;
+}
+
+export async function getPlayerProgress(guildId, date, userId) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const record = await loadProgress(guildId, date, userId);
+  const savedResult = await getPlayerResult(guildId, date, userId);
+  return toPublicProgress(puzzle, record, !!savedResult);
+}
+
+export async function startGame(guildId, date, userId, { timed = false, hardMode = false } = {}) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const record = await loadProgress(guildId, date, userId);
+  const { isGameOver } = replayGuessHistory(puzzle, record.guessHistory, { hardMode: record.hardMode });
+
+  if (isGameOver) {
+    return { error: "Game is already over", status: 409 };
+  }
+
+  // Modes can only be switched on before the first guess. The clock never moves forward once the board has been
+  // served, or a player could study the tiles and then switch the timer on.
+  if (record.guessHistory.length === 0) {
+    record.timed ||= timed;
+    record.hardMode ||= hardMode;
+  }
+
+  // Bot sessions may have guessed before the board ever rendered, so the clock starts no later than the first guess
+  record.startedAt ??= record.guessHistory[0]?.timestamp || Date.now();
+  saveToSession(createUserSessionId(guildId, userId, date), record);
+
+  // Lets the client line its clock up with the server's
+  return { ...toPublicProgress(puzzle, record, false), serverTime: Date.now() };
+}
+
+/**
+ * The guess history the server recorded for the player, which is what a finished game is graded on
+ */
+export async function getRecordedHistory(guildId, date, userId) {
+  const record = await loadProgress(guildId, date, userId);
+  return [...record.guessHistory];
+}
+
+/**
+ * Time from the board first rendering to the player's last guess, taken from the server's own record
+ */
+export function getTiming(guildId, date, userId) {
+  const record = playerProgress[createUserSessionId(guildId, userId, date)];
+  const finishedAt = record?.guessHistory.at(-1)?.timestamp;
+
+  if (!record?.startedAt || !finishedAt) {
+    return { startedAt: null, solveTimeMs: null, timed: false };
+  }
+
+  return { startedAt: record.startedAt, solveTimeMs: Math.max(0, finishedAt - record.startedAt), timed: record.timed };
+}
+
+export function isHardMode(guildId, date, userId) {
+  return !!playerProgress[createUserSessionId(guildId, userId, date)]?.hardMode;
+}
+
+export async function submitGuess(guildId, date, userId, words) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  if (
+    !Array.isArray(words) ||
+    words.length !== GAME_CONFIG.wordsPerCategory ||
+    new Set(words).size !== words.length ||
+    !words.every((word) => puzzle.startingOrder.includes(word))
+  ) {
+    return { error: `A guess must be ${GAME_CONFIG.wordsPerCategory} different words from the puzzle`, status: 400 };
+  }
+
+  const record = await loadProgress(guildId, date, userId);
+  const { guessHistory, hardMode } = record;
+  const { solvedCategories, isGameOver } = replayGuessHistory(puzzle, guessHistory, { hardMode });
+
+  if (isGameOver) {
+    return { error: "Game is already over", status: 409 };
+  }
+
+  if (solvedCategories.some((category) => category.members.some((member) => words.includes(member)))) {
+    return { error: "Guess contains words from a solved category", status: 400 };
+  }
+
+  // Repeating a guess would only cost another mistake, so it is turned away before grading
+  if (isRepeatGuess(guessHistory, words)) {
+    return { error: "Already guessed", status: 409 };
+  }
+
+  const raceBlock = checkRaceGuess(guildId, date, userId);
+  if (raceBlock) {
+    return raceBlock;
+  }
+
+  const { result, category, guess } = gradeGuess(puzzle, solvedCategories, words, { hardMode });
+  guessHistory.push(guess);
+
+  console.log(`🎯 ${userId} guessed on ${date}: ${result}`);
+
+  const progress = recordEntry(puzzle, guildId, date, userId, record, result);
+  return {
+    result,
+    category: category && hardMode && !progress.isGameOver ? hideGroupTitle(category) : category,
+    progress
+  };
+}
+
+export async function requestHint(guildId, date, userId) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const record = await loadProgress(guildId, date, userId);
+  if (record.hardMode) {
+    return { error: "Hints are off in hard mode", status: 409 };
+  }
+
+  const hint = createHintEntry(puzzle, record.guessHistory);
+
+  if (!hint) {
+    return { error: "No hints left", status: 409 };
+  }
+
+  const raceBlock = checkRaceHint(guildId, date, userId);
+  if (raceBlock) {
+    return raceBlock;
+  }
+
+  record.guessHistory.push(hint);
+
+  console.log(`💡 ${userId} took a ${hint.hint} hint on ${date}`);
+
+  return { hint, progress: recordEntry(puzzle, guildId, date, userId, record, "hint") };
+}
+
+/**
+ * Whether anyone has been served the board or guessed on a date without saving a result yet
+ */
+export function hasPlayersInProgress(guildId, date) {
+  const inProgress = Object.entries(playerProgress).some(([userSessionId, record]) => {
+    const player = parseUserSessionId(userSessionId);
+    return player.guildId === guildId && player.date === date && (!!record.startedAt || record.guessHistory.length > 0);
+  });
+
+  return inProgress || hasSessionGuesses(guildId, date);
+}
+
+export function clearPlayerProgress(guildId, userId, date) {
+  delete playerProgress[createUserSessionId(guildId, userId, date)];
+}
@@ -0,0 +1,154 @@
+import { getPool } from "../config/database.js";
+import { getProviderNames, getDefaultProviderName } from "../providers/index.js";
+import { getTodayDate, getPuzzleNumber, isValidTimeZone } from "../utils/dates.js";
+
+export const SPOILER_POLICIES = ["show", "spoiler", "hide"];
+
+const guildSettings = {};
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Settings a guild can change, with their column and validation
+ */
+const SETTING_FIELDS = {
+  puzzleProvider: {
+    column: "puzzle_provider",
+    validate: (value) =>
+      getProviderNames().includes(value) ||
+      `Unknown puzzle provider: ${value}. Choose one of ${getProviderNames().join(", ")}`
+  },
+  timezone: {
+    column: "timezone",
+    validate: (value) =>
+      isValidTimeZone(value) || `Unknown timezone: ${value}. Use an IANA name such as America/New_York`
+  },
+  announcementChannelId: {
+    column: "announcement_channel_id",
+    validate: (value) => value === null || /^\d+$/.test(value) || "Announcement channel must be a channel ID or null"
+  },
+  autoPostCompletions: {
+    column: "auto_post_completions",
+    validate: (value) => typeof value === "boolean" || "autoPostCompletions must be true or false"
+  },
+  spoilerPolicy: {
+    column: "spoiler_policy",
+    validate: (value) =>
+      SPOILER_POLICIES.includes(value) ||
+      `Unknown spoiler policy: ${value}. Choose one of ${SPOILER_POLICIES.join(", ")}`
+  },
+  dailyPromptEnabled: {
+    column: "daily_prompt_enabled",
+    validate: (value) => typeof value === "boolean" || "dailyPromptEnabled must be true or false"
+  },
+  dailyPromptTime: {
+    column: "daily_prompt_time",
+    validate: (value) => TIME_OF_DAY.test(value) || "dailyPromptTime must be a 24-hour time such as 09:00"
+  },
+  reminderTime: {
+    column: "reminder_time",
+    validate: (value) =>
+      value === null || TIME_OF_DAY.test(value) || "reminderTime must be a 24-hour time such as 19:30, or null"
+  }
+};
+
+function getDefaultTimeZone() {
+  return isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : "UTC";
+}
+
+function withDefaults(guildId, settings = {}) {
+  return {
+    guildId,
+    puzzleProvider: settings.puzzleProvider || getDefaultProviderName(),
+    timezone: settings.timezone || getDefaultTimeZone(),
+    announcementChannelId: settings.announcementChannelId || null,
+    autoPostCompletions: settings.autoPostCompletions ?? true,
+    spoilerPolicy: settings.spoilerPolicy || "show",
+    dailyPromptEnabled: settings.dailyPromptEnabled ?? true,
+    dailyPromptTime: settings.dailyPromptTime || "09:00",
+    reminderTime: settings.reminderTime || null
+  };
+}
+
+/**
+ * Read a guild_settings row into settings, leaving unset columns undefined so defaults apply
+ */
+function fromRow(row) {
+  if (!row) return {};
+
+  return {
+    puzzleProvider: row.puzzle_provider,
+    timezone: row.timezone,
+    announcementChannelId: row.announcement_channel_id,
+    autoPostCompletions: row.auto_post_completions === null ? undefined : !!row.auto_post_completions,
+    spoilerPolicy: row.spoiler_policy,
+    dailyPromptEnabled: row.daily_prompt_enabled === null ? undefined : !!row.daily_prompt_enabled,
+    dailyPromptTime: row.daily_prompt_time,
+    reminderTime: row.reminder_time
+  };
+}
+
+export async function getGuildSettings(guildId) {
+  try {
+    const pool = getPool();
+    if (pool) {
+      const [rows] = await pool.query(
+        `SELECT puzzle_provider, timezone, announcement_channel_id, auto_post_completions, spoiler_policy,
+           daily_prompt_enabled, daily_prompt_time, reminder_time
+         FROM guild_settings
+         WHERE guild_id = ?`,
+        [guildId]
+      );
+      return withDefaults(guildId, fromRow(rows[0]));
+    }
+    return withDefaults(guildId, guildSettings[guildId]);
+  } catch (error) {
+    console.error("Error fetching guild settings:", error);
+    return withDefaults(guildId, guildSettings[guildId]);
+  }
+}
+
+export async function updateGuildSettings(guildId, updates) {
+  const changes = Object.fromEntries(
+    Object.entries(updates || {}).filter(([key, value]) => SETTING_FIELDS[key] && value !== undefined)
+  );
+
+  if (Object.keys(changes).length === 0) {
+    return { error: `Nothing to update. Send any of: ${Object.keys(SETTING_FIELDS).join(", ")}` };
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    const valid = SETTING_FIELDS[key].validate(value);
+    if (valid !== true) {
+      return { error: valid };
+    }
+  }
+
+  const pool = getPool();
+  if (pool) {
+    // Only the changed columns are written so unset settings keep following the server defaults
+    const columns = Object.keys(changes).map((key) => SETTING_FIELDS[key].column);
+    await pool.query(
+      `INSERT INTO guild_settings (guild_id, ${columns.join(", ")})
+       VALUES (?, ${columns.map(() => "?").join(", ")})
+       ON DUPLICATE KEY UPDATE ${columns.map((column) => `${column} = VALUES(${column})`).join(", ")}`,
+      [guildId, ...Object.values(changes)]
+    );
+  } else {
+    guildSettings[guildId] = { ...guildSettings[guildId], ...changes };
+  }
+
+  console.log(`⚙️ Guild ${guildId} updated ${Object.keys(changes).join(", ")}`);
+
+  return { success: true, settings: await getGuildSettings(guildId) };
+}
+
+export async function getGuildToday(guildId) {
+  const { timezone } = await getGuildSettings(guildId);
+  return getTodayDate(timezone);
+}
+
+export async function getGuildDay(guildId) {
+  const { timezone } = await getGuildSettings(guildId);
+  const date = getTodayDate(timezone);
+  return { guildId, timezone, date, puzzleNumber: getPuzzleNumber(date) };
+}
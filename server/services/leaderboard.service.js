@@ -0,0 +1,59 @@
+import { getLeaderboardPage } from "./database.service.js";
+import {
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_CATEGORIES,
+  LEADERBOARD_MODES,
+  getWindowRange
+} from "../utils/leaderboard.js";
+import { getGuildToday } from "./guild-settings.service.js";
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+export async function getLeaderboard(
+  guildId,
+  { window = "daily", category = "solves", mode = "normal", page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}
+) {
+  if (!LEADERBOARD_WINDOWS.includes(window)) {
+    return { error: `Window must be one of: ${LEADERBOARD_WINDOWS.join(", ")}`, status: 400 };
+  }
+
+  if (!LEADERBOARD_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${LEADERBOARD_CATEGORIES.join(", ")}`, status: 400 };
+  }
+
+  if (!LEADERBOARD_MODES.includes(mode)) {
+    return { error: `Mode must be one of: ${LEADERBOARD_MODES.join(", ")}`, status: 400 };
+  }
+
+  page = Number(page);
+  pageSize = Number(pageSize);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+    return { error: "Page and page size must be positive whole numbers", status: 400 };
+  }
+  pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+
+  const { from, to } = getWindowRange(window, await getGuildToday(guildId));
+  const { totalPlayers, entries } = await getLeaderboardPage(guildId, {
+    category,
+    mode,
+    from,
+    to,
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+
+  return {
+    guildId,
+    window,
+    category,
+    mode,
+    from,
+    to,
+    page,
+    pageSize,
+    totalPlayers,
+    totalPages: Math.max(1, Math.ceil(totalPlayers / pageSize)),
+    entries
+  };
+}
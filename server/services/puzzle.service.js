@@ -0,0 +1,57 @@
+import { getProvider } from "../providers/index.js";
+import { getGuildSettings, getGuildToday } from "./guild-settings.service.js";
+import { getPublishedPuzzle, listPublishedDates } from "./custom-puzzle.service.js";
+
+const puzzleCache = {};
+
+export async function getPuzzle(guildId, date) {
+  if (date > (await getGuildToday(guildId))) {
+    return null;
+  }
+
+  const customPuzzle = await getPublishedPuzzle(guildId, date);
+  if (customPuzzle) {
+    return customPuzzle;
+  }
+
+  const { puzzleProvider } = await getGuildSettings(guildId);
+  const provider = getProvider(puzzleProvider);
+  const cacheKey = `${provider.name}:${date}`;
+
+  if (puzzleCache[cacheKey]) {
+    return puzzleCache[cacheKey];
+  }
+
+  const puzzle = await provider.getPuzzle(date);
+
+  if (puzzle) {
+    puzzleCache[cacheKey] = puzzle;
+  }
+
+  return puzzle;
+}
+
+export async function listAvailableDates(guildId, from, to) {
+  const today = await getGuildToday(guildId);
+  const until = to < today ? to : today;
+
+  if (from > until) {
+    return [];
+  }
+
+  const { puzzleProvider } = await getGuildSettings(guildId);
+  const [providerDates, customDates] = await Promise.all([
+    getProvider(puzzleProvider).listDates(from, until),
+    listPublishedDates(guildId, from, until)
+  ]);
+
+  return [...new Set([...providerDates, ...customDates])].sort();
+}
+
+export function toPublicPuzzle(puzzle) {
+  return {
+    date: puzzle.date,
+    title: puzzle.title || null,
+    tiles: puzzle.startingOrder
+  };
+}
@@ -0,0 +1,220 @@
+import { getSession, getMessageSessionId, setSessionRace } from "./session.service.js";
+import { getPlayerResult } from "./database.service.js";
+import { publishEvent, EVENT_TYPES } from "./events.service.js";
+import { createUserSessionId } from "../utils/transforms.js";
+import { isHint, isSolve, isMistake, getMaxMistakes } from "../utils/grading.js";
+import { GAME_CONFIG, RACE_CONFIG } from "../config/game.js";
+
+/**
+ * Progress visible to opponents: the colours solved and mistakes made, never the words. Only groups found by guessing
+ * count towards winning, so a group locked in by a hint can never decide a race.
+ */
+function summarizeProgress({ guessHistory = [], hardMode = false } = {}) {
+  const solved = guessHistory.filter(isSolve).map((guess) => guess.difficulty);
+  const mistakes = guessHistory.filter(isMistake).length;
+  const guessedSolves = guessHistory.filter((guess) => isSolve(guess) && !isHint(guess));
+  const won = guessedSolves.length === GAME_CONFIG.totalCategories;
+  const maxMistakes = getMaxMistakes(hardMode);
+
+  return { solved, mistakes, maxMistakes, won, isGameOver: won || mistakes >= maxMistakes };
+}
+
+function getRaceStatus(race, now) {
+  if (race.finishedAt) return "finished";
+  return now < race.startsAt ? "countdown" : "running";
+}
+
+function findUserSession(guildId, date, userId) {
+  const sessionId = getMessageSessionId(createUserSessionId(guildId, userId, date));
+  const session = sessionId ? getSession(sessionId) : null;
+  return session ? { sessionId, session } : null;
+}
+
+function toPublicRace(sessionId, session, now = Date.now()) {
+  const { race } = session;
+
+  return {
+    sessionId,
+    date: session.date,
+    version: race.version,
+    status: getRaceStatus(race, now),
+    startsAt: race.startsAt,
+    finishedAt: race.finishedAt,
+    // Lets clients line their countdown up with the server clock
+    serverTime: now,
+    winnerId: race.winnerId,
+    racers: Object.entries(race.racers).map(([userId, racer]) => ({
+      userId,
+      username: racer.username,
+      avatarUrl: racer.avatarUrl,
+      finishedAt: racer.finishedAt,
+      ...summarizeProgress(session.players[userId])
+    })),
+    standings: race.standings
+  };
+}
+
+/** Winner first, then everyone else by categories solved and fewest mistakes */
+function buildStandings(session) {
+  const { race } = session;
+
+  return Object.entries(race.racers)
+    .map(([userId, racer]) => {
+      const { solved, mistakes, won } = summarizeProgress(session.players[userId]);
+      return {
+        userId,
+        username: racer.username,
+        avatarUrl: racer.avatarUrl,
+        won,
+        solvedCount: solved.length,
+        mistakes,
+        elapsedMs: racer.finishedAt ? racer.finishedAt - race.startsAt : null
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.userId === race.winnerId) - (a.userId === race.winnerId) ||
+        b.solvedCount - a.solvedCount ||
+        a.mistakes - b.mistakes ||
+        (a.elapsedMs ?? Infinity) - (b.elapsedMs ?? Infinity)
+    )
+    .map((standing, index) => ({ place: index + 1, ...standing }));
+}
+
+function publishRace(sessionId, session) {
+  const race = toPublicRace(sessionId, session);
+
+  publishEvent(EVENT_TYPES.raceUpdated, {
+    sessionId,
+    guildId: session.guildId,
+    channelId: session.channelId,
+    race
+  });
+
+  return race;
+}
+
+export function getRace(guildId, date, userId) {
+  const found = findUserSession(guildId, date, userId);
+  if (!found) {
+    return { error: "Join the channel's game session to race", status: 404 };
+  }
+
+  const { sessionId, session } = found;
+  const player = session.players[userId];
+
+  return {
+    sessionId,
+    race: session.race ? toPublicRace(sessionId, session) : null,
+    canStart: !session.race && (player?.guessHistory?.length || 0) === 0
+  };
+}
+
+export async function startRace(guildId, date, user) {
+  const found = findUserSession(guildId, date, user.id);
+  if (!found) {
+    return { error: "Join the channel's game session to race", status: 404 };
+  }
+
+  const { sessionId, session } = found;
+
+  // Only players who have not touched today's puzzle can race, so everyone starts from the same board
+  const candidates = Object.entries(session.players).filter(([, player]) => (player.guessHistory?.length || 0) === 0);
+  const completed = await Promise.all(candidates.map(([userId]) => getPlayerResult(guildId, date, userId)));
+  const racers = candidates.filter((_, index) => !completed[index]);
+
+  if (session.race) {
+    return { error: "This session has already raced", status: 409 };
+  }
+
+  if (!racers.some(([userId]) => userId === user.id)) {
+    return { error: "You have already started today's puzzle", status: 409 };
+  }
+
+  if (racers.length < RACE_CONFIG.minPlayers) {
+    return {
+      error: `A race needs at least ${RACE_CONFIG.minPlayers} players who have not started today's puzzle`,
+      status: 409
+    };
+  }
+
+  const startsAt = Date.now() + RACE_CONFIG.countdownMs;
+  setSessionRace(sessionId, {
+    version: 1,
+    startedBy: user.id,
+    startsAt,
+    finishedAt: null,
+    winnerId: null,
+    racers: Object.fromEntries(
+      racers.map(([userId, player]) => [
+        userId,
+        { username: player.username, avatarUrl: player.avatarUrl || null, finishedAt: null }
+      ])
+    ),
+    standings: null
+  });
+
+  console.log(`🏁 ${user.id} started a race in session ${sessionId} with ${racers.length} players`);
+  return { sessionId, race: publishRace(sessionId, session) };
+}
+
+export function checkRaceGuess(guildId, date, userId) {
+  const found = findUserSession(guildId, date, userId);
+  const race = found?.session.race;
+
+  if (race?.racers[userId] && getRaceStatus(race, Date.now()) === "countdown") {
+    return { error: "The race has not started yet", status: 409 };
+  }
+
+  return null;
+}
+
+export function checkRaceHint(guildId, date, userId) {
+  const found = findUserSession(guildId, date, userId);
+
+  if (found?.session.race?.racers[userId]) {
+    return { error: "Hints are off during a race", status: 409 };
+  }
+
+  return null;
+}
+
+export function recordRaceGuess(guildId, date, userId) {
+  const found = findUserSession(guildId, date, userId);
+  const race = found?.session.race;
+  if (!race?.racers[userId] || race.finishedAt) return;
+
+  const { sessionId, session } = found;
+  const now = Date.now();
+  const { won, isGameOver } = summarizeProgress(session.players[userId]);
+
+  if (isGameOver && !race.racers[userId].finishedAt) {
+    race.racers[userId].finishedAt = now;
+  }
+
+  // The first racer to solve all four wins; the race also ends once nobody is left playing
+  if (won) {
+    race.winnerId = userId;
+  }
+  if (won || Object.values(race.racers).every((racer) => racer.finishedAt)) {
+    race.finishedAt = now;
+    race.standings = buildStandings(session);
+  }
+
+  race.version++;
+  setSessionRace(sessionId, race);
+  publishRace(sessionId, session);
+
+  if (race.finishedAt) {
+    const outcome = race.winnerId ? `${race.winnerId} won` : "nobody won";
+    console.log(`🏁 Race in session ${sessionId} finished - ${outcome}`);
+    publishEvent(EVENT_TYPES.raceFinished, {
+      sessionId,
+      guildId,
+      channelId: session.channelId,
+      date,
+      winnerId: race.winnerId,
+      standings: race.standings
+    });
+  }
+}
@@ -0,0 +1,80 @@
+import { getPuzzle } from "./puzzle.service.js";
+import { saveGameResult } from "./database.service.js";
+import { isArchiveDate } from "./archive.service.js";
+import { publishEvent, EVENT_TYPES } from "./events.service.js";
+import { getRecordedHistory, getTiming, isHardMode } from "./guess.service.js";
+import { verifyGuessHistory } from "../utils/result-verification.js";
+import { toPublicGameState } from "../utils/transforms.js";
+
+/** Compare what was played, since timestamps and revealed difficulties in the client's copy come from the server */
+function isSameHistory(submitted, recorded) {
+  return (
+    submitted.length === recorded.length &&
+    recorded.every((entry, index) => {
+      const other = submitted[index];
+      return (
+        other?.type === entry.type &&
+        other.hint === entry.hint &&
+        other.words?.join() === entry.words?.join()
+      );
+    })
+  );
+}
+
+export async function completeGame(guildId, date, user, guessHistory) {
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  // The result is graded on the guesses the server saw; a client copy that disagrees is turned away, not trusted
+  const recordedHistory = await getRecordedHistory(guildId, date, user.id);
+  if (Array.isArray(guessHistory) && !isSameHistory(guessHistory, recordedHistory)) {
+    console.warn(`⚠️ Rejected result from ${user.id} on ${date}: guess history differs from the server's record`);
+    return { error: "Guess history does not match the server's record", status: 409 };
+  }
+
+  const hardMode = isHardMode(guildId, date, user.id);
+  const verified = verifyGuessHistory(puzzle, recordedHistory, { hardMode });
+  if (!verified.valid) {
+    console.warn(`⚠️ Rejected result from ${user.id} on ${date}: ${verified.reason}`);
+    return { error: verified.reason, status: 422 };
+  }
+
+  const archive = await isArchiveDate(guildId, date);
+  const timing = getTiming(guildId, date, user.id);
+  const result = await saveGameResult(guildId, date, {
+    userId: user.id,
+    username: user.username,
+    avatar: user.avatar,
+    score: verified.score,
+    mistakes: verified.mistakes,
+    hintsUsed: verified.hintsUsed,
+    hintPenalty: verified.hintPenalty,
+    ...timing,
+    hardMode,
+    guessHistory: verified.guessHistory,
+    archive
+  });
+  const gameState = toPublicGameState(result.gameState);
+
+  publishEvent(EVENT_TYPES.gameCompleted, {
+    guildId,
+    date,
+    userId: user.id,
+    archive,
+    player: gameState.players[user.id]
+  });
+
+  return {
+    success: true,
+    score: verified.score,
+    mistakes: verified.mistakes,
+    hintsUsed: verified.hintsUsed,
+    hintPenalty: verified.hintPenalty,
+    solveTimeMs: timing.solveTimeMs,
+    hardMode,
+    won: verified.won,
+    gameState
+  };
+}
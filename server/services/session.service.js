@@ -1,21 +1,127 @@
 import { parseUserSessionId } from "../utils/transforms.js";
+import { publishEvent, EVENT_TYPES } from "./events.service.js";
+import { getSessionStore } from "../stores/index.js";
+import { getSessionConfig } from "../config/sessions.js";
+import { getGuildToday } from "./guild-settings.service.js";
 
 const activeSessions = {};
 const userToMessageSession = {};
+const sessionsByChannel = {};
+const pendingWrites = {};
+let sweeperTimer = null;
+
+/**
+ * Write a session through to the store. Writes for the same session are queued so they land in order.
+ */
+function persistSession(sessionId) {
+  const previous = pendingWrites[sessionId] || Promise.resolve();
+
+  const write = previous
+    .then(() => {
+      const store = getSessionStore();
+      const session = activeSessions[sessionId];
+      return session ? store.saveSession(sessionId, session) : store.deleteSession(sessionId);
+    })
+    .catch((error) => {
+      console.error(`Error persisting session ${sessionId}:`, error.message);
+    })
+    .finally(() => {
+      if (pendingWrites[sessionId] === write) {
+        delete pendingWrites[sessionId];
+      }
+    });
+
+  pendingWrites[sessionId] = write;
+  return write;
+}
+
+/**
+ * Add a session to the active sessions and the channel index
+ */
+function addSession(sessionId, session) {
+  activeSessions[sessionId] = session;
+
+  if (!sessionsByChannel[session.channelId]) {
+    sessionsByChannel[session.channelId] = new Set();
+  }
+  sessionsByChannel[session.channelId].add(sessionId);
+}
+
+/**
+ * Remove a session along with its channel index entry and player mappings
+ */
+function removeSession(sessionId) {
+  const session = activeSessions[sessionId];
+  if (!session) return;
+
+  delete activeSessions[sessionId];
+
+  const channelSessions = sessionsByChannel[session.channelId];
+  channelSessions?.delete(sessionId);
+  if (channelSessions?.size === 0) {
+    delete sessionsByChannel[session.channelId];
+  }
+
+  Object.entries(session.players).forEach(([userId, player]) => {
+    const userSessionId = `${session.guildId}_${userId}_${player.date}`;
+    if (userToMessageSession[userSessionId] === sessionId) {
+      delete userToMessageSession[userSessionId];
+    }
+  });
+
+  persistSession(sessionId);
+}
+
+/**
+ * Work out why a session should expire, if it should
+ */
+function getExpiryReason(session, now, today) {
+  if (session.date && session.date < today) {
+    return "rollover";
+  }
+  if (now - session.lastUpdate > getSessionConfig().ttlMs) {
+    return "idle";
+  }
+  return null;
+}
+
+export async function restoreSessions() {
+  try {
+    const sessions = await getSessionStore().loadSessions();
+
+    sessions.forEach(({ sessionId, ...session }) => {
+      addSession(sessionId, { ...session, players: session.players || {} });
+
+      Object.entries(activeSessions[sessionId].players).forEach(([userId, player]) => {
+        if (player.date) {
+          userToMessageSession[`${session.guildId}_${userId}_${player.date}`] = sessionId;
+        }
+      });
+    });
+
+    console.log(`♻️ Restored ${sessions.length} session(s)`);
+  } catch (error) {
+    console.error("Error restoring sessions:", error.message);
+  }
+}
 
-export function createSession(sessionId, guildId, channelId) {
+export async function createSession(sessionId, guildId, channelId) {
   console.log(`📝 Creating message session: ${sessionId}`);
 
-  activeSessions[sessionId] = {
+  addSession(sessionId, {
     guildId,
     channelId,
     messageId: sessionId,
+    date: await getGuildToday(guildId),
     players: {},
     lastUpdate: Date.now()
-  };
+  });
 
   console.log(`✅ Message session created. Active sessions:`, Object.keys(activeSessions));
 
+  persistSession(sessionId);
+  publishEvent(EVENT_TYPES.sessionCreated, { sessionId, guildId, channelId });
+
   return activeSessions[sessionId];
 }
 
@@ -35,17 +141,29 @@ export function joinSession(messageSessionId, userId, username, avatarUrl, guild
     activeSessions[messageSessionId].players[userId] = {
       username,
       avatarUrl,
+      date,
       guessHistory: []
     };
   }
 
+  persistSession(messageSessionId);
+
   console.log(`✅ User mapped: ${userSessionId} -> ${messageSessionId}`);
   console.log(`   Total players in session: ${Object.keys(activeSessions[messageSessionId].players).length}`);
 
+  publishEvent(EVENT_TYPES.playerJoined, {
+    sessionId: messageSessionId,
+    guildId: activeSessions[messageSessionId].guildId,
+    userId,
+    username,
+    avatarUrl,
+    date
+  });
+
   return { userSessionId, messageSessionId };
 }
 
-export function updateSession(userSessionId, guessHistory) {
+export function updateSession(userSessionId, guessHistory, modes = {}) {
   console.log(`🔄 Update request for user session: ${userSessionId}, guesses: ${guessHistory?.length || 0}`);
 
   const messageSessionId = userToMessageSession[userSessionId];
@@ -67,7 +185,14 @@ export function updateSession(userSessionId, guessHistory) {
 
   if (messageSession.players[userId]) {
     messageSession.players[userId].guessHistory = guessHistory;
+    // Modes and the clock are kept with the guesses so a restarted server grades and times the game the same way
+    for (const key of ["hardMode", "timed", "startedAt"]) {
+      if (modes[key] !== undefined) {
+        messageSession.players[userId][key] = modes[key];
+      }
+    }
     messageSession.lastUpdate = Date.now();
+    persistSession(messageSessionId);
 
     console.log(`✅ Player ${userId} updated in message session ${messageSessionId}, guesses: ${guessHistory.length}`);
 
@@ -81,8 +206,9 @@ export function updateSession(userSessionId, guessHistory) {
 export function lookupSession(channelId, userId) {
   console.log(`🔍 Looking up active session for user ${userId} in channel ${channelId}`);
 
-  for (const [sessionId, session] of Object.entries(activeSessions)) {
-    if (session.channelId === channelId && session.players[userId]) {
+  for (const sessionId of sessionsByChannel[channelId] || []) {
+    const session = activeSessions[sessionId];
+    if (session.players[userId]) {
       console.log(`✅ Found active session ${sessionId} for user ${userId}`);
 
       const userProgress = session.players[userId];
@@ -100,10 +226,52 @@ export function lookupSession(channelId, userId) {
   return { found: false };
 }
 
+export function getMessageSessionId(userSessionId) {
+  return userToMessageSession[userSessionId] || null;
+}
+
+export function getUserSessionPlayer(userSessionId) {
+  const messageSessionId = userToMessageSession[userSessionId];
+  if (!messageSessionId) return null;
+
+  const { userId } = parseUserSessionId(userSessionId);
+  return activeSessions[messageSessionId]?.players[userId] || null;
+}
+
+export function getUserSessionHistory(userSessionId) {
+  return getUserSessionPlayer(userSessionId)?.guessHistory || null;
+}
+
+export function hasSessionGuesses(guildId, date) {
+  return Object.values(activeSessions).some(
+    (session) =>
+      session.guildId === guildId &&
+      Object.values(session.players).some((player) => player.date === date && player.guessHistory?.length > 0)
+  );
+}
+
 export function getSession(sessionId) {
   return activeSessions[sessionId] || null;
 }
 
+export function getChannelSessions(channelId) {
+  return [...(sessionsByChannel[channelId] || [])].map((sessionId) => ({
+    sessionId,
+    session: activeSessions[sessionId]
+  }));
+}
+
+export function setSessionRace(sessionId, race) {
+  const session = activeSessions[sessionId];
+  if (!session) return null;
+
+  session.race = race;
+  session.lastUpdate = Date.now();
+  persistSession(sessionId);
+
+  return session;
+}
+
 export function checkLaunchRequest(sessionId) {
   if (!activeSessions[sessionId]) {
     return { launchRequested: false };
@@ -120,12 +288,51 @@ export function checkLaunchRequest(sessionId) {
 }
 
 export function endSession(sessionId) {
-  if (activeSessions[sessionId]) {
-    delete activeSessions[sessionId];
-  }
+  removeSession(sessionId);
   return { success: true };
 }
 
+export async function sweepExpiredSessions(now = Date.now()) {
+  const todayByGuild = {};
+  const expired = [];
+
+  for (const [sessionId, session] of Object.entries(activeSessions)) {
+    if (!todayByGuild[session.guildId]) {
+      todayByGuild[session.guildId] = await getGuildToday(session.guildId);
+    }
+
+    // The session may have ended while the guild's day was being looked up
+    if (!activeSessions[sessionId]) continue;
+
+    const reason = getExpiryReason(session, now, todayByGuild[session.guildId]);
+    if (!reason) continue;
+
+    removeSession(sessionId);
+    expired.push(sessionId);
+
+    console.log(`⌛ Session ${sessionId} expired (${reason})`);
+    publishEvent(EVENT_TYPES.sessionExpired, {
+      sessionId,
+      guildId: session.guildId,
+      channelId: session.channelId,
+      reason
+    });
+  }
+
+  return expired;
+}
+
+export function startSessionSweeper() {
+  if (sweeperTimer) return;
+
+  const { sweepIntervalMs } = getSessionConfig();
+  sweeperTimer = setInterval(() => {
+    sweepExpiredSessions().catch((error) => console.error("Error sweeping sessions:", error));
+  }, sweepIntervalMs);
+  sweeperTimer.unref();
+  console.log(`✓ Session sweeper running every ${sweepIntervalMs / 1000}s`);
+}
+
 export function clearUserFromSessions(guildId, userId, date) {
   console.log(`🗑️ Clearing user ${userId} from sessions on ${date}`);
 
@@ -142,8 +349,10 @@ export function clearUserFromSessions(guildId, userId, date) {
     console.log(`✅ Cleared user session mapping: ${userSessionId}`);
 
     if (activeSessions[messageSessionId] && Object.keys(activeSessions[messageSessionId].players).length === 0) {
-      delete activeSessions[messageSessionId];
+      removeSession(messageSessionId);
       console.log(`✅ Removed empty session ${messageSessionId}`);
+    } else {
+      persistSession(messageSessionId);
     }
   }
 }
@@ -0,0 +1,97 @@
+import { getSession, getMessageSessionId, getChannelSessions } from "./session.service.js";
+import { getPuzzle } from "./puzzle.service.js";
+import { getPlayerResult } from "./database.service.js";
+import { createUserSessionId } from "../utils/transforms.js";
+import { replayGuessHistory, isHint, isSolve, isMistake, getMaxMistakes } from "../utils/grading.js";
+import { GAME_CONFIG } from "../config/game.js";
+
+function summarizePlayer(userId, player) {
+  const guessHistory = player.guessHistory || [];
+  const solvedCount = guessHistory.filter(isSolve).length;
+  const mistakes = guessHistory.filter(isMistake).length;
+
+  return {
+    userId,
+    username: player.username,
+    avatarUrl: player.avatarUrl || null,
+    guessCount: guessHistory.length,
+    solvedCount,
+    mistakes,
+    hintsUsed: guessHistory.filter(isHint).length,
+    hardMode: !!player.hardMode,
+    isGameOver: solvedCount === GAME_CONFIG.totalCategories || mistakes >= getMaxMistakes(player.hardMode)
+  };
+}
+
+export function listChannelSessions(guildId, channelId, date) {
+  return getChannelSessions(channelId)
+    .filter(({ session }) => session.guildId === guildId && session.date === date)
+    .map(({ sessionId, session }) => ({
+      sessionId,
+      players: Object.entries(session.players).map(([userId, player]) => summarizePlayer(userId, player))
+    }));
+}
+
+/**
+ * A player's board as a spectator may see it. Words outside solved categories stay hidden
+ * until the spectator has finished the puzzle themselves.
+ */
+export async function getSpectatorBoard(guildId, date, playerId, spectatorId) {
+  const sessionId = getMessageSessionId(createUserSessionId(guildId, playerId, date));
+  const player = sessionId ? getSession(sessionId)?.players[playerId] : null;
+  if (!player) {
+    return { error: "That player is not in an active session", status: 404 };
+  }
+
+  const puzzle = await getPuzzle(guildId, date);
+  if (!puzzle) {
+    return { error: "Game not found for this date", status: 404 };
+  }
+
+  const guessHistory = player.guessHistory || [];
+  const hardMode = !!player.hardMode;
+  const { solvedCategories, mistakes, won, isGameOver, hintsUsed } = replayGuessHistory(puzzle, guessHistory, {
+    hardMode
+  });
+  const canSeeWords = playerId === spectatorId || !!(await getPlayerResult(guildId, date, spectatorId));
+  const solvedWords = new Set(solvedCategories.flatMap((category) => category.members));
+  const remaining = puzzle.startingOrder.filter((word) => !solvedWords.has(word));
+
+  return {
+    sessionId,
+    userId: playerId,
+    username: player.username,
+    avatarUrl: player.avatarUrl || null,
+    date,
+    canSeeWords,
+    // Hard mode players do not see their solved titles until the end, so neither do spectators who have not finished
+    solvedCategories:
+      hardMode && !isGameOver && !canSeeWords
+        ? solvedCategories.map((category) => ({ ...category, group: null }))
+        : solvedCategories,
+    remainingWords: canSeeWords ? remaining : null,
+    remainingCount: remaining.length,
+    guessHistory: guessHistory.map((guess) => ({
+      ...(isHint(guess) && {
+        type: guess.type,
+        hint: guess.hint,
+        cost: guess.cost,
+        // A revealed word or title gives away a group the player may not have solved yet
+        word: canSeeWords ? guess.word : null,
+        group: canSeeWords || guess.hint === "group" ? guess.group : null
+      }),
+      correct: guess.correct,
+      difficulty: guess.difficulty,
+      words: canSeeWords || isSolve(guess) ? guess.words : null,
+      // Colours on a wrong guess give away unsolved groupings, same as for the player until their game ends
+      wordDifficulties: canSeeWords || isGameOver ? guess.wordDifficulties : null,
+      timestamp: guess.timestamp
+    })),
+    mistakes,
+    maxMistakes: getMaxMistakes(hardMode),
+    hardMode,
+    hintsUsed,
+    won,
+    isGameOver
+  };
+}
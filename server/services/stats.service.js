@@ -0,0 +1,8 @@
+import { getUserResults } from "./database.service.js";
+import { calculateStats } from "../utils/stats.js";
+import { getGuildToday } from "./guild-settings.service.js";
+
+export async function getUserStats(guildId, userId) {
+  const [results, today] = await Promise.all([getUserResults(guildId, userId), getGuildToday(guildId)]);
+  return { guildId, userId, ...calculateStats(results, today) };
+}
@@ -0,0 +1,7 @@
+import { getPool } from "../config/database.js";
+import { memoryStore } from "./memory.store.js";
+import { mysqlStore } from "./mysql.store.js";
+
+export function getSessionStore() {
+  return getPool() ? mysqlStore : memoryStore;
+}
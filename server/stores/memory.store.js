@@ -0,0 +1,17 @@
+const sessions = new Map();
+
+export const memoryStore = {
+  name: "memory",
+
+  async loadSessions() {
+    return [...sessions.values()].map((session) => structuredClone(session));
+  },
+
+  async saveSession(sessionId, session) {
+    sessions.set(sessionId, structuredClone({ sessionId, ...session }));
+  },
+
+  async deleteSession(sessionId) {
+    sessions.delete(sessionId);
+  }
+};
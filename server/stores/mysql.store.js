@@ -0,0 +1,51 @@
+import { getPool } from "../config/database.js";
+import { parseJsonColumn } from "../utils/transforms.js";
+
+export const mysqlStore = {
+  name: "mysql",
+
+  async loadSessions() {
+    const [rows] = await getPool().query(
+      `SELECT session_id, guild_id, channel_id, message_id, DATE_FORMAT(session_date, '%Y-%m-%d') AS session_date,
+              players, race, last_update
+       FROM game_sessions`
+    );
+
+    return rows.map((row) => ({
+      sessionId: row.session_id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      messageId: row.message_id,
+      date: row.session_date,
+      players: parseJsonColumn(row.players) || {},
+      race: parseJsonColumn(row.race) || null,
+      lastUpdate: Number(row.last_update)
+    }));
+  },
+
+  async saveSession(sessionId, session) {
+    await getPool().query(
+      `INSERT INTO game_sessions
+         (session_id, guild_id, channel_id, message_id, session_date, players, race, last_update)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         players = VALUES(players),
+         race = VALUES(race),
+         last_update = VALUES(last_update)`,
+      [
+        sessionId,
+        session.guildId,
+        session.channelId,
+        session.messageId,
+        session.date || null,
+        JSON.stringify(session.players),
+        session.race ? JSON.stringify(session.race) : null,
+        session.lastUpdate
+      ]
+    );
+  },
+
+  async deleteSession(sessionId) {
+    await getPool().query(`DELETE FROM game_sessions WHERE session_id = ?`, [sessionId]);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Tests for opening the configured database at startup
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { initializeDatabase, getPool } from "../../config/database.js";
+import { migrateUp } from "../../config/migrations.js";
+
+vi.mock("../../config/migrations.js", () => ({
+  migrateUp: vi.fn()
+}));
+
+describe("initializeDatabase", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubEnv("DATABASE_URL", "sqlite::memory:");
+  });
+
+  afterEach(async () => {
+    await getPool()?.end();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("should open the database and apply pending migrations", async () => {
+    migrateUp.mockResolvedValue(["001_initial_schema"]);
+
+    await initializeDatabase();
+
+    expect(getPool()).toMatchObject({ dialect: "sqlite" });
+    expect(migrateUp).toHaveBeenCalledWith(getPool());
+  });
+
+  it("should refuse to start rather than fall back to memory when a migration fails", async () => {
+    migrateUp.mockRejectedValue(new Error("duplicate column name: hard_mode"));
+
+    await expect(initializeDatabase()).rejects.toThrow("duplicate column name: hard_mode");
+    expect(console.error).toHaveBeenCalledWith(
+      "✗ Database migration failed - refusing to start:",
+      "duplicate column name: hard_mode"
+    );
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the schema migrations runner
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { createSqlitePool } from "../../config/sqlite.js";
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from "../../config/migrations.js";
+
+/**
+ * List the tables in a SQLite pool
+ * @param {Object} pool - SQLite pool
+ * @returns {Promise<Array>} - Table names
+ */
+async function listTables(pool) {
+  const [rows] = await pool.query(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`);
+  return rows.map((row) => row.name).filter((name) => !name.startsWith("sqlite_"));
+}
+
+describe("migrations", () => {
+  let pool;
+  let migrations;
+
+  beforeEach(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    pool = await createSqlitePool("sqlite::memory:");
+    migrations = await loadMigrations();
+  });
+
+  it("should load migration files in order with checksums", () => {
+    const ids = migrations.map((migration) => migration.id);
+
+    expect(ids).toEqual([...ids].sort());
+    expect(ids.slice(0, 2)).toEqual(["001_initial_schema", "002_bot_ledgers"]);
+    migrations.forEach((migration) => expect(migration.checksum).toMatch(/^[0-9a-f]{64}$/));
+  });
+
+  it("should apply every pending migration once", async () => {
+    expect(await migrateUp(pool, { migrations })).toEqual(migrations.map((migration) => migration.id));
+    expect(await migrateUp(pool, { migrations })).toEqual([]);
+
+    expect(await listTables(pool)).toEqual(
+      expect.arrayContaining(["announcements", "daily_prompts", "game_results", "guild_settings", "schema_migrations"])
+    );
+    expect((await getMigrationStatus(pool, migrations)).pending).toEqual([]);
+  });
+
+  it("should stop after the requested migration", async () => {
+    expect(await migrateUp(pool, { to: "001", migrations })).toEqual(["001_initial_schema"]);
+
+    const status = await getMigrationStatus(pool, migrations);
+    expect(status.pending.map((migration) => migration.id)[0]).toBe("002_bot_ledgers");
+  });
+
+  it("should roll back the most recent migrations", async () => {
+    await migrateUp(pool, { migrations });
+    const latest = migrations.at(-1).id;
+
+    expect(await migrateDown(pool, { steps: 1, migrations })).toEqual([latest]);
+    expect((await getMigrationStatus(pool, migrations)).pending.map((migration) => migration.id)).toEqual([latest]);
+
+    await migrateDown(pool, { steps: migrations.length, migrations });
+    expect(await listTables(pool)).toEqual(["schema_migrations"]);
+  });
+
+  it("should refuse to run when an applied migration was edited", async () => {
+    await migrateUp(pool, { migrations });
+    const edited = migrations.map((migration, index) =>
+      index === 0 ? { ...migration, checksum: "0".repeat(64) } : migration
+    );
+
+    await expect(migrateUp(pool, { migrations: edited })).rejects.toThrow(
+      "001_initial_schema changed after it was applied"
+    );
+  });
+
+  it("should refuse to run against migrations from newer code", async () => {
+    await migrateUp(pool, { migrations });
+    await pool.query(`INSERT INTO schema_migrations (id, checksum) VALUES (?, ?)`, ["999_from_the_future", "x"]);
+
+    await expect(migrateUp(pool, { migrations })).rejects.toThrow("999_from_the_future");
+  });
+});
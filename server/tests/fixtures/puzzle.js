@@ -0,0 +1,28 @@
+/**
+ * A small puzzle shared by the service and grading tests
+ */
+
+export const TEST_PUZZLE = {
+  date: "2024-10-02",
+  startingOrder: [
+    "APPLE", "DOG", "RED", "PIANO",
+    "PEAR", "CAT", "BLUE", "DRUM",
+    "PLUM", "FOX", "GREEN", "HARP",
+    "KIWI", "OWL", "PINK", "FLUTE"
+  ],
+  categories: [
+    { group: "FRUIT", difficulty: 0, members: ["APPLE", "PEAR", "PLUM", "KIWI"] },
+    { group: "ANIMALS", difficulty: 1, members: ["DOG", "CAT", "FOX", "OWL"] },
+    { group: "COLOURS", difficulty: 2, members: ["RED", "BLUE", "GREEN", "PINK"] },
+    { group: "INSTRUMENTS", difficulty: 3, members: ["PIANO", "DRUM", "HARP", "FLUTE"] }
+  ]
+};
+
+/**
+ * Words that miss every group (one from each of the first three groups and one instrument)
+ * @param {number} index - Which instrument to use, so successive misses differ
+ * @returns {string[]} - Four words
+ */
+export function wrongWords(index = 0) {
+  return ["APPLE", "DOG", "RED", TEST_PUZZLE.categories[3].members[index]];
+}
@@ -0,0 +1,324 @@
+/**
+ * Shared contract for ResultsRepository backends
+ * Every backend must pass this suite so services behave the same whatever storage is configured
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+
+let guildCounter = 0;
+
+/**
+ * Build a player's result
+ * @param {string} userId - Discord user ID
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Result as passed to saveResult
+ */
+function result(userId, overrides = {}) {
+  return {
+    userId,
+    username: `player-${userId}`,
+    avatar: null,
+    score: 4,
+    mistakes: 1,
+    guessHistory: [{ words: ["PIANO", "KEYBOARD", "MAP", "LOCKSMITH"], correct: true, difficulty: 0 }],
+    archive: false,
+    ...overrides
+  };
+}
+
+/**
+ * Register the contract tests for a backend
+ * @param {string} name - Backend name shown in the test output
+ * @param {Function} createRepository - Returns a ready repository (may be async)
+ */
+export function describeResultsRepositoryContract(name, createRepository) {
+  describe(`ResultsRepository contract: ${name}`, () => {
+    let repository;
+    let guildId;
+
+    beforeEach(async () => {
+      repository = await createRepository();
+      // A fresh guild per test keeps backends that share storage between tests isolated
+      guildId = `contract-${Date.now()}-${++guildCounter}`;
+    });
+
+    it("should return no players for a day without results", async () => {
+      expect(await repository.getPlayers(guildId, "2024-10-02")).toEqual({});
+      expect(await repository.getPlayerResult(guildId, "2024-10-02", "u1")).toBeNull();
+    });
+
+    it("should read back a saved result", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1"));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      expect(Object.keys(players)).toEqual(["u1"]);
+      expect(players.u1).toMatchObject({
+        username: "player-u1",
+        avatar: null,
+        score: 4,
+        mistakes: 1,
+        guessHistory: result("u1").guessHistory,
+        archive: false
+      });
+      expect(Math.abs(players.u1.completedAt - Date.now())).toBeLessThan(5000);
+      expect(await repository.getPlayerResult(guildId, "2024-10-02", "u1")).toEqual(players.u1);
+    });
+
+    it("should replace a player's result for the same day", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1"));
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { username: "renamed", score: 2, mistakes: 4 }));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      expect(Object.keys(players)).toEqual(["u1"]);
+      expect(players.u1).toMatchObject({ username: "renamed", score: 2, mistakes: 4 });
+    });
+
+    it("should keep earlier days when a new day is saved", async () => {
+      await repository.saveResult(guildId, "2024-10-01", result("u1"));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      expect(Object.keys(await repository.getPlayers(guildId, "2024-10-01"))).toEqual(["u1"]);
+      expect(Object.keys(await repository.getPlayers(guildId, "2024-10-02"))).toEqual(["u2"]);
+    });
+
+    it("should keep guilds apart", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1"));
+
+      expect(await repository.getPlayers(`${guildId}-other`, "2024-10-02")).toEqual({});
+      expect(await repository.getGuildResults(`${guildId}-other`)).toEqual([]);
+    });
+
+    it("should separate archive results from daily results", async () => {
+      await repository.saveResult(guildId, "2024-10-01", result("u1", { archive: true }));
+      await repository.saveResult(guildId, "2024-10-01", result("u2"));
+
+      expect(Object.keys(await repository.getPlayers(guildId, "2024-10-01"))).toEqual(["u2"]);
+      expect(Object.keys(await repository.getPlayers(guildId, "2024-10-01", { archive: true }))).toEqual(["u1"]);
+      expect((await repository.getGuildResults(guildId)).map((entry) => entry.userId)).toEqual(["u2"]);
+      expect(await repository.getUserResults(guildId, "u1")).toEqual([
+        {
+          date: "2024-10-01",
+          score: 4,
+          mistakes: 1,
+          startedAt: null,
+          solveTimeMs: null,
+          guessHistory: result("u1").guessHistory,
+          archive: true
+        }
+      ]);
+    });
+
+    it("should list a player's results in date order within an inclusive range", async () => {
+      await repository.saveResult(guildId, "2024-10-03", result("u1", { score: 3 }));
+      await repository.saveResult(guildId, "2024-10-01", result("u1", { score: 1 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { score: 2 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      const all = await repository.getUserResults(guildId, "u1");
+      expect(all.map((entry) => [entry.date, entry.score])).toEqual([
+        ["2024-10-01", 1],
+        ["2024-10-02", 2],
+        ["2024-10-03", 3]
+      ]);
+
+      const range = await repository.getUserResults(guildId, "u1", { from: "2024-10-02", to: "2024-10-03" });
+      expect(range.map((entry) => entry.date)).toEqual(["2024-10-02", "2024-10-03"]);
+    });
+
+    it("should return an empty guess history when none was stored", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { guessHistory: null }));
+
+      const [entry] = await repository.getUserResults(guildId, "u1");
+      expect(entry.guessHistory).toEqual([]);
+    });
+
+    it("should list guild results with player details within a range", async () => {
+      await repository.saveResult(guildId, "2024-10-01", result("u1", { avatar: "abc" }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2", { mistakes: 3 }));
+
+      const all = await repository.getGuildResults(guildId);
+      expect(all).toHaveLength(2);
+      expect(all[0]).toMatchObject({
+        userId: "u1",
+        username: "player-u1",
+        avatar: "abc",
+        date: "2024-10-01",
+        score: 4
+      });
+      expect(typeof all[0].completedAt).toBe("number");
+
+      const range = await repository.getGuildResults(guildId, { from: "2024-10-02", to: "2024-10-02" });
+      expect(range.map((entry) => [entry.userId, entry.mistakes])).toEqual([["u2", 3]]);
+    });
+
+    it("should keep hint usage with a result and default it to none", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { hintsUsed: 2, hintPenalty: 3 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      expect(players.u1).toMatchObject({ hintsUsed: 2, hintPenalty: 3 });
+      expect(players.u2).toMatchObject({ hintsUsed: 0, hintPenalty: 0 });
+
+      const entries = await repository.getGuildResults(guildId);
+      expect(entries.map((entry) => [entry.userId, entry.hintsUsed, entry.hintPenalty])).toEqual([
+        ["u1", 2, 3],
+        ["u2", 0, 0]
+      ]);
+    });
+
+    it("should keep timing with a result and leave it empty for untimed games", async () => {
+      const startedAt = Date.UTC(2024, 9, 2, 9);
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { startedAt, solveTimeMs: 95000, timed: true }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      expect(players.u1).toMatchObject({ startedAt, solveTimeMs: 95000, timed: true });
+      expect(players.u2).toMatchObject({ startedAt: null, solveTimeMs: null, timed: false });
+
+      const entries = await repository.getGuildResults(guildId);
+      expect(entries.map((entry) => [entry.userId, entry.solveTimeMs, entry.timed])).toEqual([
+        ["u1", 95000, true],
+        ["u2", null, false]
+      ]);
+
+      const [userResult] = await repository.getUserResults(guildId, "u1");
+      expect(userResult).toMatchObject({ startedAt, solveTimeMs: 95000 });
+    });
+
+    it("should keep the hard mode flag with a result", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { hardMode: true }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      expect(players.u1.hardMode).toBe(true);
+      expect(players.u2.hardMode).toBe(false);
+
+      const entries = await repository.getGuildResults(guildId);
+      expect(entries.map((entry) => [entry.userId, entry.hardMode])).toEqual([
+        ["u1", true],
+        ["u2", false]
+      ]);
+    });
+
+    it("should rank one page of the solves board, counting ranks from the top", async () => {
+      await repository.saveResult(guildId, "2024-10-01", result("u1", { mistakes: 0 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u1", { username: "renamed", mistakes: 0 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+      await repository.saveResult(guildId, "2024-10-02", result("u3", { mistakes: 0, hintsUsed: 1, hintPenalty: 1 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u4", { score: 2, mistakes: 4 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u5", { hardMode: true }));
+      await repository.saveResult(guildId, "2024-10-02", result("u6", { archive: true }));
+
+      const top = await repository.getLeaderboardPage(guildId, { limit: 1 });
+      expect(top.totalPlayers).toBe(4);
+      expect(top.entries).toEqual([
+        expect.objectContaining({
+          rank: 1,
+          userId: "u1",
+          username: "renamed",
+          avatar: null,
+          gamesPlayed: 2,
+          wins: 2,
+          cleanWins: 2,
+          solves: 8,
+          mistakes: 0,
+          hintsUsed: 0,
+          hintPenalty: 0
+        })
+      ]);
+      expect(typeof top.entries[0].completedAt).toBe("number");
+
+      const next = await repository.getLeaderboardPage(guildId, { limit: 2, offset: 1 });
+      expect(next.totalPlayers).toBe(4);
+      expect(next.entries.map((entry) => [entry.rank, entry.userId, entry.cleanWins])).toEqual([
+        [2, "u2", 1],
+        [3, "u3", 0]
+      ]);
+
+      const hard = await repository.getLeaderboardPage(guildId, { mode: "hard", limit: 10 });
+      expect(hard.entries.map((entry) => [entry.rank, entry.userId])).toEqual([[1, "u5"]]);
+
+      const day = await repository.getLeaderboardPage(guildId, { from: "2024-10-01", to: "2024-10-01", limit: 10 });
+      expect(day.entries.map((entry) => [entry.userId, entry.username, entry.solves])).toEqual([
+        ["u1", "player-u1", 4]
+      ]);
+    });
+
+    it("should rank one page of the fastest board from timed wins only", async () => {
+      const timed = (solveTimeMs, overrides = {}) => ({ timed: true, solveTimeMs, ...overrides });
+      await repository.saveResult(guildId, "2024-10-01", result("u1", timed(95000)));
+      await repository.saveResult(guildId, "2024-10-02", result("u1", timed(80000)));
+      await repository.saveResult(guildId, "2024-10-02", result("u2", timed(90000)));
+      await repository.saveResult(guildId, "2024-10-02", result("u3", { solveTimeMs: 10000 }));
+      await repository.saveResult(guildId, "2024-10-02", result("u4", timed(5000, { score: 2 })));
+
+      const board = await repository.getLeaderboardPage(guildId, { category: "fastest", limit: 10 });
+      expect(board.totalPlayers).toBe(2);
+      expect(board.entries.map((entry) => [entry.rank, entry.userId, entry.bestTimeMs, entry.timedWins])).toEqual([
+        [1, "u1", 80000, 2],
+        [2, "u2", 90000, 1]
+      ]);
+      expect(board.entries[0]).toMatchObject({ username: "player-u1", avatar: null });
+
+      const second = await repository.getLeaderboardPage(guildId, { category: "fastest", limit: 1, offset: 1 });
+      expect(second).toMatchObject({ totalPlayers: 2, entries: [{ rank: 2, userId: "u2" }] });
+    });
+
+    it("should delete a result and report whether one existed", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1"));
+      await repository.saveResult(guildId, "2024-10-02", result("u2"));
+
+      expect(await repository.deleteResult(guildId, "2024-10-02", "u1")).toBe(true);
+      expect(await repository.deleteResult(guildId, "2024-10-02", "u1")).toBe(false);
+      expect(Object.keys(await repository.getPlayers(guildId, "2024-10-02"))).toEqual(["u2"]);
+    });
+
+    it("should not let callers change stored results through returned objects", async () => {
+      await repository.saveResult(guildId, "2024-10-02", result("u1"));
+
+      const players = await repository.getPlayers(guildId, "2024-10-02");
+      players.u1.score = 0;
+      players.u1.guessHistory.push({ words: [], correct: false });
+
+      const stored = await repository.getPlayerResult(guildId, "2024-10-02", "u1");
+      expect(stored.score).toBe(4);
+      expect(stored.guessHistory).toHaveLength(1);
+    });
+
+    it("should keep co-op team results apart from individual results", async () => {
+      const members = [
+        { userId: "u1", username: "player-u1", avatar: null },
+        { userId: "u2", username: "player-u2", avatar: "abc" }
+      ];
+      await repository.saveTeamResult(guildId, "2024-10-02", {
+        instanceId: "i-1",
+        members,
+        score: 4,
+        mistakes: 2,
+        guessHistory: result("u1").guessHistory
+      });
+
+      const [team, ...rest] = await repository.getTeamResults(guildId, "2024-10-02");
+      expect(rest).toEqual([]);
+      expect(team).toMatchObject({ instanceId: "i-1", members, score: 4, mistakes: 2 });
+      expect(team.guessHistory).toEqual(result("u1").guessHistory);
+      expect(Math.abs(team.completedAt - Date.now())).toBeLessThan(5000);
+
+      expect(await repository.getPlayers(guildId, "2024-10-02")).toEqual({});
+      expect(await repository.getGuildResults(guildId)).toEqual([]);
+      expect(await repository.getTeamResults(guildId, "2024-10-01")).toEqual([]);
+    });
+
+    it("should replace a team's result for the same instance and day", async () => {
+      const team = { instanceId: "i-1", members: [], score: 1, mistakes: 4, guessHistory: null };
+      await repository.saveTeamResult(guildId, "2024-10-02", team);
+      await repository.saveTeamResult(guildId, "2024-10-02", { ...team, score: 3, mistakes: 1 });
+      await repository.saveTeamResult(guildId, "2024-10-02", { ...team, instanceId: "i-2" });
+
+      const teams = await repository.getTeamResults(guildId, "2024-10-02");
+      const byInstance = Object.fromEntries(teams.map((entry) => [entry.instanceId, entry]));
+      expect(Object.keys(byInstance).sort()).toEqual(["i-1", "i-2"]);
+      expect(byInstance["i-1"]).toMatchObject({ score: 3, mistakes: 1, guessHistory: [] });
+    });
+  });
+}
@@ -0,0 +1,43 @@
+/**
+ * Runs the ResultsRepository contract against every backend
+ * Set TEST_MYSQL_URL to include MySQL; the suite writes to guilds named contract-* and removes them afterwards
+ */
+
+import { beforeAll, afterAll, vi } from "vitest";
+import { describeResultsRepositoryContract } from "./results-repository.contract.js";
+import { createMemoryResultsRepository } from "../../repositories/memory-results.repository.js";
+import { createSqlResultsRepository } from "../../repositories/sql-results.repository.js";
+import { createSqlitePool } from "../../config/sqlite.js";
+import { initializeDatabase, getPool } from "../../config/database.js";
+import { migrateUp } from "../../config/migrations.js";
+
+beforeAll(() => {
+  // Keep migration progress out of the test output
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describeResultsRepositoryContract("memory", () => createMemoryResultsRepository());
+
+describeResultsRepositoryContract("sqlite", async () => {
+  const pool = await createSqlitePool("sqlite::memory:");
+  await migrateUp(pool);
+  return createSqlResultsRepository(pool);
+});
+
+if (process.env.TEST_MYSQL_URL) {
+  let mysqlPool = null;
+
+  describeResultsRepositoryContract("mysql", async () => {
+    if (!mysqlPool) {
+      process.env.DATABASE_URL = process.env.TEST_MYSQL_URL;
+      await initializeDatabase();
+      mysqlPool = getPool();
+    }
+    return createSqlResultsRepository(mysqlPool);
+  });
+
+  afterAll(async () => {
+    await mysqlPool?.query(`DELETE FROM game_results WHERE guild_id LIKE 'contract-%'`);
+    await mysqlPool?.end();
+  });
+}
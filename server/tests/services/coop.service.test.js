@@ -0,0 +1,97 @@
+/**
+ * Tests for the shared co-op board
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import { getCoopRoom, toggleCoopWord, clearCoopSelection, submitCoopGuess } from "../../services/coop.service.js";
+import { saveGameResult } from "../../services/database.service.js";
+import { publishEvent } from "../../services/events.service.js";
+
+vi.mock("../../services/puzzle.service.js", () => ({
+  getPuzzle: vi.fn(async () => TEST_PUZZLE)
+}));
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+const DATE = TEST_PUZZLE.date;
+const alice = { id: "alice", username: "Alice" };
+const bob = { id: "bob", username: "Bob" };
+let guildId;
+let testCount = 0;
+
+/**
+ * Guess the shared selection on behalf of a member
+ * @param {Object} user - Member
+ * @param {string[]} words - Words to select and submit
+ * @returns {Promise<Object>} - Guess response
+ */
+async function guess(user, words) {
+  await clearCoopSelection(guildId, "instance1", DATE, user);
+  for (const word of words) {
+    await toggleCoopWord(guildId, "instance1", DATE, user, word);
+  }
+  return submitCoopGuess(guildId, "instance1", DATE, user, words);
+}
+
+/**
+ * Lose the co-op game with four wrong guesses
+ * @returns {Promise<Object>} - The last guess response
+ */
+async function loseGame() {
+  let response;
+  for (let index = 0; index < 4; index++) {
+    response = await guess(alice, wrongWords(index));
+  }
+  return response;
+}
+
+describe("coop.service", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    guildId = `coop-test-${++testCount}`;
+  });
+
+  it("should keep the answers from members who have not finished their own game", async () => {
+    const { room } = await loseGame();
+
+    expect(room.isGameOver).toBe(true);
+    expect(room.canSeeSolution).toBe(false);
+    expect(room.solution).toBeNull();
+    room.guessHistory.forEach((entry) => expect(entry.wordDifficulties).toBeNull());
+  });
+
+  it("should show the answers to members with their own result once the game is over", async () => {
+    await saveGameResult(guildId, DATE, { userId: bob.id, username: bob.username, score: 4, mistakes: 0 });
+    await loseGame();
+
+    const room = await getCoopRoom(guildId, "instance1", DATE, bob);
+
+    expect(room.canSeeSolution).toBe(true);
+    expect(room.solution).toEqual(TEST_PUZZLE.categories);
+    expect(room.guessHistory[0].wordDifficulties).toEqual([0, 1, 2, 3]);
+  });
+
+  it("should not show the answers before the game is over, even to members who finished", async () => {
+    await saveGameResult(guildId, DATE, { userId: bob.id, username: bob.username, score: 4, mistakes: 0 });
+    await guess(alice, wrongWords());
+
+    const room = await getCoopRoom(guildId, "instance1", DATE, bob);
+
+    expect(room.solution).toBeNull();
+    expect(room.guessHistory[0].wordDifficulties).toBeNull();
+  });
+
+  it("should publish only the board version, never its words or answers", async () => {
+    await loseGame();
+
+    expect(publishEvent).toHaveBeenCalled();
+    publishEvent.mock.calls.forEach(([, payload]) => {
+      expect(Object.keys(payload).sort()).toEqual(["date", "guildId", "instanceId", "version"]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for publishing custom puzzles
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import { createCustomPuzzle, setCustomPuzzlePublishDate } from "../../services/custom-puzzle.service.js";
+import { startGame, submitGuess } from "../../services/guess.service.js";
+import { saveGameResult } from "../../services/database.service.js";
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+const DATE = TEST_PUZZLE.date;
+const LATER_DATE = "2024-10-09";
+let guildId;
+let testCount = 0;
+
+/**
+ * Create a puzzle and publish it for the test date
+ * @returns {Promise<number>} - Puzzle ID
+ */
+async function publishPuzzle() {
+  const { puzzle } = await createCustomPuzzle(
+    guildId,
+    { title: "Test", categories: TEST_PUZZLE.categories.map(({ group, members }) => ({ group, members })) },
+    "admin1"
+  );
+  await setCustomPuzzlePublishDate(guildId, puzzle.id, DATE);
+  return puzzle.id;
+}
+
+describe("custom-puzzle.service", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    guildId = `custom-test-${++testCount}`;
+  });
+
+  describe("createCustomPuzzle", () => {
+    it("should reject groups that share a title, whatever its case or spacing", async () => {
+      const categories = TEST_PUZZLE.categories.map(({ group, members }) => ({ group, members }));
+      categories[1].group = "Same";
+      categories[2].group = "  same ";
+
+      const result = await createCustomPuzzle(guildId, { title: "Test", categories }, "admin1");
+
+      expect(result).toMatchObject({ error: "Puzzle is not valid", status: 400 });
+      expect(result.errors).toEqual(["Group titles must be unique (repeated: same)"]);
+    });
+  });
+
+  describe("setCustomPuzzlePublishDate", () => {
+    it("should unpublish a puzzle nobody has played", async () => {
+      const puzzleId = await publishPuzzle();
+
+      const result = await setCustomPuzzlePublishDate(guildId, puzzleId, null);
+
+      expect(result.success).toBe(true);
+      expect(result.puzzle.publishDate).toBeNull();
+    });
+
+    it("should not unpublish a puzzle with a saved result", async () => {
+      const puzzleId = await publishPuzzle();
+      await saveGameResult(guildId, DATE, { userId: "player1", username: "Player", score: 4, mistakes: 0 });
+
+      expect(await setCustomPuzzlePublishDate(guildId, puzzleId, null)).toEqual({
+        error: `Players have already played the puzzle for ${DATE}`,
+        status: 409
+      });
+    });
+
+    it("should not unpublish a puzzle whose board has been served", async () => {
+      const puzzleId = await publishPuzzle();
+      await startGame(guildId, DATE, "player1");
+
+      expect((await setCustomPuzzlePublishDate(guildId, puzzleId, null)).status).toBe(409);
+    });
+
+    it("should not move a puzzle away from a day a player is part way through", async () => {
+      const puzzleId = await publishPuzzle();
+      await submitGuess(guildId, DATE, "player1", wrongWords());
+
+      const result = await setCustomPuzzlePublishDate(guildId, puzzleId, LATER_DATE);
+
+      expect(result.status).toBe(409);
+      expect(result.error).toContain(DATE);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for server-side grading of a player's game
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+
+vi.mock("../../services/puzzle.service.js", () => ({
+  getPuzzle: vi.fn(async () => TEST_PUZZLE)
+}));
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+// Shared across module reloads so a restarted server can restore what the last one wrote
+const sessionStore = vi.hoisted(() => {
+  const sessions = new Map();
+
+  return {
+    name: "test",
+    async loadSessions() {
+      return [...sessions.values()].map((session) => structuredClone(session));
+    },
+    async saveSession(sessionId, session) {
+      sessions.set(sessionId, structuredClone({ sessionId, ...session }));
+    },
+    async deleteSession(sessionId) {
+      sessions.delete(sessionId);
+    }
+  };
+});
+
+vi.mock("../../stores/index.js", () => ({
+  getSessionStore: () => sessionStore
+}));
+
+const DATE = TEST_PUZZLE.date;
+const USER_ID = "player1";
+let guildId;
+let testCount = 0;
+let guessService;
+let sessionService;
+let raceService;
+
+/**
+ * Load fresh copies of the services, as a restarted server would, and restore saved sessions
+ */
+async function startServer() {
+  vi.resetModules();
+  sessionService = await import("../../services/session.service.js");
+  guessService = await import("../../services/guess.service.js");
+  raceService = await import("../../services/race.service.js");
+  await sessionService.restoreSessions();
+}
+
+/**
+ * Let queued session writes reach the store
+ */
+async function flushSessionWrites() {
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Put the player in a channel session, as the bot does when they press Play
+ */
+async function joinChannelSession() {
+  const sessionId = `message-${guildId}`;
+  await sessionService.createSession(sessionId, guildId, `channel-${guildId}`);
+  sessionService.joinSession(sessionId, USER_ID, "Player", null, guildId, DATE);
+}
+
+describe("guess.service", () => {
+  beforeEach(async () => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    guildId = `guess-test-${++testCount}`;
+    await startServer();
+  });
+
+  describe("submitGuess", () => {
+    it("should turn away the same four words in any order without charging a mistake", async () => {
+      const [first, second, third, fourth] = wrongWords();
+      await guessService.submitGuess(guildId, DATE, USER_ID, [first, second, third, fourth]);
+
+      const repeat = await guessService.submitGuess(guildId, DATE, USER_ID, [fourth, third, first, second]);
+      const progress = await guessService.getPlayerProgress(guildId, DATE, USER_ID);
+
+      expect(repeat).toEqual({ error: "Already guessed", status: 409 });
+      expect(progress.mistakes).toBe(1);
+      expect(progress.guessHistory).toHaveLength(1);
+    });
+  });
+
+  describe("requestHint", () => {
+    it("should escalate hints and charge their penalties in the player's progress", async () => {
+      const hints = [];
+      let progress;
+      for (let index = 0; index < 3; index++) {
+        const response = await guessService.requestHint(guildId, DATE, USER_ID);
+        hints.push(response.hint.hint);
+        progress = response.progress;
+      }
+
+      expect(hints).toEqual(["word", "title", "group"]);
+      expect(progress).toMatchObject({ hintsUsed: 3, hintPenalty: 6, mistakes: 0 });
+      expect(progress.solvedCategories.map((category) => category.group)).toEqual(["FRUIT"]);
+      expect(progress.nextHint).toEqual({ hint: "word", cost: 1 });
+    });
+
+    it("should refuse hints to a racer, even once the race is under way", async () => {
+      vi.spyOn(Date, "now").mockReturnValue(1000);
+      await joinChannelSession();
+      sessionService.joinSession(`message-${guildId}`, "player2", "Rival", null, guildId, DATE);
+      await raceService.startRace(guildId, DATE, { id: USER_ID });
+
+      Date.now.mockReturnValue(60000);
+      const response = await guessService.requestHint(guildId, DATE, USER_ID);
+      const progress = await guessService.getPlayerProgress(guildId, DATE, USER_ID);
+
+      expect(response).toEqual({ error: "Hints are off during a race", status: 409 });
+      expect(progress.hintsUsed).toBe(0);
+    });
+  });
+
+  describe("timed mode", () => {
+    it("should keep the time the board was first served when timed mode is switched on", async () => {
+      vi.spyOn(Date, "now").mockReturnValue(1000);
+      await guessService.startGame(guildId, DATE, USER_ID);
+
+      Date.now.mockReturnValue(61000);
+      const progress = await guessService.startGame(guildId, DATE, USER_ID, { timed: true });
+
+      expect(progress).toMatchObject({ timed: true, startedAt: 1000 });
+    });
+
+    it("should keep the clock and mode for a channel player after a restart", async () => {
+      vi.spyOn(Date, "now").mockReturnValue(1000);
+      await joinChannelSession();
+      await guessService.startGame(guildId, DATE, USER_ID, { timed: true });
+      await flushSessionWrites();
+
+      await startServer();
+      Date.now.mockReturnValue(61000);
+      const progress = await guessService.startGame(guildId, DATE, USER_ID);
+
+      expect(progress).toMatchObject({ timed: true, startedAt: 1000 });
+    });
+  });
+
+  describe("hard mode", () => {
+    beforeEach(async () => {
+      await guessService.startGame(guildId, DATE, USER_ID, { hardMode: true });
+    });
+
+    it("should refuse hints", async () => {
+      expect(await guessService.requestHint(guildId, DATE, USER_ID)).toEqual({
+        error: "Hints are off in hard mode",
+        status: 409
+      });
+    });
+
+    it("should hide solved group titles until the game is over", async () => {
+      const [fruit] = TEST_PUZZLE.categories;
+
+      const solved = await guessService.submitGuess(guildId, DATE, USER_ID, fruit.members);
+      expect(solved.category).toMatchObject({ group: null, members: fruit.members });
+      expect(solved.progress.solvedCategories[0].group).toBeNull();
+      expect(solved.progress.solution).toBeNull();
+
+      await guessService.submitGuess(guildId, DATE, USER_ID, ["DOG", "RED", "PIANO", "BLUE"]);
+      const lost = await guessService.submitGuess(guildId, DATE, USER_ID, ["CAT", "GREEN", "DRUM", "PINK"]);
+
+      expect(lost.progress).toMatchObject({ isGameOver: true, mistakes: 2, maxMistakes: 2 });
+      expect(lost.progress.solvedCategories[0].group).toBe("FRUIT");
+    });
+
+    it("should stay on for a channel player after a restart", async () => {
+      await joinChannelSession();
+      await guessService.startGame(guildId, DATE, USER_ID, { hardMode: true });
+      await guessService.submitGuess(guildId, DATE, USER_ID, wrongWords());
+      await flushSessionWrites();
+
+      await startServer();
+      const progress = await guessService.getPlayerProgress(guildId, DATE, USER_ID);
+
+      expect(progress).toMatchObject({ hardMode: true, maxMistakes: 2, mistakes: 1 });
+      expect(guessService.isHardMode(guildId, DATE, USER_ID)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for racing the daily puzzle against the rest of a channel session
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import { startRace, getRace } from "../../services/race.service.js";
+import { createSession, joinSession } from "../../services/session.service.js";
+import { submitGuess } from "../../services/guess.service.js";
+import { publishEvent, EVENT_TYPES } from "../../services/events.service.js";
+import { RACE_CONFIG } from "../../config/game.js";
+
+vi.mock("../../services/puzzle.service.js", () => ({
+  getPuzzle: vi.fn(async () => TEST_PUZZLE)
+}));
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+const DATE = TEST_PUZZLE.date;
+const START_TIME = 1000;
+const RACE_TIME = START_TIME + RACE_CONFIG.countdownMs;
+let guildId;
+let testCount = 0;
+
+/**
+ * Put the players in one channel session and have the first of them start a race
+ * @param {string[]} userIds - Players, in join order
+ * @returns {Promise<Object>} - The startRace response
+ */
+async function startChannelRace(userIds) {
+  const sessionId = `message-${guildId}`;
+  await createSession(sessionId, guildId, `channel-${guildId}`);
+  for (const userId of userIds) {
+    joinSession(sessionId, userId, userId, null, guildId, DATE);
+  }
+
+  return startRace(guildId, DATE, { id: userIds[0] });
+}
+
+/**
+ * Submit guesses for a racer, one after another
+ * @param {string} userId - Racer
+ * @param {string[][]} guesses - Guesses to make
+ */
+async function play(userId, guesses) {
+  for (const words of guesses) {
+    await submitGuess(guildId, DATE, userId, words);
+  }
+}
+
+/**
+ * Guesses that solve the first few groups
+ * @param {number} count - Number of groups to solve
+ * @returns {string[][]} - Guesses
+ */
+function solveGroups(count) {
+  return TEST_PUZZLE.categories.slice(0, count).map((category) => category.members);
+}
+
+describe("race.service", () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    publishEvent.mockClear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(Date, "now").mockReturnValue(START_TIME);
+    guildId = `race-test-${++testCount}`;
+  });
+
+  describe("startRace", () => {
+    it("should count down before the race starts", async () => {
+      const { race } = await startChannelRace(["alice", "bob"]);
+
+      expect(race).toMatchObject({ status: "countdown", startsAt: RACE_TIME, winnerId: null });
+      expect(race.racers.map((racer) => racer.userId)).toEqual(["alice", "bob"]);
+    });
+
+    it("should turn away guesses during the countdown", async () => {
+      await startChannelRace(["alice", "bob"]);
+
+      const response = await submitGuess(guildId, DATE, "alice", TEST_PUZZLE.categories[0].members);
+      const { race } = getRace(guildId, DATE, "alice");
+
+      expect(response).toEqual({ error: "The race has not started yet", status: 409 });
+      expect(race.racers[0]).toMatchObject({ solved: [], mistakes: 0 });
+    });
+
+    it("should need at least two players who have not started", async () => {
+      const response = await startChannelRace(["alice"]);
+
+      expect(response).toMatchObject({ status: 409 });
+      expect(getRace(guildId, DATE, "alice").race).toBeNull();
+    });
+  });
+
+  describe("recordRaceGuess", () => {
+    it("should make the first racer to solve every group the winner", async () => {
+      await startChannelRace(["alice", "bob"]);
+      Date.now.mockReturnValue(RACE_TIME + 30000);
+
+      await play("alice", solveGroups(4));
+      Date.now.mockReturnValue(RACE_TIME + 40000);
+      await play("bob", solveGroups(4));
+      const { race } = getRace(guildId, DATE, "alice");
+
+      expect(race).toMatchObject({ status: "finished", winnerId: "alice", finishedAt: RACE_TIME + 30000 });
+      expect(publishEvent).toHaveBeenCalledWith(
+        EVENT_TYPES.raceFinished,
+        expect.objectContaining({ winnerId: "alice" })
+      );
+    });
+
+    it("should finish with no winner once every racer is out of mistakes", async () => {
+      await startChannelRace(["alice", "bob"]);
+      Date.now.mockReturnValue(RACE_TIME + 30000);
+      const misses = [0, 1, 2, 3].map(wrongWords);
+
+      await play("alice", misses);
+      const halfway = getRace(guildId, DATE, "alice").race;
+      await play("bob", misses);
+      const { race } = getRace(guildId, DATE, "alice");
+
+      expect(halfway.status).toBe("running");
+      expect(race).toMatchObject({ status: "finished", winnerId: null });
+      expect(race.standings.map((standing) => standing.won)).toEqual([false, false]);
+    });
+  });
+
+  describe("buildStandings", () => {
+    it("should place the winner first, then by groups solved, fewest mistakes and fastest finish", async () => {
+      await startChannelRace(["alice", "bob", "carol", "dave", "erin"]);
+      Date.now.mockReturnValue(RACE_TIME + 10000);
+
+      await play("bob", [wrongWords(), ...solveGroups(2)]);
+      await play("carol", solveGroups(2));
+      await play("dave", solveGroups(1));
+      await play("erin", [0, 1, 2, 3].map(wrongWords));
+      Date.now.mockReturnValue(RACE_TIME + 20000);
+      await play("alice", solveGroups(4));
+      const { race } = getRace(guildId, DATE, "alice");
+
+      expect(race.standings.map(({ place, userId }) => [place, userId])).toEqual([
+        [1, "alice"],
+        [2, "carol"],
+        [3, "bob"],
+        [4, "dave"],
+        [5, "erin"]
+      ]);
+      expect(race.standings[0]).toMatchObject({ won: true, solvedCount: 4, mistakes: 0, elapsedMs: 20000 });
+      expect(race.standings[4]).toMatchObject({ won: false, solvedCount: 0, mistakes: 4, elapsedMs: 10000 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for saving finished games
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import { completeGame } from "../../services/result.service.js";
+import { submitGuess } from "../../services/guess.service.js";
+import { getPlayerResult } from "../../services/database.service.js";
+
+vi.mock("../../services/puzzle.service.js", () => ({
+  getPuzzle: vi.fn(async () => TEST_PUZZLE)
+}));
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+const DATE = TEST_PUZZLE.date;
+const user = { id: "player1", username: "Player" };
+let guildId;
+let testCount = 0;
+
+/**
+ * Solve every group after one wrong guess
+ * @returns {Promise<Array>} - The guess history the client was sent
+ */
+async function playGame() {
+  let response = await submitGuess(guildId, DATE, user.id, wrongWords());
+  for (const category of TEST_PUZZLE.categories) {
+    response = await submitGuess(guildId, DATE, user.id, category.members);
+  }
+  return response.progress.guessHistory;
+}
+
+describe("result.service", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    guildId = `result-test-${++testCount}`;
+  });
+
+  it("should grade and store the guess history the server recorded", async () => {
+    const clientHistory = await playGame();
+
+    const result = await completeGame(guildId, DATE, user, clientHistory);
+
+    expect(result).toMatchObject({ success: true, score: 4, mistakes: 1, won: true });
+    const saved = await getPlayerResult(guildId, DATE, user.id);
+    expect(saved.guessHistory.map((entry) => entry.words)).toEqual(clientHistory.map((entry) => entry.words));
+  });
+
+  it("should grade the recorded history when the client sends none", async () => {
+    await playGame();
+
+    expect(await completeGame(guildId, DATE, user)).toMatchObject({ success: true, score: 4, mistakes: 1 });
+  });
+
+  it("should turn away a history that differs from the server's record", async () => {
+    const clientHistory = await playGame();
+    const flawless = clientHistory.filter((entry) => entry.correct);
+
+    const result = await completeGame(guildId, DATE, user, flawless);
+
+    expect(result).toEqual({ error: "Guess history does not match the server's record", status: 409 });
+    expect(await getPlayerResult(guildId, DATE, user.id)).toBeNull();
+  });
+
+  it("should turn away a history the server never saw played", async () => {
+    const forged = TEST_PUZZLE.categories.map((category) => ({ words: category.members, correct: true }));
+
+    expect((await completeGame(guildId, DATE, user, forged)).status).toBe(409);
+  });
+});
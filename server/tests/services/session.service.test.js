@@ -0,0 +1,115 @@
+/**
+ * Tests for channel sessions: the channel index and expiring idle or stale sessions
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { getSessionConfig } from "../../config/sessions.js";
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+// The guild's current puzzle day, moved forward by the rollover test
+const guildDay = vi.hoisted(() => ({ today: "2024-10-02" }));
+
+vi.mock("../../services/guild-settings.service.js", () => ({
+  getGuildToday: vi.fn(async () => guildDay.today)
+}));
+
+const GUILD_ID = "guild1";
+const CREATED_AT = 1_000_000;
+let sessionService;
+let publishEvent;
+
+/**
+ * Create a session in a channel and put a player in it
+ * @param {string} sessionId - Message session ID
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - Player to join
+ */
+async function openSession(sessionId, channelId, userId) {
+  await sessionService.createSession(sessionId, GUILD_ID, channelId);
+  sessionService.joinSession(sessionId, userId, userId, null, GUILD_ID, guildDay.today);
+}
+
+describe("session.service", () => {
+  beforeEach(async () => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(Date, "now").mockReturnValue(CREATED_AT);
+    guildDay.today = "2024-10-02";
+
+    // Fresh module state, so sessions from one test are never swept by another
+    vi.resetModules();
+    sessionService = await import("../../services/session.service.js");
+    ({ publishEvent } = await import("../../services/events.service.js"));
+  });
+
+  describe("channel index", () => {
+    it("should find a player's session among the sessions in their channel", async () => {
+      await openSession("message-1", "channel-1", "alice");
+      await openSession("message-2", "channel-1", "bob");
+      await openSession("message-3", "channel-2", "alice");
+
+      expect(sessionService.getChannelSessions("channel-1").map(({ sessionId }) => sessionId)).toEqual([
+        "message-1",
+        "message-2"
+      ]);
+      expect(sessionService.lookupSession("channel-1", "bob")).toMatchObject({ found: true, sessionId: "message-2" });
+      expect(sessionService.lookupSession("channel-2", "alice")).toMatchObject({ sessionId: "message-3" });
+      expect(sessionService.lookupSession("channel-2", "bob")).toEqual({ found: false });
+    });
+
+    it("should drop an ended session from its channel", async () => {
+      await openSession("message-1", "channel-1", "alice");
+      await openSession("message-2", "channel-1", "bob");
+
+      sessionService.endSession("message-1");
+
+      expect(sessionService.getChannelSessions("channel-1").map(({ sessionId }) => sessionId)).toEqual(["message-2"]);
+      expect(sessionService.lookupSession("channel-1", "alice")).toEqual({ found: false });
+    });
+  });
+
+  describe("sweepExpiredSessions", () => {
+    it("should expire a session once it has been idle for longer than the TTL", async () => {
+      const { ttlMs } = getSessionConfig();
+      await openSession("message-1", "channel-1", "alice");
+
+      expect(await sessionService.sweepExpiredSessions(CREATED_AT + ttlMs)).toEqual([]);
+      expect(await sessionService.sweepExpiredSessions(CREATED_AT + ttlMs + 1)).toEqual(["message-1"]);
+      expect(publishEvent).toHaveBeenCalledWith("session.expired", {
+        sessionId: "message-1",
+        guildId: GUILD_ID,
+        channelId: "channel-1",
+        reason: "idle"
+      });
+      expect(sessionService.getSession("message-1")).toBeNull();
+      expect(sessionService.getChannelSessions("channel-1")).toEqual([]);
+      expect(sessionService.getMessageSessionId(`${GUILD_ID}_alice_2024-10-02`)).toBeNull();
+    });
+
+    it("should keep a session alive while its players keep guessing", async () => {
+      const { ttlMs } = getSessionConfig();
+      await openSession("message-1", "channel-1", "alice");
+
+      Date.now.mockReturnValue(CREATED_AT + ttlMs);
+      sessionService.updateSession(`${GUILD_ID}_alice_2024-10-02`, [{ words: [], correct: false }]);
+
+      expect(await sessionService.sweepExpiredSessions(CREATED_AT + ttlMs + 1)).toEqual([]);
+    });
+
+    it("should expire a session from an earlier day once the guild's day rolls over", async () => {
+      await openSession("message-1", "channel-1", "alice");
+
+      expect(await sessionService.sweepExpiredSessions(CREATED_AT + 1)).toEqual([]);
+
+      guildDay.today = "2024-10-03";
+
+      expect(await sessionService.sweepExpiredSessions(CREATED_AT + 1)).toEqual(["message-1"]);
+      expect(publishEvent).toHaveBeenLastCalledWith("session.expired", expect.objectContaining({ reason: "rollover" }));
+    });
+  });
+});
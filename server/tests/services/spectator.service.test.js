@@ -0,0 +1,126 @@
+/**
+ * Tests for what a spectator may see of another player's board
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { TEST_PUZZLE } from "../fixtures/puzzle.js";
+import { getSpectatorBoard } from "../../services/spectator.service.js";
+import { createSession, joinSession } from "../../services/session.service.js";
+import { startGame, submitGuess, requestHint } from "../../services/guess.service.js";
+import { saveGameResult } from "../../services/database.service.js";
+
+vi.mock("../../services/puzzle.service.js", () => ({
+  getPuzzle: vi.fn(async () => TEST_PUZZLE)
+}));
+
+vi.mock("../../services/events.service.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishEvent: vi.fn()
+}));
+
+const DATE = TEST_PUZZLE.date;
+const PLAYER_ID = "player1";
+const SPECTATOR_ID = "spectator1";
+const [fruit, animals] = TEST_PUZZLE.categories;
+let guildId;
+let testCount = 0;
+
+/**
+ * Put the player in a channel session, then solve FRUIT and miss once
+ */
+async function playSomeGuesses() {
+  const sessionId = `message-${guildId}`;
+  await createSession(sessionId, guildId, `channel-${guildId}`);
+  joinSession(sessionId, PLAYER_ID, "Player", null, guildId, DATE);
+
+  await submitGuess(guildId, DATE, PLAYER_ID, fruit.members);
+  await submitGuess(guildId, DATE, PLAYER_ID, ["DOG", "CAT", "FOX", "PINK"]);
+}
+
+/**
+ * Store a finished game for the spectator
+ */
+async function finishSpectatorGame() {
+  await saveGameResult(guildId, DATE, {
+    userId: SPECTATOR_ID,
+    username: "Spectator",
+    score: 4,
+    mistakes: 0,
+    guessHistory: TEST_PUZZLE.categories.map((category) => ({
+      words: category.members,
+      correct: true,
+      difficulty: category.difficulty
+    }))
+  });
+}
+
+describe("spectator.service", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    guildId = `spectator-test-${++testCount}`;
+  });
+
+  describe("getSpectatorBoard", () => {
+    it("should hide unsolved words and miss colours from a spectator who has not finished", async () => {
+      await playSomeGuesses();
+
+      const board = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+
+      expect(board).toMatchObject({ canSeeWords: false, remainingWords: null, remainingCount: 12, mistakes: 1 });
+      expect(board.solvedCategories).toEqual([fruit]);
+      expect(board.guessHistory[0]).toMatchObject({ correct: true, words: fruit.members });
+      expect(board.guessHistory[1]).toMatchObject({ correct: false, words: null, wordDifficulties: null });
+    });
+
+    it("should show the whole board to a spectator who has finished", async () => {
+      await playSomeGuesses();
+      await finishSpectatorGame();
+
+      const board = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+
+      expect(board.canSeeWords).toBe(true);
+      expect(board.remainingWords).toHaveLength(12);
+      expect(board.remainingWords).not.toContain("APPLE");
+      expect(board.guessHistory[1]).toMatchObject({
+        words: ["DOG", "CAT", "FOX", "PINK"],
+        wordDifficulties: [1, 1, 1, 2]
+      });
+    });
+
+    it("should hide a revealed word and title from a spectator who has not finished", async () => {
+      await playSomeGuesses();
+      await requestHint(guildId, DATE, PLAYER_ID);
+      await requestHint(guildId, DATE, PLAYER_ID);
+
+      const hidden = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+      await finishSpectatorGame();
+      const shown = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+
+      expect(hidden.hintsUsed).toBe(2);
+      expect(hidden.guessHistory.slice(2)).toMatchObject([
+        { type: "hint", hint: "word", word: null, group: null },
+        { type: "hint", hint: "title", word: null, group: null }
+      ]);
+      expect(animals.members).toContain(shown.guessHistory[2].word);
+      expect(shown.guessHistory[3]).toMatchObject({ hint: "title", group: "ANIMALS" });
+    });
+
+    it("should hide a hard mode player's solved titles until the spectator has finished", async () => {
+      const sessionId = `message-${guildId}`;
+      await createSession(sessionId, guildId, `channel-${guildId}`);
+      joinSession(sessionId, PLAYER_ID, "Player", null, guildId, DATE);
+      await startGame(guildId, DATE, PLAYER_ID, { hardMode: true });
+      await submitGuess(guildId, DATE, PLAYER_ID, fruit.members);
+      await submitGuess(guildId, DATE, PLAYER_ID, ["DOG", "CAT", "RED", "PIANO"]);
+
+      const hidden = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+      await finishSpectatorGame();
+      const shown = await getSpectatorBoard(guildId, DATE, PLAYER_ID, SPECTATOR_ID);
+
+      expect(hidden).toMatchObject({ hardMode: true, maxMistakes: 2, mistakes: 1, isGameOver: false });
+      expect(hidden.solvedCategories).toEqual([{ ...fruit, group: null }]);
+      expect(shown.solvedCategories).toEqual([fruit]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for grading guesses and giving hints
+ */
+
+import { describe, it, expect } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import {
+  createHintEntry,
+  getNextHint,
+  getMaxMistakes,
+  gradeGuess,
+  replayGuessHistory
+} from "../../utils/grading.js";
+import { HINT_CONFIG, HARD_MODE_CONFIG } from "../../config/game.js";
+
+const [fruit, animals] = TEST_PUZZLE.categories;
+// Three fruits and a dog, one word away from FRUIT
+const ONE_AWAY = ["APPLE", "PEAR", "PLUM", "DOG"];
+
+/**
+ * Take hints one after another, as a player pressing the hint button would
+ * @param {number} count - Number of hints
+ * @param {Array} guessHistory - History to start from
+ * @returns {Array} - History with the hints added
+ */
+function takeHints(count, guessHistory = []) {
+  const history = [...guessHistory];
+  for (let index = 0; index < count; index++) {
+    history.push(createHintEntry(TEST_PUZZLE, history));
+  }
+  return history;
+}
+
+describe("grading", () => {
+  describe("gradeGuess", () => {
+    it("should mark the four words of an unsolved group correct in any order", () => {
+      const { result, category, guess } = gradeGuess(TEST_PUZZLE, [], ["KIWI", "PLUM", "PEAR", "APPLE"]);
+
+      expect(result).toBe("correct");
+      expect(category).toBe(fruit);
+      expect(guess).toMatchObject({ correct: true, difficulty: 0, wordDifficulties: null });
+    });
+
+    it("should call a guess one word off an unsolved group one away", () => {
+      const { result, guess } = gradeGuess(TEST_PUZZLE, [], ["APPLE", "PEAR", "PLUM", "DOG"]);
+
+      expect(result).toBe("one_away");
+      expect(guess).toMatchObject({ correct: false, difficulty: null, wordDifficulties: [0, 0, 0, 1] });
+    });
+
+    it("should call any other miss wrong", () => {
+      const { result, guess } = gradeGuess(TEST_PUZZLE, [], wrongWords());
+
+      expect(result).toBe("wrong");
+      expect(guess.wordDifficulties).toEqual([0, 1, 2, 3]);
+    });
+
+    it("should neither match nor come one away from a group that is already solved", () => {
+      expect(gradeGuess(TEST_PUZZLE, [fruit], fruit.members).result).toBe("wrong");
+      expect(gradeGuess(TEST_PUZZLE, [fruit], ["APPLE", "PEAR", "PLUM", "DOG"]).result).toBe("wrong");
+    });
+  });
+
+  describe("replayGuessHistory", () => {
+    it("should count solved groups and mistakes", () => {
+      const history = [{ words: wrongWords(), correct: false }, gradeGuess(TEST_PUZZLE, [], fruit.members).guess];
+
+      expect(replayGuessHistory(TEST_PUZZLE, history)).toMatchObject({
+        solvedCategories: [fruit],
+        mistakes: 1,
+        won: false,
+        isGameOver: false
+      });
+    });
+
+    it("should end the game with a win once every group is solved", () => {
+      const history = TEST_PUZZLE.categories.map((category) => ({ words: category.members, correct: true }));
+
+      expect(replayGuessHistory(TEST_PUZZLE, history)).toMatchObject({ mistakes: 0, won: true, isGameOver: true });
+    });
+
+    it("should end the game after four mistakes", () => {
+      const history = [0, 1, 2, 3].map((index) => ({ words: wrongWords(index), correct: false }));
+
+      expect(replayGuessHistory(TEST_PUZZLE, history)).toMatchObject({ mistakes: 4, won: false, isGameOver: true });
+    });
+
+    it("should not solve a group for a guess marked correct that matches none", () => {
+      const history = [{ words: wrongWords(), correct: true }];
+
+      expect(replayGuessHistory(TEST_PUZZLE, history).solvedCategories).toEqual([]);
+    });
+  });
+
+  describe("hints", () => {
+    it("should reveal a word, then the title, then the whole of the easiest unsolved group", () => {
+      const [word, title, group] = takeHints(3);
+
+      expect(word).toMatchObject({ type: "hint", hint: "word", difficulty: 0, cost: 1 });
+      expect(fruit.members).toContain(word.word);
+      expect(title).toMatchObject({ hint: "title", group: "FRUIT", cost: 2 });
+      expect(group).toMatchObject({ hint: "group", group: "FRUIT", words: fruit.members, cost: 3 });
+    });
+
+    it("should move on to the next group once a hint locks the easiest one in", () => {
+      const history = takeHints(4);
+
+      expect(replayGuessHistory(TEST_PUZZLE, history).solvedCategories).toEqual([fruit]);
+      expect(history[3]).toMatchObject({ hint: "word", difficulty: 1 });
+      expect(animals.members).toContain(history[3].word);
+    });
+
+    it("should reveal a word the player has not already guessed", () => {
+      const guessed = [
+        { words: ["APPLE", "DOG", "RED", "PIANO"], correct: false },
+        { words: ["PEAR", "CAT", "BLUE", "DRUM"], correct: false },
+        { words: ["PLUM", "FOX", "GREEN", "HARP"], correct: false }
+      ];
+
+      expect(createHintEntry(TEST_PUZZLE, guessed).word).toBe("KIWI");
+    });
+
+    it("should pick the same word when the history is replayed", () => {
+      const history = [{ words: wrongWords(), correct: false }];
+
+      expect(createHintEntry(TEST_PUZZLE, history).word).toBe(createHintEntry(TEST_PUZZLE, history).word);
+    });
+
+    it("should add up hint penalties without counting hints as mistakes", () => {
+      const history = takeHints(3, [{ words: wrongWords(), correct: false }]);
+
+      expect(replayGuessHistory(TEST_PUZZLE, history)).toMatchObject({
+        hintsUsed: 3,
+        hintPenalty: HINT_CONFIG.costs.word + HINT_CONFIG.costs.title + HINT_CONFIG.costs.group,
+        mistakes: 1
+      });
+    });
+
+    it("should give no more hints once the game is over", () => {
+      const lost = [0, 1, 2, 3].map((index) => ({ words: wrongWords(index), correct: false }));
+
+      expect(getNextHint(TEST_PUZZLE, lost)).toBeNull();
+      expect(createHintEntry(TEST_PUZZLE, lost)).toBeNull();
+    });
+
+    it("should never lock in the last group, so hints alone cannot finish the game", () => {
+      const history = takeHints(11);
+
+      expect(replayGuessHistory(TEST_PUZZLE, history)).toMatchObject({ isGameOver: false, won: false });
+      expect(history.slice(9).map((entry) => entry.hint)).toEqual(["word", "title"]);
+      expect(getNextHint(TEST_PUZZLE, history)).toBeNull();
+      expect(createHintEntry(TEST_PUZZLE, history)).toBeNull();
+    });
+  });
+
+  describe("hard mode", () => {
+    it("should allow two mistakes", () => {
+      const history = [0, 1].map((index) => ({ words: wrongWords(index), correct: false }));
+
+      expect(HARD_MODE_CONFIG.maxMistakes).toBe(2);
+      expect(getMaxMistakes(true)).toBe(2);
+      expect(replayGuessHistory(TEST_PUZZLE, history, { hardMode: true }).isGameOver).toBe(true);
+      expect(replayGuessHistory(TEST_PUZZLE, history).isGameOver).toBe(false);
+    });
+
+    it("should grade a near miss as wrong rather than one away", () => {
+      expect(gradeGuess(TEST_PUZZLE, [], ONE_AWAY).result).toBe("one_away");
+      expect(gradeGuess(TEST_PUZZLE, [], ONE_AWAY, { hardMode: true }).result).toBe("wrong");
+    });
+
+    it("should offer no hints", () => {
+      expect(getNextHint(TEST_PUZZLE, [], { hardMode: true })).toBeNull();
+    });
+  });
+});
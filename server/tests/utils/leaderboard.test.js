@@ -0,0 +1,33 @@
+/**
+ * Tests for ranking leaderboard results
+ */
+
+import { describe, it, expect } from "vitest";
+import { filterResultsByMode, rankResults } from "../../utils/leaderboard.js";
+
+/**
+ * Build a saved result
+ * @param {string} userId - Player ID
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} - Result
+ */
+function result(userId, overrides = {}) {
+  return { userId, username: userId, avatar: null, score: 4, mistakes: 0, completedAt: 1, ...overrides };
+}
+
+describe("leaderboard", () => {
+  describe("filterResultsByMode", () => {
+    const results = [result("normal1"), result("hard1", { hardMode: true }), result("normal2", { hardMode: false })];
+
+    it("should keep hard mode results off the normal board", () => {
+      expect(filterResultsByMode(results, "normal").map((entry) => entry.userId)).toEqual(["normal1", "normal2"]);
+    });
+
+    it("should rank hard mode results on their own board", () => {
+      const ranked = rankResults(filterResultsByMode(results, "hard"));
+
+      expect(ranked).toHaveLength(1);
+      expect(ranked[0]).toMatchObject({ rank: 1, userId: "hard1", wins: 1 });
+    });
+  });
+});
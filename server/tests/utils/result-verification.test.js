@@ -0,0 +1,119 @@
+/**
+ * Tests for replaying a finished game's guess history
+ */
+
+import { describe, it, expect } from "vitest";
+import { TEST_PUZZLE, wrongWords } from "../fixtures/puzzle.js";
+import { verifyGuessHistory } from "../../utils/result-verification.js";
+import { createHintEntry } from "../../utils/grading.js";
+
+const [fruit, animals, colours, instruments] = TEST_PUZZLE.categories;
+
+/**
+ * Build a correct guess entry for a category
+ * @param {Object} category - Puzzle category
+ * @returns {Object} - Guess history entry
+ */
+function solve(category) {
+  return { words: [...category.members], correct: true, difficulty: category.difficulty };
+}
+
+describe("verifyGuessHistory", () => {
+  it("should reject a history that repeats a guess in a different order", () => {
+    const [first, second, third, fourth] = wrongWords();
+    const history = [
+      { words: [first, second, third, fourth], correct: false },
+      { words: [third, first, fourth, second], correct: false },
+      ...TEST_PUZZLE.categories.map(solve)
+    ];
+
+    expect(verifyGuessHistory(TEST_PUZZLE, history)).toEqual({
+      valid: false,
+      reason: "Guess 2 repeats an earlier guess"
+    });
+  });
+
+  describe("hints", () => {
+    it("should rebuild hint entries from the puzzle rather than trusting the client", () => {
+      const wordHint = createHintEntry(TEST_PUZZLE, []);
+      const history = [
+        { type: "hint", hint: "word", difficulty: 0, word: "NOT-A-WORD", cost: 0, timestamp: 1 },
+        { type: "hint", hint: "title", difficulty: 0, group: "WRONG", cost: 0, timestamp: 2 },
+        { type: "hint", hint: "group", difficulty: 0, cost: 0, timestamp: 3 },
+        solve(animals),
+        solve(colours),
+        solve(instruments)
+      ];
+
+      const verified = verifyGuessHistory(TEST_PUZZLE, history);
+
+      expect(verified).toMatchObject({ valid: true, score: 4, won: true, hintsUsed: 3, hintPenalty: 6 });
+      expect(verified.guessHistory[0]).toMatchObject({ hint: "word", word: wordHint.word, cost: 1, timestamp: 1 });
+      expect(verified.guessHistory[1]).toMatchObject({ hint: "title", group: "FRUIT", cost: 2 });
+      expect(verified.guessHistory[2]).toMatchObject({ hint: "group", group: "FRUIT", words: fruit.members });
+    });
+
+    it("should reject a hint the puzzle would not have given", () => {
+      const history = [{ type: "hint", hint: "group", difficulty: 0 }, solve(animals)];
+
+      expect(verifyGuessHistory(TEST_PUZZLE, history)).toEqual({
+        valid: false,
+        reason: "Guess 1 is a hint the puzzle would not have given"
+      });
+    });
+
+    it("should not let a hint-solved group be guessed again", () => {
+      const history = [
+        ...["word", "title", "group"].map((hint) => ({ type: "hint", hint, difficulty: 0 })),
+        solve(fruit)
+      ];
+
+      expect(verifyGuessHistory(TEST_PUZZLE, history).valid).toBe(false);
+    });
+
+    it("should rebuild a word hint that avoids words already guessed", () => {
+      const miss = { words: wrongWords(), correct: false };
+      const history = [miss, { type: "hint", hint: "word", difficulty: 0 }, ...TEST_PUZZLE.categories.map(solve)];
+
+      const verified = verifyGuessHistory(TEST_PUZZLE, history);
+
+      expect(verified.valid).toBe(true);
+      expect(verified.guessHistory[1].word).not.toBe("APPLE");
+      expect(verified.guessHistory[1].word).toBe(createHintEntry(TEST_PUZZLE, [miss]).word);
+    });
+
+    it("should reject a game won by hints alone", () => {
+      const allHints = TEST_PUZZLE.categories.flatMap((category) =>
+        ["word", "title", "group"].map((hint) => ({ type: "hint", hint, difficulty: category.difficulty }))
+      );
+
+      expect(verifyGuessHistory(TEST_PUZZLE, allHints)).toEqual({
+        valid: false,
+        reason: "Guess 12 is a hint the puzzle would not have given"
+      });
+      expect(verifyGuessHistory(TEST_PUZZLE, [...allHints.slice(0, 11), solve(instruments)])).toMatchObject({
+        valid: true,
+        won: true,
+        hintsUsed: 11
+      });
+    });
+  });
+
+  describe("hard mode", () => {
+    it("should reject hint entries", () => {
+      const history = [{ type: "hint", hint: "word", difficulty: 0 }, ...TEST_PUZZLE.categories.map(solve)];
+
+      expect(verifyGuessHistory(TEST_PUZZLE, history, { hardMode: true })).toEqual({
+        valid: false,
+        reason: "Guess 1 is a hint, but hard mode has none"
+      });
+    });
+
+    it("should end the game after two mistakes", () => {
+      const lost = [0, 1].map((index) => ({ words: wrongWords(index), correct: false }));
+
+      expect(verifyGuessHistory(TEST_PUZZLE, lost, { hardMode: true })).toMatchObject({ valid: true, mistakes: 2 });
+      expect(verifyGuessHistory(TEST_PUZZLE, [...lost, solve(fruit)], { hardMode: true }).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for signing and verifying session tokens
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSessionToken, verifySessionToken } from "../../utils/session-token.js";
+
+const user = { id: "player1", username: "Player", avatar: "abc123" };
+const ISSUED_AT = Date.UTC(2024, 9, 2, 9);
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("session-token", () => {
+  beforeEach(() => {
+    vi.stubEnv("SESSION_TOKEN_SECRET", "test-secret");
+    vi.spyOn(Date, "now").mockReturnValue(ISSUED_AT);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("should read back the user a valid token was issued to", () => {
+    const token = createSessionToken(user);
+
+    expect(verifySessionToken(token)).toEqual(user);
+  });
+
+  it("should reject a token whose signature has been tampered with", () => {
+    const [payload, signature] = createSessionToken(user).split(".");
+    const tampered = `${payload}.${signature.startsWith("A") ? "B" : "A"}${signature.slice(1)}`;
+
+    expect(verifySessionToken(tampered)).toBeNull();
+  });
+
+  it("should reject a token whose payload has been swapped for another user's", () => {
+    const [, signature] = createSessionToken(user).split(".");
+    const [otherPayload] = createSessionToken({ ...user, id: "player2" }).split(".");
+
+    expect(verifySessionToken(`${otherPayload}.${signature}`)).toBeNull();
+  });
+
+  it("should reject a token once its 12 hour lifetime has passed", () => {
+    const token = createSessionToken(user);
+
+    Date.now.mockReturnValue(ISSUED_AT + 12 * HOUR_MS);
+    expect(verifySessionToken(token)).toEqual(user);
+
+    Date.now.mockReturnValue(ISSUED_AT + 12 * HOUR_MS + 1000);
+    expect(verifySessionToken(token)).toBeNull();
+  });
+
+  it("should reject a token signed with a different secret", () => {
+    vi.stubEnv("SESSION_TOKEN_SECRET", "old-secret");
+    const token = createSessionToken(user);
+
+    vi.stubEnv("SESSION_TOKEN_SECRET", "test-secret");
+    expect(verifySessionToken(token)).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+const FIRST_PUZZLE_DATE = "2023-06-12";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get today's puzzle date in a timezone
+ * @param {string} timeZone - IANA timezone (defaults to UTC)
+ * @param {Date} now - Current time
+ * @returns {string} - Date string (YYYY-MM-DD)
+ */
+export function getTodayDate(timeZone = "UTC", now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(now);
+}
+
+/**
+ * Check that a string is an IANA timezone the runtime knows about
+ * @param {string} timeZone - Timezone name (e.g. America/New_York)
+ * @returns {boolean} - True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the puzzle number for a date (puzzle #1 was on 2023-06-12)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} - Puzzle number
+ */
+export function getPuzzleNumber(date) {
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${FIRST_PUZZLE_DATE}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Check that a string is a calendar date in YYYY-MM-DD format
+ * @param {string} date - Date string
+ * @returns {boolean} - True if valid
+ */
+export function isValidDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || "") && !Number.isNaN(Date.parse(`${date}T00:00:00Z`));
+}
+
+/**
+ * Add days to a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date string (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+/**
+ * List every date in an inclusive range
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {string[]} - Dates in ascending order
+ */
+export function listDatesInRange(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Get the first and last date of a month
+ * @param {string} month - Month string (YYYY-MM)
+ * @returns {Object|null} - { from, to } date strings, or null if the month is invalid
+ */
+export function getMonthRange(month) {
+  const from = `${month}-01`;
+  if (!/^\d{4}-\d{2}$/.test(month || "") || !isValidDate(from)) {
+    return null;
+  }
+
+  const to = addDays(`${addDays(from, 31).slice(0, 7)}-01`, -1);
+  return { from, to };
+}
@@ -0,0 +1,245 @@
+import { GAME_CONFIG, HINT_CONFIG, HARD_MODE_CONFIG } from "../config/game.js";
+import { seededShuffle } from "./transforms.js";
+
+/**
+ * Check if the guessed words match any unsolved category
+ * @param {Array} categories - Puzzle categories
+ * @param {Array} solvedCategories - Categories already solved
+ * @param {string[]} words - Guessed words
+ * @returns {Object|undefined} - Matched category
+ */
+export function checkCategoryMatch(categories, solvedCategories, words) {
+  const selected = new Set(words);
+
+  return categories.find((category) => {
+    if (solvedCategories.some((solved) => solved.group === category.group)) {
+      return false;
+    }
+
+    return category.members.every((member) => selected.has(member));
+  });
+}
+
+/**
+ * Check if the guessed words are "one away" from an unsolved category
+ * @param {Array} categories - Puzzle categories
+ * @param {Array} solvedCategories - Categories already solved
+ * @param {string[]} words - Guessed words
+ * @returns {boolean} - True if one away
+ */
+export function isOneAway(categories, solvedCategories, words) {
+  const selected = new Set(words);
+
+  return categories.some((category) => {
+    if (solvedCategories.some((solved) => solved.group === category.group)) {
+      return false;
+    }
+
+    return category.members.filter((member) => selected.has(member)).length === GAME_CONFIG.wordsPerCategory - 1;
+  });
+}
+
+/**
+ * Look up the difficulty of each guessed word
+ * @param {Array} categories - Puzzle categories
+ * @param {string[]} words - Guessed words
+ * @returns {Array} - Difficulty (0-3) per word, null when unknown
+ */
+export function getWordDifficulties(categories, words) {
+  return words.map((word) => {
+    const category = categories.find((cat) => cat.members.includes(word));
+    return category ? category.difficulty : null;
+  });
+}
+
+/**
+ * Get the number of mistakes a player may make
+ * @param {boolean} hardMode - True for hard mode games
+ * @returns {number} - Mistakes allowed
+ */
+export function getMaxMistakes(hardMode = false) {
+  return hardMode ? HARD_MODE_CONFIG.maxMistakes : GAME_CONFIG.maxMistakes;
+}
+
+/**
+ * Replay a guess history against a puzzle
+ * @param {Object} puzzle - Puzzle with categories
+ * @param {Array} guessHistory - Array of guess objects
+ * @param {Object} options - { hardMode } to end the game after fewer mistakes
+ * @returns {Object} - Solved categories, mistakes and whether the game is over
+ */
+export function replayGuessHistory(puzzle, guessHistory, { hardMode = false } = {}) {
+  const solvedCategories = [];
+  let mistakes = 0;
+  let hintsUsed = 0;
+  let hintPenalty = 0;
+
+  guessHistory.forEach((guess) => {
+    if (isHint(guess)) {
+      hintsUsed++;
+      hintPenalty += HINT_CONFIG.costs[guess.hint] || 0;
+    }
+
+    if (isSolve(guess)) {
+      const category = checkCategoryMatch(puzzle.categories, solvedCategories, guess.words);
+      if (category) {
+        solvedCategories.push(category);
+      }
+    } else if (isMistake(guess)) {
+      mistakes++;
+    }
+  });
+
+  const won = solvedCategories.length === GAME_CONFIG.totalCategories;
+  const isGameOver = won || mistakes >= getMaxMistakes(hardMode);
+
+  return { solvedCategories, mistakes, won, isGameOver, hintsUsed, hintPenalty };
+}
+
+/**
+ * Check if a guess history entry is a hint rather than a guess
+ * @param {Object} entry - Guess history entry
+ * @returns {boolean} - True for hints
+ */
+export function isHint(entry) {
+  return entry?.type === "hint";
+}
+
+/**
+ * Check if a guess history entry solved a category (a correct guess or a hint that locked a group in)
+ * @param {Object} entry - Guess history entry
+ * @returns {boolean} - True if a category was solved
+ */
+export function isSolve(entry) {
+  return isHint(entry) ? entry.hint === "group" : !!entry.correct;
+}
+
+/**
+ * Check if a guess history entry is a wrong guess (hints never count as mistakes)
+ * @param {Object} entry - Guess history entry
+ * @returns {boolean} - True for wrong guesses
+ */
+export function isMistake(entry) {
+  return !isHint(entry) && !entry.correct;
+}
+
+/**
+ * Check if the same words were already guessed, in any order (hints never count)
+ * @param {Array} guessHistory - Array of guess objects
+ * @param {string[]} words - Guessed words
+ * @returns {boolean} - True if the guess repeats an earlier one
+ */
+export function isRepeatGuess(guessHistory, words) {
+  return guessHistory.some(
+    (entry) =>
+      !isHint(entry) &&
+      entry.words?.length === words.length &&
+      words.every((word) => entry.words.includes(word))
+  );
+}
+
+/**
+ * Work out which hint comes next: hints always target the easiest unsolved group, revealing a word,
+ * then its title, then locking the whole group in
+ * @param {Object} puzzle - Puzzle with categories
+ * @param {Array} guessHistory - Array of guess objects
+ * @param {Object} options - { hardMode }, where no hints are given
+ * @returns {Object|null} - Hint level, its cost and the target category, or null once the game is over or only
+ *   the last group's lock-in is left
+ */
+export function getNextHint(puzzle, guessHistory, { hardMode = false } = {}) {
+  if (hardMode) return null;
+
+  const { solvedCategories, isGameOver } = replayGuessHistory(puzzle, guessHistory);
+  if (isGameOver) return null;
+
+  const unsolved = puzzle.categories.filter(
+    (candidate) => !solvedCategories.some((solved) => solved.group === candidate.group)
+  );
+  const category = unsolved.sort((a, b) => a.difficulty - b.difficulty)[0];
+  const given = guessHistory.filter((entry) => isHint(entry) && entry.difficulty === category.difficulty).length;
+  const hint = HINT_CONFIG.levels[Math.min(given, HINT_CONFIG.levels.length - 1)];
+
+  // The last group always has to be guessed, otherwise hints alone could finish (and win) the game
+  if (hint === "group" && unsolved.length === 1) return null;
+
+  return { hint, cost: HINT_CONFIG.costs[hint], category };
+}
+
+/**
+ * Pick the word a word hint reveals: one the player has not already put in a guess or been shown, so the hint tells
+ * them something new. Result verification rebuilds hints from the history, so the pick is seeded rather than random.
+ * @param {Object} puzzle - Puzzle with date
+ * @param {Object} category - Category the hint is for
+ * @param {Array} guessHistory - Array of guess objects
+ * @returns {string} - Word to reveal
+ */
+function pickHintWord(puzzle, category, guessHistory) {
+  const seen = new Set(guessHistory.flatMap((entry) => (isHint(entry) ? [entry.word] : entry.words || [])));
+  const members = seededShuffle(category.members, `${puzzle.date}:${category.group}`);
+
+  return members.find((member) => !seen.has(member)) || members[0];
+}
+
+/**
+ * Create the guess history entry for the next hint
+ * @param {Object} puzzle - Puzzle with categories
+ * @param {Array} guessHistory - Array of guess objects
+ * @returns {Object|null} - Hint entry, or null once no hint is left
+ */
+export function createHintEntry(puzzle, guessHistory) {
+  const next = getNextHint(puzzle, guessHistory);
+  if (!next) return null;
+
+  const { hint, cost, category } = next;
+  const entry = { type: "hint", hint, difficulty: category.difficulty, cost, timestamp: Date.now() };
+
+  if (hint === "word") {
+    entry.word = pickHintWord(puzzle, category, guessHistory);
+  } else if (hint === "title") {
+    entry.group = category.group;
+  } else {
+    entry.group = category.group;
+    entry.words = [...category.members];
+  }
+
+  return entry;
+}
+
+/**
+ * Grade a single guess against the unsolved categories
+ * @param {Object} puzzle - Puzzle with categories
+ * @param {Array} solvedCategories - Categories already solved
+ * @param {string[]} words - Guessed words
+ * @param {Object} options - { hardMode }, where a near miss is just "wrong"
+ * @returns {Object} - Result ("correct", "one_away" or "wrong"), matched category and the history entry
+ */
+export function gradeGuess(puzzle, solvedCategories, words, { hardMode = false } = {}) {
+  const category = checkCategoryMatch(puzzle.categories, solvedCategories, words);
+
+  if (category) {
+    return {
+      result: "correct",
+      category,
+      guess: {
+        words: [...words],
+        correct: true,
+        difficulty: category.difficulty,
+        wordDifficulties: null,
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  return {
+    result: !hardMode && isOneAway(puzzle.categories, solvedCategories, words) ? "one_away" : "wrong",
+    category: null,
+    guess: {
+      words: [...words],
+      correct: false,
+      difficulty: null,
+      wordDifficulties: getWordDifficulties(puzzle.categories, words),
+      timestamp: Date.now()
+    }
+  };
+}
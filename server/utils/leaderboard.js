@@ -0,0 +1,155 @@
+import { GAME_CONFIG } from "../config/game.js";
+import { addDays } from "./dates.js";
+
+export const LEADERBOARD_WINDOWS = ["daily", "weekly", "monthly", "all-time"];
+export const LEADERBOARD_CATEGORIES = ["solves", "fastest"];
+// Hard mode results are ranked on their own board
+export const LEADERBOARD_MODES = ["normal", "hard"];
+
+/**
+ * Get the date range covered by a leaderboard window
+ * @param {string} window - "daily", "weekly" (Monday to today), "monthly" or "all-time"
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} - { from, to } date strings, both null for all-time
+ */
+export function getWindowRange(window, today) {
+  switch (window) {
+    case "daily":
+      return { from: today, to: today };
+    case "weekly": {
+      const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+      return { from: addDays(today, -((weekday + 6) % 7)), to: today };
+    }
+    case "monthly":
+      return { from: `${today.slice(0, 7)}-01`, to: today };
+    default:
+      return { from: null, to: null };
+  }
+}
+
+/**
+ * Keep the results that belong on a mode's board, so hard mode games never mix with normal ones
+ * @param {Array} results - Results with hardMode
+ * @param {string} mode - "normal" or "hard"
+ * @returns {Array} - Results played in that mode
+ */
+export function filterResultsByMode(results, mode) {
+  const hardMode = mode === "hard";
+  return results.filter((result) => !!result.hardMode === hardMode);
+}
+
+/**
+ * Compare two leaderboard entries: most solves, then the smallest hint penalty, then fewest mistakes,
+ * then whoever got there first
+ * @param {Object} a - Leaderboard entry
+ * @param {Object} b - Leaderboard entry
+ * @returns {number} - Sort order
+ */
+export function compareEntries(a, b) {
+  return (
+    b.solves - a.solves ||
+    a.hintPenalty - b.hintPenalty ||
+    a.mistakes - b.mistakes ||
+    a.completedAt - b.completedAt
+  );
+}
+
+/**
+ * Aggregate results into ranked leaderboard entries
+ * @param {Array} results - Results with userId, username, avatar, score, mistakes, hint usage and completedAt
+ * @returns {Array} - Entries sorted by rank
+ */
+export function rankResults(results) {
+  const entries = {};
+
+  results.forEach((result) => {
+    if (!entries[result.userId]) {
+      entries[result.userId] = {
+        userId: result.userId,
+        username: result.username,
+        avatar: result.avatar,
+        gamesPlayed: 0,
+        wins: 0,
+        cleanWins: 0,
+        solves: 0,
+        mistakes: 0,
+        hintsUsed: 0,
+        hintPenalty: 0,
+        completedAt: 0
+      };
+    }
+
+    const entry = entries[result.userId];
+    entry.gamesPlayed++;
+    entry.solves += result.score;
+    entry.mistakes += result.mistakes;
+    entry.hintsUsed += result.hintsUsed || 0;
+    entry.hintPenalty += result.hintPenalty || 0;
+
+    if (result.completedAt >= entry.completedAt) {
+      // The most recent game decides when the player reached their total, and supplies their current name
+      entry.completedAt = result.completedAt;
+      entry.username = result.username;
+      entry.avatar = result.avatar;
+    }
+
+    if (result.score === GAME_CONFIG.totalCategories) {
+      entry.wins++;
+
+      // A clean win solved every group without a hint
+      if (!result.hintsUsed) {
+        entry.cleanWins++;
+      }
+    }
+  });
+
+  return Object.values(entries)
+    .sort(compareEntries)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Rank players by their fastest timed win. Only games played in timed mode count, so nobody is timed unawares.
+ * @param {Array} results - Results in date order with player details, score, solveTimeMs, timed and completedAt
+ * @returns {Array} - Entries sorted by best time, each with the player's number of timed wins
+ */
+export function rankFastestSolves(results) {
+  const entries = {};
+
+  results
+    .filter((result) => result.timed && result.solveTimeMs !== null && result.score === GAME_CONFIG.totalCategories)
+    .forEach((result) => {
+      const entry = entries[result.userId];
+
+      if (!entry) {
+        entries[result.userId] = {
+          userId: result.userId,
+          username: result.username,
+          avatar: result.avatar,
+          timedWins: 1,
+          bestTimeMs: result.solveTimeMs,
+          completedAt: result.completedAt
+        };
+        return;
+      }
+
+      entry.timedWins++;
+
+      // Results come in date order, so the latest game supplies the current name
+      entry.username = result.username;
+      entry.avatar = result.avatar;
+
+      // Ties on time go to whoever set it first
+      if (
+        result.solveTimeMs < entry.bestTimeMs ||
+        (result.solveTimeMs === entry.bestTimeMs && result.completedAt < entry.completedAt)
+      ) {
+        entry.bestTimeMs = result.solveTimeMs;
+        entry.completedAt = result.completedAt;
+      }
+    });
+
+  return Object.values(entries)
+    .sort((a, b) => a.bestTimeMs - b.bestTimeMs || a.completedAt - b.completedAt)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
@@ -0,0 +1,74 @@
+import { GAME_CONFIG } from "../config/game.js";
+
+/**
+ * Normalize a custom puzzle submitted by an editor
+ * @param {Object} puzzle - Puzzle with categories of { group, members }
+ * @returns {Object} - Puzzle with trimmed titles, upper-cased words and difficulty from order
+ */
+export function normalizeCustomPuzzle(puzzle) {
+  const categories = Array.isArray(puzzle?.categories) ? puzzle.categories : [];
+
+  return {
+    title: typeof puzzle?.title === "string" ? puzzle.title.trim() : "",
+    categories: categories.map((category, index) => ({
+      group: typeof category?.group === "string" ? category.group.trim() : "",
+      members: Array.isArray(category?.members)
+        ? category.members.map((word) => (typeof word === "string" ? word.trim().toUpperCase() : ""))
+        : [],
+      difficulty: index
+    }))
+  };
+}
+
+/**
+ * Validate a normalized custom puzzle
+ * @param {Object} puzzle - Normalized puzzle
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export function validateCustomPuzzle(puzzle) {
+  const errors = [];
+  const { categories } = puzzle;
+
+  if (!puzzle.title) {
+    errors.push("Puzzle title cannot be empty");
+  }
+
+  if (categories.length !== GAME_CONFIG.totalCategories) {
+    errors.push(`Puzzle must have exactly ${GAME_CONFIG.totalCategories} groups`);
+  }
+
+  categories.forEach((category, index) => {
+    const label = `Group ${index + 1}`;
+
+    if (!category.group) {
+      errors.push(`${label} title cannot be empty`);
+    }
+
+    if (category.members.length !== GAME_CONFIG.wordsPerCategory) {
+      errors.push(`${label} must have exactly ${GAME_CONFIG.wordsPerCategory} words`);
+    }
+
+    if (category.members.some((word) => !word)) {
+      errors.push(`${label} has an empty word`);
+    }
+  });
+
+  const words = categories.flatMap((category) => category.members).filter(Boolean);
+  const duplicates = [...new Set(words.filter((word, index) => words.indexOf(word) !== index))];
+
+  if (duplicates.length > 0) {
+    errors.push(`Words must be unique (repeated: ${duplicates.join(", ")})`);
+  }
+
+  // Grading tells groups apart by title, so a second group with the same title could never be solved
+  const titles = categories.map((category) => category.group.toLowerCase());
+  const repeatedTitles = categories
+    .map((category) => category.group)
+    .filter((title, index) => title && titles.indexOf(title.toLowerCase()) !== index);
+
+  if (repeatedTitles.length > 0) {
+    errors.push(`Group titles must be unique (repeated: ${[...new Set(repeatedTitles)].join(", ")})`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,131 @@
+import { GAME_CONFIG } from "../config/game.js";
+import {
+  checkCategoryMatch,
+  getWordDifficulties,
+  getMaxMistakes,
+  isHint,
+  createHintEntry,
+  isRepeatGuess
+} from "./grading.js";
+
+/**
+ * Check that a guess is a set of distinct words from the puzzle
+ * @param {Object} puzzle - Puzzle with startingOrder
+ * @param {Object} guess - Guess entry
+ * @returns {boolean} - True if well formed
+ */
+function isWellFormedGuess(puzzle, guess) {
+  const words = guess?.words;
+
+  return (
+    Array.isArray(words) &&
+    words.length === GAME_CONFIG.wordsPerCategory &&
+    new Set(words).size === words.length &&
+    words.every((word) => puzzle.startingOrder.includes(word))
+  );
+}
+
+/**
+ * Replay a submitted guess history against the puzzle and derive the authoritative result
+ * The submitted correct flags are checked against the replay rather than trusted, hints are rebuilt from the puzzle
+ * and repeated guesses are rejected
+ * @param {Object} puzzle - Puzzle with categories and startingOrder
+ * @param {Array} guessHistory - Guess history submitted by the client
+ * @param {Object} options - { hardMode }, which allows fewer mistakes and no hints
+ * @returns {Object} - {valid: false, reason} or {valid: true, score, mistakes, won, hintsUsed, hintPenalty, ...}
+ */
+export function verifyGuessHistory(puzzle, guessHistory, { hardMode = false } = {}) {
+  if (!Array.isArray(guessHistory) || guessHistory.length === 0) {
+    return { valid: false, reason: "Guess history is empty" };
+  }
+
+  const maxMistakes = getMaxMistakes(hardMode);
+  const solvedCategories = [];
+  const verifiedHistory = [];
+  let mistakes = 0;
+  let hintsUsed = 0;
+  let hintPenalty = 0;
+
+  for (const [index, guess] of guessHistory.entries()) {
+    const guessNumber = index + 1;
+
+    if (solvedCategories.length === GAME_CONFIG.totalCategories || mistakes >= maxMistakes) {
+      return { valid: false, reason: `Guess ${guessNumber} was made after the game ended` };
+    }
+
+    if (isHint(guess) && hardMode) {
+      return { valid: false, reason: `Guess ${guessNumber} is a hint, but hard mode has none` };
+    }
+
+    if (isHint(guess)) {
+      const hint = createHintEntry(puzzle, verifiedHistory);
+
+      if (!hint || guess.hint !== hint.hint || guess.difficulty !== hint.difficulty) {
+        return { valid: false, reason: `Guess ${guessNumber} is a hint the puzzle would not have given` };
+      }
+
+      if (hint.hint === "group") {
+        solvedCategories.push(checkCategoryMatch(puzzle.categories, solvedCategories, hint.words));
+      }
+
+      hintsUsed++;
+      hintPenalty += hint.cost;
+      verifiedHistory.push({ ...hint, timestamp: guess.timestamp || null });
+      continue;
+    }
+
+    if (!isWellFormedGuess(puzzle, guess)) {
+      return {
+        valid: false,
+        reason: `Guess ${guessNumber} must be ${GAME_CONFIG.wordsPerCategory} different words from the puzzle`
+      };
+    }
+
+    if (solvedCategories.some((category) => category.members.some((member) => guess.words.includes(member)))) {
+      return { valid: false, reason: `Guess ${guessNumber} uses words from a category that was already solved` };
+    }
+
+    if (isRepeatGuess(verifiedHistory, guess.words)) {
+      return { valid: false, reason: `Guess ${guessNumber} repeats an earlier guess` };
+    }
+
+    const category = checkCategoryMatch(puzzle.categories, solvedCategories, guess.words);
+
+    if (!!guess.correct !== !!category) {
+      return {
+        valid: false,
+        reason: `Guess ${guessNumber} is marked ${guess.correct ? "correct" : "wrong"} but the puzzle disagrees`
+      };
+    }
+
+    if (category) {
+      solvedCategories.push(category);
+    } else {
+      mistakes++;
+    }
+
+    verifiedHistory.push({
+      words: [...guess.words],
+      correct: !!category,
+      difficulty: category ? category.difficulty : null,
+      wordDifficulties: category ? null : getWordDifficulties(puzzle.categories, guess.words),
+      timestamp: guess.timestamp || null
+    });
+  }
+
+  const won = solvedCategories.length === GAME_CONFIG.totalCategories;
+
+  if (!won && mistakes < maxMistakes) {
+    return { valid: false, reason: "Guess history does not finish the game" };
+  }
+
+  return {
+    valid: true,
+    score: solvedCategories.length,
+    mistakes,
+    won,
+    hintsUsed,
+    hintPenalty,
+    guessHistory: verifiedHistory
+  };
+}
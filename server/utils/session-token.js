@@ -0,0 +1,87 @@
+import crypto from "crypto";
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+
+let fallbackSecret;
+
+/**
+ * Get the secret used to sign session tokens
+ * Falls back to a per-process secret, so tokens stop working when the server restarts
+ * @returns {string} - Signing secret
+ */
+function getSecret() {
+  if (process.env.SESSION_TOKEN_SECRET) {
+    return process.env.SESSION_TOKEN_SECRET;
+  }
+
+  if (!fallbackSecret) {
+    console.warn("⚠️ SESSION_TOKEN_SECRET is not set - using a temporary secret");
+    fallbackSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return fallbackSecret;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Base64url encoded payload
+ * @returns {string} - Base64url encoded signature
+ */
+function sign(payload) {
+  return crypto.createHmac("sha256", getSecret()).update(payload).digest("base64url");
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || "");
+  const bufferB = Buffer.from(b || "");
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Create a signed session token for a Discord user
+ * @param {Object} user - Discord user ({id, username, avatar})
+ * @param {number} ttlSeconds - Seconds until the token expires
+ * @returns {string} - Session token
+ */
+export function createSessionToken(user, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: user.id,
+      username: user.username,
+      avatar: user.avatar || null,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds
+    })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token and read the user it was issued to
+ * @param {string} token - Session token
+ * @returns {Object|null} - User ({id, username, avatar}) or null if invalid or expired
+ */
+export function verifySessionToken(token) {
+  const [payload, signature] = (token || "").split(".");
+
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  try {
+    const { sub, username, avatar, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+    if (!sub || exp < Date.now() / 1000) {
+      return null;
+    }
+
+    return { id: sub, username, avatar };
+  } catch (error) {
+    return null;
+  }
+}
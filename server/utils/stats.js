@@ -0,0 +1,141 @@
+import { GAME_CONFIG } from "../config/game.js";
+import { addDays } from "./dates.js";
+
+const DIFFICULTY_COLORS = ["yellow", "green", "blue", "purple"];
+
+/**
+ * Find the colour of the first category a player solved
+ * @param {Array} guessHistory - Array of guess objects
+ * @returns {string|null} - Colour name, or null if nothing was solved
+ */
+export function getFirstSolvedColor(guessHistory) {
+  const firstCorrect = guessHistory.find((guess) => guess.correct && guess.difficulty !== null);
+  return firstCorrect ? DIFFICULTY_COLORS[firstCorrect.difficulty] || null : null;
+}
+
+/**
+ * Measure the time each guess took: from the previous entry (hints included), or from the board rendering for the
+ * first one. Guesses missing a timestamp are skipped.
+ * @param {Array} guessHistory - Array of guess objects
+ * @param {number|null} startedAt - When the board first rendered, in milliseconds
+ * @returns {Array} - { guess, intervalMs } for each timed guess, hints excluded
+ */
+export function getGuessIntervals(guessHistory, startedAt) {
+  const intervals = [];
+  let previous = startedAt;
+
+  guessHistory.forEach((guess) => {
+    if (guess.type !== "hint" && previous && guess.timestamp) {
+      intervals.push({ guess, intervalMs: Math.max(0, guess.timestamp - previous) });
+    }
+    previous = guess.timestamp || null;
+  });
+
+  return intervals;
+}
+
+/**
+ * Average a list of durations
+ * @param {number[]} durations - Durations in milliseconds
+ * @returns {number|null} - Rounded average, or null when there is nothing to average
+ */
+function average(durations) {
+  return durations.length > 0 ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null;
+}
+
+/**
+ * Aggregate the timing of a player's games. Games played before timing was recorded are left out.
+ * @param {Array} results - Results with score, startedAt, solveTimeMs and guessHistory
+ * @returns {Object} - Average and fastest solve time, average time between guesses and average time per colour
+ */
+export function calculateTimingStats(results) {
+  const solveTimes = results
+    .filter((result) => result.score === GAME_CONFIG.totalCategories && result.solveTimeMs !== null)
+    .map((result) => result.solveTimeMs);
+  const intervals = results
+    .filter((result) => result.startedAt)
+    .flatMap((result) => getGuessIntervals(result.guessHistory || [], result.startedAt));
+
+  const colorTimes = Object.fromEntries(DIFFICULTY_COLORS.map((color) => [color, []]));
+  intervals
+    .filter(({ guess }) => guess.correct && guess.difficulty !== null)
+    .forEach(({ guess, intervalMs }) => colorTimes[DIFFICULTY_COLORS[guess.difficulty]]?.push(intervalMs));
+
+  return {
+    averageSolveTimeMs: average(solveTimes),
+    fastestSolveTimeMs: solveTimes.length > 0 ? Math.min(...solveTimes) : null,
+    averageGuessIntervalMs: average(intervals.map(({ intervalMs }) => intervalMs)),
+    averageColorTimes: Object.fromEntries(
+      Object.entries(colorTimes).map(([color, durations]) => [color, average(durations)])
+    )
+  };
+}
+
+/**
+ * Calculate win streaks over daily puzzles. Archive plays never count towards a streak.
+ * @param {Array} results - Results in ascending date order
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} - { currentStreak, maxStreak }
+ */
+export function calculateStreaks(results, today) {
+  let maxStreak = 0;
+  let streak = 0;
+  let lastWinDate = null;
+
+  results
+    .filter((result) => !result.archive)
+    .forEach((result) => {
+      if (result.score < GAME_CONFIG.totalCategories) {
+        streak = 0;
+        lastWinDate = null;
+        return;
+      }
+
+      streak = lastWinDate && addDays(lastWinDate, 1) === result.date ? streak + 1 : 1;
+      lastWinDate = result.date;
+      maxStreak = Math.max(maxStreak, streak);
+    });
+
+  // A streak stays alive until a full day passes without a win
+  const isAlive = lastWinDate === today || lastWinDate === addDays(today, -1);
+
+  return { currentStreak: isAlive ? streak : 0, maxStreak };
+}
+
+/**
+ * Aggregate a player's results into lifetime statistics
+ * @param {Array} results - Results with date, score, mistakes, timing, guessHistory and archive flag, in date order
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} - Lifetime statistics
+ */
+export function calculateStats(results, today) {
+  const gamesPlayed = results.length;
+  const wins = results.filter((result) => result.score === GAME_CONFIG.totalCategories).length;
+
+  const mistakeDistribution = {};
+  for (let mistakes = 0; mistakes <= GAME_CONFIG.maxMistakes; mistakes++) {
+    mistakeDistribution[mistakes] = 0;
+  }
+
+  const firstSolvedColors = Object.fromEntries(DIFFICULTY_COLORS.map((color) => [color, 0]));
+
+  results.forEach((result) => {
+    const mistakes = Math.min(result.mistakes, GAME_CONFIG.maxMistakes);
+    mistakeDistribution[mistakes]++;
+
+    const color = getFirstSolvedColor(result.guessHistory || []);
+    if (color) {
+      firstSolvedColors[color]++;
+    }
+  });
+
+  return {
+    gamesPlayed,
+    wins,
+    winRate: gamesPlayed > 0 ? Math.round((wins / gamesPlayed) * 100) : 0,
+    ...calculateStreaks(results, today),
+    mistakeDistribution,
+    firstSolvedColors,
+    ...calculateTimingStats(results)
+  };
+}
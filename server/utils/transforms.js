@@ -11,7 +11,14 @@ export function transformRowsToPlayers(rows) {
       avatar: row.avatar,
       score: row.score,
       mistakes: row.mistakes,
-      guessHistory: row.guess_history,
+      hintsUsed: row.hints_used ?? 0,
+      hintPenalty: row.hint_penalty ?? 0,
+      startedAt: row.started_at ?? null,
+      solveTimeMs: row.solve_time_ms ?? null,
+      timed: !!row.timed,
+      hardMode: !!row.hard_mode,
+      guessHistory: parseJsonColumn(row.guess_history),
+      archive: !!row.archive,
       completedAt: new Date(row.completed_at).getTime()
     };
   });
@@ -42,3 +49,144 @@ export function parseUserSessionId(userSessionId) {
     date: parts[2]
   };
 }
+
+/**
+ * Transform an NYT Connections payload into a puzzle
+ * @param {Object} data - Raw NYT response
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object} - Puzzle with categories and starting tile order
+ */
+export function transformNytPuzzle(data, date) {
+  const allCards = [];
+
+  const categories = data.categories.map((cat, index) => {
+    const members = cat.cards.map((card) => {
+      allCards.push({ content: card.content, position: card.position });
+      return card.content;
+    });
+
+    return {
+      group: cat.title,
+      members,
+      difficulty: index
+    };
+  });
+
+  allCards.sort((a, b) => a.position - b.position);
+
+  return {
+    date,
+    categories,
+    startingOrder: allCards.map((card) => card.content)
+  };
+}
+
+/**
+ * Parse a JSON column that the driver may return as a string
+ * @param {*} value - Column value
+ * @returns {*} - Parsed value
+ */
+export function parseJsonColumn(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+/**
+ * Parse a guess history that may be stored as a JSON string
+ * @param {Array|string|null} guessHistory - Guess history
+ * @returns {Array} - Guess history array
+ */
+export function parseGuessHistory(guessHistory) {
+  if (!guessHistory) return [];
+  return parseJsonColumn(guessHistory);
+}
+
+/**
+ * Strip guessed words and revealed hints from a guess history so it can be shared with other players
+ * @param {Array|string|null} guessHistory - Guess history
+ * @returns {Array} - Guess history without words, hinted words or group titles
+ */
+export function toPublicGuessHistory(guessHistory) {
+  return parseGuessHistory(guessHistory).map(({ words, word, group, ...guess }) => guess);
+}
+
+/**
+ * Strip guessed words from every player's history so results never leak answers
+ * @param {Object} gameState - Game state with players keyed by userId
+ * @returns {Object} - Game state safe to send to clients
+ */
+export function toPublicGameState(gameState) {
+  const players = {};
+  Object.entries(gameState.players || {}).forEach(([userId, player]) => {
+    players[userId] = {
+      ...player,
+      guessHistory: toPublicGuessHistory(player.guessHistory)
+    };
+  });
+  return { ...gameState, players };
+}
+
+/**
+ * Shuffle words deterministically so every player sees the same starting order
+ * @param {string[]} words - Words to shuffle
+ * @param {string} seed - Seed string (e.g. the puzzle date)
+ * @returns {string[]} - Shuffled copy of the words
+ */
+export function seededShuffle(words, seed) {
+  let state = [...seed].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+
+  const shuffled = [...words];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Normalize a stored puzzle file, accepting either the NYT format or our own format
+ * @param {Object} data - Raw puzzle data
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object} - Puzzle with categories and starting tile order
+ */
+export function normalizePuzzle(data, date) {
+  if (data.categories?.[0]?.cards) {
+    return transformNytPuzzle(data, date);
+  }
+
+  const categories = data.categories.map((cat, index) => ({
+    group: cat.group ?? cat.title,
+    members: [...cat.members],
+    difficulty: cat.difficulty ?? index
+  }));
+
+  return {
+    date,
+    categories,
+    startingOrder:
+      data.startingOrder ||
+      seededShuffle(
+        categories.flatMap((cat) => cat.members),
+        date
+      )
+  };
+}
+
+/**
+ * Transform a custom_puzzles row into a custom puzzle
+ * @param {Object} row - Database row
+ * @returns {Object} - Custom puzzle
+ */
+export function transformRowToCustomPuzzle(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    categories: parseJsonColumn(row.puzzle_data).categories,
+    publishDate: row.publish_date,
+    createdBy: row.created_by,
+    updatedAt: new Date(row.updated_at).getTime()
+  };
+}